@@ -0,0 +1,199 @@
+import { DOUBT_DIFFICULTIES, QUESTION_TYPES } from '../../models/Doubt.js';
+import { validateMermaid } from './mermaidValidator.js';
+
+/**
+ * Answer Schema
+ * Formal shape of the structured answer every LLM provider must return.
+ * llmRouter validates each answer against it and asks the provider to repair invalid ones,
+ * so only answers that pass reach askService (and MongoDB).
+ *
+ * Written as a JSON Schema subset (type, required, properties, items, enum,
+ * minLength, minItems, minimum, maximum) so it can be shown to the model as-is.
+ */
+
+const optionalString = { type: ['string', 'null'] };
+
+export const ANSWER_SCHEMA = {
+    type: 'object',
+    required: ['explanation', 'steps', 'finalAnswer', 'confidence', 'meta'],
+    properties: {
+        explanation: { type: 'string', minLength: 1 },
+        steps: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        finalAnswer: { type: 'string', minLength: 1 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        meta: {
+            type: 'object',
+            required: ['subject'],
+            properties: {
+                subject: { type: 'string', minLength: 1 },
+                topic: optionalString,
+                subtopic: optionalString,
+                difficulty: { enum: DOUBT_DIFFICULTIES },
+                questionType: { enum: QUESTION_TYPES },
+            },
+        },
+        followUpQuestions: {
+            type: 'object',
+            properties: {
+                easy: optionalString,
+                medium: optionalString,
+                challenge: optionalString,
+            },
+        },
+        mermaidCode: { type: 'string' },
+        code: {
+            type: ['object', 'null'],
+            properties: {
+                language: optionalString,
+                snippet: optionalString,
+            },
+        },
+        hints: { type: 'array', items: { type: 'string', minLength: 1 } },
+    },
+};
+
+/**
+ * JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} - object, array, string, number, boolean or null
+ */
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<string>} - Validation errors
+ */
+export const validateSchema = (value, schema, path = 'answer') => {
+    const errors = [];
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const actual = typeOf(value);
+        if (!allowed.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+            return [`${path} must be ${allowed.join(' or ')} (got ${actual})`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) {
+                errors.push(...validateSchema(value[field], fieldSchema, `${path}.${field}`));
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Undo harmless formatting differences before validation
+ * (snake_case keys, percent confidence, numeric strings, enum casing, {} for "no code")
+ * @param {Object} answer - Parsed model output
+ * @returns {Object} - Normalized copy
+ */
+export const normalizeAnswer = (answer) => {
+    if (typeOf(answer) !== 'object') return answer;
+
+    const normalized = { ...answer };
+
+    if (normalized.final_answer !== undefined && normalized.finalAnswer === undefined) {
+        normalized.finalAnswer = normalized.final_answer;
+    }
+    delete normalized.final_answer;
+
+    if (typeof normalized.confidence === 'string' && normalized.confidence.trim() !== '') {
+        normalized.confidence = Number(normalized.confidence.replace('%', ''));
+    }
+    if (typeof normalized.confidence === 'number' && normalized.confidence > 1 && normalized.confidence <= 100) {
+        normalized.confidence /= 100;
+    }
+
+    if (typeOf(normalized.meta) === 'object') {
+        normalized.meta = { ...normalized.meta };
+        for (const field of ['difficulty', 'questionType']) {
+            const value = normalized.meta[field];
+            if (typeof value === 'string' && value !== 'N/A') normalized.meta[field] = value.trim().toLowerCase();
+        }
+    }
+
+    if (normalized.mermaidCode === null) {
+        normalized.mermaidCode = '';
+    }
+    if (typeOf(normalized.code) === 'object' && !normalized.code.snippet) {
+        normalized.code = null;
+    }
+
+    return normalized;
+};
+
+/**
+ * Normalize and validate a structured answer
+ * The Mermaid diagram is parsed too; its errors are kept apart because an answer
+ * can still be used without its diagram.
+ * @param {Object} answer - Parsed model output
+ * @param {Object} options - Prompt options ({ mode }); hint mode also requires hints
+ * @returns {{ answer: Object, errors: Array<string>, diagramErrors: Array<string> }} - Normalized answer and validation errors (empty if valid)
+ */
+export const validateAnswer = (answer, options = {}) => {
+    const normalized = normalizeAnswer(answer);
+    const errors = validateSchema(normalized, ANSWER_SCHEMA);
+    let diagramErrors = [];
+
+    if (options.mode === 'hint' && errors.length === 0 && !normalized.hints?.length) {
+        errors.push('answer.hints is required in hint mode (3-5 hints)');
+    }
+
+    if (typeof normalized.mermaidCode === 'string') {
+        const diagram = validateMermaid(normalized.mermaidCode);
+        normalized.mermaidCode = diagram.code;
+        diagramErrors = diagram.errors.map((error) => `answer.mermaidCode: ${error}`);
+    }
+
+    return { answer: normalized, errors, diagramErrors };
+};
+
+/**
+ * Create an error for an answer that does not match the schema
+ * llmRouter catches these and asks the provider to repair its output
+ * @param {Array<string>} validationErrors - What is wrong
+ * @param {string} rawOutput - The rejected output
+ * @returns {Error} - Error with validationErrors and rawOutput attached
+ */
+export const createAnswerValidationError = (validationErrors, rawOutput) => {
+    const error = new Error(`Answer failed validation: ${validationErrors.join('; ')}`);
+    error.validationErrors = validationErrors;
+    error.rawOutput = rawOutput;
+    return error;
+};
@@ -1,9 +1,11 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import promptBuilder from '../rag/promptBuilder.js';
+import { parseAnswer } from './responseParser.js';
 
 /**
  * Gemini Client for AI-powered doubt solving
- * Uses Gemini 1.5 Flash for fast, high-quality educational responses
- * Implements fallback to other models if primary fails
+ * Uses Gemini Flash for fast, high-quality educational responses
+ * Tries each configured model in turn; throws once all of them fail (llmRouter handles fallback)
  */
 class GeminiClient {
     constructor() {
@@ -11,184 +13,111 @@ class GeminiClient {
         const apiKey = process.env.GEMINI_API_KEY;
 
         if (!apiKey) {
-            console.warn('⚠️ GEMINI_API_KEY is not set! AI features will not work.');
+            console.warn('⚠️ GEMINI_API_KEY is not set! Gemini provider disabled.');
         } else {
             console.log('✅ Gemini API key found');
         }
 
+        this.name = 'gemini';
+        this.apiKey = apiKey;
         this.genAI = new GoogleGenerativeAI(apiKey || 'placeholder');
 
-        // Initialize with primary model
-        this.modelName = 'gemini-1.5-flash-001';
-        this.model = this.genAI.getGenerativeModel({ model: this.modelName });
+        // Models to try, in order
+        this.modelsToTry = [
+            process.env.GEMINI_MODEL,
+            'gemini-1.5-flash-001',
+            'gemini-1.5-flash',
+        ].filter(Boolean);
+        this.modelName = this.modelsToTry[0];
         this.embeddingModel = this.genAI.getGenerativeModel({ model: 'text-embedding-004' });
     }
 
     /**
-     * Generate embeddings for text using Gemini
-     * @param {string} text - Text to embed
-     * @returns {Promise<number[]>} - Embedding vector
+     * Whether this provider can be used
+     * @returns {boolean}
      */
-    async generateEmbedding(text) {
-        try {
-            if (!text || !text.trim()) return [];
-
-            // Add delay to avoid rate limits (free tier is strict)
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            const result = await this.embeddingModel.embedContent(text);
-            const embedding = result.embedding;
-            return embedding.values;
-        } catch (error) {
-            // Log error but don't crash - fallback to simple embedding
-            console.warn('⚠️ Embedding failed (using fallback):', error.message.split('\n')[0]);
-            return this.generateSimpleEmbedding(text);
-        }
+    isAvailable() {
+        return Boolean(this.apiKey);
     }
 
     /**
-     * Simplified embedding generation (fallback)
+     * Generate embeddings for text using Gemini
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} - Embedding vector
      */
-    async generateSimpleEmbedding(text) {
-        console.warn('Using fallback simple embedding');
-        const dimension = 768; // Gemini embedding dimension
-        const embedding = new Array(dimension).fill(0);
-        for (let i = 0; i < text.length; i++) {
-            embedding[i % dimension] += text.charCodeAt(i) / 1000;
-        }
-        return embedding;
+    async generateEmbedding(text) {
+        const result = await this.embeddingModel.embedContent(text);
+        return result.embedding.values;
     }
 
     /**
-     * Ask Gemini with automatic model fallback
+     * Generate content with automatic model fallback
+     * @param {string|Object} request - Prompt or generateContent request
+     * @param {Object} modelParams - Extra model params (systemInstruction, generationConfig)
+     * @returns {Promise<string>} - Response text
      */
-    async askWithContext(question, context = []) {
-        const modelsToTry = [
-            'gemini-1.5-flash-001',
-            'gemini-1.5-flash',
-            'gemini-pro',
-            'gemini-1.0-pro'
-        ];
+    async generate(request, modelParams = {}) {
+        let lastError;
 
-        for (const modelName of modelsToTry) {
+        for (const modelName of this.modelsToTry) {
             try {
                 console.log(`🤖 Asking Gemini using model: ${modelName}...`);
-                const model = this.genAI.getGenerativeModel({ model: modelName });
-                const prompt = this.buildPrompt(question, context);
+                const model = this.genAI.getGenerativeModel({ model: modelName, ...modelParams });
 
-                const result = await model.generateContent(prompt);
-                const response = await result.response;
-                const text = response.text();
+                const result = await model.generateContent(request);
+                const text = result.response.text();
 
                 console.log(`✅ Success with ${modelName}`);
-                return this.parseResponse(text);
+                return text;
             } catch (error) {
                 console.warn(`⚠️ Failed with ${modelName}:`, error.message.split('\n')[0]);
-
-                // If this was the last model, return fallback
-                if (modelName === modelsToTry[modelsToTry.length - 1]) {
-                    console.error('❌ All models failed.');
-                    return this.getFallbackResponse(question);
-                }
-                // Otherwise continue to next model
-                continue;
+                lastError = error;
             }
         }
-    }
 
-    /**
-     * Build a structured prompt for Gemini
-     */
-    buildPrompt(question, context) {
-        const contextText = context
-            .map((chunk, idx) => `[${idx + 1}] ${chunk.text}\nSource: ${chunk.metadata?.source || 'Unknown'}`)
-            .join('\n\n');
-
-        return `You are an expert educational mentor specializing in clear, step-by-step explanations.
-
-**QUESTION:**
-${question}
-
-**RELEVANT CONTEXT:**
-${contextText || 'No specific context available - use your general knowledge.'}
-
-**INSTRUCTIONS:**
-1. Provide a clear, step-by-step explanation
-2. Break down complex concepts into simple terms
-3. Use examples where helpful
-4. Be encouraging and educational
-5. **CRITICAL**: Return your response in valid JSON format ONLY. Do not include markdown formatting (like \`\`\`json).
-
-**RESPONSE FORMAT (JSON):**
-{
-  "steps": [
-    "Step 1: [Clear explanation]",
-    "Step 2: [Next step]",
-    ...
-  ],
-  "final_answer": "Concise summary of the complete answer",
-  "confidence": 0.95
-}`;
+        throw lastError || new Error('No Gemini models configured');
     }
 
     /**
-     * Parse Gemini's response into structured object
+     * Ask Gemini a question with context
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Object} options - Prompt options ({ history, tone, difficulty, answerLength, mode, repair })
+     * @returns {Promise<Object>} - Structured answer
      */
-    parseResponse(text) {
-        try {
-            // Clean up text (remove markdown code blocks if present)
-            const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            const parsed = JSON.parse(cleanText);
-            return {
-                steps: parsed.steps || [],
-                finalAnswer: parsed.final_answer || parsed.finalAnswer || '',
-                confidence: parsed.confidence || 0.85,
-                rawResponse: text,
-            };
-        } catch (error) {
-            console.log('JSON parsing failed, structuring manually');
-            return this.structureNonJsonResponse(text);
-        }
+    async askWithContext(question, context = [], options = {}) {
+        const text = await this.generate(promptBuilder.buildAnswerPrompt(question, context, options), {
+            systemInstruction: promptBuilder.getAnswerSystemPrompt(options),
+            generationConfig: { temperature: 0.4, responseMimeType: 'application/json' },
+        });
+
+        return parseAnswer(text, 'Gemini');
     }
 
     /**
-     * Structure non-JSON response
+     * Generate study material (notes, flashcards, etc.)
+     * @param {string} topic - Topic to cover
+     * @param {string} type - notes, flashcards, analogy or quiz
+     * @returns {Promise<string>} - Generated content
      */
-    structureNonJsonResponse(content) {
-        const lines = content.split('\n').filter(line => line.trim());
-        const steps = [];
-        let finalAnswer = '';
-
-        for (const line of lines) {
-            if (line.match(/^(Step \d+|[0-9]+\.|\*)/)) {
-                steps.push(line.replace(/^(Step \d+:|[0-9]+\.|\*)\s*/, ''));
-            } else if (line.length > 50) {
-                finalAnswer += line + ' ';
-            }
-        }
+    async generateStudyMaterial(topic, type) {
+        const { system, prompt } = promptBuilder.buildStudyMaterialPrompt(topic, type);
 
-        return {
-            steps: steps.length > 0 ? steps : [content],
-            finalAnswer: finalAnswer.trim() || content.substring(0, 200),
-            confidence: 0.75,
-            rawResponse: content,
-        };
+        return this.generate(prompt, {
+            systemInstruction: system,
+            generationConfig: { temperature: 0.5 },
+        });
     }
 
     /**
-     * Fallback response
+     * Ask Gemini a raw question without context or structured output
+     * @param {string} prompt - The prompt to send
+     * @returns {Promise<string>} - Raw text response
      */
-    getFallbackResponse(question) {
-        return {
-            steps: [
-                "I apologize, but I encountered an issue generating a detailed response.",
-                "Please try asking your question again.",
-            ],
-            finalAnswer: `I'm having trouble answering "${question}" right now.`,
-            confidence: 0.3,
-            rawResponse: "Fallback response",
-        };
+    async askRaw(prompt) {
+        return this.generate(prompt, {
+            generationConfig: { temperature: 0.7, maxOutputTokens: 2000 },
+        });
     }
 }
 
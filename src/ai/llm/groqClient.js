@@ -1,207 +1,145 @@
 import Groq from 'groq-sdk';
+import promptBuilder from '../rag/promptBuilder.js';
+import { parseAnswer } from './responseParser.js';
 
 /**
  * Groq Client for Ultra-Fast AI Doubt Solving
  * Uses Llama 3.3 70B via Groq Cloud
+ * Implements the LLM provider interface used by llmRouter (methods throw on failure)
  */
 class GroqClient {
     constructor() {
         // Validate API key
-        const apiKey = process.env.GROQ_API_KEY ;
+        const apiKey = process.env.GROQ_API_KEY;
 
         if (!apiKey) {
-            console.warn('⚠️ GROQ_API_KEY is not set! AI features will not work.');
+            console.warn('⚠️ GROQ_API_KEY is not set! Groq provider disabled.');
         } else {
             console.log('✅ Groq API key found');
         }
 
+        this.name = 'groq';
+        this.apiKey = apiKey;
         this.groq = new Groq({
-            apiKey: apiKey,
+            apiKey: apiKey || 'placeholder',
         });
 
         // Use Llama 3.3 70B - Latest high-performance model
-        this.modelName = 'llama-3.3-70b-versatile';
+        this.modelName = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
     }
 
     /**
-     * Generate embeddings (Mock implementation)
+     * Whether this provider can be used
+     * @returns {boolean}
      */
-    async generateEmbedding(text) {
-        return new Array(768).fill(0);
+    isAvailable() {
+        return Boolean(this.apiKey);
     }
 
     /**
      * Ask Groq a question with context
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Object} options - Prompt options ({ history, tone, difficulty, answerLength, mode, repair })
+     * @returns {Promise<Object>} - Structured answer
      */
-    async askWithContext(question, context = []) {
-        try {
-            const prompt = this.buildPrompt(question, context);
-
-            console.log(`🤖 Asking Groq (${this.modelName})...`);
-
-            const completion = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are an expert educational mentor named "EduSense AI". 
-Your goal is to explain complex topics simply, clearly, and conversationally.
-
-**BEHAVIOR RULES:**
-1. **NO DISCLAIMERS**: Never say "As an AI", "I cannot", or "I am a model". Just answer.
-2. **Tone**: Friendly, teacher-like, encouraging. Explain like you are teaching a smart student.
-3. **Structure**: 
-   - Start with a direct, simple answer.
-   - Break down into clear steps.
-   - Use analogies where helpful.
-4. **Diagrams**: Always provide a Mermaid diagram for concepts, flows, or structures.
-5. **Code - MANDATORY FOR PROGRAMMING**: 
-   - For ANY programming, coding, algorithm, or computer science question, you MUST provide code.
-   - Include complete, runnable code examples.
-   - Use proper syntax for the language.
-   - Add comments to explain key parts.
-   - NEVER skip code for programming questions.
-6. **Output**: You MUST return valid JSON only.`
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                model: this.modelName,
-                temperature: 0.4, // Lower temperature for more consistent JSON
-                max_tokens: 2048,
-                response_format: { type: "json_object" }
-            });
-
-            const content = completion.choices[0]?.message?.content;
-
-            if (!content) {
-                throw new Error('Empty response from Groq');
-            }
+    async askWithContext(question, context = [], options = {}) {
+        const prompt = promptBuilder.buildAnswerPrompt(question, context, options);
+
+        console.log(`🤖 Asking Groq (${this.modelName})...`);
+
+        const completion = await this.groq.chat.completions.create({
+            messages: [
+                {
+                    role: 'system',
+                    content: promptBuilder.getAnswerSystemPrompt(options)
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            model: this.modelName,
+            temperature: 0.4, // Lower temperature for more consistent JSON
+            max_tokens: 2048,
+            response_format: { type: "json_object" }
+        });
 
-            return this.parseResponse(content);
+        const content = completion.choices[0]?.message?.content;
 
-        } catch (error) {
-            console.error('❌ Groq Error:', error.message);
-            return this.getFallbackResponse(question);
+        if (!content) {
+            throw new Error('Empty response from Groq');
         }
-    }
 
-    /**
-     * Build a structured prompt for Groq
-     */
-    buildPrompt(question, context) {
-        const contextText = context
-            .map((chunk, idx) => `[${idx + 1}] ${chunk.text}`)
-            .join('\n\n');
-
-        return `
-**USER QUESTION:** "${question}"
-
-**CONTEXT (RAG):**
-${contextText || 'No specific context available.'}
-
-**INSTRUCTIONS:**
-1. Analyze the question to determine the Subject, Topic, and Difficulty.
-2. Provide a clear, step-by-step explanation.
-3. If the concept involves a process, system, hierarchy, or logic flow, YOU MUST GENERATE A MERMAID DIAGRAM.
-   - CRITICAL: Use ONLY valid Mermaid syntax
-   - For flowcharts: Use 'graph TD' or 'graph LR'
-   - For sequences: Use 'sequenceDiagram'
-   - For classes: Use 'classDiagram'
-   - For mindmaps: Use 'mindmap' with proper indentation
-   - For state diagrams: Use 'stateDiagram-v2'
-   - AVOID special characters in node IDs (use A, B, C or simple words)
-   - Use proper arrow syntax: --> or --- for connections
-   - Escape special characters in labels with quotes
-4. **CRITICAL - CODE GENERATION:**
-   - If the question mentions: programming, code, algorithm, function, class, loop, variable, syntax, or ANY programming concept
-   - OR if the subject is Computer Science, Programming, Software, etc.
-   - YOU MUST INCLUDE A CODE BLOCK
-   - Provide complete, runnable code with comments
-   - Use proper syntax for the detected language
-   - NEVER return empty code for programming questions
-5. Suggest 3 follow-up questions.
-
-**REQUIRED JSON RESPONSE FORMAT:**
-{
-  "explanation": "A friendly, conversational overview. NO 'As an AI' or disclaimers.",
-  "steps": [
-    "Step 1: ...",
-    "Step 2: ..."
-  ],
-  "finalAnswer": "A concise summary statement.",
-  "confidence": 0.95,
-  "meta": {
-    "subject": "Math/Physics/CS/etc",
-    "topic": "Specific topic",
-    "subtopic": "Specific subtopic",
-    "difficulty": "school/easy/medium/hard/competitive",
-    "questionType": "concept/numerical/programming/theory/diagram"
-  },
-  "followUpQuestions": {
-    "easy": "...",
-    "medium": "...",
-    "challenge": "..."
-  },
-  "mermaidCode": "graph TD\\n    A[Start] --> B[End]\\n(MUST be valid Mermaid syntax OR empty string)",
-  "code": {
-    "language": "python/javascript/java/cpp/etc (REQUIRED for programming questions)",
-    "snippet": "Complete, runnable code with comments (REQUIRED for programming questions, empty object {} for non-programming)"
-  }
-}
-`;
+        return parseAnswer(content, 'Groq');
     }
 
     /**
-     * Parse JSON response
+     * Ask Groq a question with context, streaming tokens as they arrive
+     * JSON mode is not available for streamed completions, so the JSON is extracted once the stream ends
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Function} onDelta - Called with each text delta
+     * @param {Object} options - Prompt options ({ history, tone, difficulty, answerLength, mode, repair }) and signal to abort the stream
+     * @returns {Promise<Object>} - Parsed answer (same shape as askWithContext)
      */
-    parseResponse(text) {
-        try {
-            return JSON.parse(text);
-        } catch (error) {
-            console.warn('⚠️ Failed to parse JSON from Groq, attempting manual fix');
-            return {
-                explanation: text,
-                steps: ["See explanation above."],
-                finalAnswer: "Could not parse structured answer.",
-                confidence: 0,
-                meta: { subject: "General", difficulty: "Unknown", type: "General" }
-            };
+    async askWithContextStream(question, context = [], onDelta = () => {}, options = {}) {
+        const prompt = promptBuilder.buildAnswerPrompt(question, context, options);
+
+        console.log(`🤖 Streaming from Groq (${this.modelName})...`);
+
+        const stream = await this.groq.chat.completions.create({
+            messages: [
+                { role: 'system', content: promptBuilder.getAnswerSystemPrompt(options) },
+                { role: 'user', content: prompt },
+            ],
+            model: this.modelName,
+            temperature: 0.4,
+            max_tokens: 2048,
+            stream: true,
+        }, { signal: options.signal });
+
+        let content = '';
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
         }
+
+        if (!content) {
+            throw new Error('Empty response from Groq');
+        }
+
+        return parseAnswer(content, 'Groq');
     }
 
     /**
      * Generate study material (notes, flashcards, etc.)
+     * @param {string} topic - Topic to cover
+     * @param {string} type - notes, flashcards, analogy or quiz
+     * @returns {Promise<string>} - Generated content
      */
     async generateStudyMaterial(topic, type) {
-        const prompts = {
-            notes: `Create concise, easy-to-read revision notes for "${topic}". Use bullet points, headers, and bold text.`,
-            flashcards: `Create 5 flashcards for "${topic}". Format as JSON: [{"front": "Question", "back": "Answer"}]`,
-            analogy: `Explain "${topic}" using a simple, real-life analogy that a 10-year-old would understand.`,
-            quiz: `Create 3 multiple-choice questions for "${topic}" with answers.`
-        };
-
-        const prompt = prompts[type] || prompts.notes;
-
-        try {
-            const completion = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert educational content generator. Return clean Markdown for notes/analogy, or JSON for flashcards/quiz.'
-                    },
-                    { role: 'user', content: prompt }
-                ],
-                model: this.modelName,
-                temperature: 0.5,
-            });
-
-            return completion.choices[0]?.message?.content;
-        } catch (error) {
-            console.error('Groq Study Gen Error:', error);
-            return "Failed to generate study material.";
+        const { system, prompt } = promptBuilder.buildStudyMaterialPrompt(topic, type);
+
+        const completion = await this.groq.chat.completions.create({
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            model: this.modelName,
+            temperature: 0.5,
+        });
+
+        const content = completion.choices[0]?.message?.content;
+
+        if (!content) {
+            throw new Error('Empty response from Groq');
         }
+
+        return content;
     }
 
     /**
@@ -210,37 +148,19 @@ ${contextText || 'No specific context available.'}
      * @returns {Promise<string>} - Raw text response
      */
     async askRaw(prompt) {
-        try {
-            const completion = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                model: this.modelName,
-                temperature: 0.7,
-                max_tokens: 2000,
-            });
-
-            return completion.choices[0]?.message?.content || '';
-        } catch (error) {
-            console.error('Groq Raw Error:', error);
-            throw error;
-        }
-    }
+        const completion = await this.groq.chat.completions.create({
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            model: this.modelName,
+            temperature: 0.7,
+            max_tokens: 2000,
+        });
 
-    /**
-     * Fallback response
-     */
-    getFallbackResponse(question) {
-        return {
-            explanation: "I'm having trouble connecting to my brain right now. It might be a network issue.",
-            steps: ["Please check your internet connection.", "Try again in a moment."],
-            finalAnswer: "Temporary connection issue.",
-            confidence: 0,
-            meta: { subject: "System", difficulty: "N/A", category: "Error" }
-        };
+        return completion.choices[0]?.message?.content || '';
     }
 }
 
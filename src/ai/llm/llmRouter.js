@@ -0,0 +1,294 @@
+import groqClient from './groqClient.js';
+import geminiClient from './geminiClient.js';
+import claudeClient from './claudeClient.js';
+import localClient from './localClient.js';
+import embedder from '../rag/embedder.js';
+import { validateAnswer, createAnswerValidationError } from './answerSchema.js';
+import { createHttpError } from '../../utils/httpError.js';
+
+/**
+ * LLM Router
+ * Single entry point for all LLM calls. Tries providers in the order given by
+ * LLM_PROVIDERS (default: groq,gemini,claude), skipping providers without credentials,
+ * and falls through to the next provider on error or timeout (LLM_TIMEOUT_MS).
+ * LLM_PROVIDERS=local runs everything offline against the deterministic local provider.
+ *
+ * Structured answers are validated against answerSchema.js. An invalid answer is sent back to the
+ * same provider with the validation errors (options.repair) up to LLM_REPAIR_ATTEMPTS times (default 2)
+ * before the next provider is tried.
+ *
+ * Provider interface:
+ *   - name, isAvailable()
+ *   - askWithContext(question, context, options) -> parsed answer (throws an answer validation error if not JSON)
+ *   - askWithContextStream(question, context, onDelta, options) -> parsed answer (optional; options.signal aborts it)
+ *   - askRaw(prompt) -> string
+ *   - generateStudyMaterial(topic, type) -> string
+ */
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Name used in the timeout error
+ * @returns {Promise} - Result of the promise
+ */
+const withTimeout = (promise, ms, label) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class LLMRouter {
+    constructor() {
+        this.providers = {
+            groq: groqClient,
+            gemini: geminiClient,
+            claude: claudeClient,
+            local: localClient,
+        };
+
+        this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+        this.streamTimeoutMs = parseInt(process.env.LLM_STREAM_TIMEOUT_MS) || 120000;
+        this.repairAttempts = process.env.LLM_REPAIR_ATTEMPTS !== undefined
+            ? Math.max(0, parseInt(process.env.LLM_REPAIR_ATTEMPTS) || 0)
+            : 2;
+        this.chain = (process.env.LLM_PROVIDERS || 'groq,gemini,claude')
+            .split(',')
+            .map((name) => name.trim())
+            .filter(Boolean);
+
+        const unknown = this.chain.filter((name) => !this.providers[name]);
+        if (unknown.length > 0) {
+            console.warn(`⚠️ Unknown LLM providers in LLM_PROVIDERS: ${unknown.join(', ')}`);
+        }
+
+        console.log(`🧭 LLM provider chain: ${this.chain.join(' → ')}`);
+    }
+
+    /**
+     * Register (or replace) a provider under a name usable in LLM_PROVIDERS
+     * @param {string} name - Provider name
+     * @param {Object} provider - Provider implementing the interface above
+     */
+    registerProvider(name, provider) {
+        this.providers[name] = provider;
+    }
+
+    /**
+     * Whether only the offline local provider is configured
+     * Lets other services skip their own network calls (e.g. Vision OCR)
+     * @returns {boolean}
+     */
+    isLocalOnly() {
+        return this.chain.length > 0 && this.chain.every((name) => name === 'local');
+    }
+
+    /**
+     * Providers to try, in order
+     * @param {string} method - Method the provider must implement
+     * @returns {Array<Object>} - Available providers
+     */
+    getChain(method) {
+        return this.chain
+            .map((name) => this.providers[name])
+            .filter((provider) => provider && provider.isAvailable() && typeof provider[method] === 'function');
+    }
+
+    /**
+     * Call a method on each provider until one succeeds
+     * @param {string} method - Provider method name
+     * @param {Array} args - Method arguments
+     * @param {Function} invoke - Optional custom call (provider) => Promise, defaults to the method with a timeout
+     * @returns {Promise<*>} - First successful result
+     * @throws {Error} - 502 when every provider fails, 503 when none is available
+     */
+    async run(method, args, invoke = null) {
+        const errors = [];
+
+        for (const provider of this.getChain(method)) {
+            try {
+                return invoke
+                    ? await invoke(provider)
+                    : await withTimeout(provider[method](...args), this.timeoutMs, `${provider.name}.${method}`);
+            } catch (error) {
+                console.warn(`⚠️ ${provider.name}.${method} failed, trying next provider:`, error.message);
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw errors.length > 0
+            ? createHttpError(502, `All LLM providers failed for ${method} (${errors.join('; ')})`)
+            : createHttpError(503, `No LLM provider available for ${method}. Check LLM_PROVIDERS and API keys.`);
+    }
+
+    /**
+     * Ask a question with context
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Object} options - Prompt options ({ history, tone, difficulty, answerLength, mode })
+     * @returns {Promise<Object>} - Structured answer
+     * @throws {Error} - 502/503 when no provider gives a valid answer (nothing is made up)
+     */
+    async askWithContext(question, context = [], options = {}) {
+        return this.run('askWithContext', [question, context, options], (provider) =>
+            this.askWithRepair(provider, question, context, options)
+        );
+    }
+
+    /**
+     * Ask one provider for an answer, re-prompting it with the validation errors until the answer is valid
+     * @param {Object} provider - LLM provider
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Object} options - Prompt options
+     * @param {Error} rejected - Validation error for an answer the provider already gave (optional)
+     * @returns {Promise<Object>} - Valid, normalized answer
+     * @throws {Error} - Answer validation error once repairs are used up, or the provider's own error
+     */
+    async askWithRepair(provider, question, context, options, rejected = null) {
+        let lastError = rejected;
+
+        for (let attempt = rejected ? 1 : 0; attempt <= this.repairAttempts; attempt++) {
+            const repair = lastError
+                ? { errors: lastError.validationErrors, previousOutput: lastError.rawOutput }
+                : undefined;
+
+            if (repair) {
+                console.warn(`🔧 ${provider.name} answer failed validation, asking for a repair (${attempt}/${this.repairAttempts}):`, repair.errors.join('; '));
+            }
+
+            try {
+                const answer = await withTimeout(
+                    provider.askWithContext(question, context, repair ? { ...options, repair } : options),
+                    this.timeoutMs,
+                    `${provider.name}.askWithContext`
+                );
+                return this.checkAnswer(answer, options);
+            } catch (error) {
+                if (!error.validationErrors) throw error;
+                lastError = error;
+            }
+        }
+
+        // A diagram that never parses is dropped rather than losing the whole answer
+        if (lastError.answerWithoutDiagram) {
+            console.warn(`⚠️ ${provider.name} diagram still invalid after ${this.repairAttempts} repairs, dropping it`);
+            return lastError.answerWithoutDiagram;
+        }
+        throw lastError;
+    }
+
+    /**
+     * Validate a provider's answer against the answer schema and its diagram against the Mermaid grammar
+     * @param {Object} answer - Parsed answer
+     * @param {Object} options - Prompt options ({ mode })
+     * @returns {Object} - Normalized answer
+     * @throws {Error} - Answer validation error listing what is wrong
+     *                   (with answerWithoutDiagram set when only the diagram is invalid)
+     */
+    checkAnswer(answer, options) {
+        const { answer: normalized, errors, diagramErrors } = validateAnswer(answer, options);
+        if (errors.length > 0 || diagramErrors.length > 0) {
+            const error = createAnswerValidationError([...errors, ...diagramErrors], JSON.stringify(answer));
+            if (errors.length === 0) {
+                error.answerWithoutDiagram = { ...normalized, mermaidCode: '' };
+            }
+            throw error;
+        }
+        return normalized;
+    }
+
+    /**
+     * Ask a question with context, streaming text deltas
+     * Providers without streaming deliver their whole answer as one delta.
+     * Once a provider has started streaming it is not swapped out mid-answer. An attempt that times out
+     * is aborted through options.signal, and deltas it emits afterwards never reach onDelta.
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Function} onDelta - Called with each text delta
+     * @param {Object} options - Prompt options ({ history, tone, difficulty, answerLength, mode })
+     * @returns {Promise<Object>} - Structured answer
+     * @throws {Error} - 502/503 when no provider gives a valid answer
+     */
+    async askWithContextStream(question, context = [], onDelta = () => {}, options = {}) {
+        const errors = [];
+
+        for (const provider of this.getChain('askWithContext')) {
+            let started = false;
+            // A timed-out attempt is aborted, and anything it still emits is dropped
+            let current = true;
+            const controller = new AbortController();
+            const forward = (delta) => {
+                if (!current) return;
+                started = true;
+                onDelta(delta);
+            };
+
+            try {
+                if (typeof provider.askWithContextStream === 'function') {
+                    const streamed = await withTimeout(
+                        provider.askWithContextStream(question, context, forward, { ...options, signal: controller.signal }),
+                        this.streamTimeoutMs,
+                        `${provider.name}.askWithContextStream`
+                    );
+                    return this.checkAnswer(streamed, options);
+                }
+
+                const answer = await this.askWithRepair(provider, question, context, options);
+                forward(JSON.stringify(answer));
+                return answer;
+            } catch (error) {
+                // The streamed text is only a preview; an invalid result is repaired without streaming
+                if (started && error.validationErrors) {
+                    return this.askWithRepair(provider, question, context, options, error);
+                }
+                if (started) {
+                    throw error;
+                }
+                console.warn(`⚠️ ${provider.name} stream failed, trying next provider:`, error.message);
+                errors.push(`${provider.name}: ${error.message}`);
+            } finally {
+                current = false;
+                controller.abort();
+            }
+        }
+
+        throw errors.length > 0
+            ? createHttpError(502, `All LLM providers failed for askWithContextStream (${errors.join('; ')})`)
+            : createHttpError(503, 'No LLM provider available for askWithContextStream. Check LLM_PROVIDERS and API keys.');
+    }
+
+    /**
+     * Ask a raw question without context or structured output
+     * @param {string} prompt - The prompt to send
+     * @returns {Promise<string>} - Raw text response
+     */
+    async askRaw(prompt) {
+        return this.run('askRaw', [prompt]);
+    }
+
+    /**
+     * Generate study material (notes, flashcards, etc.)
+     * @param {string} topic - Topic to cover
+     * @param {string} type - notes, flashcards, analogy or quiz
+     * @returns {Promise<string>} - Generated content
+     */
+    async generateStudyMaterial(topic, type) {
+        return this.run('generateStudyMaterial', [topic, type]);
+    }
+
+    /**
+     * Generate an embedding
+     * Always uses the embedding provider layer so vectors match the Qdrant collection
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} - Embedding vector
+     */
+    async generateEmbedding(text) {
+        return embedder.generateEmbedding(text);
+    }
+}
+
+export default new LLMRouter();
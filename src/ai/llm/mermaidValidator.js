@@ -0,0 +1,496 @@
+/**
+ * Mermaid Validator
+ * Grammar check for the Mermaid diagram types generateDiagram supports
+ * (flowchart, sequence, class, state, mindmap).
+ *
+ * Mermaid is line-oriented, so each diagram type is checked statement by statement against
+ * the subset of its grammar the prompts ask for. Errors name the line and what was expected,
+ * so they can be sent back to the LLM as-is. Code is never rewritten beyond removing
+ * markdown fences - a diagram either parses or is rejected.
+ */
+
+export const MERMAID_DIAGRAM_TYPES = ['flowchart', 'sequence', 'class', 'state', 'mindmap'];
+
+const HEADERS = [
+    { type: 'flowchart', pattern: /^(graph|flowchart)(\s+(TB|TD|BT|RL|LR))?$/ },
+    { type: 'sequence', pattern: /^sequenceDiagram$/ },
+    { type: 'class', pattern: /^classDiagram(-v2)?$/ },
+    { type: 'state', pattern: /^stateDiagram(-v2)?$/ },
+    { type: 'mindmap', pattern: /^mindmap$/ },
+];
+
+// Node IDs: letters, digits, _ and single dashes that do not start an arrow
+const NODE_ID = /[\p{L}\p{N}_]+(?:-(?![-.>=xo])[\p{L}\p{N}_]+)*/uy;
+
+// Flowchart node shapes, longest opener first
+const NODE_SHAPES = [
+    ['(((', ')))'], ['((', '))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['{{', '}}'],
+    ['[/', '/]'], ['[/', '\\]'], ['[\\', '\\]'], ['[\\', '/]'],
+    ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']'],
+];
+
+// Characters that end or confuse an unquoted label
+const LABEL_BREAKERS = /[[\](){}"]/;
+
+// Flowchart links: "-- text -->" style (spaces optional: "-.text.->", "==text==>"), then plain arrows
+// ("-->", "-.->", "==>", "<-->", "--o", "~~~"); "--o B" is a circle arrow, not the label "o B"
+const LINK_WITH_TEXT = /[<ox]?(?:--|==|-\.)(?![ox](?:\s|$))\s*[^\s\-=.>|][^|]*?\s*(?:-{2,}[>ox]|={2,}[>ox]|\.+-+>?|-{3,}|={3,})/y;
+const PLAIN_LINK = /[<ox]?(?:-{2,}[>ox]?|={2,}[>ox]?|-\.+-[>ox]?|~~~)/y;
+const LINK_LABEL = /\s*\|(?:"[^"]*"|[^|]*)\|/y;
+
+const SEQUENCE_MESSAGE = /^(.+?)\s*(<<-->>|<<->>|-->>|->>|--x|-x|--\)|-\)|-->|->)\s*[+-]?\s*(.+?)\s*(:.*)?$/;
+const SEQUENCE_BLOCKS = ['loop', 'alt', 'opt', 'par', 'critical', 'break', 'rect', 'box'];
+const SEQUENCE_BRANCHES = { else: 'alt', and: 'par', option: 'critical' };
+
+const CLASS_NAME = '[\\p{L}\\p{N}_`]+(?:~[^~]+~)?';
+const CLASS_RELATION = new RegExp(
+    `^(${CLASS_NAME})\\s*(?:"[^"]*"\\s*)?(<\\||\\*|o|<)?(--|\\.\\.)(\\|>|\\*|o|>)?\\s*(?:"[^"]*"\\s*)?(${CLASS_NAME})\\s*(?::.*)?$`,
+    'u'
+);
+
+const STATE_ID = '(?:\\[\\*\\]|[\\p{L}\\p{N}_]+(?:-(?![->])[\\p{L}\\p{N}_]+)*)(?::::[\\w-]+)?';
+const STATE_TRANSITION = new RegExp(`^(${STATE_ID})\\s*-->\\s*(${STATE_ID})\\s*(?::.*)?$`, 'u');
+
+/**
+ * Take the Mermaid source out of model output
+ * Removes markdown fences (and any prose around a fenced block)
+ * @param {string} text - Model output
+ * @returns {string} - Mermaid source
+ */
+export const extractMermaid = (text) => {
+    const source = (text || '').trim();
+    const fenced = source.match(/```(?:mermaid)?[^\n]*\n([\s\S]*?)```/);
+    return (fenced ? fenced[1] : source).trim();
+};
+
+/**
+ * Split a line into statements on ';' outside quotes and brackets
+ * @param {string} text - Line
+ * @returns {Array<string>} - Statements
+ */
+const splitStatements = (text) => {
+    const statements = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && '[({'.includes(char)) depth++;
+        if (!quoted && '])}'.includes(char)) depth = Math.max(0, depth - 1);
+
+        if (char === ';' && !quoted && depth === 0) {
+            statements.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    statements.push(current.trim());
+    return statements.filter(Boolean);
+};
+
+/**
+ * Read a flowchart node (ID, optional shape and label, optional :::class) at a position
+ * @param {string} text - Statement
+ * @param {number} start - Position of the node
+ * @returns {{ end: number, id: string }|{ error: string }|null} - Parsed node, an error, or null if no node is there
+ */
+const readFlowchartNode = (text, start) => {
+    NODE_ID.lastIndex = start;
+    const match = NODE_ID.exec(text);
+    if (!match) return null;
+
+    const id = match[0];
+    if (id === 'end') {
+        return { error: `"end" cannot be used as a node ID (use End or END)` };
+    }
+
+    let pos = start + id.length;
+    const shape = NODE_SHAPES.find(([opener]) => text.startsWith(opener, pos));
+
+    if (shape) {
+        const [opener, closer] = shape;
+        pos += opener.length;
+
+        if (text[pos] === '"') {
+            const closingQuote = text.indexOf('"', pos + 1);
+            if (closingQuote === -1) {
+                return { error: `Node "${id}" has an unclosed quoted label` };
+            }
+            pos = closingQuote + 1;
+            if (!text.startsWith(closer, pos)) {
+                return { error: `Node "${id}" label must end with ${closer} right after the closing quote` };
+            }
+        } else {
+            const closing = text.indexOf(closer, pos);
+            if (closing === -1) {
+                return { error: `Node "${id}" opens ${opener} but never closes it with ${closer}` };
+            }
+
+            const label = text.slice(pos, closing);
+            const breaker = label.match(LABEL_BREAKERS);
+            if (breaker) {
+                return {
+                    error: `Node "${id}" label "${label}" contains "${breaker[0]}" - wrap the label in double quotes, e.g. ${id}${opener}"label text"${closer}`,
+                };
+            }
+            pos = closing;
+        }
+
+        pos += closer.length;
+    }
+
+    const className = text.slice(pos).match(/^:::[\w-]+/);
+    if (className) pos += className[0].length;
+
+    return { end: pos, id };
+};
+
+/**
+ * Read a flowchart link at a position
+ * @param {string} text - Statement
+ * @param {number} start - Position of the link
+ * @returns {number|null} - Position after the link (and its |label|), or null if no link is there
+ */
+const readFlowchartLink = (text, start) => {
+    for (const pattern of [LINK_WITH_TEXT, PLAIN_LINK]) {
+        pattern.lastIndex = start;
+        if (pattern.exec(text)) {
+            let pos = pattern.lastIndex;
+            LINK_LABEL.lastIndex = pos;
+            if (LINK_LABEL.exec(text)) pos = LINK_LABEL.lastIndex;
+            return pos;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check a chain of nodes and links ("A --> B & C -->|yes| D")
+ * @param {string} text - Statement
+ * @returns {string|null} - Error, or null if valid
+ */
+const checkFlowchartChain = (text) => {
+    const skipSpaces = (pos) => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+        return pos;
+    };
+
+    const readGroup = (start) => {
+        let pos = start;
+        for (;;) {
+            const node = readFlowchartNode(text, skipSpaces(pos));
+            if (!node) return { error: `Expected a node ID at "${text.slice(skipSpaces(pos), skipSpaces(pos) + 20)}"` };
+            if (node.error) return node;
+
+            pos = skipSpaces(node.end);
+            if (text[pos] !== '&') return { end: pos, id: node.id };
+            pos++;
+        }
+    };
+
+    let group = readGroup(0);
+    if (group.error) return group.error;
+
+    let pos = group.end;
+    while (pos < text.length) {
+        const afterLink = readFlowchartLink(text, pos);
+        if (afterLink === null) {
+            return `Expected an arrow such as --> after "${group.id}" but found "${text.slice(pos, pos + 20)}"`;
+        }
+
+        group = readGroup(afterLink);
+        if (group.error) return `${group.error} (after an arrow)`;
+        pos = group.end;
+    }
+
+    return null;
+};
+
+/**
+ * Flowchart grammar
+ * @param {Array} lines - { number, text } statements after the header
+ * @param {Function} report - report(lineNumber, message)
+ */
+const checkFlowchart = (lines, report) => {
+    const subgraphs = [];
+
+    for (const { number, text } of lines) {
+        for (const statement of splitStatements(text)) {
+            if (/^subgraph(\s|$)/.test(statement)) {
+                subgraphs.push(number);
+            } else if (statement === 'end') {
+                if (!subgraphs.pop()) report(number, '"end" without a matching subgraph');
+            } else if (/^direction\b/.test(statement)) {
+                if (!/^direction\s+(TB|TD|BT|RL|LR)$/.test(statement)) report(number, 'direction must be TB, TD, BT, RL or LR');
+            } else if (/^(classDef|class|style|linkStyle|click)\b/.test(statement)) {
+                if (statement.split(/\s+/).length < 3 && !statement.startsWith('click')) {
+                    report(number, `"${statement}" is missing arguments`);
+                }
+            } else {
+                const error = checkFlowchartChain(statement);
+                if (error) report(number, error);
+            }
+        }
+    }
+
+    for (const number of subgraphs) report(number, 'subgraph is never closed with "end"');
+};
+
+/**
+ * Sequence diagram grammar
+ * @param {Array} lines - { number, text } statements after the header
+ * @param {Function} report - report(lineNumber, message)
+ */
+const checkSequence = (lines, report) => {
+    const blocks = [];
+
+    for (const { number, text } of lines) {
+        const [keyword] = text.split(/\s+/);
+        const lowerKeyword = keyword.toLowerCase();
+
+        if (/^(create\s+)?(participant|actor)\s+\S/.test(text) || /^destroy\s+\S/.test(text)) continue;
+        if (/^(activate|deactivate)\s+\S/.test(text)) continue;
+        if (/^(autonumber|title|accTitle|accDescr|links?|properties|details)\b/.test(text)) continue;
+
+        if (lowerKeyword === 'note') {
+            if (!/^note\s+(left of|right of|over)\s+[^:]+:.*$/i.test(text)) {
+                report(number, 'Notes must look like "Note right of A: text" or "Note over A,B: text"');
+            }
+        } else if (SEQUENCE_BLOCKS.includes(keyword)) {
+            blocks.push({ keyword, number });
+        } else if (SEQUENCE_BRANCHES[keyword]) {
+            if (blocks[blocks.length - 1]?.keyword !== SEQUENCE_BRANCHES[keyword]) {
+                report(number, `"${keyword}" is only allowed inside a ${SEQUENCE_BRANCHES[keyword]} block`);
+            }
+        } else if (text === 'end') {
+            if (!blocks.pop()) report(number, '"end" without an open loop/alt/opt/par/critical/break/rect/box block');
+        } else {
+            const message = text.match(SEQUENCE_MESSAGE);
+            if (!message) {
+                report(number, `Unrecognized statement "${text}" - messages look like "A->>B: text"`);
+            } else if (!message[4]) {
+                report(number, `Message "${text}" needs ": text" after the receiver`);
+            }
+        }
+    }
+
+    for (const block of blocks) report(block.number, `"${block.keyword}" block is never closed with "end"`);
+};
+
+/**
+ * Class diagram grammar
+ * @param {Array} lines - { number, text } statements after the header
+ * @param {Function} report - report(lineNumber, message)
+ */
+const checkClass = (lines, report) => {
+    const scopes = [];
+    const classHeader = new RegExp(`^class\\s+${CLASS_NAME}(\\s*\\["[^"]*"\\])?(:::[\\w-]+)?\\s*(\\{\\s*\\}?)?$`, 'u');
+
+    for (const { number, text } of lines) {
+        const scope = scopes[scopes.length - 1];
+
+        if (text === '}') {
+            if (!scopes.pop()) report(number, '"}" without an open class or namespace');
+            continue;
+        }
+
+        // Class bodies hold one member per line
+        if (scope?.kind === 'class') {
+            if (/[{}]/.test(text)) report(number, `Unexpected brace in class member "${text}"`);
+            continue;
+        }
+
+        if (/^class\s/.test(text)) {
+            const header = text.match(classHeader);
+            if (!header) {
+                report(number, `Invalid class declaration "${text}" - use "class Name" or "class Name {"`);
+            } else if (header[3] && !header[3].includes('}')) {
+                scopes.push({ kind: 'class', number });
+            }
+        } else if (/^namespace\s+\S+\s*\{$/.test(text)) {
+            scopes.push({ kind: 'namespace', number });
+        } else if (/^(direction\s+(TB|BT|RL|LR)|classDef|cssClass|style|click|callback|link)\b/.test(text)) {
+            continue;
+        } else if (/^note\s+(for\s+\S+\s+)?"[^"]*"$/.test(text)) {
+            continue;
+        } else if (/^<<[^>]+>>\s*[\p{L}\p{N}_]+$/u.test(text)) {
+            continue;
+        } else if (CLASS_RELATION.test(text)) {
+            continue;
+        } else if (new RegExp(`^${CLASS_NAME}\\s*:\\s*\\S`, 'u').test(text)) {
+            continue;
+        } else {
+            report(number, `Unrecognized statement "${text}" - relationships look like "A <|-- B", members like "A : +name"`);
+        }
+    }
+
+    for (const scope of scopes) report(scope.number, `${scope.kind} block is never closed with "}"`);
+};
+
+/**
+ * State diagram grammar
+ * @param {Array} lines - { number, text } statements after the header
+ * @param {Function} report - report(lineNumber, message)
+ */
+const checkState = (lines, report) => {
+    const composites = [];
+    let noteStart = null;
+
+    for (const { number, text } of lines) {
+        // Multi-line notes run until "end note"
+        if (noteStart !== null) {
+            if (text === 'end note') noteStart = null;
+            continue;
+        }
+
+        if (text === '}') {
+            if (!composites.pop()) report(number, '"}" without an open composite state');
+        } else if (text === '--') {
+            if (composites.length === 0) report(number, '"--" is only allowed inside a composite state');
+        } else if (/^state\s/.test(text)) {
+            const declaration = text.match(/^state\s+(?:"[^"]*"\s+as\s+)?[\p{L}\p{N}_]+(?:\s*<<(choice|fork|join)>>)?(\s*\{)?$/u);
+            if (!declaration && !/^state\s+[\p{L}\p{N}_]+\s*:\s*\S/u.test(text)) {
+                report(number, `Invalid state declaration "${text}"`);
+            } else if (declaration?.[2]) {
+                composites.push(number);
+            }
+        } else if (/^note\s+(left|right)\s+of\s+\S+/.test(text)) {
+            if (!text.includes(':')) noteStart = number;
+        } else if (/^(direction\s+(TB|BT|RL|LR)|classDef|class|style|hide empty description)\b/.test(text)) {
+            continue;
+        } else if (STATE_TRANSITION.test(text)) {
+            continue;
+        } else if (/^[\p{L}\p{N}_]+\s*:\s*\S/u.test(text)) {
+            continue;
+        } else if (/^[\p{L}\p{N}_]+(:::[\w-]+)?$/u.test(text)) {
+            continue;
+        } else {
+            report(number, `Unrecognized statement "${text}" - transitions look like "A --> B : label"`);
+        }
+    }
+
+    for (const number of composites) report(number, 'Composite state is never closed with "}"');
+    if (noteStart !== null) report(noteStart, 'Note is never closed with "end note"');
+};
+
+// Mindmap node shapes
+const MINDMAP_SHAPES = [['((', '))'], ['))', '(('], ['{{', '}}'], ['[', ']'], ['(', ')'], [')', '(']];
+
+/**
+ * Check a mindmap node's shape
+ * @param {string} text - Node text
+ * @returns {string|null} - Error, or null if valid
+ */
+const checkMindmapNode = (text) => {
+    if (!/[[\](){}]/.test(text)) return null;
+
+    const id = text.match(/^[^\s[\](){}"]*/)[0];
+    const rest = text.slice(id.length);
+    const shape = MINDMAP_SHAPES.find(([opener]) => rest.startsWith(opener));
+    if (!shape) return `Node "${text}" has brackets outside a shape - wrap the text in quotes, e.g. id["${text}"]`;
+
+    const [opener, closer] = shape;
+    const label = rest.slice(opener.length, rest.length - closer.length);
+    if (!rest.endsWith(closer) || rest.length < opener.length + closer.length) {
+        return `Node "${text}" opens ${opener} but does not end with ${closer}`;
+    }
+    if (!/^"[^"]*"$/.test(label) && /[[\](){}]/.test(label)) {
+        return `Node "${text}" label contains brackets - wrap it in quotes, e.g. ${id}${opener}"${label}"${closer}`;
+    }
+    return null;
+};
+
+/**
+ * Mindmap grammar (indentation based, single root)
+ * @param {Array} lines - { number, text, indent } statements after the header
+ * @param {Function} report - report(lineNumber, message)
+ */
+const checkMindmap = (lines, report) => {
+    let rootIndent = null;
+
+    for (const { number, text, indent } of lines) {
+        // Icons and classes decorate the node above them
+        if (/^::icon\(.*\)$/.test(text) || /^:::[\w\s-]+$/.test(text)) continue;
+
+        if (rootIndent === null) {
+            rootIndent = indent;
+        } else if (indent <= rootIndent) {
+            report(number, `Mindmaps have a single root - indent "${text}" further than the root node`);
+        }
+
+        const error = checkMindmapNode(text);
+        if (error) report(number, error);
+    }
+
+    if (rootIndent === null) report(1, 'Mindmap has no root node');
+};
+
+const CHECKERS = {
+    flowchart: checkFlowchart,
+    sequence: checkSequence,
+    class: checkClass,
+    state: checkState,
+    mindmap: checkMindmap,
+};
+
+/**
+ * Validate Mermaid source
+ * @param {string} mermaidCode - Mermaid source (markdown fences allowed)
+ * @param {string} expectedType - Diagram type it must be (one of MERMAID_DIAGRAM_TYPES), or null for any
+ * @returns {{ valid: boolean, type: string|null, code: string, errors: Array<string> }} - Errors read "Line N: ..."
+ */
+export const validateMermaid = (mermaidCode, expectedType = null) => {
+    const code = extractMermaid(mermaidCode);
+    const errors = [];
+    const report = (number, message) => errors.push(`Line ${number}: ${message}`);
+
+    // Keep line numbers; comments, directives and front matter are not statements
+    let inFrontMatter = false;
+    const lines = code.split('\n').map((raw, index) => {
+        const trimmed = raw.trim();
+        if (index === 0 && trimmed === '---') inFrontMatter = true;
+        else if (inFrontMatter && trimmed === '---') {
+            inFrontMatter = false;
+            return null;
+        }
+        if (inFrontMatter || trimmed === '' || trimmed.startsWith('%%')) return null;
+
+        return { number: index + 1, text: trimmed, indent: raw.length - raw.trimStart().length };
+    }).filter(Boolean);
+
+    if (lines.length === 0) {
+        return {
+            valid: !expectedType,
+            type: null,
+            code: '',
+            errors: expectedType ? ['Diagram is empty'] : [],
+        };
+    }
+
+    // Flowcharts may continue on the header line after a ';'
+    const [headerText, ...inlineStatements] = lines[0].text.split(';').map((part) => part.trim());
+    const header = HEADERS.find(({ pattern }) => pattern.test(headerText));
+
+    if (!header) {
+        report(lines[0].number, `Unknown diagram header "${headerText}" - start with graph TD, sequenceDiagram, classDiagram, stateDiagram-v2 or mindmap`);
+        return { valid: false, type: null, code, errors };
+    }
+    if (expectedType && header.type !== expectedType) {
+        report(lines[0].number, `Expected a ${expectedType} diagram but the header "${headerText}" starts a ${header.type} diagram`);
+        return { valid: false, type: header.type, code, errors };
+    }
+
+    const body = lines.slice(1);
+    const inline = inlineStatements.filter(Boolean).join(';');
+    if (inline) {
+        if (header.type !== 'flowchart') report(lines[0].number, 'Put each statement on its own line after the header');
+        else body.unshift({ ...lines[0], text: inline });
+    }
+
+    CHECKERS[header.type](body, report);
+
+    return { valid: errors.length === 0, type: header.type, code, errors };
+};
@@ -0,0 +1,44 @@
+import { createAnswerValidationError } from './answerSchema.js';
+
+/**
+ * Response Parser
+ * Turns raw LLM output into the structured answer object shared by all providers
+ */
+
+/**
+ * Extract and parse the JSON object from model output
+ * Tolerates markdown code fences and prose around the JSON
+ * @param {string} text - Raw model output
+ * @returns {Object} - Parsed JSON
+ * @throws {Error} - If no valid JSON object is found
+ */
+export const extractJson = (text) => {
+    const cleanText = (text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+
+    try {
+        return JSON.parse(cleanText);
+    } catch (error) {
+        const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('No JSON object found in model output');
+        }
+        return JSON.parse(jsonMatch[0]);
+    }
+};
+
+/**
+ * Parse a structured answer
+ * Schema validation and normalization happen in llmRouter (see answerSchema.js)
+ * @param {string} text - Raw model output
+ * @param {string} providerName - Provider name (for logging)
+ * @returns {Object} - Parsed answer object
+ * @throws {Error} - Answer validation error if the output is not JSON, so the router can ask for a repair
+ */
+export const parseAnswer = (text, providerName = 'LLM') => {
+    try {
+        return extractJson(text);
+    } catch (error) {
+        console.warn(`⚠️ Failed to parse JSON from ${providerName}`);
+        throw createAnswerValidationError([`Response is not a valid JSON object (${error.message})`], text);
+    }
+};
@@ -0,0 +1,125 @@
+import Frame from '../../models/Frame.js';
+
+/**
+ * Citation Builder
+ * Maps [n] markers in an answer to the context chunks they refer to.
+ * Markers are 1-based positions in the context list given to the LLM (see PromptBuilder.buildAnswerPrompt),
+ * which is also the order the chunks are saved in Doubt.retrievedContext.
+ */
+// Fenced code blocks and inline code, whose brackets are indexes and arrays
+const CODE_PATTERN = /(`{3,}|~{3,})[\s\S]*?(?:\1|$)|`[^`\n]*`/g;
+
+// A run of markers ("[1]", "[1, 2]", "[1][2]") that is not an index ("a[1]", "f(x)[2]") or a value ("x = [2, 3]")
+const MARKER_RUN_PATTERN = /(?<![\p{L}\p{N}_)\]([]|=\s*)((?:\[\d+(?:\s*,\s*\d+)*\])+)/gu;
+
+class CitationBuilder {
+    /**
+     * Find citation markers in a piece of text
+     * Handles [1], [1, 2] and [1][2]; brackets in code, after an identifier or after "=" are not markers
+     * @param {string} text - Answer text
+     * @returns {Array<number>} - Unique marker numbers, in order of appearance
+     */
+    extractMarkers(text) {
+        const markers = [];
+        const prose = (text || '').replace(CODE_PATTERN, (code) => ' '.repeat(code.length));
+
+        for (const match of prose.matchAll(MARKER_RUN_PATTERN)) {
+            for (const number of match[1].match(/\d+/g)) {
+                const marker = parseInt(number, 10);
+                if (!markers.includes(marker)) markers.push(marker);
+            }
+        }
+
+        return markers;
+    }
+
+    /**
+     * Build citations for an answer
+     * Markers that do not match a context chunk are ignored
+     * @param {Object} answer - { explanation, steps, finalAnswer }
+     * @param {Array} context - Context chunks given to the LLM
+     * @returns {Promise<Array>} - Citations ({ marker, location, stepIndex, contextIndex, source, frameId, pageNumber, bbox })
+     */
+    async buildCitations(answer, context = []) {
+        const parts = [
+            { location: 'explanation', stepIndex: null, text: answer.explanation },
+            ...(answer.steps || []).map((step, index) => ({ location: 'step', stepIndex: index, text: step })),
+            { location: 'finalAnswer', stepIndex: null, text: answer.finalAnswer },
+        ];
+
+        const citations = [];
+        for (const part of parts) {
+            if (typeof part.text !== 'string') continue;
+
+            for (const marker of this.extractMarkers(part.text)) {
+                const chunk = context[marker - 1];
+                if (!chunk) continue;
+
+                citations.push({
+                    marker,
+                    location: part.location,
+                    stepIndex: part.stepIndex,
+                    contextIndex: marker - 1,
+                    source: chunk.metadata?.source,
+                    frameId: chunk.metadata?.frameId || null,
+                    pageNumber: chunk.metadata?.pageNumber ?? null,
+                    bbox: chunk.metadata?.bbox || null,
+                });
+            }
+        }
+
+        await this.attachFrameLocations(citations, context);
+        return citations;
+    }
+
+    /**
+     * Locate cited frame chunks on their page
+     * Uses the OCR lines of the frame whose text appears in the chunk
+     * @param {Array} citations - Citations (bbox filled in place)
+     * @param {Array} context - Context chunks given to the LLM
+     */
+    async attachFrameLocations(citations, context) {
+        const pending = citations.filter((citation) => citation.frameId && !citation.bbox);
+        if (pending.length === 0) return;
+
+        try {
+            const frameIds = [...new Set(pending.map((citation) => citation.frameId))];
+            const frames = await Frame.find({ _id: { $in: frameIds } }).select('ocrRaw.lines');
+            const framesById = new Map(frames.map((frame) => [frame._id.toString(), frame]));
+
+            for (const citation of pending) {
+                const lines = framesById.get(citation.frameId)?.ocrRaw?.lines;
+                citation.bbox = this.getChunkBoundingBox(lines, context[citation.contextIndex].text);
+            }
+        } catch (error) {
+            // Deep-links still work without a highlight box
+            console.warn('⚠️ Could not locate cited chunks on their frames:', error.message);
+        }
+    }
+
+    /**
+     * Bounding box around the OCR lines that make up a chunk
+     * @param {Array} lines - OCR lines with bbox ({ x0, y0, x1, y1 })
+     * @param {string} chunkText - Chunk text
+     * @returns {Object|null} - { x, y, width, height }
+     */
+    getChunkBoundingBox(lines = [], chunkText = '') {
+        const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+        const chunk = normalize(chunkText);
+
+        const boxes = (lines || [])
+            .filter((line) => line.bbox && normalize(line.text || '').length > 2 && chunk.includes(normalize(line.text)))
+            .map((line) => line.bbox);
+
+        if (boxes.length === 0) return null;
+
+        const x0 = Math.min(...boxes.map((box) => box.x0));
+        const y0 = Math.min(...boxes.map((box) => box.y0));
+        const x1 = Math.max(...boxes.map((box) => box.x1));
+        const y1 = Math.max(...boxes.map((box) => box.y1));
+
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+}
+
+export default new CitationBuilder();
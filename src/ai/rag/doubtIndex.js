@@ -0,0 +1,210 @@
+import { v5 as uuidv5 } from 'uuid';
+import embedder from './embedder.js';
+import { QdrantService } from './qdrantClient.js';
+
+/**
+ * Doubt Index
+ * Question embeddings of past doubts, kept in their own Qdrant collection
+ * (QDRANT_DOUBT_COLLECTION) so they never show up as RAG context.
+ *
+ * Two kinds of points:
+ *   - doubt: one per text doubt, filtered by userId ("you asked this before")
+ *   - faq:   anonymized question + answer shared across users (DOUBT_FAQ_SHARING=true), only for
+ *            standalone text questions answered from public material or general knowledge
+ */
+
+// Namespace for deriving stable point IDs from doubt IDs
+const POINT_NAMESPACE = '1b671a64-40d5-491e-99b0-da01ff1f3341';
+
+// Identifying text removed from shared FAQ entries, with its replacement
+const IDENTIFIER_PATTERNS = [
+    [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, '[email]'],
+    [/\b(?:https?:\/\/|www\.)\S+/gi, '[link]'],
+    [/(?<![\w@])@\w{2,}/g, '[handle]'],
+    // International (+91 98765 43210), area code in parentheses, or dashed/dotted 3-3-4 numbers
+    [/\+\d{1,3}(?:[\s.-]?\d{2,5}){2,4}\b|\(\d{2,5}\)[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b|\b\d{3}([.-])\d{3}\1\d{4}\b/g, '[phone]'],
+    [/\b([Mm]y name is|[Ii] am called|[Ii]'m|[Ii] am)\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g, '$1 [name]'],
+    [/\b(roll (?:no\.?|number)|student id|(?:registration|admission|enrollment) (?:no\.?|number))[:\s#]*[A-Z0-9-]*\d[A-Z0-9-]*/gi, '$1 [id]'],
+];
+
+// Verification results that mark an answer as wrong
+const FAILED_VERIFICATION = ['mismatch', 'unit_mismatch'];
+
+class DoubtIndex {
+    constructor() {
+        this.store = new QdrantService(
+            process.env.QDRANT_DOUBT_COLLECTION || 'doubt_questions',
+            ['metadata.userId', 'metadata.kind']
+        );
+    }
+
+    /**
+     * Whether answered doubts are also shared as anonymized FAQ entries
+     * @returns {boolean}
+     */
+    get faqSharing() {
+        return process.env.DOUBT_FAQ_SHARING === 'true';
+    }
+
+    /**
+     * Similarity above which a question counts as already asked
+     * @returns {number}
+     */
+    get duplicateScore() {
+        return process.env.DUPLICATE_MIN_SCORE
+            ? parseFloat(process.env.DUPLICATE_MIN_SCORE)
+            : embedder.provider.duplicateScore ?? 0.9;
+    }
+
+    /**
+     * Qdrant point ID for a doubt
+     * @param {string} doubtId - Doubt ID
+     * @param {string} kind - doubt or faq
+     * @returns {string} - UUID
+     */
+    getPointId(doubtId, kind) {
+        return uuidv5(`${kind}:${doubtId}`, POINT_NAMESPACE);
+    }
+
+    /**
+     * Create the collection if needed
+     */
+    async initialize() {
+        await this.store.initializeCollection();
+    }
+
+    /**
+     * Index (or re-index) a doubt's question
+     * @param {Object} doubt - Doubt document
+     */
+    async indexDoubt(doubt) {
+        const embedding = await embedder.embedQuery(doubt.questionText);
+        const doubtId = doubt._id.toString();
+
+        const points = [{
+            id: this.getPointId(doubtId, 'doubt'),
+            embedding,
+            text: doubt.questionText,
+            metadata: {
+                kind: 'doubt',
+                doubtId,
+                userId: doubt.userId.toString(),
+                subject: doubt.subject,
+            },
+        }];
+
+        const shareable = this.faqSharing && this.isShareable(doubt);
+        if (shareable) {
+            const questionText = this.anonymize(doubt.questionText);
+            points.push({
+                id: this.getPointId(doubtId, 'faq'),
+                embedding: questionText === doubt.questionText ? embedding : await embedder.embedQuery(questionText),
+                text: questionText,
+                metadata: {
+                    kind: 'faq',
+                    subject: doubt.subject,
+                    finalAnswer: this.anonymize(doubt.finalAnswer),
+                },
+            });
+        }
+
+        await this.store.upsertChunks(points);
+
+        // Withdraw an entry shared before the rules (or the doubt) changed
+        if (this.faqSharing && !shareable) {
+            await this.store.deleteChunks([this.getPointId(doubtId, 'faq')]);
+        }
+    }
+
+    /**
+     * Whether a doubt may be shared with other users as an FAQ entry
+     * Only answered, standalone text questions whose answer used no one's uploads
+     * (public corpus or general knowledge); hint-mode answers stay private until solved.
+     * @param {Object} doubt - Doubt document
+     * @returns {boolean}
+     */
+    isShareable(doubt) {
+        if (doubt.status !== 'answered' || doubt.mode === 'hint' || !(doubt.confidence > 0)) return false;
+        if (FAILED_VERIFICATION.includes(doubt.verification?.status)) return false;
+
+        // Questions about an upload, and follow-ups that depend on earlier turns
+        if (doubt.frameId || doubt.threadId) return false;
+
+        // Uploaded material (frames, PDF pages, lectures) is private to the asker or their class
+        return (doubt.retrievedContext || []).every((chunk) =>
+            !chunk.metadata?.frameId && !String(chunk.metadata?.source || '').startsWith('frame:')
+        );
+    }
+
+    /**
+     * Remove identifying text (emails, links, handles, phone numbers, names, student IDs)
+     * @param {string} text - Question or answer text
+     * @returns {string} - Text safe to show other users
+     */
+    anonymize(text) {
+        return IDENTIFIER_PATTERNS.reduce((scrubbed, [pattern, replacement]) => scrubbed.replace(pattern, replacement), text || '');
+    }
+
+    /**
+     * Find past doubts and FAQ entries similar to a question
+     * @param {string} questionText - Question to match
+     * @param {string} userId - Only this user's doubts are matched
+     * @param {Object} options - { limit, minScore, excludeDoubtId, includeFaq }
+     * @returns {Promise<Array>} - Matches ({ kind, doubtId, questionText, finalAnswer, subject, score })
+     */
+    async findSimilar(questionText, userId, options = {}) {
+        const {
+            limit = 5,
+            minScore = this.duplicateScore,
+            excludeDoubtId = null,
+            includeFaq = this.faqSharing,
+        } = options;
+
+        const userDoubts = {
+            must: [
+                { key: 'metadata.kind', match: { value: 'doubt' } },
+                { key: 'metadata.userId', match: { value: userId.toString() } },
+            ],
+        };
+        const filter = includeFaq
+            ? { should: [userDoubts, { must: [{ key: 'metadata.kind', match: { value: 'faq' } }] }] }
+            : userDoubts;
+
+        const embedding = await embedder.embedQuery(questionText);
+        // Ask for one extra so excluding the doubt itself still leaves `limit` results
+        const results = await this.store.search(embedding, limit + 1, filter);
+
+        // FAQ entries copy a doubt's question, so drop those that repeat one of the user's own doubts
+        const ownQuestions = new Set(
+            results.filter((result) => result.metadata.kind === 'doubt').map((result) => result.text)
+        );
+        if (excludeDoubtId) ownQuestions.add(questionText);
+
+        return results
+            .filter((result) => result.score >= minScore)
+            .filter((result) => !excludeDoubtId || result.metadata.doubtId !== excludeDoubtId.toString())
+            .filter((result) => result.metadata.kind !== 'faq' || !ownQuestions.has(result.text))
+            .slice(0, limit)
+            .map((result) => ({
+                kind: result.metadata.kind,
+                doubtId: result.metadata.doubtId || null,
+                questionText: result.text,
+                finalAnswer: result.metadata.finalAnswer || null,
+                subject: result.metadata.subject,
+                score: result.score,
+            }));
+    }
+
+    /**
+     * Remove a doubt (and its FAQ entry) from the index
+     * @param {string} doubtId - Doubt ID
+     */
+    async removeDoubt(doubtId) {
+        await this.store.deleteChunks([
+            this.getPointId(doubtId.toString(), 'doubt'),
+            this.getPointId(doubtId.toString(), 'faq'),
+        ]);
+    }
+}
+
+export default new DoubtIndex();
@@ -1,15 +1,38 @@
-import geminiClient from '../llm/groqClient.js';
 import { v4 as uuidv4 } from 'uuid';
+import { createEmbeddingProvider } from './embeddingProviders.js';
 
 /**
  * Embedder Service
  * Handles text chunking and embedding generation
+ * The embedding backend is chosen with EMBEDDING_PROVIDER (ollama, gemini, or hashing for tests);
+ * the default is the local Ollama model
  */
 class Embedder {
     constructor() {
         this.chunkSize = 400; // Target tokens per chunk
         this.overlapSize = 50; // Overlap between chunks
         this.avgCharsPerToken = 4; // Approximate chars per token
+
+        this.provider = createEmbeddingProvider(process.env.EMBEDDING_PROVIDER || 'ollama', {
+            dimension: parseInt(process.env.EMBEDDING_DIMENSION) || undefined,
+        });
+        console.log(`🧬 Embedding provider: ${this.provider.name} (${this.provider.dimension}-d)`);
+    }
+
+    /**
+     * Swap the active embedding provider (e.g. hashing provider in tests)
+     * @param {Object} provider - Embedding provider instance
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Vector dimension of the active provider
+     * @returns {number}
+     */
+    get dimension() {
+        return this.provider.dimension;
     }
 
     /**
@@ -61,7 +84,7 @@ class Embedder {
      */
     async generateEmbedding(text) {
         try {
-            return await geminiClient.generateEmbedding(text);
+            return await this.provider.embed(text);
         } catch (error) {
             console.error('Error generating embedding:', error);
             throw error;
@@ -75,17 +98,14 @@ class Embedder {
      */
     async embedChunks(chunks) {
         try {
-            const embeddedChunks = await Promise.all(
-                chunks.map(async (chunk) => {
-                    const embedding = await this.generateEmbedding(chunk.text);
-                    return {
-                        ...chunk,
-                        embedding,
-                    };
-                })
-            );
+            if (chunks.length === 0) return [];
 
-            return embeddedChunks;
+            const embeddings = await this.provider.embedBatch(chunks.map((chunk) => chunk.text));
+
+            return chunks.map((chunk, idx) => ({
+                ...chunk,
+                embedding: embeddings[idx],
+            }));
         } catch (error) {
             console.error('Error embedding chunks:', error);
             throw error;
@@ -0,0 +1,197 @@
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Embedding Providers
+ * Every provider exposes the same interface:
+ *   - name: provider identifier
+ *   - dimension: length of the vectors it produces (used for the Qdrant collection)
+ *   - minScore: suggested cosine similarity cut-off for retrieval
+ *   - duplicateScore: similarity above which two questions count as the same question
+ *   - embed(text): Promise<number[]>
+ *   - embedBatch(texts): Promise<number[][]>
+ */
+
+/**
+ * Scale a vector to unit length so cosine similarity behaves consistently
+ * @param {number[]} vector - Input vector
+ * @returns {number[]} - Normalized vector
+ */
+const normalize = (vector) => {
+    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    return magnitude === 0 ? vector : vector.map((val) => val / magnitude);
+};
+
+/**
+ * Hashing Embedding Provider
+ * Deterministic, dependency-free "feature hashing" of word unigrams and bigrams.
+ * Not semantic, but texts sharing vocabulary land close together - good enough
+ * for tests (EMBEDDING_PROVIDER=hashing), not for real retrieval.
+ */
+class HashingEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'hashing';
+        this.dimension = options.dimension || 384;
+        this.minScore = 0.2;
+        this.duplicateScore = 0.8;
+    }
+
+    /**
+     * Split text into lowercase word tokens
+     * @param {string} text - Input text
+     * @returns {string[]} - Tokens
+     */
+    tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Hash a feature to a bucket index and a sign
+     * @param {string} feature - Token or bigram
+     * @returns {{ index: number, sign: number }}
+     */
+    hashFeature(feature) {
+        const digest = createHash('md5').update(feature).digest();
+        return {
+            index: digest.readUInt32LE(0) % this.dimension,
+            sign: digest[4] & 1 ? 1 : -1,
+        };
+    }
+
+    async embed(text) {
+        const tokens = this.tokenize(text);
+        const counts = new Map();
+
+        tokens.forEach((token, i) => {
+            counts.set(token, (counts.get(token) || 0) + 1);
+            if (i > 0) {
+                const bigram = `${tokens[i - 1]} ${token}`;
+                counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+            }
+        });
+
+        const vector = new Array(this.dimension).fill(0);
+        for (const [feature, count] of counts) {
+            const { index, sign } = this.hashFeature(feature);
+            // Sublinear term frequency keeps repeated words from dominating
+            vector[index] += sign * (1 + Math.log(count));
+        }
+
+        return normalize(vector);
+    }
+
+    async embedBatch(texts) {
+        return Promise.all(texts.map((text) => this.embed(text)));
+    }
+}
+
+/**
+ * Ollama Embedding Provider
+ * Runs a local embedding model (default: nomic-embed-text) through an Ollama server.
+ * Works fully offline once the model has been pulled: `ollama pull nomic-embed-text`
+ */
+class OllamaEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'ollama';
+        this.baseUrl = options.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434';
+        this.model = options.model || process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+        this.dimension = options.dimension || 768; // nomic-embed-text dimension
+        this.minScore = 0.5;
+        this.duplicateScore = 0.92;
+        this.timeout = 30000;
+    }
+
+    async embed(text) {
+        const [embedding] = await this.embedBatch([text]);
+        return embedding;
+    }
+
+    async embedBatch(texts) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/api/embed`,
+                { model: this.model, input: texts },
+                { timeout: this.timeout }
+            );
+
+            const embeddings = response.data?.embeddings || [];
+            if (embeddings.length !== texts.length) {
+                throw new Error(`Expected ${texts.length} embeddings, got ${embeddings.length}`);
+            }
+
+            embeddings.forEach((embedding) => {
+                if (embedding.length !== this.dimension) {
+                    throw new Error(
+                        `Model ${this.model} returned ${embedding.length}-d vectors, expected ${this.dimension}. Set EMBEDDING_DIMENSION.`
+                    );
+                }
+            });
+
+            return embeddings;
+        } catch (error) {
+            throw new Error(`Ollama embedding failed (${this.baseUrl}): ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Gemini Embedding Provider
+ * Uses Google's text-embedding-004 model (requires GEMINI_API_KEY)
+ */
+class GeminiEmbeddingProvider {
+    constructor(options = {}) {
+        const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY is required for the gemini embedding provider');
+        }
+
+        this.name = 'gemini';
+        this.modelName = options.model || 'text-embedding-004';
+        this.dimension = options.dimension || 768;
+        this.minScore = 0.5;
+        this.duplicateScore = 0.92;
+        this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.modelName });
+    }
+
+    async embed(text) {
+        const result = await this.model.embedContent(text);
+        return result.embedding.values;
+    }
+
+    async embedBatch(texts) {
+        const result = await this.model.batchEmbedContents({
+            requests: texts.map((text) => ({
+                content: { role: 'user', parts: [{ text }] },
+            })),
+        });
+        return result.embeddings.map((embedding) => embedding.values);
+    }
+}
+
+const providers = {
+    hashing: HashingEmbeddingProvider,
+    ollama: OllamaEmbeddingProvider,
+    gemini: GeminiEmbeddingProvider,
+};
+
+/**
+ * Create an embedding provider by name
+ * @param {string} name - Provider name (ollama, gemini, hashing)
+ * @param {Object} options - Provider options (dimension, model, ...)
+ * @returns {Object} - Embedding provider instance
+ */
+export const createEmbeddingProvider = (name = 'ollama', options = {}) => {
+    const Provider = providers[name];
+
+    if (!Provider) {
+        throw new Error(
+            `Unknown embedding provider "${name}". Available: ${Object.keys(providers).join(', ')}`
+        );
+    }
+
+    return new Provider(options);
+};
+
+export { HashingEmbeddingProvider, OllamaEmbeddingProvider, GeminiEmbeddingProvider };
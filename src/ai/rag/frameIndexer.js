@@ -0,0 +1,77 @@
+import embedder from './embedder.js';
+import qdrantClient from './qdrantClient.js';
+
+/**
+ * Frame Indexer
+ * Chunks and embeds OCR text of uploaded frames into the Qdrant knowledge base
+ * so that uploaded notes become searchable context for later doubts
+ */
+class FrameIndexer {
+    /**
+     * Build chunk metadata for a frame
+     * IDs are stored as strings so they can be matched with Qdrant payload filters
+     * @param {Object} frame - Frame document
+     * @returns {Object} - Chunk metadata
+     */
+    buildMetadata(frame) {
+        return {
+            source: `frame:${frame.sourceType}`,
+            frameId: frame._id.toString(),
+            pdfId: frame.pdfId ? frame.pdfId.toString() : null,
+            lectureId: frame.lectureId ? frame.lectureId.toString() : null,
+            pageNumber: frame.pageNumber,
+            userId: frame.createdBy.toString(),
+            visibility: frame.visibility || 'private',
+            classId: frame.classId || null,
+            conceptTags: frame.conceptTags || [],
+            topic: frame.conceptTags?.[0] || null,
+            difficulty: frame.difficulty,
+        };
+    }
+
+    /**
+     * Index a frame's OCR text (replacing any chunks indexed previously)
+     * Failures are logged and return an empty list so OCR results are never lost
+     * @param {Object} frame - Frame document with ocrText populated
+     * @returns {Promise<Array<string>>} - Qdrant point IDs for the frame
+     */
+    async indexFrame(frame) {
+        try {
+            const text = (frame.ocrText || '').trim();
+
+            if (!text) {
+                console.log(`ℹ️ Frame ${frame._id} has no OCR text, skipping indexing`);
+                return [];
+            }
+
+            if (frame.embeddingsIds?.length > 0) {
+                await qdrantClient.deleteChunks(frame.embeddingsIds);
+            }
+
+            const chunks = await embedder.processDocument(text, this.buildMetadata(frame));
+            await qdrantClient.upsertChunks(chunks);
+
+            console.log(`✅ Indexed frame ${frame._id}: ${chunks.length} chunks`);
+            return chunks.map((chunk) => chunk.id);
+        } catch (error) {
+            console.warn(`⚠️ Indexing frame ${frame._id} failed:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a frame's chunks from Qdrant
+     * @param {Object} frame - Frame document
+     */
+    async removeFrame(frame) {
+        try {
+            if (frame.embeddingsIds?.length > 0) {
+                await qdrantClient.deleteChunks(frame.embeddingsIds);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Removing chunks for frame ${frame._id} failed:`, error.message);
+        }
+    }
+}
+
+export default new FrameIndexer();
@@ -1,7 +1,23 @@
+import { ANSWER_DIFFICULTIES } from '../../utils/answerStyles.js';
+
 /**
  * Prompt Builder
- * Constructs optimized prompts for Claude with RAG context
+ * Constructs optimized prompts for the LLM providers with RAG context
  */
+
+const TONE_RULES = {
+    educational: 'Friendly, teacher-like, encouraging. Explain like you are teaching a smart student.',
+    concise: 'Clear and to the point. Skip pleasantries and keep each step brief.',
+    detailed: 'Thorough and in-depth. Use worked examples and analogies generously.',
+    encouraging: 'Warm and supportive. Build the student\'s confidence and celebrate their curiosity.',
+};
+
+const LENGTH_GUIDES = {
+    short: { steps: '2-3 short steps', maxContextChunks: 3 },
+    medium: { steps: '3-5 steps', maxContextChunks: 5 },
+    long: { steps: '5-8 detailed steps with examples', maxContextChunks: 8 },
+};
+
 class PromptBuilder {
     /**
      * Build a complete prompt for educational Q&A
@@ -140,6 +156,130 @@ ${includeConfidence ? '- "confidence" should be a number between 0 and 1' : ''}
         return instructions;
     }
 
+    /**
+     * System prompt for structured doubt answers (shared by all LLM providers)
+     * @param {Object} options - { tone }
+     * @returns {string} - System prompt
+     */
+    getAnswerSystemPrompt(options = {}) {
+        return `You are an expert educational mentor named "EduSense AI". 
+Your goal is to explain complex topics simply, clearly, and conversationally.
+
+**BEHAVIOR RULES:**
+1. **NO DISCLAIMERS**: Never say "As an AI", "I cannot", or "I am a model". Just answer.
+2. **Tone**: ${TONE_RULES[options.tone] || TONE_RULES.educational}
+3. **Structure**: 
+   - Start with a direct, simple answer.
+   - Break down into clear steps.
+   - Use analogies where helpful.
+4. **Diagrams**: Always provide a Mermaid diagram for concepts, flows, or structures.
+5. **Code - MANDATORY FOR PROGRAMMING**: 
+   - For ANY programming, coding, algorithm, or computer science question, you MUST provide code.
+   - Include complete, runnable code examples.
+   - Use proper syntax for the language.
+   - Add comments to explain key parts.
+   - NEVER skip code for programming questions.
+6. **Output**: You MUST return valid JSON only.`;
+    }
+
+    /**
+     * Build the structured answer prompt used by all LLM providers
+     * @param {string} question - User's question
+     * @param {Array} context - Retrieved context chunks
+     * @param {Object} options - { history, tone, difficulty, answerLength, mode, repair } - history holds earlier turns when the question continues a thread;
+     *                           repair ({ errors, previousOutput }) asks the model to fix a rejected answer
+     * @returns {string} - Formatted prompt
+     */
+    buildAnswerPrompt(question, context = [], options = {}) {
+        if (options.history?.length) {
+            return this.buildFollowUpPrompt(question, options.history, context, options);
+        }
+
+        const maxContextChunks = LENGTH_GUIDES[options.answerLength]?.maxContextChunks || context.length;
+        const contextText = context
+            .slice(0, maxContextChunks)
+            .map((chunk, idx) => `[${idx + 1}] ${chunk.text}`)
+            .join('\n\n');
+
+        return `
+**USER QUESTION:** "${question}"
+
+**CONTEXT (RAG):**
+${contextText || 'No specific context available.'}
+${contextText ? this.getCitationInstructions() : ''}
+**INSTRUCTIONS:**
+1. Analyze the question to determine the Subject, Topic, and Difficulty.
+2. Provide a clear, step-by-step explanation.
+3. If the concept involves a process, system, hierarchy, or logic flow, YOU MUST GENERATE A MERMAID DIAGRAM.
+   - CRITICAL: Use ONLY valid Mermaid syntax
+   - For flowcharts: Use 'graph TD' or 'graph LR'
+   - For sequences: Use 'sequenceDiagram'
+   - For classes: Use 'classDiagram'
+   - For mindmaps: Use 'mindmap' with proper indentation
+   - For state diagrams: Use 'stateDiagram-v2'
+   - AVOID special characters in node IDs (use A, B, C or simple words)
+   - Use proper arrow syntax: --> or --- for connections
+   - Wrap labels containing brackets, parentheses or quotes in double quotes: A["f(x) = 2x"]
+   - Close every subgraph, loop and alt block with end
+4. **CRITICAL - CODE GENERATION:**
+   - If the question mentions: programming, code, algorithm, function, class, loop, variable, syntax, or ANY programming concept
+   - OR if the subject is Computer Science, Programming, Software, etc.
+   - YOU MUST INCLUDE A CODE BLOCK
+   - Provide complete, runnable code with comments
+   - Use proper syntax for the detected language
+   - NEVER return empty code for programming questions
+5. Suggest 3 follow-up questions.
+
+**REQUIRED JSON RESPONSE FORMAT:**
+{
+  "explanation": "A friendly, conversational overview. NO 'As an AI' or disclaimers.",
+  "steps": [
+    "Step 1: ...",
+    "Step 2: ..."
+  ],
+  "finalAnswer": "A concise summary statement.",
+  "confidence": 0.95,
+  "meta": {
+    "subject": "Math/Physics/CS/etc",
+    "topic": "Specific topic",
+    "subtopic": "Specific subtopic",
+    "difficulty": "school/easy/medium/hard/competitive",
+    "questionType": "concept/numerical/programming/theory/diagram"
+  },
+  "followUpQuestions": {
+    "easy": "...",
+    "medium": "...",
+    "challenge": "..."
+  },
+  "mermaidCode": "graph TD\\n    A[Start] --> B[End]\\n(MUST be valid Mermaid syntax OR empty string)",
+  "code": {
+    "language": "python/javascript/java/cpp/etc (REQUIRED for programming questions)",
+    "snippet": "Complete, runnable code with comments (REQUIRED for programming questions, empty object {} for non-programming)"
+  }
+}
+${this.formatStyleInstructions(options)}${options.mode === 'hint' ? this.getHintInstructions() : ''}${options.repair ? this.getRepairInstructions(options.repair) : ''}`;
+    }
+
+    /**
+     * Build a study material prompt
+     * @param {string} topic - Topic to cover
+     * @param {string} type - notes, flashcards, analogy or quiz
+     * @returns {{ system: string, prompt: string }} - System message and prompt
+     */
+    buildStudyMaterialPrompt(topic, type) {
+        const prompts = {
+            notes: `Create concise, easy-to-read revision notes for "${topic}". Use bullet points, headers, and bold text.`,
+            flashcards: `Create 5 flashcards for "${topic}". Format as JSON: [{"front": "Question", "back": "Answer"}]`,
+            analogy: `Explain "${topic}" using a simple, real-life analogy that a 10-year-old would understand.`,
+            quiz: `Create 3 multiple-choice questions for "${topic}". Format as JSON: [{"question": "Question", "options": ["A", "B", "C", "D"], "answer": "Text of the correct option", "explanation": "Why it is correct"}]`
+        };
+
+        return {
+            system: 'You are an expert educational content generator. Return clean Markdown for notes/analogy, or JSON for flashcards/quiz.',
+            prompt: prompts[type] || prompts.notes,
+        };
+    }
+
     /**
      * Build a simple prompt without context
      * @param {string} question - User's question
@@ -153,39 +293,127 @@ ${includeConfidence ? '- "confidence" should be a number between 0 and 1' : ''}
     }
 
     /**
-     * Build a prompt for follow-up questions
+     * Build the answer prompt for a follow-up question in a thread
+     * Earlier turns are included newest-first until CONVERSATION_TOKEN_BUDGET is used up.
      * @param {string} question - Follow-up question
-     * @param {string} previousAnswer - Previous answer
+     * @param {Array} history - Earlier turns, oldest first ({ question, answer, explanation })
      * @param {Array} context - Context chunks
+     * @param {Object} options - Style options passed on to buildAnswerPrompt
      * @returns {string} - Follow-up prompt
      */
-    buildFollowUpPrompt(question, previousAnswer, context = []) {
-        const contextSection = this.formatContext(context);
+    buildFollowUpPrompt(question, history = [], context = [], options = {}) {
+        const tokenBudget = parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 1500;
 
-        return `You are an expert educational mentor helping a student with a follow-up question.
+        return `
+**CONVERSATION SO FAR:**
+${this.formatConversation(history, tokenBudget)}
 
-**PREVIOUS ANSWER:**
-${previousAnswer}
+This is a follow-up in the conversation above. Build on what was already explained,
+stay consistent with earlier answers, and answer the new question directly
+(e.g. a "why?" refers to the previous answer).
+${this.buildAnswerPrompt(question, context, { ...options, history: [] })}`;
+    }
 
-**FOLLOW-UP QUESTION:**
-${question}
+    /**
+     * Instructions for citing numbered context chunks
+     * @returns {string} - Citation section
+     */
+    getCitationInstructions() {
+        return `
+**CITATIONS:**
+When the explanation, a step or the finalAnswer uses a context chunk, end that sentence with its number, e.g. "... [2]".
+Only cite numbers listed under CONTEXT. Do not cite anything that comes from general knowledge.
+`;
+    }
 
-${contextSection}
+    /**
+     * Extra instructions for hint mode
+     * @returns {string} - Hint section
+     */
+    getHintInstructions() {
+        return `
+**HINT MODE:**
+The student wants to solve this themselves. Also include "hints": ["...", "..."] with 3-5 Socratic hints,
+ordered from the gentlest nudge to nearly the full method. Hints guide with questions and partial steps
+and must NEVER state the final answer. The other fields still hold the full solution, shown only after the hints.
+`;
+    }
 
-**INSTRUCTIONS:**
-1. Consider the context of the previous answer
-2. Build upon what was already explained
-3. Provide additional clarity or depth
-4. Maintain consistency with the previous explanation
+    /**
+     * Instructions for fixing an answer that failed schema validation
+     * @param {Object} repair - { errors, previousOutput }
+     * @returns {string} - Repair section
+     */
+    getRepairInstructions(repair) {
+        const previous = (repair.previousOutput || '').substring(0, 2000);
+
+        return `
+**YOUR PREVIOUS RESPONSE WAS REJECTED:**
+${repair.errors.map((error) => `- ${error}`).join('\n')}
+${previous ? `\nPrevious response:\n${previous}\n` : ''}
+Return the corrected answer as a single JSON object in the REQUIRED JSON RESPONSE FORMAT, with no text before or after it.
+`;
+    }
 
-**RESPONSE FORMAT (JSON):**
-{
-  "steps": ["Step 1: ...", "Step 2: ..."],
-  "final_answer": "Clear answer to the follow-up question",
-  "confidence": 0.95
-}
+    /**
+     * Difficulty and length instructions for an answer (tone is set in the system prompt)
+     * @param {Object} options - { difficulty, answerLength }
+     * @returns {string} - Style section, or an empty string when nothing is overridden
+     */
+    formatStyleInstructions(options = {}) {
+        const rules = [];
+
+        if (ANSWER_DIFFICULTIES.includes(options.difficulty)) {
+            rules.push(`- Pitch the explanation at "${options.difficulty}" level and set meta.difficulty to "${options.difficulty}".`);
+        }
+
+        if (LENGTH_GUIDES[options.answerLength]) {
+            rules.push(`- Length: ${options.answerLength} - use ${LENGTH_GUIDES[options.answerLength].steps}.`);
+        }
 
-Respond ONLY with valid JSON.`;
+        return rules.length > 0 ? `\n**STYLE:**\n${rules.join('\n')}\n` : '';
+    }
+
+    /**
+     * Format earlier turns within a token budget
+     * Older turns are dropped first; the latest turn is always kept (truncated if needed).
+     * @param {Array} history - Turns, oldest first ({ question, answer, explanation })
+     * @param {number} tokenBudget - Approximate token budget
+     * @returns {string} - Formatted conversation
+     */
+    formatConversation(history, tokenBudget) {
+        const turns = [];
+        let used = 0;
+
+        for (let i = history.length - 1; i >= 0; i--) {
+            const turn = history[i];
+            let text = `Student: ${turn.question}\nTutor: ${turn.explanation ? `${turn.explanation}\n` : ''}${turn.answer}`;
+            const tokens = this.estimateTokens(text);
+
+            if (used + tokens > tokenBudget) {
+                if (turns.length > 0) break;
+                text = `${text.substring(0, tokenBudget * 4)}...`;
+            }
+
+            turns.unshift(text);
+            used += tokens;
+        }
+
+        const omitted = history.length - turns.length;
+        if (omitted > 0) {
+            turns.unshift(`(${omitted} earlier turn${omitted === 1 ? '' : 's'} omitted)`);
+        }
+
+        return turns.join('\n\n');
+    }
+
+    /**
+     * Rough token count (~4 characters per token)
+     * @param {string} text - Text to measure
+     * @returns {number} - Estimated tokens
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
     }
 }
 
@@ -1,21 +1,44 @@
 import { QdrantClient } from '@qdrant/js-client-rest';
+import embedder from './embedder.js';
 
 /**
  * Qdrant Vector Database Client
  * Manages semantic search for educational content
  */
 class QdrantService {
-    constructor() {
+    /**
+     * @param {string} collectionName - Collection to use
+     * @param {Array<string>} indexedFields - Payload fields to create keyword indexes for
+     */
+    constructor(
+        collectionName = process.env.QDRANT_COLLECTION || 'academic_chunks',
+        indexedFields = [
+            'metadata.userId',
+            'metadata.visibility',
+            'metadata.classId',
+            'metadata.pdfId',
+            'metadata.frameId',
+            'metadata.lectureId',
+        ]
+    ) {
         this.client = new QdrantClient({
             url: process.env.QDRANT_URL || 'http://localhost:6333',
             apiKey: process.env.QDRANT_API_KEY,
         });
-        this.collectionName = 'academic_chunks';
-        this.vectorSize = 1536; // Standard embedding dimension
+        this.collectionName = collectionName;
+        this.indexedFields = indexedFields;
     }
 
     /**
-     * Initialize the academic_chunks collection
+     * Vector size of the active embedding provider
+     * @returns {number}
+     */
+    get vectorSize() {
+        return embedder.dimension;
+    }
+
+    /**
+     * Initialize the collection
      * Creates collection if it doesn't exist
      */
     async initializeCollection() {
@@ -36,14 +59,45 @@ class QdrantService {
                 });
                 console.log('✅ Collection created successfully');
             } else {
-                console.log(`✅ Collection ${this.collectionName} already exists`);
+                // Vectors from a different provider/dimension cannot be searched against this collection
+                const info = await this.client.getCollection(this.collectionName);
+                const existingSize = info.config?.params?.vectors?.size;
+
+                if (existingSize && existingSize !== this.vectorSize) {
+                    throw new Error(
+                        `Collection ${this.collectionName} stores ${existingSize}-d vectors but the ` +
+                        `${embedder.provider.name} embedding provider produces ${this.vectorSize}-d vectors. ` +
+                        'Set QDRANT_COLLECTION to a new collection or recreate the existing one.'
+                    );
+                }
+
+                console.log(`✅ Collection ${this.collectionName} already exists (${existingSize}-d)`);
             }
+
+            await this.createPayloadIndexes();
         } catch (error) {
             console.error('Error initializing collection:', error);
             throw error;
         }
     }
 
+    /**
+     * Create keyword indexes for the payload fields used by search filters
+     */
+    async createPayloadIndexes() {
+        for (const fieldName of this.indexedFields) {
+            try {
+                await this.client.createPayloadIndex(this.collectionName, {
+                    field_name: fieldName,
+                    field_schema: 'keyword',
+                    wait: true,
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not create payload index for ${fieldName}:`, error.message);
+            }
+        }
+    }
+
     /**
      * Upsert (insert or update) chunks into Qdrant
      * @param {Array} chunks - Array of chunk objects
@@ -150,4 +204,6 @@ class QdrantService {
     }
 }
 
+export { QdrantService };
+
 export default new QdrantService();
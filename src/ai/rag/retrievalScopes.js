@@ -0,0 +1,102 @@
+import { createHttpError } from '../../utils/httpError.js';
+
+/**
+ * Retrieval Scopes
+ * Builds Qdrant payload filters that limit which chunks a user can retrieve.
+ * Filters are always derived from the authenticated user, never from client input,
+ * so one student's private uploads cannot leak into another student's answers.
+ *
+ * Scopes:
+ *   - mine:     chunks from the user's own uploads
+ *   - document: chunks from one of the user's PDFs, lectures or frames (needs documentId)
+ *   - public:   the curated corpus (chunks not owned by any user)
+ *   - class:    chunks shared with a class the user belongs to (optional classId)
+ */
+
+export const RETRIEVAL_SCOPES = ['mine', 'document', 'public', 'class'];
+
+// Used when the client does not pick a scope
+export const DEFAULT_SCOPES = ['mine', 'public'];
+
+const match = (key, value) => ({ key, match: { value } });
+
+/**
+ * Build the filter for a single scope
+ * @param {string} scope - Scope name
+ * @param {Object} user - Authenticated user ({ _id, classIds })
+ * @param {Object} options - { documentId, classId }
+ * @returns {Object} - Qdrant filter
+ */
+const buildSingleScopeFilter = (scope, user, options) => {
+    const userId = user._id.toString();
+
+    switch (scope) {
+        case 'mine':
+            return { must: [match('metadata.userId', userId)] };
+
+        case 'document': {
+            const { documentId } = options;
+            if (!documentId) {
+                throw createHttpError(400, 'documentId is required for the "document" scope');
+            }
+            const id = documentId.toString();
+            return {
+                must: [
+                    match('metadata.userId', userId),
+                    {
+                        should: [
+                            match('metadata.pdfId', id),
+                            match('metadata.frameId', id),
+                            match('metadata.lectureId', id),
+                        ],
+                    },
+                ],
+            };
+        }
+
+        case 'public':
+            return { must: [{ is_empty: { key: 'metadata.userId' } }] };
+
+        case 'class': {
+            const memberOf = (user.classIds || []).map(String);
+            const { classId } = options;
+
+            if (classId && !memberOf.includes(classId.toString())) {
+                throw createHttpError(403, 'You are not a member of this class');
+            }
+            if (memberOf.length === 0) {
+                throw createHttpError(400, 'You are not a member of any class');
+            }
+
+            return {
+                must: [
+                    match('metadata.visibility', 'class'),
+                    classId
+                        ? match('metadata.classId', classId.toString())
+                        : { key: 'metadata.classId', match: { any: memberOf } },
+                ],
+            };
+        }
+
+        default:
+            throw createHttpError(
+                400,
+                `Invalid retrieval scope "${scope}". Allowed: ${RETRIEVAL_SCOPES.join(', ')}`
+            );
+    }
+};
+
+/**
+ * Build a Qdrant filter for one or more retrieval scopes
+ * Multiple scopes are combined with OR
+ * @param {string|string[]} scope - Scope name(s); defaults to DEFAULT_SCOPES
+ * @param {Object} user - Authenticated user ({ _id, classIds })
+ * @param {Object} options - { documentId, classId }
+ * @returns {Object} - Qdrant filter
+ */
+export const buildScopeFilter = (scope, user, options = {}) => {
+    const scopes = [...new Set([].concat(scope || DEFAULT_SCOPES))];
+    const filters = scopes.map((name) => buildSingleScopeFilter(name, user, options));
+
+    return filters.length === 1 ? filters[0] : { should: filters };
+};
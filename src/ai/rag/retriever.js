@@ -8,7 +8,17 @@ import qdrantClient from './qdrantClient.js';
 class Retriever {
     constructor() {
         this.defaultTopK = 5; // Default number of chunks to retrieve
-        this.minScore = 0.5; // Minimum similarity score threshold
+    }
+
+    /**
+     * Minimum similarity score threshold
+     * Depends on the embedding provider (hashing scores run much lower than model embeddings)
+     * @returns {number}
+     */
+    get minScore() {
+        return process.env.RETRIEVAL_MIN_SCORE
+            ? parseFloat(process.env.RETRIEVAL_MIN_SCORE)
+            : embedder.provider.minScore ?? 0.5;
     }
 
     /**
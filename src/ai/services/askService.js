@@ -1,76 +1,50 @@
-import geminiClient from '../llm/groqClient.js';
+import mongoose from 'mongoose';
+import llmRouter from '../llm/llmRouter.js';
 import retriever from '../rag/retriever.js';
+import citationBuilder from '../rag/citationBuilder.js';
+import doubtIndex from '../rag/doubtIndex.js';
 import Doubt from '../../models/Doubt.js';
+import Frame from '../../models/Frame.js';
+import Collection from '../../models/Collection.js';
+import ShareLink from '../../models/ShareLink.js';
+import StudyMaterial from '../../models/StudyMaterial.js';
 import User from '../../models/User.js';
+import { buildScopeFilter } from '../rag/retrievalScopes.js';
+import { validateMermaid, MERMAID_DIAGRAM_TYPES } from '../llm/mermaidValidator.js';
+import sandboxService from '../../services/sandboxService.js';
+import verificationService from './verificationService.js';
+import { createHttpError } from '../../utils/httpError.js';
 
 /**
  * Ask Service
  * Main service for handling doubt-solving pipeline
- * Pipeline: Retrieve Context → Build Prompt → Ask Gemini → Save
+ * Pipeline: Retrieve Context → Build Prompt → Ask LLM (provider chain) → Save
  */
 
-/**
- * Validate and fix common Mermaid syntax issues
- * @param {string} mermaidCode - Raw Mermaid code
- * @returns {string} - Fixed Mermaid code
- */
-function validateAndFixMermaid(mermaidCode) {
-    if (!mermaidCode || mermaidCode.trim() === '') return '';
-
-    let fixed = mermaidCode.trim();
-
-    // Remove markdown code blocks if present
-    if (fixed.startsWith('```mermaid')) {
-        fixed = fixed.replace(/```mermaid\n?/, '').replace(/```$/, '').trim();
-    } else if (fixed.startsWith('```')) {
-        fixed = fixed.replace(/```\n?/, '').replace(/```$/, '').trim();
-    }
-
-    // Fix common syntax issues
-    // 1. Ensure proper line breaks
-    fixed = fixed.replace(/;/g, '\n');
+// Maximum bonus for solving a hint-mode doubt without opening any hint
+const HINT_BONUS_POINTS = 20;
 
-    // 2. Fix arrow syntax (replace wrong arrows)
-    fixed = fixed.replace(/-->/g, ' --> ');
-    fixed = fixed.replace(/---/g, ' --- ');
-
-    // 3. Remove invalid characters from node IDs
-    // Replace node IDs with special chars with simple IDs
-    const lines = fixed.split('\n');
-    const fixedLines = lines.map(line => {
-        // Skip empty lines and diagram type declarations
-        if (!line.trim() || line.trim().startsWith('graph') ||
-            line.trim().startsWith('sequenceDiagram') ||
-            line.trim().startsWith('classDiagram') ||
-            line.trim().startsWith('stateDiagram') ||
-            line.trim().startsWith('mindmap')) {
-            return line;
-        }
-
-        // Fix node definitions with special characters
-        return line.replace(/[^\w\s\[\]\(\)\{\}\-\>\<\:\"\'\|]/g, '');
-    });
-
-    fixed = fixedLines.join('\n');
-
-    // 4. Ensure diagram type is present
-    if (!fixed.match(/^(graph|sequenceDiagram|classDiagram|stateDiagram|mindmap)/)) {
-        fixed = 'graph TD\n' + fixed;
-    }
+// Tags kept per doubt
+const MAX_TAGS = 20;
 
-    // 5. Remove duplicate newlines
-    fixed = fixed.replace(/\n\n+/g, '\n');
+// Characters escaped in search highlights (snippets are HTML with <mark> tags)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
-    return fixed.trim();
-}
+/**
+ * Escape a search term for a regular expression
+ * @param {string} term - Search term
+ * @returns {string}
+ */
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class AskService {
     /**
      * Process a text-based question
      * @param {string} questionText - User's question
      * @param {string} userId - User ID
-     * @param {Object} options - Additional options
-     * @returns {Promise<Object>} - Answer and doubt record
+     * @param {Object} options - Additional options (style: { tone, difficulty, answerLength }; mode: 'answer' or 'hint';
+     *                           onDelta streams answer tokens as they arrive)
+     * @returns {Promise<Object>} - Answer and doubt record (solution hidden in hint mode)
      */
     async askTextQuestion(questionText, userId, options = {}) {
         const startTime = Date.now();
@@ -86,16 +60,19 @@ class AskService {
                 context = await retriever.retrieve(
                     questionText,
                     options.topK || 5,
-                    options.filter
+                    options.filter || buildScopeFilter(null, { _id: userId })
                 );
                 console.log(`Retrieved ${context.length} context chunks`);
             } catch (retrievalError) {
                 console.warn('⚠️ Context retrieval failed, proceeding without context:', retrievalError.message);
             }
 
-            // Step 2: Ask Gemini with context
-            console.log('\n🤖 Step 2: Asking Gemini...');
-            const answer = await geminiClient.askWithContext(questionText, context);
+            // Step 2: Ask the LLM with context (streamed when a delta listener is given)
+            console.log('\n🤖 Step 2: Asking LLM...');
+            const llmOptions = { ...options.style, mode: options.mode };
+            const answer = options.onDelta
+                ? await llmRouter.askWithContextStream(questionText, context, options.onDelta, llmOptions)
+                : await llmRouter.askWithContext(questionText, context, llmOptions);
 
             console.log('✅ Answer generated');
             console.log(`Steps: ${answer.steps.length}`);
@@ -105,54 +82,34 @@ class AskService {
             console.log('\n💾 Step 3: Saving doubt...');
             const processingTime = Date.now() - startTime;
 
-            // Validate and fix Mermaid code
-            const validatedMermaidCode = validateAndFixMermaid(answer.mermaidCode || '');
-            if (validatedMermaidCode) {
-                console.log('✅ Mermaid diagram validated and fixed');
-            }
-
-            // Only save code if it has a valid snippet
-            const codeToSave = (
-                answer.code &&
-                answer.code.snippet &&
-                typeof answer.code.snippet === 'string' &&
-                answer.code.snippet.trim()
-            ) ? answer.code : null;
+            const hintMode = options.mode === 'hint';
 
             const doubt = await Doubt.create({
                 userId,
                 questionText,
-                answerSteps: answer.steps,
-                explanation: answer.explanation,
-                finalAnswer: answer.finalAnswer,
-                confidence: Math.min(1, Math.max(0, (Number(answer.confidence) > 1 ? Number(answer.confidence) / 100 : Number(answer.confidence)) || 0)),
-                retrievedContext: context.map((chunk) => ({
-                    text: chunk.text,
-                    score: chunk.score,
-                    metadata: chunk.metadata,
-                })),
-                status: 'answered',
+                ...(await this.buildAnswerFields(answer, context, questionText)),
+                ...(hintMode && this.buildHintFields(answer)),
                 processingTime,
                 subject: answer.meta?.subject || options.subject || this.detectSubject(questionText),
-                meta: {
-                    subject: answer.meta?.subject,
-                    topic: answer.meta?.topic,
-                    subtopic: answer.meta?.subtopic,
-                    difficulty: answer.meta?.difficulty,
-                    questionType: answer.meta?.questionType,
-                },
-                followUpQuestions: answer.followUpQuestions,
-                mermaidCode: validatedMermaidCode,
-                code: codeToSave,
                 tags: options.tags || [],
             });
 
-            // Update user streak and points
-            await this.updateUserStreak(userId);
-
             console.log(`✅ Doubt saved with ID: ${doubt._id}`);
             console.log(`⏱️  Total processing time: ${processingTime}ms`);
 
+            // Make the question findable for duplicate checks (not awaited - the answer is ready)
+            doubtIndex.indexDoubt(doubt)
+                .catch((indexError) => console.warn('⚠️ Indexing doubt failed:', indexError.message));
+            this.scheduleCodeRun(doubt);
+
+            // Hint mode: points are awarded once the student solves it or reveals the solution
+            if (hintMode) {
+                return this.hideUnrevealed(doubt.toObject());
+            }
+
+            // Update user streak and points
+            await this.updateUserStreak(userId);
+
             // Step 4: Return formatted response
             // We return the full doubt object structure + formatted fields
             return {
@@ -182,15 +139,857 @@ class AskService {
                 console.error('Error saving failed doubt:', saveError);
             }
 
-            throw error;
+            throw error;
+        }
+    }
+
+    /**
+     * Process a question about an uploaded frame (image, PDF page or crop)
+     * The frame's OCR text, concept tags and crop region are the primary context,
+     * merged with related chunks from Qdrant.
+     * @param {string} frameId - Frame ID
+     * @param {string} questionText - User's question
+     * @param {string} userId - User ID
+     * @param {Object} options - Additional options
+     * @returns {Promise<Object>} - Answer and doubt record
+     */
+    async askImageQuestion(frameId, questionText, userId, options = {}) {
+        const startTime = Date.now();
+
+        // Step 1: Load the frame and check it can be asked about
+        const frame = await this.getAskableFrame(frameId, userId);
+
+        try {
+            console.log(`\n🖼️ Processing image question from user ${userId} on frame ${frameId}`);
+            console.log(`Question: "${questionText}"`);
+
+            // Step 2: Build primary context from the frame itself
+            const frameContext = await this.buildFrameContext(frame);
+
+            // Step 3: Retrieve related context from Qdrant
+            console.log('\n📚 Retrieving related context...');
+            let retrieved = [];
+            try {
+                const query = [questionText, ...frame.conceptTags].join(' ');
+                retrieved = await retriever.retrieve(
+                    query,
+                    options.topK || 5,
+                    options.filter || buildScopeFilter(null, { _id: userId })
+                );
+            } catch (retrievalError) {
+                console.warn('⚠️ Context retrieval failed, using frame context only:', retrievalError.message);
+            }
+
+            // The frame's own chunks are already covered by the primary context
+            const frameIdString = frame._id.toString();
+            const context = [
+                frameContext,
+                ...retrieved.filter((chunk) => chunk.metadata?.frameId !== frameIdString),
+            ];
+            console.log(`Using frame context + ${context.length - 1} retrieved chunks`);
+
+            // Step 4: Ask the LLM
+            console.log('\n🤖 Asking LLM...');
+            const answer = await llmRouter.askWithContext(questionText, context, options.style);
+            console.log('✅ Answer generated');
+
+            // Step 5: Save doubt linked to the frame
+            const processingTime = Date.now() - startTime;
+            const fields = await this.buildAnswerFields(answer, context, `${questionText}\n\n${frame.ocrText || ''}`.trim());
+
+            if (!fields.meta.difficulty && ['easy', 'medium', 'hard'].includes(frame.difficulty)) {
+                fields.meta.difficulty = frame.difficulty;
+            }
+
+            const doubt = await Doubt.create({
+                userId,
+                questionText,
+                frameId: frame._id,
+                ...fields,
+                processingTime,
+                subject: answer.meta?.subject || options.subject || this.detectSubject(`${questionText} ${frame.ocrText}`),
+                tags: options.tags?.length ? options.tags : frame.conceptTags,
+            });
+
+            // Only the user's own duplicate checks see it: questions about uploads are never shared as FAQs
+            doubtIndex.indexDoubt(doubt)
+                .catch((indexError) => console.warn('⚠️ Indexing doubt failed:', indexError.message));
+            this.scheduleCodeRun(doubt);
+            await this.updateUserStreak(userId);
+
+            console.log(`✅ Doubt saved with ID: ${doubt._id}`);
+            console.log(`⏱️  Total processing time: ${processingTime}ms`);
+
+            return {
+                ...doubt.toObject(),
+                steps: answer.steps,
+                explanation: answer.explanation,
+                finalAnswer: answer.finalAnswer,
+                followUpQuestions: answer.followUpQuestions,
+                mermaidCode: answer.mermaidCode,
+                frame: {
+                    id: frame._id,
+                    sourceType: frame.sourceType,
+                    previewUrl: frame.cropUrl || frame.sourceUrl,
+                    pageNumber: frame.pageNumber,
+                    conceptTags: frame.conceptTags,
+                },
+                processingTime,
+            };
+        } catch (error) {
+            console.error('❌ Error in askImageQuestion:', error);
+
+            try {
+                await Doubt.create({
+                    userId,
+                    questionText,
+                    frameId: frame._id,
+                    answerSteps: [],
+                    finalAnswer: 'Failed to generate answer. Please try again.',
+                    confidence: 0,
+                    status: 'failed',
+                    processingTime: Date.now() - startTime,
+                });
+            } catch (saveError) {
+                console.error('Error saving failed doubt:', saveError);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Continue a doubt's conversation with a follow-up question
+     * Earlier turns and the previous turn's context are fed back to the LLM.
+     * @param {string} doubtId - Any doubt in the thread
+     * @param {string} questionText - Follow-up question
+     * @param {string} userId - User ID
+     * @param {Object} options - Additional options (style: { tone, difficulty, answerLength }; onDelta streams answer tokens as they arrive)
+     * @returns {Promise<Object>} - Answer and the new turn's doubt record
+     */
+    async askFollowUp(doubtId, questionText, userId, options = {}) {
+        const startTime = Date.now();
+
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        this.assertSolutionVisible(doubt);
+
+        const rootId = doubt.threadId || doubt._id;
+        const turns = await this.getThreadTurns(rootId, userId);
+        const root = turns[0];
+        const answeredTurns = turns.filter((turn) => turn.status === 'answered');
+
+        if (answeredTurns.length === 0) {
+            throw createHttpError(409, 'This doubt has no answer to follow up on yet');
+        }
+
+        try {
+            console.log(`\n💬 Processing follow-up from user ${userId} on thread ${rootId}`);
+            console.log(`Question: "${questionText}"`);
+
+            // Step 1: Retrieve context for the new question, keeping what the last answer relied on
+            let retrieved = [];
+            try {
+                retrieved = await retriever.retrieve(
+                    questionText,
+                    options.topK || 5,
+                    options.filter || buildScopeFilter(null, { _id: userId })
+                );
+            } catch (retrievalError) {
+                console.warn('⚠️ Context retrieval failed, using previous context only:', retrievalError.message);
+            }
+            const context = this.mergeContext(
+                answeredTurns[answeredTurns.length - 1].retrievedContext,
+                retrieved,
+                options.topK || 5
+            );
+
+            // Step 2: Ask the LLM with the conversation so far
+            const history = answeredTurns.map((turn) => ({
+                question: turn.questionText,
+                answer: turn.finalAnswer,
+                explanation: turn.explanation,
+            }));
+
+            console.log(`\n🤖 Asking LLM with ${history.length} earlier turns...`);
+            const answer = options.onDelta
+                ? await llmRouter.askWithContextStream(questionText, context, options.onDelta, { ...options.style, history })
+                : await llmRouter.askWithContext(questionText, context, { ...options.style, history });
+            console.log('✅ Answer generated');
+
+            // Step 3: Save the turn in the thread
+            const processingTime = Date.now() - startTime;
+
+            const followUp = await Doubt.create({
+                userId,
+                questionText,
+                frameId: root.frameId,
+                threadId: rootId,
+                turnIndex: turns[turns.length - 1].turnIndex + 1,
+                ...(await this.buildAnswerFields(answer, context, `${root.questionText}\n\nFollow-up: ${questionText}`)),
+                processingTime,
+                subject: root.subject,
+                tags: root.tags,
+            });
+
+            this.scheduleCodeRun(followUp);
+            await this.updateUserStreak(userId);
+
+            console.log(`✅ Follow-up saved with ID: ${followUp._id}`);
+            console.log(`⏱️  Total processing time: ${processingTime}ms`);
+
+            return {
+                ...followUp.toObject(),
+                steps: answer.steps,
+                explanation: answer.explanation,
+                finalAnswer: answer.finalAnswer,
+                followUpQuestions: answer.followUpQuestions,
+                mermaidCode: answer.mermaidCode,
+                processingTime,
+            };
+        } catch (error) {
+            console.error('❌ Error in askFollowUp:', error);
+
+            try {
+                await Doubt.create({
+                    userId,
+                    questionText,
+                    frameId: root.frameId,
+                    threadId: rootId,
+                    turnIndex: turns[turns.length - 1].turnIndex + 1,
+                    answerSteps: [],
+                    finalAnswer: 'Failed to generate answer. Please try again.',
+                    confidence: 0,
+                    status: 'failed',
+                    processingTime: Date.now() - startTime,
+                });
+            } catch (saveError) {
+                console.error('Error saving failed doubt:', saveError);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Merge the previous turn's context with newly retrieved chunks
+     * @param {Array} previous - Previous turn's retrievedContext
+     * @param {Array} retrieved - Newly retrieved chunks
+     * @param {number} limit - Maximum number of chunks
+     * @returns {Array} - Context chunks, highest score first
+     */
+    mergeContext(previous = [], retrieved = [], limit = 5) {
+        const seen = new Set();
+        const chunks = [];
+
+        for (const chunk of [...previous, ...retrieved]) {
+            if (!chunk.text || seen.has(chunk.text)) continue;
+            seen.add(chunk.text);
+            chunks.push({ text: chunk.text, score: chunk.score, metadata: chunk.metadata });
+        }
+
+        // Frame context (score 1) stays at the top
+        return chunks.sort((a, b) => (b.score || 0) - (a.score || 0)).slice(0, limit);
+    }
+
+    /**
+     * Get all turns of a thread, oldest first
+     * @param {string} rootId - Root doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Doubt documents
+     */
+    async getThreadTurns(rootId, userId) {
+        return Doubt.find({ userId, $or: [{ _id: rootId }, { threadId: rootId }] })
+            .sort({ turnIndex: 1, createdAt: 1 });
+    }
+
+    /**
+     * Get the whole conversation a doubt belongs to
+     * @param {string} doubtId - Any doubt in the thread
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Turns, oldest first
+     */
+    async getThread(doubtId, userId) {
+        const doubt = await this.getDoubtById(doubtId, userId);
+        const turns = await this.getThreadTurns(doubt.threadId || doubt._id, userId);
+        return turns.map((turn) => this.hideUnrevealed(turn.toObject()));
+    }
+
+    /**
+     * Generate a new answer for an existing doubt, keeping earlier answers as versions
+     * Does not award streak points - the question was already counted.
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {Object} overrides - { tone, difficulty, answerLength }
+     * @returns {Promise<Object>} - Updated doubt (new version preferred)
+     * @throws {Error} - 502/503 when no provider answers (the doubt is left as it was)
+     */
+    async regenerateAnswer(doubtId, userId, overrides = {}) {
+        const startTime = Date.now();
+
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        this.assertSolutionVisible(doubt);
+
+        console.log(`\n🔁 Regenerating answer for doubt ${doubtId}`);
+
+        // Same context and conversation the original answer had
+        const context = doubt.retrievedContext.map((chunk) => ({
+            text: chunk.text,
+            score: chunk.score,
+            metadata: chunk.metadata,
+        }));
+
+        let history = [];
+        if (doubt.threadId) {
+            const turns = await this.getThreadTurns(doubt.threadId, userId);
+            history = turns
+                .filter((turn) => turn.status === 'answered' && turn.turnIndex < doubt.turnIndex)
+                .map((turn) => ({
+                    question: turn.questionText,
+                    answer: turn.finalAnswer,
+                    explanation: turn.explanation,
+                }));
+        }
+
+        // Nothing is changed until there is a new answer - an outage keeps the current one preferred
+        let answer;
+        try {
+            answer = await llmRouter.askWithContext(doubt.questionText, context, { ...overrides, history });
+        } catch (error) {
+            console.error(`❌ Regenerating doubt ${doubtId} failed, keeping the current answer:`, error.message);
+            throw createHttpError(error.statusCode || 502, `Could not regenerate the answer, the current answer is unchanged: ${error.message}`);
+        }
+
+        const fields = await this.buildAnswerFields(answer, context, doubt.questionText);
+
+        // Keep the original answer as version 0 the first time round
+        if (doubt.answerVersions.length === 0 && doubt.status === 'answered') {
+            doubt.answerVersions.push(this.toAnswerVersion(doubt.toObject(), { rating: doubt.rating }));
+        }
+        doubt.answerVersions.push(this.toAnswerVersion(fields, {
+            tone: overrides.tone,
+            difficulty: overrides.difficulty,
+            answerLength: overrides.answerLength,
+        }));
+        this.applyAnswerVersion(doubt, doubt.answerVersions.length - 1);
+        doubt.status = fields.status;
+        doubt.processingTime = Date.now() - startTime;
+        await doubt.save();
+
+        console.log(`✅ Doubt ${doubtId} now has ${doubt.answerVersions.length} answer versions`);
+        return doubt;
+    }
+
+    /**
+     * Pick which answer version a doubt shows
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {number} versionIndex - Index into answerVersions
+     * @returns {Promise<Object>} - Updated doubt
+     */
+    async setPreferredVersion(doubtId, userId, versionIndex) {
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        if (!Number.isInteger(versionIndex) || !doubt.answerVersions[versionIndex]) {
+            throw createHttpError(404, 'Answer version not found');
+        }
+
+        this.applyAnswerVersion(doubt, versionIndex);
+        await doubt.save();
+
+        return doubt;
+    }
+
+    /**
+     * List every answer version of a doubt
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - { preferredVersion, versions }
+     */
+    async getAnswerVersions(doubtId, userId) {
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId }).select('-retrievedContext');
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        this.assertSolutionVisible(doubt);
+
+        // Never regenerated: the current answer is the only version
+        const versions = doubt.answerVersions.length > 0
+            ? doubt.answerVersions.map((version) => version.toObject())
+            : [{ ...this.toAnswerVersion(doubt.toObject(), { rating: doubt.rating }), createdAt: doubt.createdAt }];
+
+        return {
+            preferredVersion: doubt.answerVersions.length > 0 ? doubt.preferredVersion : 0,
+            versions,
+        };
+    }
+
+    /**
+     * Pick the answer fields stored on a version
+     * @param {Object} source - Doubt document or buildAnswerFields() result
+     * @param {Object} extra - { tone, difficulty, answerLength, rating }
+     * @returns {Object} - Answer version
+     */
+    toAnswerVersion(source, extra = {}) {
+        return {
+            answerSteps: source.answerSteps,
+            explanation: source.explanation,
+            finalAnswer: source.finalAnswer,
+            confidence: source.confidence,
+            meta: source.meta,
+            followUpQuestions: source.followUpQuestions,
+            mermaidCode: source.mermaidCode,
+            code: source.code,
+            verification: source.verification,
+            citations: source.citations,
+            generalKnowledge: source.generalKnowledge,
+            ...extra,
+        };
+    }
+
+    /**
+     * Copy a version's answer onto the doubt's top-level fields
+     * @param {Object} doubt - Doubt document
+     * @param {number} versionIndex - Index into answerVersions
+     */
+    applyAnswerVersion(doubt, versionIndex) {
+        const version = doubt.answerVersions[versionIndex].toObject();
+
+        doubt.answerSteps = version.answerSteps;
+        doubt.explanation = version.explanation;
+        doubt.finalAnswer = version.finalAnswer;
+        doubt.confidence = version.confidence;
+        doubt.meta = version.meta;
+        doubt.followUpQuestions = version.followUpQuestions;
+        doubt.mermaidCode = version.mermaidCode;
+        // A run result only describes the code it ran
+        if (doubt.code?.snippet !== version.code?.snippet) {
+            doubt.execution = null;
+        }
+        doubt.code = version.code;
+        doubt.verification = version.verification;
+        doubt.citations = version.citations;
+        doubt.generalKnowledge = version.generalKnowledge;
+        doubt.rating = version.rating;
+        doubt.preferredVersion = versionIndex;
+    }
+
+    /**
+     * Find earlier doubts that ask the same question
+     * Called before the LLM so repeated questions can be answered from history
+     * @param {string} questionText - New question
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Matches, closest first (empty if the index is unavailable)
+     */
+    async findDuplicateDoubts(questionText, userId) {
+        try {
+            const matches = await doubtIndex.findSimilar(questionText, userId, { limit: 3 });
+            return await this.attachDoubtDetails(matches, userId);
+        } catch (error) {
+            console.warn('⚠️ Duplicate check failed, answering normally:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Find doubts related to an existing doubt
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {number} limit - Maximum number of results
+     * @returns {Promise<Array>} - Related doubts and FAQ entries, closest first
+     */
+    async getSimilarDoubts(doubtId, userId, limit = 5) {
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        // Doubts asked before the index existed are added on first lookup
+        await doubtIndex.indexDoubt(doubt);
+
+        const matches = await doubtIndex.findSimilar(doubt.questionText, userId, {
+            limit,
+            minScore: retriever.minScore,
+            excludeDoubtId: doubt._id,
+        });
+
+        return this.attachDoubtDetails(matches, userId);
+    }
+
+    /**
+     * Add current doubt details to index matches, dropping doubts that no longer exist
+     * @param {Array} matches - Results of doubtIndex.findSimilar
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Matches with doubt details
+     */
+    async attachDoubtDetails(matches, userId) {
+        const doubtIds = matches.filter((match) => match.kind === 'doubt').map((match) => match.doubtId);
+        const doubts = await Doubt.find({ _id: { $in: doubtIds }, userId })
+            .select('questionText finalAnswer subject createdAt mode hintStatus hints hintsRevealed');
+        const doubtsById = new Map(doubts.map((doubt) => [doubt._id.toString(), doubt]));
+
+        return matches
+            .filter((match) => match.kind === 'faq' || doubtsById.has(match.doubtId))
+            .map((match) => {
+                if (match.kind === 'faq') return match;
+
+                const doubt = this.hideUnrevealed(doubtsById.get(match.doubtId).toObject());
+                return {
+                    ...match,
+                    questionText: doubt.questionText,
+                    finalAnswer: doubt.finalAnswer || null,
+                    subject: doubt.subject,
+                    askedAt: doubt.createdAt,
+                };
+            });
+    }
+
+    /**
+     * Hint ladder fields for a new hint-mode doubt
+     * Falls back to the solution steps (minus the last) if the model returned no hints
+     * @param {Object} answer - Parsed LLM answer
+     * @returns {Object} - Doubt fields
+     */
+    buildHintFields(answer) {
+        let hints = Array.isArray(answer.hints)
+            ? answer.hints.filter((hint) => typeof hint === 'string' && hint.trim())
+            : [];
+
+        if (hints.length === 0) {
+            hints = (answer.steps || []).slice(0, -1);
+        }
+
+        return {
+            mode: 'hint',
+            hints,
+            hintsRevealed: 0,
+            hintStatus: 'in_progress',
+        };
+    }
+
+    /**
+     * Hide the solution and unrevealed hints of a hint-mode doubt that is still in progress
+     * @param {Object} doubt - Plain doubt object
+     * @returns {Object} - Doubt safe to send to the student
+     */
+    hideUnrevealed(doubt) {
+        if (doubt.mode !== 'hint' || doubt.hintStatus !== 'in_progress') {
+            return doubt;
+        }
+
+        const {
+            answerSteps, explanation, finalAnswer, code, execution, verification, mermaidCode,
+            followUpQuestions, answerVersions, hints, ...visible
+        } = doubt;
+
+        return {
+            ...visible,
+            hints: hints.slice(0, doubt.hintsRevealed),
+            totalHints: hints.length,
+        };
+    }
+
+    /**
+     * Reject actions that would show the solution of a hint-mode doubt still in progress
+     * @param {Object} doubt - Doubt document
+     * @throws {Error} - 409 while hints are in progress
+     */
+    assertSolutionVisible(doubt) {
+        if (doubt.mode === 'hint' && doubt.hintStatus === 'in_progress') {
+            throw createHttpError(409, 'Finish the hints or reveal the solution first');
+        }
+    }
+
+    /**
+     * Reveal the next hint of a hint-mode doubt, or the solution once all hints are shown
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Doubt with revealed hints (and solution when revealed)
+     */
+    async revealNextHint(doubtId, userId) {
+        const doubt = await this.getHintDoubt(doubtId, userId);
+
+        if (doubt.hintsRevealed < doubt.hints.length) {
+            doubt.hintsRevealed += 1;
+            await doubt.save();
+            return this.hideUnrevealed(doubt.toObject());
+        }
+
+        // Out of hints: show the solution, no bonus
+        doubt.hintStatus = 'revealed';
+        await doubt.save();
+        await this.updateUserStreak(userId, {
+            hintsUsed: doubt.hintsRevealed,
+            totalHints: doubt.hints.length,
+            solved: false,
+        });
+
+        return doubt.toObject();
+    }
+
+    /**
+     * Mark a hint-mode doubt as solved with the student's answer
+     * The answer is checked against the final answer: a wrong one keeps the hints going,
+     * and only a confirmed one earns the hint bonus.
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {string} answer - Student's answer
+     * @returns {Promise<Object>} - Doubt with the solution to compare against
+     */
+    async markHintSolved(doubtId, userId, answer) {
+        if (typeof answer !== 'string' || !answer.trim()) {
+            throw createHttpError(400, 'Submit your answer to mark the doubt as solved');
+        }
+
+        const doubt = await this.getHintDoubt(doubtId, userId);
+
+        const check = verificationService.checkSubmittedAnswer(answer, doubt.finalAnswer);
+        if (check === 'incorrect') {
+            throw createHttpError(422, 'That answer does not match the solution. Try again or reveal the next hint');
+        }
+
+        doubt.hintStatus = 'solved';
+        doubt.hintAnswer = answer.trim();
+        doubt.hintAnswerCheck = check;
+        await doubt.save();
+        await this.updateUserStreak(userId, {
+            hintsUsed: doubt.hintsRevealed,
+            totalHints: doubt.hints.length,
+            solved: check === 'correct',
+        });
+
+        return doubt.toObject();
+    }
+
+    /**
+     * Load a hint-mode doubt whose hints are still in progress
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Doubt document
+     */
+    async getHintDoubt(doubtId, userId) {
+        if (!mongoose.isValidObjectId(doubtId)) {
+            throw createHttpError(400, 'Invalid doubt ID');
+        }
+
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        if (doubt.mode !== 'hint') {
+            throw createHttpError(409, 'This doubt was not asked in hint mode');
+        }
+
+        if (doubt.hintStatus !== 'in_progress') {
+            throw createHttpError(409, 'The solution has already been revealed');
+        }
+
+        return doubt;
+    }
+
+    /**
+     * Load a frame and verify it belongs to the user and has finished processing
+     * @param {string} frameId - Frame ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Frame document
+     */
+    async getAskableFrame(frameId, userId) {
+        if (!mongoose.isValidObjectId(frameId)) {
+            throw createHttpError(400, 'Invalid frame ID');
+        }
+
+        const frame = await Frame.findById(frameId);
+
+        if (!frame) {
+            throw createHttpError(404, 'Frame not found');
+        }
+
+        if (frame.createdBy.toString() !== userId.toString()) {
+            throw createHttpError(403, 'Unauthorized access to frame');
+        }
+
+        if (frame.status === 'failed') {
+            throw createHttpError(422, `Frame processing failed: ${frame.processingError || 'unknown error'}`);
+        }
+
+        if (frame.status !== 'completed') {
+            throw createHttpError(409, 'Frame is still being processed. Please try again shortly.');
+        }
+
+        if (!frame.isReady()) {
+            // OCR is done but the frame is not indexed in Qdrant yet - its text is still usable directly
+            console.warn(`⚠️ Frame ${frameId} has no embeddings yet, using OCR text only`);
+        }
+
+        return frame;
+    }
+
+    /**
+     * Build the primary context chunk for a frame
+     * @param {Object} frame - Frame document
+     * @returns {Promise<Object>} - Context chunk ({ text, score, metadata })
+     */
+    async buildFrameContext(frame) {
+        let ocrText = (frame.ocrText || '').trim();
+        const region = frame.cropCoordinates?.width ? frame.cropCoordinates : null;
+
+        // Crops with no readable text of their own fall back to the source page's words inside the region
+        if (!ocrText && frame.sourceType === 'crop' && frame.pdfId && region) {
+            const sourceFrame = await Frame.findById(frame.pdfId).select('ocrRaw');
+            ocrText = this.getWordsInRegion(sourceFrame?.ocrRaw?.words, region);
+        }
+
+        if (!ocrText && frame.conceptTags.length === 0) {
+            throw createHttpError(422, 'No readable text was found in this frame');
+        }
+
+        const label = {
+            image: 'uploaded image',
+            pdf_page: `PDF page ${frame.pageNumber}`,
+            crop: 'selected region of an uploaded page',
+        }[frame.sourceType];
+
+        let text = `The student is asking about this ${label}.`;
+        if (region) {
+            text += `\nSelected region: x=${region.x}, y=${region.y}, width=${region.width}, height=${region.height}`;
+        }
+        if (frame.conceptTags.length > 0) {
+            text += `\nKey concepts: ${frame.conceptTags.join(', ')}`;
+        }
+        text += `\nExtracted text:\n${ocrText || '(no readable text)'}`;
+
+        return {
+            text,
+            score: 1,
+            metadata: {
+                source: `frame:${frame.sourceType}`,
+                topic: frame.conceptTags[0],
+                difficulty: frame.difficulty,
+                frameId: frame._id.toString(),
+                pageNumber: frame.pageNumber,
+                bbox: region ? { x: region.x, y: region.y, width: region.width, height: region.height } : null,
+            },
+        };
+    }
+
+    /**
+     * Join OCR words whose centre lies inside a region
+     * @param {Array} words - OCR words with bbox
+     * @param {Object} region - { x, y, width, height }
+     * @returns {string} - Text inside the region
+     */
+    getWordsInRegion(words = [], region) {
+        return words
+            .filter((word) => {
+                if (!word.bbox) return false;
+
+                const centerX = (word.bbox.x0 + word.bbox.x1) / 2;
+                const centerY = (word.bbox.y0 + word.bbox.y1) / 2;
+
+                return (
+                    centerX >= region.x &&
+                    centerX <= region.x + region.width &&
+                    centerY >= region.y &&
+                    centerY <= region.y + region.height
+                );
+            })
+            .map((word) => word.text)
+            .join(' ')
+            .trim();
+    }
+
+    /**
+     * Map an LLM answer to the Doubt fields shared by text and image questions
+     * @param {Object} answer - LLM answer, already validated against the answer schema by llmRouter
+     * @param {Array} context - Context chunks used for the answer
+     * @param {string} problem - Problem text, used to verify numerical answers (optional)
+     * @returns {Promise<Object>} - Doubt fields
+     */
+    async buildAnswerFields(answer, context, problem = null) {
+        // Only save code if it has a valid snippet
+        const codeToSave = (
+            answer.code &&
+            answer.code.snippet &&
+            typeof answer.code.snippet === 'string' &&
+            answer.code.snippet.trim()
+        ) ? answer.code : null;
+
+        // Link [n] markers to the context chunks; nothing cited means general knowledge
+        const citations = await citationBuilder.buildCitations(answer, context);
+
+        // Numerical answers: re-derive the result independently instead of trusting the model
+        const verification = problem && verificationService.shouldVerify(answer)
+            ? await verificationService.verify(problem, answer)
+            : null;
+        if (verification) {
+            console.log(`🔢 Numerical answer ${verification.status}`);
         }
+
+        return {
+            answerSteps: answer.steps,
+            explanation: answer.explanation,
+            finalAnswer: answer.finalAnswer,
+            confidence: verificationService.adjustConfidence(answer.confidence, verification),
+            retrievedContext: context.map((chunk) => ({
+                text: chunk.text,
+                score: chunk.score,
+                metadata: chunk.metadata,
+            })),
+            status: 'answered',
+            meta: {
+                subject: answer.meta?.subject,
+                topic: answer.meta?.topic,
+                subtopic: answer.meta?.subtopic,
+                difficulty: answer.meta?.difficulty,
+                questionType: answer.meta?.questionType,
+            },
+            followUpQuestions: answer.followUpQuestions,
+            mermaidCode: answer.mermaidCode || '',
+            code: codeToSave,
+            verification,
+            citations,
+            generalKnowledge: citations.length === 0,
+        };
     }
 
     /**
      * Update user streak and points
      * @param {string} userId 
+     * @param {Object} hintUsage - Hint mode only: { hintsUsed, totalHints, solved } (solved: answer confirmed correct)
      */
-    async updateUserStreak(userId) {
+    async updateUserStreak(userId, hintUsage = null) {
         try {
             const user = await User.findById(userId);
             if (!user) return;
@@ -222,6 +1021,14 @@ class AskService {
             if (user.streak % 7 === 0) user.points += 50; // Weekly bonus
             if (user.streak % 30 === 0) user.points += 200; // Monthly bonus
 
+            // Hint mode: the fewer hints needed to solve it, the bigger the bonus
+            if (hintUsage?.solved) {
+                const unusedShare = hintUsage.totalHints > 0
+                    ? (hintUsage.totalHints - hintUsage.hintsUsed) / hintUsage.totalHints
+                    : 1;
+                user.points += Math.round(HINT_BONUS_POINTS * unusedShare);
+            }
+
             await user.save();
         } catch (error) {
             console.error('Error updating streak:', error);
@@ -270,7 +1077,8 @@ class AskService {
                 bookmarked = null,
             } = options;
 
-            const query = { userId };
+            // Follow-up turns are returned with their thread, not listed separately
+            const query = { userId, threadId: null };
 
             if (subject) {
                 query.subject = subject;
@@ -284,7 +1092,7 @@ class AskService {
                 .sort({ createdAt: -1 })
                 .limit(limit)
                 .skip(skip)
-                .select('-retrievedContext -__v');
+                .select('-retrievedContext -answerVersions -__v');
 
             return doubts;
         } catch (error) {
@@ -294,187 +1102,173 @@ class AskService {
     }
 
     /**
-     * Get a single doubt by ID
-     * @param {string} doubtId - Doubt ID
-     * @param {string} userId - User ID (for authorization)
-     * @returns {Promise<Object>} - Doubt object
-     */
-    async getDoubtById(doubtId, userId) {
-        try {
-            const doubt = await Doubt.findOne({ _id: doubtId, userId });
-
-            if (!doubt) {
-                throw new Error('Doubt not found');
-            }
-
-            return doubt;
-        } catch (error) {
-            console.error('Error getting doubt:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Toggle bookmark status
-     * @param {string} doubtId - Doubt ID
-     * @param {string} userId - User ID
-     * @returns {Promise<Object>} - Updated doubt
-     */
-    async toggleBookmark(doubtId, userId) {
-        try {
-            const doubt = await Doubt.findOne({ _id: doubtId, userId });
-
-            if (!doubt) {
-                throw new Error('Doubt not found');
-            }
-
-            doubt.isBookmarked = !doubt.isBookmarked;
-            await doubt.save();
-
-            return doubt;
-        } catch (error) {
-            console.error('Error toggling bookmark:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Rate a doubt answer
-     * @param {string} doubtId - Doubt ID
+     * Full-text and faceted search over a user's doubts
+     * Text matches are ranked by relevance (question > tags > answer > explanation). Hint-mode doubts
+     * still in progress only match on their question and tags, so a search cannot reveal the hidden solution.
      * @param {string} userId - User ID
-     * @param {number} rating - Rating (1-5)
-     * @returns {Promise<Object>} - Updated doubt
+     * @param {Object} params - { q, subject, topic, difficulty, questionType, minRating, from, to,
+     *                           minConfidence, maxConfidence, bookmarked, limit, skip }
+     * @returns {Promise<Object>} - { total, results, facets }
      */
-    async rateDoubt(doubtId, userId, rating) {
-        try {
-            const doubt = await Doubt.findOne({ _id: doubtId, userId });
-
-            if (!doubt) {
-                throw new Error('Doubt not found');
-            }
-
-            if (rating < 1 || rating > 5) {
-                throw new Error('Rating must be between 1 and 5');
-            }
-
-            doubt.rating = rating;
-            await doubt.save();
-
-            return doubt;
-        } catch (error) {
-            console.error('Error rating doubt:', error);
-            throw error;
+    async searchDoubts(userId, params = {}) {
+        const { q, limit = 20, skip = 0 } = params;
+        const match = { userId: new mongoose.Types.ObjectId(userId.toString()) };
+
+        if (q) match.$text = { $search: q };
+        if (params.subject) match['meta.subject'] = params.subject;
+        if (params.topic) match['meta.topic'] = params.topic;
+        if (params.difficulty) match['meta.difficulty'] = params.difficulty;
+        if (params.questionType) match['meta.questionType'] = params.questionType;
+        if (params.bookmarked !== undefined && params.bookmarked !== null) match.isBookmarked = params.bookmarked;
+        if (params.minRating) match.rating = { $gte: params.minRating };
+
+        if (params.from || params.to) {
+            match.createdAt = {};
+            if (params.from) match.createdAt.$gte = params.from;
+            if (params.to) match.createdAt.$lte = params.to;
         }
-    }
-
-    /**
-     * Get user stats
-     * @param {string} userId - User ID
-     * @returns {Promise<Object>} - User stats
-     */
-    async getUserStats(userId) {
-        try {
-            const totalDoubts = await Doubt.countDocuments({ userId });
-            const bookmarkedDoubts = await Doubt.countDocuments({ userId, isBookmarked: true });
-
-            // Calculate average confidence
-            const doubts = await Doubt.find({ userId }).select('confidence');
-            const avgConfidence = doubts.length > 0
-                ? doubts.reduce((acc, d) => acc + (d.confidence || 0), 0) / doubts.length
-                : 0;
 
-            return {
-                totalDoubts,
-                bookmarkedDoubts,
-                avgConfidence,
-            };
-        } catch (error) {
-            console.error('Error getting user stats:', error);
-            throw error;
+        if (params.minConfidence !== undefined || params.maxConfidence !== undefined) {
+            match.confidence = {};
+            if (params.minConfidence !== undefined) match.confidence.$gte = params.minConfidence;
+            if (params.maxConfidence !== undefined) match.confidence.$lte = params.maxConfidence;
         }
-    }
 
-    async generateStudyMaterial(topic, type) {
-        return await geminiClient.generateStudyMaterial(topic, type);
+        const countBy = (field) => [
+            { $match: { [field]: { $nin: [null, ''] } } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 20 },
+            { $project: { _id: 0, value: '$_id', count: 1 } },
+        ];
+
+        const terms = this.getSearchTerms(q);
+
+        // $text covers the hidden answer too; in-progress hint doubts must match on what the student can see
+        const visibleMatch = q
+            ? [{
+                $match: {
+                    $or: [
+                        { hintStatus: { $ne: 'in_progress' } },
+                        ...(terms.length > 0
+                            ? ['questionText', 'tags'].map((field) => ({
+                                [field]: new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})`, 'i'),
+                            }))
+                            : []),
+                    ],
+                },
+            }]
+            : [];
+
+        // $text must be in the first stage
+        const [result] = await Doubt.aggregate([
+            { $match: match },
+            ...visibleMatch,
+            ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+            {
+                $facet: {
+                    results: [
+                        { $sort: q ? { score: -1, createdAt: -1 } : { createdAt: -1 } },
+                        { $skip: skip },
+                        { $limit: limit },
+                        { $project: { retrievedContext: 0, answerVersions: 0, __v: 0 } },
+                    ],
+                    total: [{ $count: 'count' }],
+                    subject: countBy('meta.subject'),
+                    topic: countBy('meta.topic'),
+                    difficulty: countBy('meta.difficulty'),
+                    questionType: countBy('meta.questionType'),
+                    rating: countBy('rating'),
+                    confidence: [
+                        {
+                            $bucket: {
+                                groupBy: '$confidence',
+                                boundaries: [0, 0.5, 0.8, 1.01],
+                                default: 'unknown',
+                                output: { count: { $sum: 1 } },
+                            },
+                        },
+                    ],
+                },
+            },
+        ]);
+
+        const confidenceLabels = { 0: 'low', 0.5: 'medium', 0.8: 'high', unknown: 'unknown' };
+
+        return {
+            total: result.total[0]?.count || 0,
+            results: result.results.map((doubt) => {
+                const visible = this.hideUnrevealed(doubt);
+                return { ...visible, highlights: this.buildHighlights(visible, terms) };
+            }),
+            facets: {
+                subject: result.subject,
+                topic: result.topic,
+                difficulty: result.difficulty,
+                questionType: result.questionType,
+                rating: result.rating,
+                confidence: result.confidence.map((bucket) => ({
+                    value: confidenceLabels[bucket._id],
+                    count: bucket.count,
+                })),
+            },
+        };
     }
 
     /**
-     * Delete a doubt
-     * @param {string} doubtId - Doubt ID
-     * @param {string} userId - User ID
+     * Words to highlight for a $text query (quotes and negated terms removed)
+     * @param {string} q - Search query
+     * @returns {Array<string>} - Lowercase terms
      */
-    async deleteDoubt(doubtId, userId) {
-        try {
-            const result = await Doubt.deleteOne({ _id: doubtId, userId });
-            if (result.deletedCount === 0) {
-                throw new Error('Doubt not found or unauthorized');
-            }
-            return true;
-        } catch (error) {
-            console.error('Error deleting doubt:', error);
-            throw error;
-        }
+    getSearchTerms(q) {
+        if (!q) return [];
+
+        return q
+            .replace(/"/g, ' ')
+            .split(/\s+/)
+            .filter((term) => term && !term.startsWith('-'))
+            .map((term) => term.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+            .filter((term) => term.length > 1);
     }
 
     /**
-     * Generate a diagram for an existing doubt
-     * @param {string} doubtId - Doubt ID
-     * @param {string} userId - User ID
-     * @param {string} diagramType - Type of diagram (flowchart, sequence, class, mindmap, state)
-                    mathematics: ['math', 'equation', 'algebra', 'calculus', 'geometry', 'trigonometry'],
-                    physics: ['physics', 'force', 'energy', 'motion', 'velocity', 'acceleration'],
-                    chemistry: ['chemistry', 'molecule', 'atom', 'reaction', 'element', 'compound'],
-                    biology: ['biology', 'cell', 'organism', 'dna', 'evolution', 'ecosystem'],
-                    computer_science: ['programming', 'algorithm', 'code', 'software', 'computer', 'data structure'],
-                    history: ['history', 'war', 'civilization', 'ancient', 'revolution'],
-                    literature: ['literature', 'novel', 'poem', 'author', 'story', 'character'],
-                };
-
-                for (const [subject, keywords] of Object.entries(subjects)) {
-                    if (keywords.some((keyword) => lowerText.includes(keyword))) {
-                        return subject;
-                    }
-                }
-
-                return 'general';
-            }
-
-    /**
-     * Get user's doubt history
-     * @param {string} userId - User ID
-     * @param {Object} options - Query options
-     * @returns {Promise<Array>} - Array of doubts
+     * Short snippets around the first match in each searchable field
+     * Snippets are HTML: the text is escaped and matches are wrapped in <mark></mark>
+     * @param {Object} doubt - Plain doubt object
+     * @param {Array<string>} terms - Search terms
+     * @returns {Object} - { field: snippet } for fields that matched
      */
-    async getUserDoubts(userId, options = {}) {
-        try {
-            const {
-                limit = 20,
-                skip = 0,
-                subject = null,
-                bookmarked = null,
-            } = options;
-
-            const query = { userId };
+    buildHighlights(doubt, terms) {
+        if (terms.length === 0) return {};
+
+        // Prefix match so "integrals" is highlighted for "integral" (text search is stemmed)
+        const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+        // Matches are word characters, so marking them and escaping the rest never overlap
+        const toHtml = new RegExp(`${pattern.source}|[&<>"']`, 'gi');
+        const highlights = {};
+
+        const fields = {
+            questionText: doubt.questionText,
+            finalAnswer: doubt.finalAnswer,
+            explanation: doubt.explanation,
+            tags: (doubt.tags || []).join(', '),
+        };
 
-            if (subject) {
-                query.subject = subject;
-            }
+        for (const [field, text] of Object.entries(fields)) {
+            if (!text) continue;
 
-            if (bookmarked !== null) {
-                query.isBookmarked = bookmarked;
-            }
+            pattern.lastIndex = 0;
+            const first = pattern.exec(text);
+            if (!first) continue;
 
-            const doubts = await Doubt.find(query)
-                .sort({ createdAt: -1 })
-                .limit(limit)
-                .skip(skip)
-                .select('-retrievedContext -__v');
+            const start = Math.max(0, first.index - 60);
+            const end = Math.min(text.length, first.index + first[0].length + 60);
+            const snippet = text.slice(start, end).replace(toHtml, (found) => HTML_ESCAPES[found] || `<mark>${found}</mark>`);
 
-            return doubts;
-        } catch (error) {
-            console.error('Error getting user doubts:', error);
-            throw error;
+            highlights[field] = `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
         }
+
+        return highlights;
     }
 
     /**
@@ -522,6 +1316,50 @@ class AskService {
         }
     }
 
+    /**
+     * Edit a doubt's tags
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {Object} changes - { tags } replaces all tags; { add, remove } edits them
+     * @returns {Promise<Object>} - Updated doubt
+     */
+    async updateTags(doubtId, userId, changes = {}) {
+        const doubt = await Doubt.findOne({ _id: doubtId, userId });
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        doubt.tags = this.applyTagChanges(doubt.tags, changes);
+        await doubt.save();
+
+        return doubt;
+    }
+
+    /**
+     * Apply tag edits to a tag list
+     * Tags are trimmed and de-duplicated
+     * @param {Array<string>} tags - Current tags
+     * @param {Object} changes - { tags } replaces all tags; { add, remove } edits them
+     * @returns {Array<string>} - New tags
+     * @throws {Error} - 400 if a tag list is not an array of strings
+     */
+    applyTagChanges(tags = [], changes = {}) {
+        const normalize = (list, field) => {
+            if (list === undefined) return [];
+            if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+                throw createHttpError(400, `${field} must be an array of strings`);
+            }
+            return list.map((tag) => tag.trim()).filter(Boolean);
+        };
+
+        const base = changes.tags !== undefined ? normalize(changes.tags, 'tags') : tags;
+        const removed = new Set(normalize(changes.remove, 'remove'));
+
+        return [...new Set([...base, ...normalize(changes.add, 'add')])]
+            .filter((tag) => !removed.has(tag))
+            .slice(0, MAX_TAGS);
+    }
+
     /**
      * Rate a doubt answer
      * @param {string} doubtId - Doubt ID
@@ -542,6 +1380,13 @@ class AskService {
             }
 
             doubt.rating = rating;
+
+            // Ratings also belong to the answer version being rated
+            const version = doubt.answerVersions[doubt.preferredVersion];
+            if (version) {
+                version.rating = rating;
+            }
+
             await doubt.save();
 
             return doubt;
@@ -578,10 +1423,6 @@ class AskService {
         }
     }
 
-    async generateStudyMaterial(topic, type) {
-        return await geminiClient.generateStudyMaterial(topic, type);
-    }
-
     /**
      * Delete a doubt
      * @param {string} doubtId - Doubt ID
@@ -593,6 +1434,19 @@ class AskService {
             if (result.deletedCount === 0) {
                 throw new Error('Doubt not found or unauthorized');
             }
+
+            // Deleting the first turn deletes the whole thread
+            const turns = await Doubt.find({ threadId: doubtId, userId }).select('_id');
+            await Doubt.deleteMany({ threadId: doubtId, userId });
+
+            const deletedIds = [doubtId, ...turns.map((turn) => turn._id)];
+            await Collection.removeItems('doubt', deletedIds);
+            await ShareLink.deleteMany({ doubtId: { $in: deletedIds } });
+            // Study materials are kept, just no longer linked to a doubt
+            await StudyMaterial.updateMany({ doubtId: { $in: deletedIds } }, { doubtId: null });
+
+            doubtIndex.removeDoubt(doubtId)
+                .catch((indexError) => console.warn('⚠️ Removing doubt from index failed:', indexError.message));
             return true;
         } catch (error) {
             console.error('Error deleting doubt:', error);
@@ -609,12 +1463,18 @@ class AskService {
      */
     async generateDiagram(doubtId, userId, diagramType) {
         try {
+            if (!MERMAID_DIAGRAM_TYPES.includes(diagramType)) {
+                throw createHttpError(400, `Diagram type must be one of: ${MERMAID_DIAGRAM_TYPES.join(', ')}`);
+            }
+
             // Get the doubt
             const doubt = await Doubt.findOne({ _id: doubtId, userId });
             if (!doubt) {
                 throw new Error('Doubt not found or unauthorized');
             }
 
+            this.assertSolutionVisible(doubt);
+
             // Build type-specific instructions
             let typeInstructions = '';
             switch (diagramType) {
@@ -624,6 +1484,7 @@ class AskService {
 - Use simple node IDs: A, B, C, D, etc.
 - Use --> for arrows
 - Put labels in square brackets: A[Label]
+- Wrap labels that contain brackets, parentheses or quotes in double quotes: A["f(x) = 2x"]
 - Show decision points with diamond shapes: D{Decision?}`;
                     break;
                 case 'sequence':
@@ -657,7 +1518,7 @@ class AskService {
                     break;
             }
 
-            // Generate diagram using Groq
+            // Generate diagram using the LLM provider chain
             const prompt = `Generate a ${diagramType} diagram in Mermaid syntax for the following educational content:
 
 **Question:** ${doubt.questionText}
@@ -676,18 +1537,34 @@ ${typeInstructions}
 Example format for ${diagramType}:
 ${this.getDiagramExample(diagramType)}`;
 
-            const response = await geminiClient.askRaw(prompt);
+            // Re-prompt with the parser errors until the diagram parses
+            let diagram = validateMermaid(await llmRouter.askRaw(prompt), diagramType);
+            for (let attempt = 1; !diagram.valid && attempt <= llmRouter.repairAttempts; attempt++) {
+                console.warn(`🔧 ${diagramType} diagram failed validation, asking for a repair (${attempt}/${llmRouter.repairAttempts}):`, diagram.errors.join('; '));
+
+                const repairPrompt = `${prompt}
+
+Your previous diagram was not valid Mermaid:
+${diagram.code}
+
+Parser errors:
+${diagram.errors.map((error) => `- ${error}`).join('\n')}
 
-            // Validate and fix the generated Mermaid code
-            const validatedMermaidCode = validateAndFixMermaid(response);
+Fix these errors and return the corrected ${diagramType} diagram. Return ONLY the Mermaid code.`;
+                diagram = validateMermaid(await llmRouter.askRaw(repairPrompt), diagramType);
+            }
+
+            if (!diagram.valid) {
+                throw createHttpError(502, `Could not generate a valid ${diagramType} diagram: ${diagram.errors.join('; ')}`);
+            }
 
             console.log(`✅ ${diagramType} diagram generated and validated`);
 
-            // Update the doubt with new diagram
-            doubt.mermaidCode = validatedMermaidCode;
+            // Only a diagram that parses replaces the stored one
+            doubt.mermaidCode = diagram.code;
             await doubt.save();
 
-            return validatedMermaidCode;
+            return diagram.code;
         } catch (error) {
             console.error('Error generating diagram:', error);
             throw error;
@@ -707,6 +1584,170 @@ ${this.getDiagramExample(diagramType)}`;
         };
         return examples[type] || examples.flowchart;
     }
+
+    /**
+     * Re-check a doubt's numerical result and store the verdict on the doubt
+     * Runs for any answered doubt, so older answers and non-numerical ones can be checked on request.
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - { verification, confidence }
+     */
+    async verifyDoubt(doubtId, userId) {
+        const doubt = mongoose.isValidObjectId(doubtId)
+            ? await Doubt.findOne({ _id: doubtId, userId })
+            : null;
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+        if (doubt.status !== 'answered') {
+            throw createHttpError(409, 'Only answered doubts can be verified');
+        }
+
+        this.assertSolutionVisible(doubt);
+
+        const problem = doubt.frameId
+            ? `${doubt.questionText}\n\n${(await Frame.findById(doubt.frameId).select('ocrText'))?.ocrText || ''}`.trim()
+            : doubt.questionText;
+
+        const verification = await verificationService.verify(problem, doubt);
+        doubt.verification = verification;
+        doubt.confidence = verificationService.adjustConfidence(doubt.confidence, verification);
+
+        const version = doubt.answerVersions[doubt.preferredVersion];
+        if (version) {
+            version.verification = verification;
+            version.confidence = doubt.confidence;
+        }
+
+        await doubt.save();
+        console.log(`🔢 Doubt ${doubtId} verification: ${verification.status}`);
+
+        return { verification: doubt.verification, confidence: doubt.confidence };
+    }
+
+    /**
+     * Run a doubt's code in the sandbox and store the result on the doubt
+     * With fix, failing code is sent back to the LLM together with its error output;
+     * a fix replaces the stored code only if it runs.
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @param {Object} options - { fix } to ask the LLM to repair code that fails
+     * @returns {Promise<Object>} - { code, execution }
+     */
+    async runCode(doubtId, userId, options = {}) {
+        const doubt = mongoose.isValidObjectId(doubtId)
+            ? await Doubt.findOne({ _id: doubtId, userId })
+            : null;
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        this.assertSolutionVisible(doubt);
+
+        const { language, snippet } = doubt.code || {};
+        if (!snippet?.trim()) {
+            throw createHttpError(409, 'This answer has no code to run');
+        }
+
+        let execution = await sandboxService.run(language, snippet);
+        let runnable = snippet;
+        let fixAttempts = 0;
+
+        if (options.fix) {
+            let candidate = snippet;
+            let result = execution;
+
+            while (result.status !== 'passed' && fixAttempts < llmRouter.repairAttempts) {
+                fixAttempts += 1;
+                console.warn(`🔧 ${language} code ${result.status}, asking for a fix (${fixAttempts}/${llmRouter.repairAttempts})`);
+
+                const reply = this.extractCodeBlock(await llmRouter.askRaw(this.buildCodeFixPrompt(doubt, candidate, result)));
+                if (!reply) continue;
+
+                candidate = reply;
+                result = await sandboxService.run(language, candidate);
+
+                if (result.status === 'passed') {
+                    runnable = candidate;
+                    execution = result;
+                }
+            }
+        }
+
+        if (runnable !== snippet) {
+            console.log(`✅ Fixed ${language} code for doubt ${doubtId}`);
+            doubt.code = { language, snippet: runnable };
+
+            const version = doubt.answerVersions[doubt.preferredVersion];
+            if (version) {
+                version.code = { language, snippet: runnable };
+            }
+        }
+
+        doubt.execution = {
+            ...execution,
+            fixAttempts,
+            originalSnippet: runnable !== snippet ? snippet : null,
+        };
+        await doubt.save();
+
+        console.log(`🧪 Code for doubt ${doubtId} ${execution.status} in ${execution.durationMs}ms`);
+
+        return { code: doubt.code, execution: doubt.execution };
+    }
+
+    /**
+     * Run a new answer's code when SANDBOX_AUTO_RUN is on
+     * Not awaited - the answer is ready; the result shows up on the doubt once the run finishes.
+     * @param {Object} doubt - Saved doubt
+     */
+    scheduleCodeRun(doubt) {
+        if (process.env.SANDBOX_AUTO_RUN !== 'true' || doubt.mode === 'hint') return;
+        if (!doubt.code?.snippet || !sandboxService.isSupported(doubt.code.language)) return;
+
+        this.runCode(doubt._id, doubt.userId, { fix: process.env.SANDBOX_AUTO_FIX === 'true' })
+            .catch((error) => console.warn('⚠️ Running answer code failed:', error.message));
+    }
+
+    /**
+     * Prompt asking the LLM to fix code that failed in the sandbox
+     * @param {Object} doubt - Doubt the code answers
+     * @param {string} code - Code that failed
+     * @param {Object} result - Sandbox result
+     * @returns {string} - Prompt
+     */
+    buildCodeFixPrompt(doubt, code, result) {
+        const language = doubt.code.language;
+        const errorOutput = (result.stderr || '').slice(-2000) || '(no error output)';
+        const exit = result.timedOut ? 'timed out' : `exited with code ${result.exitCode ?? result.signal}`;
+
+        return `The following ${language} code was written to answer a student's question, but it ${exit} when run.
+
+**Question:** ${doubt.questionText}
+
+**Code:**
+\`\`\`${language}
+${code}
+\`\`\`
+
+**Error output:**
+${errorOutput}
+
+Fix the code so it runs to completion without errors:
+- Keep the same approach and print the results
+- Do not read files, use the network, spawn processes or wait for input - it runs in a sandbox
+- Return ONLY the corrected code in a single \`\`\`${language} code block`;
+    }
+
+    /**
+     * Take the code out of an LLM reply (first fenced block, or the whole reply)
+     * @param {string} text - LLM reply
+     * @returns {string} - Code
+     */
+    extractCodeBlock(text) {
+        const fenced = (text || '').match(/```[^\n]*\n([\s\S]*?)```/);
+        return (fenced ? fenced[1] : text || '').trim();
+    }
 }
 
 export default new AskService();
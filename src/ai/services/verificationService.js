@@ -0,0 +1,330 @@
+import llmRouter from '../llm/llmRouter.js';
+import { extractJson } from '../llm/responseParser.js';
+import {
+    evaluateExpression,
+    parseUnit,
+    toQuantity,
+    sameDimensions,
+    formatDimensions,
+} from '../../utils/quantity.js';
+
+// Relative difference always tolerated (rounded intermediate steps)
+const MIN_TOLERANCE = parseFloat(process.env.VERIFICATION_TOLERANCE) || 0.01;
+
+// Highest confidence kept for an answer that failed verification
+const FAILED_CONFIDENCE = 0.3;
+
+// Relative difference tolerated between a student's answer and the final answer
+const SUBMITTED_TOLERANCE = 0.02;
+
+// Words that introduce the result ("speed is 20 m/s", "x ≈ 3.2")
+const RESULT_MARKER = /(?:[=≈~]|\b(?:is|are|equals|of|approximately|about|be)\b)\s*$/i;
+
+const NUMBER_PATTERN = /(^|[^\w.])([-−]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|[-−]?\.\d+)(?:\s*(?:[eE]([-+−]?\d+)|[×x*]\s*10\s*\^\s*\(?\s*([-+−]?\d+)\s*\)?))?/g;
+
+/**
+ * Verification Service
+ * Re-checks the final result of numerical answers: a second LLM pass sets the problem up
+ * as inputs with units plus a formula (it does not do the arithmetic), the formula is
+ * evaluated with the quantity calculator, and the result is compared with the answer's
+ * value and unit.
+ *
+ * Statuses: verified (value and unit agree), mismatch (value differs), unit_mismatch
+ * (missing or incompatible unit), unverifiable (nothing to check, or the derivation failed).
+ */
+class VerificationService {
+    /**
+     * Whether an answer gets verified (numerical questions, unless NUMERIC_VERIFICATION=false)
+     * @param {Object} answer - LLM answer
+     * @returns {boolean}
+     */
+    shouldVerify(answer) {
+        return process.env.NUMERIC_VERIFICATION !== 'false' && answer.meta?.questionType === 'numerical';
+    }
+
+    /**
+     * Verify a numerical answer
+     * @param {string} problem - Problem text the answer solves
+     * @param {Object} answer - Answer with finalAnswer and confidence
+     * @returns {Promise<Object>} - Verification ({ status, claimed, computed, relativeError, unitCheck, notes, checkedAt })
+     */
+    async verify(problem, answer) {
+        const verification = {
+            status: 'unverifiable',
+            claimed: null,
+            computed: null,
+            relativeError: null,
+            unitCheck: null,
+            notes: [],
+            checkedAt: new Date(),
+        };
+
+        const claimed = this.extractResult(answer.finalAnswer);
+        if (!claimed) {
+            verification.notes.push('No numeric result found in the final answer');
+            return verification;
+        }
+        verification.claimed = { text: claimed.text, value: claimed.value, unit: claimed.unit };
+
+        let derivation;
+        let computed;
+        try {
+            derivation = await this.deriveIndependently(problem);
+            computed = this.evaluateDerivation(derivation);
+        } catch (error) {
+            verification.notes.push(`Independent derivation failed: ${error.message}`);
+            return verification;
+        }
+
+        // The derivation's own unit is only a display hint - the inputs decide the dimensions
+        let displayUnit = claimed.unit;
+        let displayScale = claimed.scale;
+        if (!claimed.scale || !sameDimensions(claimed.scale, computed)) {
+            const declared = this.tryParseUnit(derivation.unit);
+            const usable = declared && sameDimensions(declared, computed);
+            displayUnit = usable ? derivation.unit : formatDimensions(computed.dims);
+            displayScale = usable ? declared : { value: 1, dims: computed.dims };
+        }
+
+        verification.computed = {
+            value: computed.value / displayScale.value,
+            unit: displayUnit,
+            expression: derivation.expression,
+        };
+
+        // Unit check: the answer's unit must have the dimensions the derivation produced
+        const claimedScale = claimed.scale || displayScale;
+        if (!claimed.unit) {
+            verification.unitCheck = computed.dims.every((exponent) => exponent === 0) ? 'consistent' : 'missing';
+        } else {
+            verification.unitCheck = sameDimensions(claimed.scale, computed) ? 'consistent' : 'inconsistent';
+        }
+
+        if (verification.unitCheck === 'missing') {
+            verification.notes.push(`The final answer has no unit; expected ${displayUnit}`);
+        } else if (verification.unitCheck === 'inconsistent') {
+            verification.notes.push(`The final answer is in ${claimed.unit} (${formatDimensions(claimed.scale.dims) || 'dimensionless'}) but the result should be in ${displayUnit} (${formatDimensions(computed.dims) || 'dimensionless'})`);
+        }
+
+        // Value check in SI, allowing for the precision the answer was given to
+        const claimedSi = claimed.value * claimedScale.value;
+        verification.relativeError = Math.abs(claimedSi - computed.value) / Math.max(Math.abs(computed.value), 1e-12);
+        const tolerance = Math.max(MIN_TOLERANCE, claimed.precision / Math.max(Math.abs(claimed.value), 1e-12));
+        const valueMatches = verification.relativeError <= tolerance;
+
+        if (!valueMatches) {
+            verification.notes.push(`Independent calculation gives ${this.formatNumber(verification.computed.value)} ${displayUnit}`.trim());
+        }
+
+        if (verification.unitCheck !== 'consistent') {
+            verification.status = 'unit_mismatch';
+        } else {
+            verification.status = valueMatches ? 'verified' : 'mismatch';
+        }
+
+        return verification;
+    }
+
+    /**
+     * Confidence to store once an answer has been verified
+     * Answers that failed verification are capped; others keep the model's value
+     * @param {number} confidence - Model's confidence
+     * @param {Object} verification - Verification, or null
+     * @returns {number}
+     */
+    adjustConfidence(confidence, verification) {
+        if (verification && ['mismatch', 'unit_mismatch'].includes(verification.status)) {
+            return Math.min(confidence, FAILED_CONFIDENCE);
+        }
+        return confidence;
+    }
+
+    /**
+     * Check an answer a student submitted against the final answer
+     * Numeric results are compared in SI (a unit-less number is read in the final answer's unit);
+     * other answers only count as correct when they match the final answer word for word.
+     * @param {string} submitted - Student's answer
+     * @param {string} finalAnswer - Final answer of the doubt
+     * @returns {string} - correct, incorrect, or unverifiable (a non-numeric answer that differs in wording)
+     */
+    checkSubmittedAnswer(submitted, finalAnswer) {
+        const expected = this.extractResult(finalAnswer);
+        if (!expected) {
+            const words = (text) => this.stripLatex(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+            return words(submitted) && words(submitted) === words(finalAnswer) ? 'correct' : 'unverifiable';
+        }
+
+        const given = this.extractResult(submitted);
+        if (!given) return 'incorrect';
+
+        if (given.scale && expected.scale && !sameDimensions(given.scale, expected.scale)) {
+            return 'incorrect';
+        }
+        const scale = given.scale || expected.scale || { value: 1 };
+        const givenSi = given.value * scale.value;
+        const expectedSi = expected.value * (expected.scale || scale).value;
+
+        const relativeError = Math.abs(givenSi - expectedSi) / Math.max(Math.abs(expectedSi), 1e-12);
+        return relativeError <= SUBMITTED_TOLERANCE ? 'correct' : 'incorrect';
+    }
+
+    /**
+     * Find the final numeric result and its unit in an answer
+     * Prefers the last number introduced by "=", "≈" or "is"; otherwise takes the first number.
+     * @param {string} finalAnswer - Final answer text
+     * @returns {Object|null} - { text, value, unit, scale, precision } (scale is the parsed unit, precision is half a unit in the last digit)
+     */
+    extractResult(finalAnswer) {
+        const text = this.stripLatex(finalAnswer || '');
+        const candidates = [];
+
+        for (const match of text.matchAll(NUMBER_PATTERN)) {
+            const start = match.index + match[1].length;
+            candidates.push({
+                match,
+                start,
+                end: match.index + match[0].length,
+                marked: RESULT_MARKER.test(text.slice(Math.max(0, start - 20), start)),
+            });
+        }
+        if (candidates.length === 0) return null;
+
+        const marked = candidates.filter((candidate) => candidate.marked);
+        const chosen = marked.length > 0 ? marked[marked.length - 1] : candidates[0];
+        const [, , mantissa, eExponent, tenExponent] = chosen.match;
+
+        const exponent = Number((eExponent || tenExponent || '0').replace('−', '-'));
+        const digits = mantissa.replace(/,/g, '').replace('−', '-');
+        const value = Number(digits) * 10 ** exponent;
+        if (!Number.isFinite(value)) return null;
+
+        // Half a unit in the last digit given (trailing zeros of whole numbers count as significant)
+        const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+        const precision = 0.5 * 10 ** (exponent - decimals);
+
+        const unit = this.readUnit(text.slice(chosen.end));
+        const unitStart = chosen.end + (text[chosen.end] === ' ' ? 1 : 0);
+
+        return {
+            text: text.slice(chosen.start, unit ? unitStart + unit.length : chosen.end).trim(),
+            value,
+            unit,
+            scale: unit ? parseUnit(unit) : null,
+            precision,
+        };
+    }
+
+    /**
+     * Longest unit at the start of some text ("m/s above the ground" -> "m/s")
+     * @param {string} text - Text following a number
+     * @returns {string} - Unit, or '' if none
+     */
+    readUnit(text) {
+        const clause = text.split(/[,;:()]|\.(?:\s|$)|\s(?:and|or|for|when|at|to|which|so)\s/)[0];
+        // The unit follows the number directly or after one space
+        if (!/^ ?\S/.test(clause)) return '';
+
+        const words = clause.trim().split(/\s+/).slice(0, 4);
+        for (let count = words.length; count > 0; count--) {
+            const candidate = words.slice(0, count).join(' ').replace(/\.$/, '');
+            if (candidate && this.tryParseUnit(candidate)) return candidate;
+        }
+        return '';
+    }
+
+    /**
+     * Parse a unit, or null if it is not a known unit
+     * @param {string} unit - Unit string
+     * @returns {Object|null} - Unit scale quantity
+     */
+    tryParseUnit(unit) {
+        if (typeof unit !== 'string' || !unit.trim()) return null;
+        try {
+            return parseUnit(unit);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Turn common LaTeX in answers into plain text ("$5 \times 10^{3}\,\text{J}$" -> "5 × 10^3 J")
+     * @param {string} text - Answer text
+     * @returns {string}
+     */
+    stripLatex(text) {
+        return text
+            .replace(/\\(?:text|mathrm|mathit|operatorname)\{([^}]*)\}/g, ' $1')
+            .replace(/\\times/g, '×')
+            .replace(/\\cdot/g, '·')
+            .replace(/\\approx/g, '≈')
+            .replace(/\\Omega/g, 'Ω')
+            .replace(/\\mu\s*/g, 'µ')
+            .replace(/\^\s*\{?\\circ\}?/g, '°')
+            .replace(/\\%/g, '%')
+            .replace(/\^\{([^}]*)\}/g, '^($1)')
+            .replace(/\\[,;!:]|~/g, ' ')
+            .replace(/[$\\]/g, '')
+            .replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Ask the LLM to set the problem up for the calculator, without the answer being checked
+     * @param {string} problem - Problem text
+     * @returns {Promise<Object>} - { inputs: [{ name, value, unit }], expression, unit }
+     */
+    async deriveIndependently(problem) {
+        const prompt = `Set up the following problem for a calculator. Work out the method yourself, but do NOT compute the final number - the calculator does the arithmetic.
+
+**Problem:** ${problem}
+
+Return ONLY a JSON object:
+{
+  "inputs": [{ "name": "h", "value": 20, "unit": "m" }, { "name": "g", "value": 9.8, "unit": "m/s^2" }],
+  "expression": "sqrt(2 * g * h)",
+  "unit": "m/s"
+}
+
+Rules:
+- inputs: every given value and physical constant the calculation needs, with its unit ("" for pure numbers, "deg" for angles in degrees)
+- expression: formula for the final requested quantity using only the input names, numbers, + - * / ^, parentheses, pi, sqrt, exp, ln, log (base 10) and sin/cos/tan
+- unit: the unit the final quantity should be given in
+- If the problem asks for several quantities, set up the last one`;
+
+        const derivation = extractJson(await llmRouter.askRaw(prompt));
+        if (typeof derivation.expression !== 'string' || !derivation.expression.trim()) {
+            throw new Error('No expression in the derivation');
+        }
+        return derivation;
+    }
+
+    /**
+     * Evaluate a derivation with the quantity calculator
+     * @param {Object} derivation - { inputs, expression }
+     * @returns {Object} - Result quantity in SI
+     * @throws {Error} - Bad inputs, unknown units or dimensionally inconsistent formulas
+     */
+    evaluateDerivation(derivation) {
+        const variables = {};
+
+        for (const input of derivation.inputs || []) {
+            const value = Number(input?.value);
+            if (typeof input?.name !== 'string' || !/^[A-Za-z_]\w*$/.test(input.name) || !Number.isFinite(value)) {
+                throw new Error(`Invalid input ${JSON.stringify(input)}`);
+            }
+            variables[input.name] = toQuantity(value, input.unit || '');
+        }
+
+        return evaluateExpression(derivation.expression, variables);
+    }
+
+    /**
+     * Round a number for messages
+     * @param {number} value - Number
+     * @returns {string}
+     */
+    formatNumber(value) {
+        return Number(value.toPrecision(4)).toString();
+    }
+}
+
+export default new VerificationService();
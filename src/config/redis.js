@@ -0,0 +1,20 @@
+import IORedis from 'ioredis';
+
+/**
+ * Create a Redis connection for BullMQ
+ * BullMQ requires maxRetriesPerRequest to be null for blocking worker connections
+ * @returns {IORedis} Redis connection
+ */
+const createRedisConnection = () => {
+    const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+        maxRetriesPerRequest: null,
+    });
+
+    connection.on('error', (error) => {
+        console.error(`❌ Redis Connection Error: ${error.message}`);
+    });
+
+    return connection;
+};
+
+export default createRedisConnection;
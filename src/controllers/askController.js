@@ -1,31 +1,157 @@
+import { v4 as uuidv4 } from 'uuid';
 import askService from '../ai/services/askService.js';
+import { buildScopeFilter } from '../ai/rag/retrievalScopes.js';
+import { ANSWER_TONES, ANSWER_DIFFICULTIES, ANSWER_LENGTHS } from '../utils/answerStyles.js';
+import { createHttpError } from '../utils/httpError.js';
+import { DOUBT_MODES } from '../models/Doubt.js';
 
 /**
  * Ask Controller
  * Handles HTTP requests for doubt-solving
  */
 
+/**
+ * Validate question text
+ * @param {string} questionText - Question from the request
+ * @returns {string|null} - Validation error message, or null if valid
+ */
+const validateQuestionText = (questionText) => {
+    if (!questionText || typeof questionText !== 'string' || questionText.trim().length === 0) {
+        return 'Question text is required';
+    }
+
+    if (questionText.length > 1000) {
+        return 'Question is too long (max 1000 characters)';
+    }
+
+    return null;
+};
+
+/**
+ * Resolve the answer style for a request: request values override the user's saved preferences
+ * @param {Object} source - Request body or query ({ tone, difficulty, answerLength })
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - { tone, difficulty, answerLength }
+ * @throws {Error} - 400 for unknown values
+ */
+const resolveAnswerStyle = (source, user) => {
+    const { tone, difficulty, answerLength } = source;
+
+    if (tone && !ANSWER_TONES.includes(tone)) {
+        throw createHttpError(400, `Tone must be one of: ${ANSWER_TONES.join(', ')}`);
+    }
+
+    if (difficulty && !ANSWER_DIFFICULTIES.includes(difficulty)) {
+        throw createHttpError(400, `Difficulty must be one of: ${ANSWER_DIFFICULTIES.join(', ')}`);
+    }
+
+    if (answerLength && !ANSWER_LENGTHS.includes(answerLength)) {
+        throw createHttpError(400, `Answer length must be one of: ${ANSWER_LENGTHS.join(', ')}`);
+    }
+
+    const preferences = user.preferences || {};
+    return {
+        tone: tone || preferences.tone,
+        difficulty: difficulty || preferences.difficulty || undefined,
+        answerLength: answerLength || preferences.answerLength,
+    };
+};
+
+/**
+ * Run an ask in the background, streaming it to the user's Socket.IO room
+ * Emits answer:delta { requestId, delta }, then answer:done { requestId, data } and doubt:new,
+ * or answer:error { requestId, message }
+ * @param {Object} req - Express request (authenticated)
+ * @param {string} label - Name used in error logs
+ * @param {Function} ask - Called with onDelta, resolves to the saved answer
+ * @returns {string} - Request ID the client matches events against
+ */
+const startSocketStream = (req, label, ask) => {
+    const requestId = uuidv4();
+    const io = req.app.get('io');
+    const room = req.user._id.toString();
+
+    ask((delta) => io?.to(room).emit('answer:delta', { requestId, delta }))
+        .then((result) => {
+            io?.to(room).emit('answer:done', { requestId, data: result });
+            io?.to(room).emit('doubt:new', result);
+        })
+        .catch((error) => {
+            console.error(`Error in streamed ${label}:`, error);
+            io?.to(room).emit('answer:error', {
+                requestId,
+                message: error.statusCode ? error.message : 'Failed to process question',
+            });
+        });
+
+    return requestId;
+};
+
 /**
  * Ask a text-based question
  * POST /api/ask/text
+ * With `stream: true` the request returns 202 + requestId immediately and the answer is
+ * delivered to the user's Socket.IO room as answer:delta events, then answer:done
+ * With `mode: 'hint'` the solution is withheld; see POST /api/ask/:id/hints/next
+ * With `checkDuplicates: true` a near-identical earlier question is returned as { duplicate: true, suggestions }
+ * instead of a new answer (opt-in, so existing clients always get an answer)
  */
 export const askTextQuestion = async (req, res) => {
     try {
-        const { questionText, subject, tags } = req.body;
+        const { questionText, subject, tags, scope, documentId, classId, stream, mode = 'answer', checkDuplicates } = req.body;
         const userId = req.user._id;
 
         // Validation
-        if (!questionText || questionText.trim().length === 0) {
+        const validationError = validateQuestionText(questionText);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Question text is required',
+                message: validationError,
             });
         }
 
-        if (questionText.length > 1000) {
+        if (!DOUBT_MODES.includes(mode)) {
             return res.status(400).json({
                 success: false,
-                message: 'Question is too long (max 1000 characters)',
+                message: `Mode must be one of: ${DOUBT_MODES.join(', ')}`,
+            });
+        }
+
+        const streaming = stream === true || stream === 'true';
+        if (streaming && mode === 'hint') {
+            // Streamed tokens would give the solution away
+            return res.status(400).json({
+                success: false,
+                message: 'Hint mode cannot be streamed',
+            });
+        }
+
+        // Restrict retrieval to the knowledge this user may see
+        const filter = buildScopeFilter(scope, req.user, { documentId, classId });
+        const style = resolveAnswerStyle(req.body, req.user);
+
+        // Repeated question: point to the earlier answer instead of calling the LLM again
+        if (checkDuplicates === true || checkDuplicates === 'true') {
+            const suggestions = await askService.findDuplicateDoubts(questionText, userId);
+            if (suggestions.length > 0) {
+                return res.status(200).json({
+                    success: true,
+                    duplicate: true,
+                    message: 'You asked this before. Send the question without checkDuplicates to ask again.',
+                    data: { suggestions },
+                });
+            }
+        }
+
+        // Streaming mode: answer tokens go to the user's socket room
+        if (streaming) {
+            const requestId = startSocketStream(req, 'askTextQuestion', (onDelta) =>
+                askService.askTextQuestion(questionText, userId, { subject, tags, filter, style, onDelta })
+            );
+
+            return res.status(202).json({
+                success: true,
+                data: { requestId, status: 'streaming' },
             });
         }
 
@@ -33,6 +159,9 @@ export const askTextQuestion = async (req, res) => {
         const result = await askService.askTextQuestion(questionText, userId, {
             subject,
             tags,
+            filter,
+            style,
+            mode,
         });
 
         // Emit Socket.IO event (if io is available)
@@ -46,22 +175,100 @@ export const askTextQuestion = async (req, res) => {
         });
     } catch (error) {
         console.error('Error in askTextQuestion:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to process question',
+            message: error.statusCode ? error.message : 'Failed to process question',
             error: error.message,
         });
     }
 }
 
+/**
+ * Stream an answer to a text question as Server-Sent Events
+ * GET /api/ask/stream?questionText=...&subject=...&tags=a,b&scope=...&checkDuplicates=true
+ * Events: answer:delta { delta }, answer:done { data }, answer:error { message },
+ * answer:duplicate { suggestions } (earlier near-identical question, only with checkDuplicates=true)
+ * Deltas are the raw model output (JSON text); answer:done carries the parsed, saved doubt
+ */
+export const streamTextQuestion = async (req, res) => {
+    const { questionText, subject, scope, documentId, classId } = req.query;
+    const userId = req.user._id;
+
+    const validationError = validateQuestionText(questionText);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError,
+        });
+    }
+
+    let filter;
+    let style;
+    try {
+        filter = buildScopeFilter(scope ? String(scope).split(',') : null, req.user, { documentId, classId });
+        style = resolveAnswerStyle(req.query, req.user);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message,
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        if (req.query.checkDuplicates === 'true') {
+            const suggestions = await askService.findDuplicateDoubts(questionText, userId);
+            if (suggestions.length > 0) {
+                send('answer:duplicate', { suggestions });
+                return;
+            }
+        }
+
+        const result = await askService.askTextQuestion(questionText, userId, {
+            subject,
+            tags: req.query.tags ? String(req.query.tags).split(',').map((tag) => tag.trim()).filter(Boolean) : [],
+            filter,
+            style,
+            onDelta: (delta) => send('answer:delta', { delta }),
+        });
+
+        if (req.app.get('io')) {
+            req.app.get('io').to(userId.toString()).emit('doubt:new', result);
+        }
+
+        send('answer:done', { data: result });
+    } catch (error) {
+        console.error('Error in streamTextQuestion:', error);
+        send('answer:error', { message: 'Failed to process question' });
+    } finally {
+        res.end();
+    }
+};
 
 /**
  * Ask an image-based question
- * POST /api/ask/image
+ * POST /api/media/ask/image
  */
 export const askImageQuestion = async (req, res) => {
     try {
-        const { frameId, questionText } = req.body;
+        const { frameId, questionText, subject, tags, scope, documentId, classId } = req.body;
         const userId = req.user._id;
 
         // Validation
@@ -79,8 +286,23 @@ export const askImageQuestion = async (req, res) => {
             });
         }
 
+        if (questionText.length > 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Question is too long (max 1000 characters)',
+            });
+        }
+
+        const filter = buildScopeFilter(scope, req.user, { documentId, classId });
+        const style = resolveAnswerStyle(req.body, req.user);
+
         // Process question
-        const result = await askService.askImageQuestion(frameId, questionText, userId);
+        const result = await askService.askImageQuestion(frameId, questionText, userId, {
+            subject,
+            tags,
+            filter,
+            style,
+        });
 
         // Emit Socket.IO event
         if (req.app.get('io')) {
@@ -93,9 +315,218 @@ export const askImageQuestion = async (req, res) => {
         });
     } catch (error) {
         console.error('Error in askImageQuestion:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to process image question',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Ask a follow-up question in a doubt's conversation
+ * POST /api/ask/:id/follow-up
+ * Supports `stream: true` like POST /api/ask/text
+ */
+export const askFollowUp = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { questionText, scope, documentId, classId, stream } = req.body;
+        const userId = req.user._id;
+
+        const validationError = validateQuestionText(questionText);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError,
+            });
+        }
+
+        const filter = buildScopeFilter(scope, req.user, { documentId, classId });
+        const style = resolveAnswerStyle(req.body, req.user);
+
+        if (stream === true || stream === 'true') {
+            const requestId = startSocketStream(req, 'askFollowUp', (onDelta) =>
+                askService.askFollowUp(id, questionText, userId, { filter, style, onDelta })
+            );
+
+            return res.status(202).json({
+                success: true,
+                data: { requestId, status: 'streaming' },
+            });
+        }
+
+        const result = await askService.askFollowUp(id, questionText, userId, { filter, style });
+
+        if (req.app.get('io')) {
+            req.app.get('io').to(userId.toString()).emit('doubt:new', result);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error in askFollowUp:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to process follow-up question',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Regenerate the answer to a doubt
+ * POST /api/ask/:id/regenerate
+ * Body: { tone?, difficulty?, answerLength? } - earlier answers are kept as versions
+ */
+export const regenerateAnswer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const doubt = await askService.regenerateAnswer(id, userId, resolveAnswerStyle(req.body, req.user));
+
+        res.status(200).json({
+            success: true,
+            data: doubt,
+        });
+    } catch (error) {
+        console.error('Error in regenerateAnswer:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to regenerate answer',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Get every answer version of a doubt
+ * GET /api/ask/:id/versions
+ */
+export const getAnswerVersions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const result = await askService.getAnswerVersions(id, userId);
+
+        res.status(200).json({
+            success: true,
+            count: result.versions.length,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error in getAnswerVersions:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch answer versions',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Mark an answer version as preferred
+ * POST /api/ask/:id/versions/:version/prefer
+ */
+export const setPreferredVersion = async (req, res) => {
+    try {
+        const { id, version } = req.params;
+        const userId = req.user._id;
+
+        const doubt = await askService.setPreferredVersion(id, userId, Number(version));
+
+        res.status(200).json({
+            success: true,
+            data: doubt,
+        });
+    } catch (error) {
+        console.error('Error in setPreferredVersion:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update preferred version',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Reveal the next hint of a hint-mode doubt (the solution once hints run out)
+ * POST /api/ask/:id/hints/next
+ */
+export const revealNextHint = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const doubt = await askService.revealNextHint(id, userId);
+
+        res.status(200).json({
+            success: true,
+            data: doubt,
+        });
+    } catch (error) {
+        console.error('Error in revealNextHint:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reveal hint',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Mark a hint-mode doubt as solved (awards the hint bonus when the answer matches)
+ * POST /api/ask/:id/hints/solved
+ * Body: { answer }
+ */
+export const markHintSolved = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+        const { answer } = req.body;
+
+        const doubt = await askService.markHintSolved(id, userId, answer);
+
+        res.status(200).json({
+            success: true,
+            data: doubt,
+        });
+    } catch (error) {
+        console.error('Error in markHintSolved:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to mark doubt as solved',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Get doubts related to a doubt
+ * GET /api/ask/:id/similar?limit=5
+ */
+export const getSimilarDoubts = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+        const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+        const similar = await askService.getSimilarDoubts(id, userId, limit);
+
+        res.status(200).json({
+            success: true,
+            count: similar.length,
+            data: similar,
+        });
+    } catch (error) {
+        console.error('Error in getSimilarDoubts:', error);
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to process image question',
+            message: error.statusCode ? error.message : 'Failed to fetch similar doubts',
             error: error.message,
         });
     }
@@ -122,7 +553,7 @@ export const getMyDoubts = async (req, res) => {
         res.status(200).json({
             success: true,
             count: doubts.length,
-            data: doubts,
+            data: doubts.map((doubt) => askService.hideUnrevealed(doubt.toObject())),
         });
     } catch (error) {
         console.error('Error in getMyDoubts:', error);
@@ -135,7 +566,68 @@ export const getMyDoubts = async (req, res) => {
 };
 
 /**
- * Get a single doubt by ID
+ * Search doubt history
+ * GET /api/ask/search?q=...&subject=&topic=&difficulty=&questionType=&minRating=&from=&to=&minConfidence=&maxConfidence=&bookmarked=&limit=&skip=
+ * Returns ranked results with highlighted snippets and facet counts
+ */
+export const searchDoubts = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { q, subject, topic, difficulty, questionType, bookmarked } = req.query;
+
+        const parseDate = (value) => {
+            if (!value) return undefined;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw createHttpError(400, `Invalid date: ${value}`);
+            }
+            return date;
+        };
+
+        const parseNumber = (value) => {
+            if (value === undefined || value === '') return undefined;
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                throw createHttpError(400, `Invalid number: ${value}`);
+            }
+            return number;
+        };
+
+        const result = await askService.searchDoubts(userId, {
+            q: q ? String(q).trim().substring(0, 200) : undefined,
+            subject,
+            topic,
+            difficulty,
+            questionType,
+            bookmarked: bookmarked === 'true' ? true : bookmarked === 'false' ? false : null,
+            minRating: parseNumber(req.query.minRating),
+            from: parseDate(req.query.from),
+            to: parseDate(req.query.to),
+            minConfidence: parseNumber(req.query.minConfidence),
+            maxConfidence: parseNumber(req.query.maxConfidence),
+            limit: Math.min(parseInt(req.query.limit) || 20, 50),
+            skip: parseInt(req.query.skip) || 0,
+        });
+
+        res.status(200).json({
+            success: true,
+            total: result.total,
+            count: result.results.length,
+            data: result.results,
+            facets: result.facets,
+        });
+    } catch (error) {
+        console.error('Error in searchDoubts:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to search doubts',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Get a single doubt by ID, with every turn of its conversation
  * GET /api/doubts/:id
  */
 export const getDoubtById = async (req, res) => {
@@ -144,10 +636,14 @@ export const getDoubtById = async (req, res) => {
         const userId = req.user._id;
 
         const doubt = await askService.getDoubtById(id, userId);
+        const thread = await askService.getThread(id, userId);
 
         res.status(200).json({
             success: true,
-            data: doubt,
+            data: {
+                ...askService.hideUnrevealed(doubt.toObject()),
+                thread,
+            },
         });
     } catch (error) {
         console.error('Error in getDoubtById:', error);
@@ -187,6 +683,36 @@ export const toggleBookmark = async (req, res) => {
     }
 };
 
+/**
+ * Edit a doubt's tags
+ * PUT /api/ask/:id/tags
+ * Body: { tags } to replace all tags, or { add, remove }
+ */
+export const updateTags = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tags, add, remove } = req.body;
+        const userId = req.user._id;
+
+        const doubt = await askService.updateTags(id, userId, { tags, add, remove });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                doubtId: doubt._id,
+                tags: doubt.tags,
+            },
+        });
+    } catch (error) {
+        console.error('Error in updateTags:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update tags',
+            error: error.message,
+        });
+    }
+};
+
 /**
  * Rate a doubt answer
  * POST /api/doubts/:id/rate
@@ -248,37 +774,6 @@ export const getUserStats = async (req, res) => {
     }
 };
 
-/**
- * Generate study material
- * POST /api/ask/study
- */
-export const generateStudyMaterial = async (req, res) => {
-    try {
-        const { topic, type } = req.body;
-
-        if (!topic || !type) {
-            return res.status(400).json({
-                success: false,
-                message: 'Topic and type are required'
-            });
-        }
-
-        const content = await askService.generateStudyMaterial(topic, type);
-
-        res.status(200).json({
-            success: true,
-            data: content
-        });
-    } catch (error) {
-        console.error('Error generating study material:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to generate study material',
-            error: error.message
-        });
-    }
-};
-
 /**
  * Delete a doubt
  * DELETE /api/ask/:id
@@ -329,10 +824,57 @@ export const generateDiagram = async (req, res) => {
         });
     } catch (error) {
         console.error('Error generating diagram:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to generate diagram',
+            message: error.statusCode ? error.message : 'Failed to generate diagram',
             error: error.message
         });
     }
 };
+
+/**
+ * Run a doubt's code in the sandbox
+ * POST /api/ask/:id/run
+ * Body: { fix } - ask the LLM to fix the code if it fails
+ */
+export const runCode = async (req, res) => {
+    try {
+        const result = await askService.runCode(req.params.id, req.user._id, {
+            fix: req.body?.fix === true,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error running code:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to run code',
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Re-check a doubt's numerical result
+ * POST /api/ask/:id/verify
+ */
+export const verifyDoubt = async (req, res) => {
+    try {
+        const result = await askService.verifyDoubt(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error verifying doubt:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to verify answer',
+            error: error.message,
+        });
+    }
+};
@@ -105,6 +105,7 @@ export const getCurrentUser = async (req, res) => {
                 streak: user.streak,
                 points: user.points,
                 badges: user.badges,
+                preferences: user.preferences,
             },
         });
     } catch (error) {
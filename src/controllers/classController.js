@@ -0,0 +1,112 @@
+import classService from '../services/classService.js';
+
+/**
+ * Class Controller
+ * Creating, joining and leaving classes
+ */
+
+/**
+ * Send a service error (4xx errors carry their own message)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+    });
+};
+
+/**
+ * List the user's classes
+ * GET /api/classes
+ */
+export const getClasses = async (req, res) => {
+    try {
+        const classes = await classService.listClasses(req.user);
+
+        res.status(200).json({
+            success: true,
+            data: classes,
+        });
+    } catch (error) {
+        console.error('Error in getClasses:', error);
+        sendError(res, error, 'Failed to fetch classes');
+    }
+};
+
+/**
+ * Create a class (the creator joins it and gets the join code)
+ * POST /api/classes
+ * Body: { name }
+ */
+export const createClass = async (req, res) => {
+    try {
+        const classroom = await classService.createClass(req.user, req.body.name);
+
+        res.status(201).json({
+            success: true,
+            data: classroom,
+        });
+    } catch (error) {
+        console.error('Error in createClass:', error);
+        sendError(res, error, 'Failed to create class');
+    }
+};
+
+/**
+ * Join a class with its code
+ * POST /api/classes/join
+ * Body: { joinCode }
+ */
+export const joinClass = async (req, res) => {
+    try {
+        const classroom = await classService.joinClass(req.user, req.body.joinCode);
+
+        res.status(200).json({
+            success: true,
+            data: classroom,
+        });
+    } catch (error) {
+        console.error('Error in joinClass:', error);
+        sendError(res, error, 'Failed to join class');
+    }
+};
+
+/**
+ * Leave a class
+ * DELETE /api/classes/:id/membership
+ */
+export const leaveClass = async (req, res) => {
+    try {
+        await classService.leaveClass(req.user, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Left the class',
+        });
+    } catch (error) {
+        console.error('Error in leaveClass:', error);
+        sendError(res, error, 'Failed to leave class');
+    }
+};
+
+/**
+ * Replace a class's join code (owner only)
+ * POST /api/classes/:id/join-code
+ */
+export const rotateJoinCode = async (req, res) => {
+    try {
+        const classroom = await classService.rotateJoinCode(req.user, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: classroom,
+        });
+    } catch (error) {
+        console.error('Error in rotateJoinCode:', error);
+        sendError(res, error, 'Failed to change join code');
+    }
+};
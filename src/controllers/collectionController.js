@@ -0,0 +1,217 @@
+import collectionService from '../services/collectionService.js';
+
+/**
+ * Collection Controller
+ * User-defined collections of doubts and frames
+ */
+
+/**
+ * Send a service error (4xx errors carry their own message)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+    });
+};
+
+/**
+ * List collections
+ * GET /api/collections
+ */
+export const getCollections = async (req, res) => {
+    try {
+        const collections = await collectionService.listCollections(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: collections,
+        });
+    } catch (error) {
+        console.error('Error in getCollections:', error);
+        sendError(res, error, 'Failed to fetch collections');
+    }
+};
+
+/**
+ * Create a collection
+ * POST /api/collections
+ */
+export const createCollection = async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const collection = await collectionService.createCollection(req.user._id, { name, description });
+
+        res.status(201).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in createCollection:', error);
+        sendError(res, error, 'Failed to create collection');
+    }
+};
+
+/**
+ * Get a collection with its doubts and frames
+ * GET /api/collections/:id
+ */
+export const getCollectionById = async (req, res) => {
+    try {
+        const collection = await collectionService.getCollection(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in getCollectionById:', error);
+        sendError(res, error, 'Failed to fetch collection');
+    }
+};
+
+/**
+ * Rename a collection or change its description
+ * PATCH /api/collections/:id
+ */
+export const updateCollection = async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const collection = await collectionService.updateCollection(req.params.id, req.user._id, { name, description });
+
+        res.status(200).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in updateCollection:', error);
+        sendError(res, error, 'Failed to update collection');
+    }
+};
+
+/**
+ * Delete a collection (its doubts and frames are kept)
+ * DELETE /api/collections/:id
+ */
+export const deleteCollection = async (req, res) => {
+    try {
+        await collectionService.deleteCollection(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Collection deleted successfully',
+        });
+    } catch (error) {
+        console.error('Error in deleteCollection:', error);
+        sendError(res, error, 'Failed to delete collection');
+    }
+};
+
+/**
+ * Add a doubt or frame to a collection
+ * POST /api/collections/:id/items
+ * Body: { itemType: 'doubt'|'frame', itemId, note }
+ */
+export const addCollectionItem = async (req, res) => {
+    try {
+        const { itemType, itemId, note } = req.body;
+        const collection = await collectionService.addItem(req.params.id, req.user._id, { itemType, itemId, note });
+
+        res.status(201).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in addCollectionItem:', error);
+        sendError(res, error, 'Failed to add item to collection');
+    }
+};
+
+/**
+ * Edit the note on a collection item
+ * PATCH /api/collections/:id/items/:itemId
+ */
+export const updateCollectionItem = async (req, res) => {
+    try {
+        const { id, itemId } = req.params;
+        const collection = await collectionService.updateItemNote(id, req.user._id, itemId, req.body.note);
+
+        res.status(200).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in updateCollectionItem:', error);
+        sendError(res, error, 'Failed to update collection item');
+    }
+};
+
+/**
+ * Remove an item from a collection
+ * DELETE /api/collections/:id/items/:itemId
+ */
+export const removeCollectionItem = async (req, res) => {
+    try {
+        const { id, itemId } = req.params;
+        const collection = await collectionService.removeItem(id, req.user._id, itemId);
+
+        res.status(200).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in removeCollectionItem:', error);
+        sendError(res, error, 'Failed to remove item from collection');
+    }
+};
+
+/**
+ * Reorder a collection's items
+ * PUT /api/collections/:id/items/order
+ * Body: { itemIds: [...] } (every item, in the new order)
+ */
+export const reorderCollectionItems = async (req, res) => {
+    try {
+        const collection = await collectionService.reorderItems(req.params.id, req.user._id, req.body.itemIds);
+
+        res.status(200).json({
+            success: true,
+            data: collection,
+        });
+    } catch (error) {
+        console.error('Error in reorderCollectionItems:', error);
+        sendError(res, error, 'Failed to reorder collection');
+    }
+};
+
+/**
+ * Move, tag or delete many doubts and frames at once
+ * POST /api/collections/bulk
+ * Body: { action: 'move'|'tag'|'delete', items: [{ itemType, itemId }], collectionId, targetCollectionId, tags, add, remove }
+ */
+export const bulkCollectionAction = async (req, res) => {
+    try {
+        const { action, items, collectionId, targetCollectionId, tags, add, remove } = req.body;
+        const result = await collectionService.bulkAction(req.user._id, {
+            action,
+            items,
+            collectionId,
+            targetCollectionId,
+            tags,
+            add,
+            remove,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error('Error in bulkCollectionAction:', error);
+        sendError(res, error, 'Failed to apply bulk action');
+    }
+};
@@ -0,0 +1,176 @@
+import exportService from '../services/exportService.js';
+
+/**
+ * Export Controller
+ * Markdown, PDF and Anki exports of doubts and collections
+ */
+
+/**
+ * Send a service error (4xx errors carry their own message)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+    });
+};
+
+/**
+ * Content-Disposition for a download: an ASCII filename for old clients plus the UTF-8 filename* (RFC 6266)
+ * @param {string} fileName - File name
+ * @returns {string} - Header value
+ */
+const toContentDisposition = (fileName) => {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Send a rendered file as a download
+ * @param {Object} res - Express response
+ * @param {Object} file - { fileName, mimeType } with data (Buffer) or stream and size
+ */
+const sendFile = (res, file) => {
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', toContentDisposition(file.fileName));
+
+    if (!file.stream) {
+        res.status(200).send(file.data);
+        return;
+    }
+
+    res.status(200);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    file.stream
+        .on('error', (error) => {
+            console.error('Error streaming export file:', error);
+            if (!res.headersSent) {
+                res.removeHeader('Content-Disposition');
+                res.removeHeader('Content-Length');
+                sendError(res, error, 'Failed to download export');
+            } else {
+                res.destroy(error);
+            }
+        })
+        .pipe(res);
+};
+
+/**
+ * Summarize an export for API responses
+ * @param {Object} exportDoc - Export document
+ * @returns {Object} - Export summary
+ */
+const toExportSummary = (exportDoc) => ({
+    exportId: exportDoc._id,
+    format: exportDoc.format,
+    title: exportDoc.title,
+    status: exportDoc.status,
+    jobId: exportDoc.jobId,
+    fileName: exportDoc.fileName,
+    size: exportDoc.size,
+    error: exportDoc.error,
+    expiresAt: exportDoc.expiresAt,
+    downloadUrl: exportDoc.status === 'completed' ? `/api/exports/${exportDoc._id}/download` : null,
+});
+
+/**
+ * Start an export
+ * POST /api/exports
+ * Body: { format: 'markdown'|'pdf'|'anki', doubtIds | collectionId, title, includeFlashcards, background }
+ * Large exports (or background: true) run as a job and answer 202; listen for export:completed
+ */
+export const createExport = async (req, res) => {
+    try {
+        const { format, doubtIds, collectionId, title, includeFlashcards, background } = req.body;
+
+        const { exportDoc, background: queued } = await exportService.createExport(req.user._id, {
+            format,
+            doubtIds,
+            collectionId,
+            title,
+            includeFlashcards: includeFlashcards === true || includeFlashcards === 'true',
+            background: background === true || background === 'true',
+        });
+
+        res.status(queued ? 202 : 201).json({
+            success: true,
+            data: toExportSummary(exportDoc),
+        });
+    } catch (error) {
+        console.error('Error in createExport:', error);
+        sendError(res, error, 'Failed to export doubts');
+    }
+};
+
+/**
+ * List exports
+ * GET /api/exports
+ */
+export const getExports = async (req, res) => {
+    try {
+        const exports = await exportService.listExports(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: exports.map(toExportSummary),
+        });
+    } catch (error) {
+        console.error('Error in getExports:', error);
+        sendError(res, error, 'Failed to fetch exports');
+    }
+};
+
+/**
+ * Get export status
+ * GET /api/exports/:id
+ */
+export const getExportById = async (req, res) => {
+    try {
+        const exportDoc = await exportService.getExport(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: toExportSummary(exportDoc),
+        });
+    } catch (error) {
+        console.error('Error in getExportById:', error);
+        sendError(res, error, 'Failed to fetch export');
+    }
+};
+
+/**
+ * Download a finished export
+ * GET /api/exports/:id/download
+ */
+export const downloadExport = async (req, res) => {
+    try {
+        const file = await exportService.getExportFile(req.params.id, req.user._id);
+        sendFile(res, file);
+    } catch (error) {
+        console.error('Error in downloadExport:', error);
+        sendError(res, error, 'Failed to download export');
+    }
+};
+
+/**
+ * Export a single doubt straight away (not stored)
+ * GET /api/exports/doubts/:id?format=markdown|pdf|anki
+ */
+export const exportDoubt = async (req, res) => {
+    try {
+        const { format = 'markdown' } = req.query;
+
+        const { doubtIds, title } = await exportService.resolveSelection(req.user._id, { doubtIds: [req.params.id] });
+        const file = await exportService.renderExport(req.user._id, { format, doubtIds, title });
+
+        sendFile(res, file);
+    } catch (error) {
+        console.error('Error in exportDoubt:', error);
+        sendError(res, error, 'Failed to export doubt');
+    }
+};
@@ -3,13 +3,61 @@ import cloudinaryService from '../services/cloudinaryService.js';
 import ocrService from '../services/ocrService.js';
 import cropService from '../services/cropService.js';
 import pdfService from '../services/pdfService.js';
-import visionService from '../services/visionService.js';
+import mediaProcessingService from '../services/mediaProcessingService.js';
+import { enqueueMediaJob, MEDIA_JOBS } from '../queues/mediaQueue.js';
+import { emitFrameQueued } from '../queues/mediaEvents.js';
 
 /**
  * Media Controller
- * Handles image/PDF uploads, cropping, and OCR processing
+ * Handles image/PDF uploads and cropping
+ * OCR and PDF ingestion run as background jobs (see src/workers/mediaWorker.js)
  */
 
+/**
+ * Enqueue processing for a frame, remember the job ID and notify the uploader
+ * @param {Object} req - Express request (for the Socket.IO instance)
+ * @param {string} jobName - One of MEDIA_JOBS
+ * @param {Object} frame - Frame document (status 'queued')
+ * @returns {Promise<string>} - Job ID
+ */
+const enqueueFrame = async (req, jobName, frame) => {
+    try {
+        const job = await enqueueMediaJob(jobName, {
+            frameId: frame._id.toString(),
+            userId: frame.createdBy.toString(),
+        });
+        frame.jobId = job.id;
+        await frame.save();
+        emitFrameQueued(req.app.get('io'), frame);
+        return job.id;
+    } catch (error) {
+        await Frame.findByIdAndUpdate(frame._id, {
+            status: 'failed',
+            processingError: `Could not queue processing: ${error.message}`,
+        });
+        throw error;
+    }
+};
+
+/**
+ * Resolve who can retrieve an upload's text
+ * Uploads are private unless shared with a class the uploader belongs to
+ * @param {Object} user - Authenticated user
+ * @param {string} classId - Requested class (optional)
+ * @returns {Object|null} - { visibility, classId }, or null if the user is not a member
+ */
+const resolveSharing = (user, classId) => {
+    if (!classId) {
+        return { visibility: 'private', classId: null };
+    }
+
+    if (!(user.classIds || []).includes(classId)) {
+        return null;
+    }
+
+    return { visibility: 'class', classId };
+};
+
 /**
  * Upload image
  * POST /api/media/upload-image
@@ -17,7 +65,7 @@ import visionService from '../services/visionService.js';
 export const uploadImage = async (req, res) => {
     console.log('📸 uploadImage controller called');
     try {
-        const { lectureId } = req.body;
+        const { lectureId, classId } = req.body;
         const userId = req.user._id;
 
         if (!req.file) {
@@ -27,6 +75,14 @@ export const uploadImage = async (req, res) => {
             });
         }
 
+        const sharing = resolveSharing(req.user, classId);
+        if (!sharing) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this class',
+            });
+        }
+
         // Upload to Cloudinary
         const uploadResult = await cloudinaryService.upload(req.file.buffer, {
             folder: 'ayursetu/images',
@@ -39,6 +95,7 @@ export const uploadImage = async (req, res) => {
             lectureId: lectureId || null,
             sourceType: 'image',
             sourceUrl: uploadResult.url,
+            ...sharing,
             status: 'queued',
             dimensions: {
                 width: uploadResult.width,
@@ -48,23 +105,16 @@ export const uploadImage = async (req, res) => {
             mimeType: req.file.mimetype,
         });
 
-        // Process OCR immediately and wait for completion
-        await processImageImmediately(frame._id, uploadResult.url);
-
-        // Fetch the updated frame with OCR data
-        const processedFrame = await Frame.findById(frame._id);
+        // Queue OCR - poll GET /api/media/frames/:id for the result
+        const jobId = await enqueueFrame(req, MEDIA_JOBS.PROCESS_IMAGE, frame);
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
             data: {
-                frameId: processedFrame._id,
+                frameId: frame._id,
                 previewUrl: uploadResult.url,
-                status: processedFrame.status,
-                ocrText: processedFrame.ocrText,
-                ocrRaw: processedFrame.ocrRaw,
-                ocrConfidence: processedFrame.ocrConfidence,
-                conceptTags: processedFrame.conceptTags,
-                difficulty: processedFrame.difficulty,
+                status: 'queued',
+                jobId,
             },
         });
     } catch (error) {
@@ -83,7 +133,7 @@ export const uploadImage = async (req, res) => {
  */
 export const uploadPdf = async (req, res) => {
     try {
-        const { lectureId } = req.body;
+        const { lectureId, classId } = req.body;
         const userId = req.user._id;
 
         if (!req.file) {
@@ -93,6 +143,14 @@ export const uploadPdf = async (req, res) => {
             });
         }
 
+        const sharing = resolveSharing(req.user, classId);
+        if (!sharing) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this class',
+            });
+        }
+
         // Upload PDF to Cloudinary
         const uploadResult = await cloudinaryService.upload(req.file.buffer, {
             folder: 'ayursetu/pdfs',
@@ -108,21 +166,23 @@ export const uploadPdf = async (req, res) => {
             lectureId: lectureId || null,
             sourceType: 'pdf_page', // Will be parent
             sourceUrl: uploadResult.url,
-            status: 'processing',
+            ...sharing,
+            status: 'queued',
             fileSize: uploadResult.bytes,
             mimeType: req.file.mimetype,
+            progress: { stage: 'pages', percent: 0, page: 0, totalPages: metadata.pageCount },
         });
 
-        // Process PDF immediately and wait for completion
-        const pageFrames = await processPdfImmediately(pdfFrame._id, req.file.buffer, userId, lectureId);
+        // Queue page extraction + OCR - poll GET /api/media/frames/:id/pages for the pages
+        const jobId = await enqueueFrame(req, MEDIA_JOBS.PROCESS_PDF, pdfFrame);
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
             data: {
                 pdfId: pdfFrame._id,
                 pageCount: metadata.pageCount,
-                frames: pageFrames,
-                status: 'completed',
+                status: 'queued',
+                jobId,
             },
         });
     } catch (error) {
@@ -192,6 +252,8 @@ export const extractCrop = async (req, res) => {
             cropUrl: uploadResult.url,
             pdfId: sourceFrame._id,
             cropCoordinates: { x, y, width, height, scale },
+            visibility: sourceFrame.visibility,
+            classId: sourceFrame.classId,
             status: 'queued',
             dimensions: {
                 width: uploadResult.width,
@@ -200,15 +262,16 @@ export const extractCrop = async (req, res) => {
             fileSize: uploadResult.bytes,
         });
 
-        // Process crop
-        processImageImmediately(cropFrame._id, uploadResult.url);
+        // Queue OCR for the crop
+        const jobId = await enqueueFrame(req, MEDIA_JOBS.PROCESS_IMAGE, cropFrame);
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
             data: {
                 cropFrameId: cropFrame._id,
                 cropUrl: uploadResult.url,
                 status: 'queued',
+                jobId,
             },
         });
     } catch (error) {
@@ -430,118 +493,6 @@ export const extractTextFromRegion = async (req, res) => {
     }
 };
 
-// Helper functions (in production, these would be worker jobs)
-
-async function processImageImmediately(frameId, imageUrl) {
-    try {
-        console.log(`🔄 Processing frame ${frameId}...`);
-
-        const frame = await Frame.findById(frameId);
-        if (!frame) return;
-
-        frame.status = 'processing';
-        await frame.save();
-
-        // Run OCR
-        const ocrResult = await ocrService.extractText(imageUrl);
-
-        // Extract concepts (optional)
-        let concepts = { conceptTags: [], difficulty: 'unknown' };
-        try {
-            concepts = await visionService.extractConcepts(imageUrl, ocrResult.text);
-        } catch (err) {
-            console.warn('Concept extraction failed:', err.message);
-        }
-
-        // Update frame
-        frame.ocrText = ocrResult.text;
-        frame.ocrRaw = ocrResult.raw;
-        frame.ocrConfidence = ocrResult.confidence;
-        frame.conceptTags = concepts.conceptTags;
-        frame.difficulty = concepts.difficulty;
-        frame.status = 'completed';
-        frame.processedAt = new Date();
-        await frame.save();
-
-        console.log(`✅ Frame ${frameId} processed successfully`);
-        return frame; // Return processed frame
-    } catch (error) {
-        console.error(`❌ Frame ${frameId} processing failed:`, error);
-        await Frame.findByIdAndUpdate(frameId, {
-            status: 'failed',
-            processingError: error.message,
-        });
-        return null;
-    }
-}
-
-async function processPdfImmediately(pdfFrameId, pdfBuffer, userId, lectureId) {
-    try {
-        console.log(`📄 Processing PDF ${pdfFrameId}...`);
-
-        // Convert PDF to images
-        const pages = await pdfService.convertToImages(pdfBuffer);
-
-        const pageFrames = [];
-
-        for (const page of pages) {
-            // Upload page image
-            const uploadResult = await cloudinaryService.upload(page.imageBuffer, {
-                folder: 'ayursetu/pdf-pages',
-                resourceType: 'image',
-            });
-
-            // Create page frame
-            const pageFrame = await Frame.create({
-                createdBy: userId,
-                lectureId,
-                sourceType: 'pdf_page',
-                sourceUrl: uploadResult.url,
-                pdfId: pdfFrameId,
-                pageNumber: page.pageNumber,
-                status: 'queued',
-                dimensions: {
-                    width: page.width,
-                    height: page.height,
-                },
-            });
-
-            // Process each page and wait for OCR
-            const processedFrame = await processImageImmediately(pageFrame._id, uploadResult.url);
-
-            if (processedFrame) {
-                pageFrames.push({
-                    ...processedFrame.toObject(),
-                    previewUrl: processedFrame.sourceUrl,
-                });
-            } else {
-                pageFrames.push({
-                    pageNumber: page.pageNumber,
-                    frameId: pageFrame._id,
-                    previewUrl: uploadResult.url,
-                    status: 'failed'
-                });
-            }
-        }
-
-        // Update parent PDF frame
-        await Frame.findByIdAndUpdate(pdfFrameId, {
-            status: 'completed',
-            processedAt: new Date(),
-        });
-
-        console.log(`✅ PDF ${pdfFrameId} processed: ${pages.length} pages`);
-        return pageFrames;
-
-    } catch (error) {
-        console.error(`❌ PDF ${pdfFrameId} processing failed:`, error);
-        await Frame.findByIdAndUpdate(pdfFrameId, {
-            status: 'failed',
-            processingError: error.message,
-        });
-        return [];
-    }
-}
 /**
  * Delete frame
  * DELETE /api/media/frames/:id
@@ -560,13 +511,7 @@ export const deleteFrame = async (req, res) => {
             });
         }
 
-        // If it's a PDF, delete all child pages
-        if (frame.sourceType === 'pdf_page' && !frame.parentPdfId) {
-            await Frame.deleteMany({ pdfId: id });
-        }
-
-        // Delete the frame itself
-        await Frame.findByIdAndDelete(id);
+        await mediaProcessingService.deleteFrame(frame);
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,103 @@
+import shareService from '../services/shareService.js';
+
+/**
+ * Share Controller
+ * Public, read-only share links for doubts
+ */
+
+/**
+ * Send a service error (4xx errors carry their own message)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+    });
+};
+
+/**
+ * Create a share link
+ * POST /api/share
+ * Body: { doubtId, expiresInHours } (omit expiresInHours for a link that never expires)
+ */
+export const createShareLink = async (req, res) => {
+    try {
+        const { doubtId, expiresInHours } = req.body;
+        const link = await shareService.createLink(doubtId, req.user._id, { expiresInHours });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                token: link.token,
+                doubtId: link.doubtId,
+                expiresAt: link.expiresAt,
+                url: `/api/share/${link.token}`,
+            },
+        });
+    } catch (error) {
+        console.error('Error in createShareLink:', error);
+        sendError(res, error, 'Failed to create share link');
+    }
+};
+
+/**
+ * List the user's share links
+ * GET /api/share?doubtId=
+ */
+export const getShareLinks = async (req, res) => {
+    try {
+        const links = await shareService.listLinks(req.user._id, { doubtId: req.query.doubtId });
+
+        res.status(200).json({
+            success: true,
+            data: links,
+        });
+    } catch (error) {
+        console.error('Error in getShareLinks:', error);
+        sendError(res, error, 'Failed to fetch share links');
+    }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /api/share/:token
+ */
+export const revokeShareLink = async (req, res) => {
+    try {
+        const link = await shareService.revokeLink(req.params.token, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Share link revoked',
+            data: {
+                token: link.token,
+                revokedAt: link.revokedAt,
+            },
+        });
+    } catch (error) {
+        console.error('Error in revokeShareLink:', error);
+        sendError(res, error, 'Failed to revoke share link');
+    }
+};
+
+/**
+ * View a shared doubt (no login needed)
+ * GET /api/share/:token
+ */
+export const getSharedDoubt = async (req, res) => {
+    try {
+        const shared = await shareService.viewSharedDoubt(req.params.token);
+
+        res.status(200).json({
+            success: true,
+            data: shared,
+        });
+    } catch (error) {
+        console.error('Error in getSharedDoubt:', error);
+        sendError(res, error, 'Failed to load shared doubt');
+    }
+};
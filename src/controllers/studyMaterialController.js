@@ -0,0 +1,119 @@
+import studyMaterialService from '../services/studyMaterialService.js';
+
+/**
+ * Study Material Controller
+ * Generated notes, flashcards, analogies and quizzes
+ */
+
+/**
+ * Send a service error (errors with a status code, e.g. 4xx, 502 and 503, carry their own message)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+    });
+};
+
+/**
+ * Generate and save study material
+ * POST /api/study-materials
+ * Body: { type, topic, doubtId } (topic is optional when doubtId is given)
+ */
+export const createStudyMaterial = async (req, res) => {
+    try {
+        const { type, topic, doubtId } = req.body;
+        const material = await studyMaterialService.generateMaterial(req.user._id, { type, topic, doubtId });
+
+        res.status(201).json({
+            success: true,
+            data: material,
+        });
+    } catch (error) {
+        console.error('Error in createStudyMaterial:', error);
+        sendError(res, error, 'Failed to generate study material');
+    }
+};
+
+/**
+ * Generate study material for older clients: same 200 { success, data: content text } response as before
+ * materials were saved (the material is saved too; materialId points to it)
+ * POST /api/ask/study
+ * Body: { type, topic }
+ */
+export const createLegacyStudyMaterial = async (req, res) => {
+    try {
+        const { type, topic, doubtId } = req.body;
+        const material = await studyMaterialService.generateMaterial(req.user._id, { type, topic, doubtId });
+
+        res.status(200).json({
+            success: true,
+            data: studyMaterialService.toLegacyContent(material),
+            materialId: material._id,
+        });
+    } catch (error) {
+        console.error('Error generating study material:', error);
+        sendError(res, error, 'Failed to generate study material');
+    }
+};
+
+/**
+ * List the user's study materials
+ * GET /api/study-materials?type=&doubtId=&topic=&limit=&skip=
+ */
+export const getStudyMaterials = async (req, res) => {
+    try {
+        const { type, doubtId, topic, limit, skip } = req.query;
+        const result = await studyMaterialService.listMaterials(req.user._id, { type, doubtId, topic, limit, skip });
+
+        res.status(200).json({
+            success: true,
+            total: result.total,
+            count: result.materials.length,
+            data: result.materials,
+        });
+    } catch (error) {
+        console.error('Error in getStudyMaterials:', error);
+        sendError(res, error, 'Failed to fetch study materials');
+    }
+};
+
+/**
+ * Get a study material
+ * GET /api/study-materials/:id
+ */
+export const getStudyMaterial = async (req, res) => {
+    try {
+        const material = await studyMaterialService.getMaterial(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: material,
+        });
+    } catch (error) {
+        console.error('Error in getStudyMaterial:', error);
+        sendError(res, error, 'Failed to fetch study material');
+    }
+};
+
+/**
+ * Delete a study material
+ * DELETE /api/study-materials/:id
+ */
+export const deleteStudyMaterial = async (req, res) => {
+    try {
+        await studyMaterialService.deleteMaterial(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Study material deleted',
+        });
+    } catch (error) {
+        console.error('Error in deleteStudyMaterial:', error);
+        sendError(res, error, 'Failed to delete study material');
+    }
+};
@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import { ANSWER_TONES, ANSWER_DIFFICULTIES, ANSWER_LENGTHS } from '../utils/answerStyles.js';
 
 /**
  * Get Global Leaderboard
@@ -52,3 +53,68 @@ export const getUserStats = async (req, res) => {
         });
     }
 };
+
+/**
+ * Get answer style preferences
+ */
+export const getPreferences = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user.preferences,
+    });
+};
+
+/**
+ * Update answer style preferences (tone, difficulty, answerLength)
+ * Send difficulty: null to let the model pick the level
+ */
+export const updatePreferences = async (req, res) => {
+    try {
+        const { tone, difficulty, answerLength } = req.body;
+        const update = {};
+
+        if (tone !== undefined) {
+            if (!ANSWER_TONES.includes(tone)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tone must be one of: ${ANSWER_TONES.join(', ')}`,
+                });
+            }
+            update['preferences.tone'] = tone;
+        }
+
+        if (difficulty !== undefined) {
+            if (difficulty !== null && !ANSWER_DIFFICULTIES.includes(difficulty)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Difficulty must be one of: ${ANSWER_DIFFICULTIES.join(', ')}`,
+                });
+            }
+            update['preferences.difficulty'] = difficulty;
+        }
+
+        if (answerLength !== undefined) {
+            if (!ANSWER_LENGTHS.includes(answerLength)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Answer length must be one of: ${ANSWER_LENGTHS.join(', ')}`,
+                });
+            }
+            update['preferences.answerLength'] = answerLength;
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+            .select('preferences');
+
+        res.status(200).json({
+            success: true,
+            data: user.preferences,
+        });
+    } catch (error) {
+        console.error('Error updating preferences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update preferences',
+        });
+    }
+};
@@ -0,0 +1,53 @@
+import { verifyToken } from '../utils/jwt.js';
+import User from '../models/User.js';
+
+/**
+ * Read a cookie value from a raw Cookie header
+ * @param {String} header - Cookie header
+ * @param {String} name - Cookie name
+ * @returns {String|null} Cookie value
+ */
+const getCookie = (header, name) => {
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+
+        if (part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Socket.IO middleware to verify the auth_token cookie on handshake
+ * Attaches the user to socket.data.user (same check as authenticateUser)
+ */
+export const authenticateSocket = async (socket, next) => {
+    try {
+        const token = getCookie(socket.handshake.headers.cookie, 'auth_token');
+
+        if (!token) {
+            return next(new Error('Authentication required'));
+        }
+
+        const decoded = verifyToken(token);
+        const user = await User.findById(decoded.userId).select('-__v');
+
+        if (!user) {
+            return next(new Error('User not found'));
+        }
+
+        socket.data.user = user;
+        next();
+    } catch (error) {
+        next(new Error('Invalid or expired token'));
+    }
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Classroom Schema
+ * A class students join with its code; members see each other's class-shared uploads
+ * (User.classIds holds the IDs of the classes a user belongs to)
+ */
+const classroomSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // Secret code members join with; the owner can rotate it
+        joinCode: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+classroomSchema.index({ ownerId: 1 });
+
+const Classroom = mongoose.model('Classroom', classroomSchema);
+
+export default Classroom;
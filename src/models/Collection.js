@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const COLLECTION_ITEM_TYPES = ['doubt', 'frame'];
+
+/**
+ * Collection Item Schema
+ * A doubt or frame saved to a collection; array order is display order
+ */
+const collectionItemSchema = new mongoose.Schema(
+    {
+        itemType: {
+            type: String,
+            enum: COLLECTION_ITEM_TYPES,
+            required: true,
+        },
+        itemId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 2000,
+            default: '',
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Collection Schema
+ * User-defined folders for organizing doubts and frames (e.g. "Physics – Unit 3 revision")
+ */
+const collectionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+            default: '',
+        },
+        items: {
+            type: [collectionItemSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for efficient queries
+collectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+collectionSchema.index({ 'items.itemId': 1 });
+
+/**
+ * Remove deleted doubts or frames from every collection
+ * @param {string} itemType - doubt or frame
+ * @param {Array<string>} itemIds - Deleted item IDs
+ */
+collectionSchema.statics.removeItems = function (itemType, itemIds) {
+    return this.updateMany(
+        { 'items.itemId': { $in: itemIds } },
+        { $pull: { items: { itemType, itemId: { $in: itemIds } } } }
+    );
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
@@ -1,5 +1,186 @@
 import mongoose from 'mongoose';
 
+// answer: full solution straight away; hint: Socratic hints revealed one at a time before the solution
+export const DOUBT_MODES = ['answer', 'hint'];
+
+// meta.difficulty values ('N/A' marks system answers); kept in sync with the LLM answer schema
+export const DOUBT_DIFFICULTIES = ['school', 'easy', 'medium', 'hard', 'competitive', 'college', 'N/A'];
+
+export const QUESTION_TYPES = ['concept', 'numerical', 'programming', 'debugging', 'theory', 'practice', 'proof', 'diagram'];
+
+// Outcome of re-checking a numerical answer (see verificationService)
+export const VERIFICATION_STATUSES = ['verified', 'mismatch', 'unit_mismatch', 'unverifiable'];
+
+/**
+ * Code Execution Schema
+ * Result of running the answer's code in the sandbox (see sandboxService)
+ */
+const codeExecutionSchema = new mongoose.Schema(
+    {
+        language: String,
+        status: {
+            type: String,
+            enum: ['passed', 'failed', 'timeout'],
+        },
+        exitCode: {
+            type: Number,
+            default: null,
+        },
+        signal: {
+            type: String,
+            default: null,
+        },
+        stdout: String,
+        stderr: String,
+        truncated: Boolean,
+        timedOut: Boolean,
+        durationMs: Number,
+        ranAt: Date,
+        // LLM fixes tried after a failed run; originalSnippet is kept when a fix replaced the code
+        fixAttempts: {
+            type: Number,
+            default: 0,
+        },
+        originalSnippet: {
+            type: String,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Verification Schema
+ * Independent re-computation of a numerical answer's final result (see verificationService)
+ */
+const verificationSchema = new mongoose.Schema(
+    {
+        status: {
+            type: String,
+            enum: VERIFICATION_STATUSES,
+        },
+        // Result as stated in the final answer
+        claimed: {
+            text: String,
+            value: Number,
+            unit: String,
+        },
+        // Result of the independent calculation, in the claimed unit when compatible
+        computed: {
+            value: Number,
+            unit: String,
+            expression: String,
+        },
+        relativeError: {
+            type: Number,
+            default: null,
+        },
+        unitCheck: {
+            type: String,
+            enum: ['consistent', 'inconsistent', 'missing', null],
+            default: null,
+        },
+        notes: {
+            type: [String],
+            default: [],
+        },
+        checkedAt: Date,
+    },
+    { _id: false }
+);
+
+/**
+ * Citation Schema
+ * Links an [n] marker in the answer to retrievedContext[contextIndex]
+ */
+const citationSchema = new mongoose.Schema(
+    {
+        marker: Number,
+        location: {
+            type: String,
+            enum: ['explanation', 'step', 'finalAnswer'],
+        },
+        stepIndex: {
+            type: Number,
+            default: null,
+        },
+        contextIndex: Number,
+        source: String,
+        // Deep-link into an uploaded frame (null for knowledge-base chunks)
+        frameId: {
+            type: String,
+            default: null,
+        },
+        pageNumber: {
+            type: Number,
+            default: null,
+        },
+        bbox: {
+            type: new mongoose.Schema(
+                { x: Number, y: Number, width: Number, height: Number },
+                { _id: false }
+            ),
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Answer Version Schema
+ * One generated answer for a doubt; the doubt's top-level answer fields mirror the preferred version
+ */
+const answerVersionSchema = new mongoose.Schema(
+    {
+        answerSteps: {
+            type: [String],
+            default: [],
+        },
+        explanation: String,
+        finalAnswer: String,
+        confidence: Number,
+        meta: {
+            subject: String,
+            topic: String,
+            subtopic: String,
+            difficulty: String,
+            questionType: String,
+        },
+        followUpQuestions: {
+            easy: String,
+            medium: String,
+            challenge: String,
+        },
+        mermaidCode: String,
+        code: {
+            language: String,
+            snippet: String,
+        },
+        verification: {
+            type: verificationSchema,
+            default: null,
+        },
+        citations: {
+            type: [citationSchema],
+            default: [],
+        },
+        generalKnowledge: Boolean,
+        // Overrides the version was generated with (empty for the original answer)
+        tone: String,
+        difficulty: String,
+        answerLength: String,
+        rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
 /**
  * Doubt Schema
  * Stores user questions, AI answers, and retrieved context
@@ -17,6 +198,53 @@ const doubtSchema = new mongoose.Schema(
             required: true,
             trim: true,
         },
+        // Uploaded image/PDF page/crop the question was asked about (optional)
+        frameId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Frame',
+            default: null,
+            index: true,
+        },
+        // Root doubt of the conversation this turn follows up on (null for the first turn)
+        threadId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doubt',
+            default: null,
+            index: true,
+        },
+        turnIndex: {
+            type: Number,
+            default: 0,
+        },
+        mode: {
+            type: String,
+            enum: DOUBT_MODES,
+            default: 'answer',
+        },
+        // Hint mode: ordered from gentlest nudge to nearly the full method
+        hints: {
+            type: [String],
+            default: [],
+        },
+        hintsRevealed: {
+            type: Number,
+            default: 0,
+        },
+        hintStatus: {
+            type: String,
+            enum: ['in_progress', 'solved', 'revealed', null],
+            default: null,
+        },
+        // Answer the student submitted when marking it solved; only a 'correct' one earns the hint bonus
+        hintAnswer: {
+            type: String,
+            default: '',
+        },
+        hintAnswerCheck: {
+            type: String,
+            enum: ['correct', 'unverifiable', null],
+            default: null,
+        },
         answerSteps: {
             type: [String],
             default: [],
@@ -31,12 +259,12 @@ const doubtSchema = new mongoose.Schema(
             subtopic: String,
             difficulty: {
                 type: String,
-                enum: ['school', 'easy', 'medium', 'hard', 'competitive', 'college', 'N/A'],
+                enum: DOUBT_DIFFICULTIES,
             },
             category: String, // Maps to questionType
             questionType: {
                 type: String,
-                enum: ['concept', 'numerical', 'programming', 'debugging', 'theory', 'practice', 'proof', 'diagram'],
+                enum: QUESTION_TYPES,
             },
         },
         followUpQuestions: {
@@ -52,6 +280,16 @@ const doubtSchema = new mongoose.Schema(
             language: { type: String, default: null },
             snippet: { type: String, default: null },
         },
+        // Numerical answers only: independent check of the final result
+        verification: {
+            type: verificationSchema,
+            default: null,
+        },
+        // Last sandbox run of code (null until it has been run)
+        execution: {
+            type: codeExecutionSchema,
+            default: null,
+        },
         finalAnswer: {
             type: String,
             required: true,
@@ -71,9 +309,20 @@ const doubtSchema = new mongoose.Schema(
                     subject: String,
                     topic: String,
                     difficulty: String,
+                    frameId: String,
+                    pageNumber: Number,
                 },
             },
         ],
+        citations: {
+            type: [citationSchema],
+            default: [],
+        },
+        // True when the answer cites none of the retrieved context
+        generalKnowledge: {
+            type: Boolean,
+            default: false,
+        },
         status: {
             type: String,
             enum: ['answered', 'pending', 'failed'],
@@ -106,6 +355,15 @@ const doubtSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        // Every answer generated for this doubt (filled once it is first regenerated)
+        answerVersions: {
+            type: [answerVersionSchema],
+            default: [],
+        },
+        preferredVersion: {
+            type: Number,
+            default: 0,
+        },
     },
     {
         timestamps: true,
@@ -117,6 +375,16 @@ doubtSchema.index({ userId: 1, createdAt: -1 });
 doubtSchema.index({ subject: 1, createdAt: -1 });
 doubtSchema.index({ isBookmarked: 1, userId: 1 });
 doubtSchema.index({ createdAt: -1 });
+doubtSchema.index({ threadId: 1, turnIndex: 1 });
+
+// Full-text search over doubt history (see askService.searchDoubts)
+doubtSchema.index(
+    { questionText: 'text', tags: 'text', finalAnswer: 'text', explanation: 'text' },
+    {
+        name: 'doubt_text_search',
+        weights: { questionText: 10, tags: 5, finalAnswer: 3, explanation: 1 },
+    }
+);
 
 // Virtual for formatted date
 doubtSchema.virtual('formattedDate').get(function () {
@@ -145,14 +413,14 @@ doubtSchema.statics.getRecentByUser = function (userId, limit = 10) {
     return this.find({ userId })
         .sort({ createdAt: -1 })
         .limit(limit)
-        .select('-retrievedContext -__v');
+        .select('-retrievedContext -answerVersions -__v');
 };
 
 // Static method to get bookmarked doubts
 doubtSchema.statics.getBookmarked = function (userId) {
     return this.find({ userId, isBookmarked: true })
         .sort({ createdAt: -1 })
-        .select('-retrievedContext -__v');
+        .select('-retrievedContext -answerVersions -__v');
 };
 
 const Doubt = mongoose.model('Doubt', doubtSchema);
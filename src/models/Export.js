@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const EXPORT_FORMATS = ['markdown', 'pdf', 'anki'];
+
+/**
+ * Export Schema
+ * A rendered export of doubts (Markdown, PDF or Anki deck)
+ * The file is stored in GridFS (the "exports" bucket, see exportService) until it expires,
+ * so the API can serve files built by the export worker
+ */
+const exportSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        format: {
+            type: String,
+            enum: EXPORT_FORMATS,
+            required: true,
+        },
+        title: {
+            type: String,
+            default: 'EduSense Export',
+        },
+
+        // What to export (collection order is kept)
+        doubtIds: {
+            type: [mongoose.Schema.Types.ObjectId],
+            default: [],
+        },
+        collectionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Collection',
+            default: null,
+        },
+        includeFlashcards: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Processing status
+        status: {
+            type: String,
+            enum: ['queued', 'processing', 'completed', 'failed'],
+            default: 'queued',
+        },
+        jobId: {
+            type: String,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+
+        // Rendered file
+        fileName: String,
+        mimeType: String,
+        size: {
+            type: Number,
+            default: 0,
+        },
+        fileId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        completedAt: Date,
+
+        // Removed by MongoDB once this passes
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + (parseInt(process.env.EXPORT_TTL_HOURS) || 24) * 60 * 60 * 1000),
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for efficient queries
+exportSchema.index({ userId: 1, createdAt: -1 });
+exportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Export = mongoose.model('Export', exportSchema);
+
+export default Export;
@@ -94,6 +94,17 @@ const frameSchema = new mongoose.Schema(
             type: String,
             default: null,
         },
+        // Background job progress (see src/workers/mediaWorker.js)
+        jobId: {
+            type: String,
+            default: null,
+        },
+        progress: {
+            stage: { type: String, default: null }, // ocr, concepts, indexing, pages
+            percent: { type: Number, default: 0 },
+            page: { type: Number, default: null },
+            totalPages: { type: Number, default: null },
+        },
 
         // Metadata
         fileSize: Number,
@@ -103,6 +114,17 @@ const frameSchema = new mongoose.Schema(
             height: Number,
         },
 
+        // Who can retrieve this frame's indexed text
+        visibility: {
+            type: String,
+            enum: ['private', 'class'],
+            default: 'private',
+        },
+        classId: {
+            type: String,
+            default: null,
+        },
+
         // User who uploaded
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * Share Link Schema
+ * Revocable public link to a read-only view of one doubt (see GET /api/share/:token)
+ */
+const shareLinkSchema = new mongoose.Schema(
+    {
+        token: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        doubtId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doubt',
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // null = never expires
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+
+        viewCount: {
+            type: Number,
+            default: 0,
+        },
+        lastViewedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for efficient queries
+shareLinkSchema.index({ userId: 1, createdAt: -1 });
+shareLinkSchema.index({ doubtId: 1 });
+
+// Method to check if the link can still be opened
+shareLinkSchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
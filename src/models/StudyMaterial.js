@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// notes and analogy are Markdown; flashcards and quiz are parsed into cards and questions
+export const STUDY_MATERIAL_TYPES = ['notes', 'flashcards', 'analogy', 'quiz'];
+
+const flashcardSchema = new mongoose.Schema(
+    {
+        front: { type: String, required: true },
+        back: { type: String, required: true },
+    },
+    { _id: false }
+);
+
+const quizQuestionSchema = new mongoose.Schema(
+    {
+        question: { type: String, required: true },
+        options: {
+            type: [String],
+            default: [],
+        },
+        // Text of the correct option
+        answer: { type: String, required: true },
+        explanation: {
+            type: String,
+            default: '',
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Study Material Schema
+ * Generated notes, flashcards, analogies and quizzes, optionally tied to the doubt they were made from
+ */
+const studyMaterialSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: STUDY_MATERIAL_TYPES,
+            required: true,
+        },
+        topic: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 300,
+        },
+        subject: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        // Source doubt (null for materials generated from a free-text topic)
+        doubtId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doubt',
+            default: null,
+        },
+
+        // Content, by type
+        markdown: {
+            type: String,
+            default: null,
+        },
+        flashcards: {
+            type: [flashcardSchema],
+            default: undefined,
+        },
+        questions: {
+            type: [quizQuestionSchema],
+            default: undefined,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for efficient queries
+studyMaterialSchema.index({ userId: 1, createdAt: -1 });
+studyMaterialSchema.index({ userId: 1, type: 1, createdAt: -1 });
+studyMaterialSchema.index({ doubtId: 1 });
+
+const StudyMaterial = mongoose.model('StudyMaterial', studyMaterialSchema);
+
+export default StudyMaterial;
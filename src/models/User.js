@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ANSWER_TONES, ANSWER_DIFFICULTIES, ANSWER_LENGTHS } from '../utils/answerStyles.js';
 
 const userSchema = new mongoose.Schema(
     {
@@ -49,6 +50,29 @@ const userSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // Classes the user belongs to (Classroom IDs, managed by /api/classes; for class-shared retrieval)
+        classIds: {
+            type: [String],
+            default: [],
+        },
+        // Default answer style, overridable per request
+        preferences: {
+            tone: {
+                type: String,
+                enum: ANSWER_TONES,
+                default: 'educational',
+            },
+            difficulty: {
+                type: String,
+                enum: [...ANSWER_DIFFICULTIES, null],
+                default: null, // Let the model judge the level
+            },
+            answerLength: {
+                type: String,
+                enum: ANSWER_LENGTHS,
+                default: 'medium',
+            },
+        },
     },
     {
         timestamps: true,
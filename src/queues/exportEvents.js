@@ -0,0 +1,65 @@
+import { Job, QueueEvents } from 'bullmq';
+import createRedisConnection from '../config/redis.js';
+import { EXPORT_QUEUE_NAME, getExportQueue, inlineExportEvents } from './exportQueue.js';
+
+/**
+ * Export Events
+ * Tells the requesting user when a background export is ready
+ *
+ * Events (payload always includes exportId):
+ *   - export:completed  { exportId, status, format, fileName, size }
+ *   - export:failed     { exportId, error }
+ */
+
+export const EXPORT_EVENTS = {
+    COMPLETED: 'export:completed',
+    FAILED: 'export:failed',
+};
+
+/**
+ * Emit an export event to a user's room
+ * @param {Object} io - Socket.IO server
+ * @param {string} userId - Room to emit to
+ * @param {string} event - One of EXPORT_EVENTS
+ * @param {Object} payload - Event payload
+ */
+const emitToUser = (io, userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userId.toString()).emit(event, payload);
+};
+
+/**
+ * Subscribe to export job events and forward them to Socket.IO rooms
+ * Uses BullMQ QueueEvents (worker runs in another process) or the inline emitter
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - Event source (call close() on shutdown if it is QueueEvents)
+ */
+export const attachExportEvents = (io) => {
+    const inline = process.env.MEDIA_QUEUE_INLINE === 'true';
+    const events = inline
+        ? inlineExportEvents
+        : new QueueEvents(EXPORT_QUEUE_NAME, { connection: createRedisConnection() });
+
+    events.on('completed', ({ returnvalue }) => {
+        if (!returnvalue || returnvalue.status === 'missing') return;
+        const { userId, ...result } = returnvalue;
+        emitToUser(io, userId, EXPORT_EVENTS.COMPLETED, result);
+    });
+
+    events.on('failed', async ({ jobId, failedReason, data }) => {
+        try {
+            const jobData = data || (await Job.fromId(getExportQueue(), jobId))?.data;
+            if (!jobData) return;
+
+            emitToUser(io, jobData.userId, EXPORT_EVENTS.FAILED, {
+                exportId: jobData.exportId,
+                error: failedReason,
+            });
+        } catch (error) {
+            console.error(`Error relaying failure for export job ${jobId}:`, error.message);
+        }
+    });
+
+    console.log(`📡 Export job events relayed to Socket.IO (${inline ? 'inline' : 'BullMQ'})`);
+    return events;
+};
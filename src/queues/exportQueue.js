@@ -0,0 +1,81 @@
+import { EventEmitter } from 'events';
+import { Queue } from 'bullmq';
+import createRedisConnection from '../config/redis.js';
+
+/**
+ * Export Queue
+ * BullMQ queue for large doubt exports, consumed by src/workers/exportWorker.js
+ *
+ * Honors MEDIA_QUEUE_INLINE=true like the media queue: jobs then run in the API process
+ * (local development without Redis), still after the response is sent.
+ */
+
+export const EXPORT_QUEUE_NAME = 'exports';
+
+export const EXPORT_JOBS = {
+    BUILD_EXPORT: 'build-export',
+};
+
+// Rendering is deterministic, so a failed export is not retried
+export const DEFAULT_JOB_OPTIONS = {
+    attempts: 1,
+    removeOnComplete: { age: 24 * 60 * 60, count: 1000 },
+    removeOnFail: { age: 7 * 24 * 60 * 60 },
+};
+
+let queue = null;
+
+// Stands in for BullMQ QueueEvents when jobs run inline (same event names and payloads)
+export const inlineExportEvents = new EventEmitter();
+
+/**
+ * Get the shared export queue (created on first use)
+ * @returns {Queue} - BullMQ queue
+ */
+export const getExportQueue = () => {
+    if (!queue) {
+        queue = new Queue(EXPORT_QUEUE_NAME, {
+            connection: createRedisConnection(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS,
+        });
+    }
+    return queue;
+};
+
+/**
+ * Run an export job in-process
+ * @param {Object} data - Job data ({ exportId, userId })
+ * @returns {Object} - { id }
+ */
+const runInline = (data) => {
+    const id = `inline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    setImmediate(async () => {
+        // Imported lazily so the API process only loads the renderers when needed
+        const { default: exportService } = await import('../services/exportService.js');
+        try {
+            const returnvalue = await exportService.processExportJob(data);
+            inlineExportEvents.emit('completed', { jobId: id, returnvalue });
+        } catch (error) {
+            inlineExportEvents.emit('failed', { jobId: id, failedReason: error.message, data });
+        }
+    });
+
+    return { id };
+};
+
+/**
+ * Enqueue an export job
+ * @param {Object} data - Job data ({ exportId, userId })
+ * @returns {Promise<Object>} - { id }
+ */
+export const enqueueExportJob = async (data) => {
+    if (process.env.MEDIA_QUEUE_INLINE === 'true') {
+        return runInline(data);
+    }
+
+    const job = await getExportQueue().add(EXPORT_JOBS.BUILD_EXPORT, data, {
+        jobId: `${EXPORT_JOBS.BUILD_EXPORT}-${data.exportId}`,
+    });
+    return { id: job.id };
+};
@@ -0,0 +1,90 @@
+import { Job, QueueEvents } from 'bullmq';
+import createRedisConnection from '../config/redis.js';
+import { MEDIA_QUEUE_NAME, getMediaQueue, inlineQueueEvents } from './mediaQueue.js';
+
+/**
+ * Media Events
+ * Relays media job progress to the uploader's Socket.IO room
+ *
+ * Events (payload always includes frameId):
+ *   - frame:queued     { frameId, sourceType, jobId, status }
+ *   - frame:progress   { frameId, stage, percent, page, totalPages }
+ *   - frame:completed  { frameId, status, ...job result }
+ *   - frame:failed     { frameId, error }
+ */
+
+export const FRAME_EVENTS = {
+    QUEUED: 'frame:queued',
+    PROGRESS: 'frame:progress',
+    COMPLETED: 'frame:completed',
+    FAILED: 'frame:failed',
+};
+
+/**
+ * Emit a frame event to a user's room
+ * @param {Object} io - Socket.IO server
+ * @param {string} userId - Room to emit to
+ * @param {string} event - One of FRAME_EVENTS
+ * @param {Object} payload - Event payload
+ */
+const emitToUser = (io, userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userId.toString()).emit(event, payload);
+};
+
+/**
+ * Notify the uploader that a frame was queued
+ * @param {Object} io - Socket.IO server
+ * @param {Object} frame - Frame document with jobId set
+ */
+export const emitFrameQueued = (io, frame) => {
+    emitToUser(io, frame.createdBy, FRAME_EVENTS.QUEUED, {
+        frameId: frame._id.toString(),
+        sourceType: frame.sourceType,
+        jobId: frame.jobId,
+        status: 'queued',
+    });
+};
+
+/**
+ * Subscribe to media job events and forward them to Socket.IO rooms
+ * Uses BullMQ QueueEvents (worker runs in another process) or the inline emitter
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} - Event source (call close() on shutdown if it is QueueEvents)
+ */
+export const attachMediaEvents = (io) => {
+    const inline = process.env.MEDIA_QUEUE_INLINE === 'true';
+    const events = inline
+        ? inlineQueueEvents
+        : new QueueEvents(MEDIA_QUEUE_NAME, { connection: createRedisConnection() });
+
+    events.on('progress', ({ data }) => {
+        if (!data || typeof data !== 'object') return;
+        const { userId, ...progress } = data;
+        emitToUser(io, userId, FRAME_EVENTS.PROGRESS, progress);
+    });
+
+    events.on('completed', ({ returnvalue }) => {
+        if (!returnvalue || returnvalue.status === 'missing') return;
+        const { userId, ...result } = returnvalue;
+        emitToUser(io, userId, FRAME_EVENTS.COMPLETED, result);
+    });
+
+    // Only fires once retries are exhausted
+    events.on('failed', async ({ jobId, failedReason, data }) => {
+        try {
+            const jobData = data || (await Job.fromId(getMediaQueue(), jobId))?.data;
+            if (!jobData) return;
+
+            emitToUser(io, jobData.userId, FRAME_EVENTS.FAILED, {
+                frameId: jobData.frameId,
+                error: failedReason,
+            });
+        } catch (error) {
+            console.error(`Error relaying failure for job ${jobId}:`, error.message);
+        }
+    });
+
+    console.log(`📡 Media job events relayed to Socket.IO (${inline ? 'inline' : 'BullMQ'})`);
+    return events;
+};
@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events';
+import { Queue } from 'bullmq';
+import createRedisConnection from '../config/redis.js';
+
+/**
+ * Media Queue
+ * BullMQ queue for OCR and PDF ingestion jobs, consumed by src/workers/mediaWorker.js
+ *
+ * Set MEDIA_QUEUE_INLINE=true to run jobs in the API process instead
+ * (local development without Redis). Jobs still run after the response is sent.
+ */
+
+export const MEDIA_QUEUE_NAME = 'media-processing';
+
+export const MEDIA_JOBS = {
+    PROCESS_IMAGE: 'process-image',
+    PROCESS_PDF: 'process-pdf',
+};
+
+export const DEFAULT_JOB_OPTIONS = {
+    attempts: parseInt(process.env.MEDIA_JOB_ATTEMPTS) || 3,
+    backoff: {
+        type: 'exponential',
+        delay: 5000, // 5s, 10s, 20s...
+    },
+    removeOnComplete: { age: 24 * 60 * 60, count: 1000 },
+    removeOnFail: { age: 7 * 24 * 60 * 60 },
+};
+
+let queue = null;
+
+// Stands in for BullMQ QueueEvents when jobs run inline (same event names and payloads)
+export const inlineQueueEvents = new EventEmitter();
+
+/**
+ * Get the shared media queue (created on first use)
+ * @returns {Queue} - BullMQ queue
+ */
+export const getMediaQueue = () => {
+    if (!queue) {
+        queue = new Queue(MEDIA_QUEUE_NAME, {
+            connection: createRedisConnection(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS,
+        });
+    }
+    return queue;
+};
+
+/**
+ * Run a job in-process with a minimal BullMQ-like job object
+ * @param {string} name - Job name
+ * @param {Object} data - Job data
+ * @returns {Object} - { id }
+ */
+const runInline = (name, data) => {
+    const id = `inline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const job = {
+        id,
+        name,
+        data,
+        attemptsMade: 0,
+        opts: { attempts: 1 },
+        updateProgress: async (progress) => {
+            inlineQueueEvents.emit('progress', { jobId: id, data: progress });
+        },
+    };
+
+    setImmediate(async () => {
+        // Imported lazily so the API process only loads the processing stack when needed
+        const { processMediaJob, handleFailedJob } = await import('../workers/mediaProcessor.js');
+        try {
+            const returnvalue = await processMediaJob(job);
+            inlineQueueEvents.emit('completed', { jobId: id, returnvalue });
+        } catch (error) {
+            job.attemptsMade = 1;
+            await handleFailedJob(job, error);
+            inlineQueueEvents.emit('failed', { jobId: id, failedReason: error.message, data });
+        }
+    });
+
+    return { id };
+};
+
+/**
+ * Add a frame's job to a queue, keeping one job per frame
+ * A job still waiting or running makes this a no-op; a finished one (kept for a while by
+ * removeOnComplete/removeOnFail) is removed first so the frame can be processed again.
+ * @param {Queue} queue - BullMQ queue
+ * @param {string} name - One of MEDIA_JOBS
+ * @param {Object} data - Job data ({ frameId, userId })
+ * @returns {Promise<Object>} - { id }
+ */
+export const addMediaJob = async (queue, name, data) => {
+    const jobId = `${name}-${data.frameId}`;
+
+    const existing = await queue.getJob(jobId);
+    if (existing) {
+        const state = await existing.getState();
+        if (state !== 'completed' && state !== 'failed') {
+            return { id: existing.id };
+        }
+        await existing.remove();
+    }
+
+    const job = await queue.add(name, data, { jobId });
+    return { id: job.id };
+};
+
+/**
+ * Enqueue a media processing job
+ * @param {string} name - One of MEDIA_JOBS
+ * @param {Object} data - Job data ({ frameId, userId })
+ * @returns {Promise<Object>} - { id }
+ */
+export const enqueueMediaJob = async (name, data) => {
+    if (process.env.MEDIA_QUEUE_INLINE === 'true') {
+        return runInline(name, data);
+    }
+
+    return addMediaJob(getMediaQueue(), name, data);
+};
@@ -1,15 +1,27 @@
 import express from 'express';
 import {
     askTextQuestion,
+    streamTextQuestion,
+    askFollowUp,
+    regenerateAnswer,
+    getAnswerVersions,
+    setPreferredVersion,
+    revealNextHint,
+    markHintSolved,
+    getSimilarDoubts,
     getMyDoubts,
+    searchDoubts,
     getDoubtById,
     toggleBookmark,
+    updateTags,
     rateDoubt,
     getUserStats,
-    generateStudyMaterial,
     deleteDoubt,
     generateDiagram,
+    runCode,
+    verifyDoubt,
 } from '../controllers/askController.js';
+import { createLegacyStudyMaterial } from '../controllers/studyMaterialController.js';
 import { authenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -20,18 +32,46 @@ router.use(authenticateUser);
 // Ask a question
 router.post('/text', askTextQuestion);
 
+// Ask a question and stream the answer (Server-Sent Events)
+router.get('/stream', streamTextQuestion);
+
 // Get user's doubts
 router.get('/my', getMyDoubts);
 
+// Search doubt history
+router.get('/search', searchDoubts);
+
 // Get user statistics
 router.get('/stats', getUserStats);
 
 // Get specific doubt
 router.get('/:id', getDoubtById);
 
+// Related doubts
+router.get('/:id/similar', getSimilarDoubts);
+
+// Continue a doubt's conversation
+router.post('/:id/follow-up', askFollowUp);
+
+// Regenerate answer (earlier answers kept as versions)
+router.post('/:id/regenerate', regenerateAnswer);
+
+// Answer version history
+router.get('/:id/versions', getAnswerVersions);
+
+// Choose preferred answer version
+router.post('/:id/versions/:version/prefer', setPreferredVersion);
+
+// Hint mode: reveal next hint, or finish by solving it
+router.post('/:id/hints/next', revealNextHint);
+router.post('/:id/hints/solved', markHintSolved);
+
 // Toggle bookmark
 router.post('/:id/bookmark', toggleBookmark);
 
+// Edit tags
+router.put('/:id/tags', updateTags);
+
 // Rate doubt
 router.post('/:id/rate', rateDoubt);
 
@@ -41,7 +81,13 @@ router.delete('/:id', deleteDoubt);
 // Generate diagram
 router.post('/:id/diagram', generateDiagram);
 
-// Generate study material
-router.post('/study', generateStudyMaterial);
+// Run the answer's code in the sandbox
+router.post('/:id/run', runCode);
+
+// Re-check a numerical answer
+router.post('/:id/verify', verifyDoubt);
+
+// Generate study material (old response shape for older clients, see /api/study-materials)
+router.post('/study', createLegacyStudyMaterial);
 
 export default router;
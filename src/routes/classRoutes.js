@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    getClasses,
+    createClass,
+    joinClass,
+    leaveClass,
+    rotateJoinCode,
+} from '../controllers/classController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+// List and create classes
+router.get('/', getClasses);
+router.post('/', createClass);
+
+// Membership
+router.post('/join', joinClass);
+router.delete('/:id/membership', leaveClass);
+
+// Owner: new join code
+router.post('/:id/join-code', rotateJoinCode);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+    getCollections,
+    createCollection,
+    getCollectionById,
+    updateCollection,
+    deleteCollection,
+    addCollectionItem,
+    updateCollectionItem,
+    removeCollectionItem,
+    reorderCollectionItems,
+    bulkCollectionAction,
+} from '../controllers/collectionController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+// List and create collections
+router.get('/', getCollections);
+router.post('/', createCollection);
+
+// Move, tag or delete many items at once
+router.post('/bulk', bulkCollectionAction);
+
+// Single collection
+router.get('/:id', getCollectionById);
+router.patch('/:id', updateCollection);
+router.delete('/:id', deleteCollection);
+
+// Collection items
+router.post('/:id/items', addCollectionItem);
+router.put('/:id/items/order', reorderCollectionItems);
+router.patch('/:id/items/:itemId', updateCollectionItem);
+router.delete('/:id/items/:itemId', removeCollectionItem);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    createExport,
+    getExports,
+    getExportById,
+    downloadExport,
+    exportDoubt,
+} from '../controllers/exportController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+// Start an export (doubts or a collection)
+router.post('/', createExport);
+
+// List exports
+router.get('/', getExports);
+
+// Download one doubt straight away
+router.get('/doubts/:id', exportDoubt);
+
+// Export status and file
+router.get('/:id', getExportById);
+router.get('/:id/download', downloadExport);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    getSharedDoubt,
+} from '../controllers/shareController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Owner: create, list and revoke links
+router.post('/', authenticateUser, createShareLink);
+router.get('/', authenticateUser, getShareLinks);
+router.delete('/:token', authenticateUser, revokeShareLink);
+
+// Public read-only view
+router.get('/:token', getSharedDoubt);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+    createStudyMaterial,
+    getStudyMaterials,
+    getStudyMaterial,
+    deleteStudyMaterial,
+} from '../controllers/studyMaterialController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+router.post('/', createStudyMaterial);
+router.get('/', getStudyMaterials);
+router.get('/:id', getStudyMaterial);
+router.delete('/:id', deleteStudyMaterial);
+
+export default router;
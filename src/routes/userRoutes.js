@@ -1,10 +1,12 @@
 import express from 'express';
-import { getLeaderboard, getUserStats } from '../controllers/userController.js';
+import { getLeaderboard, getUserStats, getPreferences, updatePreferences } from '../controllers/userController.js';
 import { authenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.get('/leaderboard', getLeaderboard); // Public or protected? Let's make it public for now
 router.get('/stats', authenticateUser, getUserStats);
+router.get('/preferences', authenticateUser, getPreferences);
+router.put('/preferences', authenticateUser, updatePreferences);
 
 export default router;
@@ -11,7 +11,12 @@ import authRoutes from './routes/authRoutes.js';
 import askRoutes from './routes/askRoutes.js';
 import mediaRoutes from './routes/media.routes.js';
 import qdrantClient from './ai/rag/qdrantClient.js';
+import doubtIndex from './ai/rag/doubtIndex.js';
+import { attachMediaEvents } from './queues/mediaEvents.js';
+import { attachExportEvents } from './queues/exportEvents.js';
+import exportService from './services/exportService.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { authenticateSocket } from './middleware/socketAuth.js';
 
 // Load environment variables
 // dotenv.config(); // Loaded at top
@@ -49,14 +54,30 @@ const io = new Server(httpServer, {
 // Make io accessible to routes
 app.set('io', io);
 
+// Authenticate sockets with the auth_token cookie
+io.use(authenticateSocket);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-    console.log(`✅ Socket connected: ${socket.id}`);
+    const userId = socket.data.user._id.toString();
+    console.log(`✅ Socket connected: ${socket.id} (user ${userId})`);
+
+    // Join user's personal room (assigned from the verified token)
+    socket.join(userId);
 
-    // Join user's personal room
-    socket.on('join', (userId) => {
-        socket.join(userId);
-        console.log(`User ${userId} joined their room`);
+    // Rooms can no longer be chosen by the client
+    socket.on('join', (requestedRoom, ack) => {
+        const allowed = !requestedRoom || String(requestedRoom) === userId;
+        if (!allowed) {
+            console.warn(`⚠️ Socket ${socket.id} tried to join room ${requestedRoom}, rejected`);
+        }
+        if (typeof ack === 'function') {
+            ack({
+                success: allowed,
+                message: allowed ? 'Joined your room' : 'Rooms are assigned from your session',
+                room: userId,
+            });
+        }
     });
 
     socket.on('disconnect', () => {
@@ -101,6 +122,11 @@ app.get('/health', (req, res) => {
 
 // API Routes
 import userRoutes from './routes/userRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import shareRoutes from './routes/shareRoutes.js';
+import studyMaterialRoutes from './routes/studyMaterialRoutes.js';
+import classRoutes from './routes/classRoutes.js';
 
 // ...
 
@@ -109,6 +135,11 @@ app.use('/api/ask', askRoutes);
 console.log('Mounting media routes at /api/media');
 app.use('/api/media', mediaRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/study-materials', studyMaterialRoutes);
+app.use('/api/classes', classRoutes);
 
 // Error handlers
 app.use(notFoundHandler);
@@ -126,11 +157,19 @@ const startServer = async () => {
         // Initialize Qdrant (optional - will log if unavailable)
         try {
             await qdrantClient.initializeCollection();
+            await doubtIndex.initialize();
         } catch (qdrantError) {
             console.warn('⚠️  Qdrant not available - RAG features will be limited');
             console.warn('   Start Qdrant with: docker run -p 6333:6333 qdrant/qdrant');
         }
 
+        // Relay background media and export job events to Socket.IO rooms
+        attachMediaEvents(io);
+        attachExportEvents(io);
+
+        // Export files outlive their TTL-deleted Export documents unless removed
+        exportService.startFileCleanup();
+
         // Start server
         httpServer.listen(PORT, () => {
             console.log(`🚀 Server running on http://localhost:${PORT}`);
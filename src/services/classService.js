@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Classroom from '../models/Classroom.js';
+import User from '../models/User.js';
+import { createHttpError } from '../utils/httpError.js';
+
+// Longest class name
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Class Service
+ * Classes and their membership, which the class retrieval scope and class-shared uploads rely on
+ */
+class ClassService {
+    /**
+     * Create a class; the creator is its owner and first member
+     * @param {Object} user - Authenticated user
+     * @param {string} name - Class name
+     * @returns {Promise<Object>} - Class, with its join code
+     */
+    async createClass(user, name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+            throw createHttpError(400, `Class name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+
+        const classroom = await Classroom.create({
+            name: trimmed,
+            ownerId: user._id,
+            joinCode: this.generateJoinCode(),
+        });
+        await this.addMember(user, classroom._id);
+
+        return this.toClassView(classroom, user);
+    }
+
+    /**
+     * List the classes a user belongs to
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Array>} - Classes (join codes only on classes the user owns)
+     */
+    async listClasses(user) {
+        const classIds = (user.classIds || []).filter((id) => mongoose.isValidObjectId(id));
+        if (classIds.length === 0) return [];
+
+        const classrooms = await Classroom.find({ _id: { $in: classIds } }).sort({ name: 1 }).lean();
+        return classrooms.map((classroom) => this.toClassView(classroom, user));
+    }
+
+    /**
+     * Join a class with its code
+     * @param {Object} user - Authenticated user
+     * @param {string} joinCode - Code shared by the class owner
+     * @returns {Promise<Object>} - Joined class
+     */
+    async joinClass(user, joinCode) {
+        if (typeof joinCode !== 'string' || !joinCode.trim()) {
+            throw createHttpError(400, 'joinCode is required');
+        }
+
+        const classroom = await Classroom.findOne({ joinCode: joinCode.trim() });
+        if (!classroom) {
+            throw createHttpError(404, 'No class found with that code');
+        }
+
+        await this.addMember(user, classroom._id);
+        return this.toClassView(classroom, user);
+    }
+
+    /**
+     * Leave a class (the owner keeps the class and can join again with the code)
+     * @param {Object} user - Authenticated user
+     * @param {string} classId - Class ID
+     * @returns {Promise<void>}
+     */
+    async leaveClass(user, classId) {
+        if (!(user.classIds || []).includes(String(classId))) {
+            throw createHttpError(404, 'You are not a member of this class');
+        }
+
+        await User.updateOne({ _id: user._id }, { $pull: { classIds: String(classId) } });
+        user.classIds = user.classIds.filter((id) => id !== String(classId));
+    }
+
+    /**
+     * Replace a class's join code, so the old one stops working
+     * @param {Object} user - Authenticated user (must own the class)
+     * @param {string} classId - Class ID
+     * @returns {Promise<Object>} - Class with its new join code
+     */
+    async rotateJoinCode(user, classId) {
+        const classroom = mongoose.isValidObjectId(classId)
+            ? await Classroom.findOne({ _id: classId, ownerId: user._id })
+            : null;
+        if (!classroom) {
+            throw createHttpError(404, 'Class not found');
+        }
+
+        classroom.joinCode = this.generateJoinCode();
+        await classroom.save();
+        return this.toClassView(classroom, user);
+    }
+
+    /**
+     * Add a class to a user's memberships
+     * @param {Object} user - User document
+     * @param {Object} classId - Class ID
+     * @returns {Promise<void>}
+     */
+    async addMember(user, classId) {
+        const id = String(classId);
+        await User.updateOne({ _id: user._id }, { $addToSet: { classIds: id } });
+        if (!(user.classIds || []).includes(id)) {
+            user.classIds = [...(user.classIds || []), id];
+        }
+    }
+
+    /**
+     * Random join code (48 bits, URL-safe)
+     * @returns {string}
+     */
+    generateJoinCode() {
+        return crypto.randomBytes(6).toString('base64url');
+    }
+
+    /**
+     * Class as shown to a member
+     * @param {Object} classroom - Class document or plain object
+     * @param {Object} user - Viewing user
+     * @returns {Object} - { id, name, isOwner, joinCode (owner only), createdAt }
+     */
+    toClassView(classroom, user) {
+        const isOwner = String(classroom.ownerId) === String(user._id);
+        return {
+            id: String(classroom._id),
+            name: classroom.name,
+            isOwner,
+            ...(isOwner && { joinCode: classroom.joinCode }),
+            createdAt: classroom.createdAt,
+        };
+    }
+}
+
+export default new ClassService();
@@ -0,0 +1,436 @@
+import mongoose from 'mongoose';
+import Collection, { COLLECTION_ITEM_TYPES } from '../models/Collection.js';
+import Doubt from '../models/Doubt.js';
+import Frame from '../models/Frame.js';
+import askService from '../ai/services/askService.js';
+import mediaProcessingService from './mediaProcessingService.js';
+import { createHttpError } from '../utils/httpError.js';
+
+export const BULK_ACTIONS = ['move', 'tag', 'delete'];
+
+// Fields shown for items when a collection is opened
+const DOUBT_SUMMARY_FIELDS = 'questionText finalAnswer subject tags isBookmarked status mode hints hintsRevealed hintStatus createdAt';
+const FRAME_SUMMARY_FIELDS = 'sourceType sourceUrl cropUrl pageNumber conceptTags status createdAt';
+
+/**
+ * Collection Service
+ * User-defined collections of doubts and frames, plus bulk operations on their items
+ */
+class CollectionService {
+    /**
+     * List a user's collections
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Collections with item counts (items not included)
+     */
+    async listCollections(userId) {
+        const collections = await Collection.find({ userId }).sort({ updatedAt: -1 }).lean();
+
+        return collections.map(({ items, __v, ...collection }) => ({
+            ...collection,
+            itemCount: items.length,
+        }));
+    }
+
+    /**
+     * Create a collection
+     * @param {string} userId - User ID
+     * @param {Object} fields - { name, description }
+     * @returns {Promise<Object>} - Created collection
+     */
+    async createCollection(userId, fields = {}) {
+        const name = this.validateName(fields.name);
+
+        try {
+            return await Collection.create({
+                userId,
+                name,
+                description: fields.description || '',
+            });
+        } catch (error) {
+            throw this.toSaveError(error, name);
+        }
+    }
+
+    /**
+     * Get a collection with its items resolved
+     * Items whose doubt or frame no longer exists are left out
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Collection with items ({ itemType, itemId, note, addedAt, doubt|frame })
+     */
+    async getCollection(collectionId, userId) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+        const { items, ...fields } = collection.toObject();
+
+        const idsOf = (type) => items.filter((item) => item.itemType === type).map((item) => item.itemId);
+        const [doubts, frames] = await Promise.all([
+            Doubt.find({ _id: { $in: idsOf('doubt') }, userId }).select(DOUBT_SUMMARY_FIELDS).lean(),
+            Frame.find({ _id: { $in: idsOf('frame') }, createdBy: userId }).select(FRAME_SUMMARY_FIELDS).lean(),
+        ]);
+
+        const doubtsById = new Map(doubts.map((doubt) => [doubt._id.toString(), askService.hideUnrevealed(doubt)]));
+        const framesById = new Map(frames.map((frame) => [frame._id.toString(), frame]));
+
+        return {
+            ...fields,
+            items: items
+                .map((item) => {
+                    const id = item.itemId.toString();
+                    return item.itemType === 'doubt'
+                        ? { ...item, doubt: doubtsById.get(id) }
+                        : { ...item, frame: framesById.get(id) };
+                })
+                .filter((item) => item.doubt || item.frame),
+        };
+    }
+
+    /**
+     * Rename a collection or change its description
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @param {Object} fields - { name, description }
+     * @returns {Promise<Object>} - Updated collection
+     */
+    async updateCollection(collectionId, userId, fields = {}) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+
+        if (fields.name !== undefined) {
+            collection.name = this.validateName(fields.name);
+        }
+        if (fields.description !== undefined) {
+            collection.description = fields.description || '';
+        }
+
+        return this.saveCollection(collection);
+    }
+
+    /**
+     * Delete a collection (its doubts and frames are kept)
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     */
+    async deleteCollection(collectionId, userId) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+        await collection.deleteOne();
+    }
+
+    /**
+     * Add a doubt or frame to a collection
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @param {Object} item - { itemType, itemId, note }
+     * @returns {Promise<Object>} - Updated collection
+     */
+    async addItem(collectionId, userId, item = {}) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+        const [target] = this.validateItems([item]);
+
+        if (this.findItemIndex(collection, target.itemId) !== -1) {
+            throw createHttpError(409, 'Item is already in this collection');
+        }
+
+        await this.assertItemsOwned(userId, [target]);
+
+        collection.items.push({ ...target, note: item.note || '' });
+        return this.saveCollection(collection);
+    }
+
+    /**
+     * Edit the note on a collection item
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @param {string} itemId - Doubt or frame ID
+     * @param {string} note - New note
+     * @returns {Promise<Object>} - Updated collection
+     */
+    async updateItemNote(collectionId, userId, itemId, note) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+
+        const index = this.findItemIndex(collection, itemId);
+        if (index === -1) {
+            throw createHttpError(404, 'Item not found in this collection');
+        }
+
+        collection.items[index].note = note || '';
+        return this.saveCollection(collection);
+    }
+
+    /**
+     * Remove an item from a collection (the doubt or frame itself is kept)
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @param {string} itemId - Doubt or frame ID
+     * @returns {Promise<Object>} - Updated collection
+     */
+    async removeItem(collectionId, userId, itemId) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+
+        const index = this.findItemIndex(collection, itemId);
+        if (index === -1) {
+            throw createHttpError(404, 'Item not found in this collection');
+        }
+
+        collection.items.splice(index, 1);
+        return this.saveCollection(collection);
+    }
+
+    /**
+     * Reorder a collection's items
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @param {Array<string>} itemIds - Every item ID in the collection, in the new order
+     * @returns {Promise<Object>} - Updated collection
+     */
+    async reorderItems(collectionId, userId, itemIds) {
+        const collection = await this.getOwnedCollection(collectionId, userId);
+
+        const current = collection.items.map((item) => item.itemId.toString());
+        const requested = Array.isArray(itemIds) ? itemIds.map(String) : [];
+        const isPermutation = requested.length === current.length
+            && new Set(requested).size === requested.length
+            && requested.every((id) => current.includes(id));
+
+        if (!isPermutation) {
+            throw createHttpError(400, 'itemIds must list every item in the collection exactly once');
+        }
+
+        const itemsById = new Map(collection.items.map((item) => [item.itemId.toString(), item.toObject()]));
+        collection.items = requested.map((id) => itemsById.get(id));
+        return this.saveCollection(collection);
+    }
+
+    /**
+     * Apply an action to many doubts and frames at once
+     *   - move:   into targetCollectionId, out of collectionId if given (notes are kept)
+     *   - tag:    edit doubt tags with { tags } or { add, remove } (frames are skipped)
+     *   - delete: delete the doubts and frames themselves
+     * @param {string} userId - User ID
+     * @param {Object} params - { action, items, collectionId, targetCollectionId, tags, add, remove }
+     * @returns {Promise<Object>} - { action, processed, skipped }
+     */
+    async bulkAction(userId, params = {}) {
+        const { action } = params;
+
+        if (!BULK_ACTIONS.includes(action)) {
+            throw createHttpError(400, `Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+        }
+
+        const items = this.validateItems(params.items);
+        await this.assertItemsOwned(userId, items);
+
+        switch (action) {
+            case 'move':
+                return this.moveItems(userId, items, params.collectionId, params.targetCollectionId);
+            case 'tag':
+                return this.tagItems(userId, items, params);
+            case 'delete':
+                return this.deleteItems(userId, items);
+        }
+    }
+
+    /**
+     * Move items into a collection
+     * @param {string} userId - User ID
+     * @param {Array} items - Validated items ({ itemType, itemId })
+     * @param {string|null} sourceId - Collection to move out of (optional)
+     * @param {string} targetId - Collection to move into
+     * @returns {Promise<Object>} - { action, processed, skipped }
+     */
+    async moveItems(userId, items, sourceId, targetId) {
+        if (!targetId) {
+            throw createHttpError(400, 'targetCollectionId is required');
+        }
+
+        const target = await this.getOwnedCollection(targetId, userId);
+        const source = sourceId ? await this.getOwnedCollection(sourceId, userId) : null;
+        if (source && source._id.equals(target._id)) {
+            throw createHttpError(400, 'Source and target collections are the same');
+        }
+
+        let processed = 0;
+        for (const item of items) {
+            const sourceIndex = source ? this.findItemIndex(source, item.itemId) : -1;
+            const note = sourceIndex !== -1 ? source.items[sourceIndex].note : '';
+
+            if (sourceIndex !== -1) source.items.splice(sourceIndex, 1);
+            if (this.findItemIndex(target, item.itemId) === -1) {
+                target.items.push({ ...item, note });
+                processed++;
+            }
+        }
+
+        await this.saveCollection(target);
+        if (source) await this.saveCollection(source);
+
+        return { action: 'move', processed, skipped: items.length - processed };
+    }
+
+    /**
+     * Edit the tags of the doubts among the items
+     * @param {string} userId - User ID
+     * @param {Array} items - Validated items ({ itemType, itemId })
+     * @param {Object} changes - { tags } replaces all tags; { add, remove } edits them
+     * @returns {Promise<Object>} - { action, processed, skipped }
+     */
+    async tagItems(userId, items, changes) {
+        // Validate the changes even if there are no doubts to apply them to
+        askService.applyTagChanges([], changes);
+
+        const doubtIds = items.filter((item) => item.itemType === 'doubt').map((item) => item.itemId);
+        const doubts = await Doubt.find({ _id: { $in: doubtIds }, userId });
+
+        for (const doubt of doubts) {
+            doubt.tags = askService.applyTagChanges(doubt.tags, changes);
+            await doubt.save();
+        }
+
+        return { action: 'tag', processed: doubts.length, skipped: items.length - doubts.length };
+    }
+
+    /**
+     * Delete the doubts and frames themselves (they also leave every collection)
+     * @param {string} userId - User ID
+     * @param {Array} items - Validated items ({ itemType, itemId })
+     * @returns {Promise<Object>} - { action, processed, skipped }
+     */
+    async deleteItems(userId, items) {
+        let processed = 0;
+
+        for (const item of items) {
+            // Thread turns go with their first turn, PDF pages with their PDF
+            if (item.itemType === 'doubt') {
+                if (await Doubt.exists({ _id: item.itemId, userId })) {
+                    await askService.deleteDoubt(item.itemId, userId);
+                    processed++;
+                }
+                continue;
+            }
+
+            const frame = await Frame.findOne({ _id: item.itemId, createdBy: userId });
+            if (frame) {
+                await mediaProcessingService.deleteFrame(frame);
+                processed++;
+            }
+        }
+
+        return { action: 'delete', processed, skipped: items.length - processed };
+    }
+
+    /**
+     * Load a collection owned by the user
+     * @param {string} collectionId - Collection ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Collection document
+     * @throws {Error} - 404 if missing or owned by someone else
+     */
+    async getOwnedCollection(collectionId, userId) {
+        const collection = mongoose.isValidObjectId(collectionId)
+            ? await Collection.findOne({ _id: collectionId, userId })
+            : null;
+
+        if (!collection) {
+            throw createHttpError(404, 'Collection not found');
+        }
+        return collection;
+    }
+
+    /**
+     * Check that every doubt and frame belongs to the user
+     * @param {string} userId - User ID
+     * @param {Array} items - Validated items ({ itemType, itemId })
+     * @throws {Error} - 404 if any item is missing or owned by someone else
+     */
+    async assertItemsOwned(userId, items) {
+        const idsOf = (type) => items.filter((item) => item.itemType === type).map((item) => item.itemId);
+        const doubtIds = idsOf('doubt');
+        const frameIds = idsOf('frame');
+
+        const [doubtCount, frameCount] = await Promise.all([
+            doubtIds.length ? Doubt.countDocuments({ _id: { $in: doubtIds }, userId }) : 0,
+            frameIds.length ? Frame.countDocuments({ _id: { $in: frameIds }, createdBy: userId }) : 0,
+        ]);
+
+        if (doubtCount !== doubtIds.length || frameCount !== frameIds.length) {
+            throw createHttpError(404, 'Some doubts or frames were not found');
+        }
+    }
+
+    /**
+     * Validate { itemType, itemId } pairs from a request
+     * @param {Array} items - Items from the request body
+     * @returns {Array} - Unique items ({ itemType, itemId })
+     * @throws {Error} - 400 on an empty list, unknown type or malformed ID
+     */
+    validateItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw createHttpError(400, 'items must be a non-empty array');
+        }
+
+        const unique = new Map();
+        for (const item of items) {
+            if (!COLLECTION_ITEM_TYPES.includes(item?.itemType)) {
+                throw createHttpError(400, `itemType must be one of: ${COLLECTION_ITEM_TYPES.join(', ')}`);
+            }
+            if (!mongoose.isValidObjectId(item.itemId)) {
+                throw createHttpError(400, `Invalid itemId: ${item.itemId}`);
+            }
+            unique.set(String(item.itemId), { itemType: item.itemType, itemId: String(item.itemId) });
+        }
+
+        return [...unique.values()];
+    }
+
+    /**
+     * Validate a collection name
+     * @param {string} name - Name from the request
+     * @returns {string} - Trimmed name
+     * @throws {Error} - 400 if empty
+     */
+    validateName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw createHttpError(400, 'Collection name is required');
+        }
+        return name.trim();
+    }
+
+    /**
+     * Position of an item in a collection
+     * @param {Object} collection - Collection document
+     * @param {string} itemId - Doubt or frame ID
+     * @returns {number} - Index, or -1
+     */
+    findItemIndex(collection, itemId) {
+        return collection.items.findIndex((item) => item.itemId.toString() === String(itemId));
+    }
+
+    /**
+     * Save a collection, reporting invalid input as 4xx errors
+     * @param {Object} collection - Collection document
+     * @returns {Promise<Object>} - Saved collection
+     */
+    async saveCollection(collection) {
+        try {
+            return await collection.save();
+        } catch (error) {
+            throw this.toSaveError(error, collection.name);
+        }
+    }
+
+    /**
+     * Turn save errors caused by the request into 4xx errors
+     * @param {Error} error - Error from save/create
+     * @param {string} name - Collection name
+     * @returns {Error} - Error to throw
+     */
+    toSaveError(error, name) {
+        if (error.code === 11000) {
+            return createHttpError(409, `You already have a collection named "${name}"`);
+        }
+        if (error.name === 'ValidationError') {
+            return createHttpError(400, error.message);
+        }
+        return error;
+    }
+}
+
+export default new CollectionService();
@@ -0,0 +1,775 @@
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import Export, { EXPORT_FORMATS } from '../models/Export.js';
+import Doubt from '../models/Doubt.js';
+import Collection from '../models/Collection.js';
+import askService from '../ai/services/askService.js';
+import llmRouter from '../ai/llm/llmRouter.js';
+import studyMaterialService from './studyMaterialService.js';
+import { enqueueExportJob } from '../queues/exportQueue.js';
+import { createHttpError } from '../utils/httpError.js';
+
+const FILE_TYPES = {
+    markdown: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+    pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+    // Anki "Import File" text format (File headers need Anki 2.1.55+)
+    anki: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+};
+
+// Exports above these sizes go to the export worker
+const SYNC_MAX_DOUBTS = parseInt(process.env.EXPORT_SYNC_MAX_DOUBTS) || 20;
+const SYNC_MAX_FLASHCARD_DOUBTS = 3;
+
+const MAX_EXPORT_DOUBTS = parseInt(process.env.EXPORT_MAX_DOUBTS) || 500;
+
+// Rendered files live in this GridFS bucket until their export expires
+const FILE_BUCKET = 'exports';
+const MAX_FILE_BYTES = (parseInt(process.env.EXPORT_MAX_FILE_MB) || 100) * 1024 * 1024;
+
+// How often files of expired exports are deleted (MongoDB's TTL index only removes the Export document)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// A4 portrait, in points
+const PAGE = { width: 595.28, height: 841.89, margin: 50 };
+
+// Common symbols the standard PDF fonts cannot encode
+const PDF_REPLACEMENTS = {
+    '→': '->', '←': '<-', '⇒': '=>', '⇔': '<=>', '↔': '<->',
+    '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~', '≡': '===', '−': '-',
+    '√': 'sqrt', '∞': 'inf', '∑': 'sum', '∫': 'integral', '∂': 'd', '∆': 'Delta', '∈': 'in',
+    '⋅': '·', '∙': '·', '′': "'", '″': '"',
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'θ': 'theta',
+    'λ': 'lambda', 'μ': 'mu', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma', 'τ': 'tau', 'φ': 'phi',
+    'ω': 'omega', 'Δ': 'Delta', 'Σ': 'Sigma', 'Ω': 'Omega', 'Π': 'Pi',
+    '⁰': '^0', '¹': '^1', '²': '^2', '³': '^3', '⁴': '^4', '⁵': '^5', '⁶': '^6', '⁷': '^7', '⁸': '^8', '⁹': '^9',
+    '\t': '    ',
+};
+
+/**
+ * Export Service
+ * Renders doubts to Markdown, printable PDF (pdf-lib) and Anki decks.
+ * Small exports render in the request; large ones run on the export queue (see src/workers/exportWorker.js).
+ *
+ * Markdown and PDF share one block layout (see buildBlocks):
+ *   { type: 'heading', level, text } | { type: 'meta', text } | { type: 'paragraph', text }
+ *   { type: 'list', ordered, items } | { type: 'code', language, text }
+ */
+class ExportService {
+    /**
+     * Start an export
+     * @param {string} userId - User ID
+     * @param {Object} params - { format, doubtIds, collectionId, title, includeFlashcards, background }
+     * @returns {Promise<Object>} - { exportDoc, background }
+     */
+    async createExport(userId, params = {}) {
+        const { format, collectionId = null, includeFlashcards = false } = params;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw createHttpError(400, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const { doubtIds, title } = await this.resolveSelection(userId, params);
+        const background = params.background === true
+            || doubtIds.length > SYNC_MAX_DOUBTS
+            || (includeFlashcards && doubtIds.length > SYNC_MAX_FLASHCARD_DOUBTS);
+
+        const exportDoc = await Export.create({
+            userId,
+            format,
+            title,
+            doubtIds,
+            collectionId,
+            includeFlashcards: Boolean(includeFlashcards),
+        });
+
+        if (background) {
+            const job = await enqueueExportJob({
+                exportId: exportDoc._id.toString(),
+                userId: userId.toString(),
+            });
+            exportDoc.jobId = job.id;
+            await exportDoc.save();
+        } else {
+            await this.runExport(exportDoc);
+        }
+
+        return { exportDoc, background };
+    }
+
+    /**
+     * Work out which doubts to export, in order
+     * @param {string} userId - User ID
+     * @param {Object} params - { doubtIds, collectionId, title }
+     * @returns {Promise<Object>} - { doubtIds, title }
+     */
+    async resolveSelection(userId, params) {
+        const { collectionId } = params;
+        let doubtIds = params.doubtIds;
+        let title = params.title;
+
+        if (collectionId) {
+            const collection = mongoose.isValidObjectId(collectionId)
+                ? await Collection.findOne({ _id: collectionId, userId })
+                : null;
+            if (!collection) {
+                throw createHttpError(404, 'Collection not found');
+            }
+
+            doubtIds = collection.items
+                .filter((item) => item.itemType === 'doubt')
+                .map((item) => item.itemId.toString());
+            title = title || collection.name;
+        }
+
+        if (!Array.isArray(doubtIds) || doubtIds.length === 0) {
+            throw createHttpError(400, 'Provide doubtIds or a collectionId with doubts in it');
+        }
+        if (doubtIds.some((id) => !mongoose.isValidObjectId(id))) {
+            throw createHttpError(400, 'doubtIds must be valid IDs');
+        }
+
+        const uniqueIds = [...new Set(doubtIds.map(String))];
+        if (uniqueIds.length > MAX_EXPORT_DOUBTS) {
+            throw createHttpError(400, `Exports are limited to ${MAX_EXPORT_DOUBTS} doubts`);
+        }
+
+        const owned = await Doubt.countDocuments({ _id: { $in: uniqueIds }, userId });
+        if (owned !== uniqueIds.length) {
+            throw createHttpError(404, 'Some doubts were not found');
+        }
+
+        return { doubtIds: uniqueIds, title: title || 'EduSense Export' };
+    }
+
+    /**
+     * Export queue job handler
+     * @param {Object} data - Job data ({ exportId, userId })
+     * @returns {Promise<Object>} - Job result (userId is used to route the socket event)
+     */
+    async processExportJob({ exportId, userId }) {
+        const exportDoc = await Export.findById(exportId);
+        if (!exportDoc) {
+            console.warn(`⚠️ Export ${exportId} no longer exists, skipping`);
+            return { exportId, userId, status: 'missing' };
+        }
+
+        await this.runExport(exportDoc);
+
+        return {
+            exportId,
+            userId,
+            status: exportDoc.status,
+            format: exportDoc.format,
+            fileName: exportDoc.fileName,
+            size: exportDoc.size,
+        };
+    }
+
+    /**
+     * Render an export and store its file
+     * @param {Object} exportDoc - Export document
+     * @throws {Error} - Rendering error (the export is marked failed first)
+     */
+    async runExport(exportDoc) {
+        try {
+            exportDoc.status = 'processing';
+            await exportDoc.save();
+
+            const file = await this.renderExport(exportDoc.userId, exportDoc);
+            if (file.data.length > MAX_FILE_BYTES) {
+                throw new Error('Export is too large; export fewer doubts at a time');
+            }
+
+            const previousFileId = exportDoc.fileId;
+            const fileId = await this.storeFile(exportDoc, file);
+
+            Object.assign(exportDoc, {
+                fileName: file.fileName,
+                mimeType: file.mimeType,
+                fileId,
+                size: file.data.length,
+                status: 'completed',
+                error: null,
+                completedAt: new Date(),
+            });
+            await exportDoc.save();
+            if (previousFileId) await this.deleteFile(previousFileId);
+            console.log(`📦 Export ${exportDoc._id} ready (${exportDoc.format}, ${exportDoc.size} bytes)`);
+        } catch (error) {
+            console.error(`❌ Export ${exportDoc._id} failed:`, error.message);
+            exportDoc.status = 'failed';
+            exportDoc.error = error.message;
+            await exportDoc.save();
+            throw error;
+        }
+    }
+
+    /**
+     * Render doubts to a file
+     * @param {string} userId - User ID
+     * @param {Object} options - { format, doubtIds, title, includeFlashcards }
+     * @returns {Promise<Object>} - { fileName, mimeType, data (Buffer) }
+     */
+    async renderExport(userId, options) {
+        const { format, doubtIds, title = 'EduSense Export', includeFlashcards = false } = options;
+        const doubts = await this.loadDoubts(userId, doubtIds);
+
+        let data;
+        switch (format) {
+            case 'markdown':
+                data = Buffer.from(this.toMarkdown(doubts, title), 'utf-8');
+                break;
+            case 'pdf':
+                data = await this.toPdf(doubts, title);
+                break;
+            case 'anki': {
+                const flashcards = includeFlashcards ? await this.generateFlashcards(doubts) : new Map();
+                data = Buffer.from(this.toAnkiCsv(doubts, title, flashcards), 'utf-8');
+                break;
+            }
+            default:
+                throw createHttpError(400, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const { extension, mimeType } = FILE_TYPES[format];
+        return { fileName: `${this.toFileSlug(title)}.${extension}`, mimeType, data };
+    }
+
+    /**
+     * Load doubts in the requested order, with their follow-up turns
+     * Hint-mode solutions still in progress stay hidden
+     * @param {string} userId - User ID
+     * @param {Array<string>} doubtIds - Doubt IDs
+     * @returns {Promise<Array>} - Plain doubts ({ ...doubt, turns })
+     */
+    async loadDoubts(userId, doubtIds) {
+        const select = '-retrievedContext -answerVersions -__v';
+        const [doubts, turns] = await Promise.all([
+            Doubt.find({ _id: { $in: doubtIds }, userId }).select(select).lean(),
+            Doubt.find({ threadId: { $in: doubtIds }, userId }).select(select).sort({ turnIndex: 1 }).lean(),
+        ]);
+
+        const byId = new Map(doubts.map((doubt) => [doubt._id.toString(), doubt]));
+        const selected = new Set(doubtIds.map(String));
+
+        return doubtIds
+            .map((id) => byId.get(id.toString()))
+            .filter(Boolean)
+            .map((doubt) => ({
+                ...askService.hideUnrevealed(doubt),
+                // Turns picked on their own are exported as separate doubts
+                turns: turns
+                    .filter((turn) => turn.threadId.equals(doubt._id) && !selected.has(turn._id.toString()))
+                    .map((turn) => askService.hideUnrevealed(turn)),
+            }));
+    }
+
+    /**
+     * Layout blocks for one doubt
+     * @param {Object} doubt - Plain doubt (solution fields absent while hints are in progress)
+     * @param {number} level - Heading level of the question
+     * @param {string} heading - Question heading text
+     * @returns {Array} - Blocks
+     */
+    buildBlocks(doubt, level, heading) {
+        const blocks = [{ type: 'heading', level, text: heading }];
+        const section = (text) => blocks.push({ type: 'heading', level: level + 1, text });
+
+        const date = doubt.createdAt
+            ? new Date(doubt.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+            : null;
+        const meta = [
+            doubt.subject && `Subject: ${doubt.subject}`,
+            doubt.meta?.topic && `Topic: ${doubt.meta.topic}`,
+            doubt.meta?.difficulty && doubt.meta.difficulty !== 'N/A' && `Difficulty: ${doubt.meta.difficulty}`,
+            date,
+            doubt.tags?.length && `Tags: ${doubt.tags.join(', ')}`,
+        ].filter(Boolean);
+        if (meta.length) blocks.push({ type: 'meta', text: meta.join(' · ') });
+
+        if (doubt.hints?.length) {
+            section('Hints');
+            blocks.push({ type: 'list', ordered: true, items: doubt.hints });
+        }
+
+        // hideUnrevealed removed the solution
+        if (doubt.finalAnswer === undefined) {
+            blocks.push({ type: 'paragraph', text: 'Solution hidden until the hints are finished.' });
+            return blocks;
+        }
+
+        if (doubt.explanation) {
+            section('Explanation');
+            blocks.push({ type: 'paragraph', text: doubt.explanation });
+        }
+        if (doubt.answerSteps?.length) {
+            section('Steps');
+            blocks.push({ type: 'list', ordered: true, items: doubt.answerSteps });
+        }
+        if (doubt.finalAnswer) {
+            section('Final answer');
+            blocks.push({ type: 'paragraph', text: doubt.finalAnswer });
+        }
+        if (doubt.verification?.status) {
+            blocks.push({ type: 'meta', text: this.formatVerification(doubt.verification) });
+        }
+        if (doubt.code?.snippet) {
+            section('Code');
+            blocks.push({ type: 'code', language: doubt.code.language || '', text: doubt.code.snippet });
+        }
+        if (doubt.mermaidCode) {
+            section('Diagram (Mermaid)');
+            blocks.push({ type: 'code', language: 'mermaid', text: doubt.mermaidCode });
+        }
+
+        const sources = this.formatSources(doubt.citations);
+        if (sources.length) {
+            section('Sources');
+            blocks.push({ type: 'list', ordered: false, items: sources });
+        }
+
+        const practice = ['easy', 'medium', 'challenge']
+            .filter((level) => doubt.followUpQuestions?.[level])
+            .map((level) => `${level[0].toUpperCase()}${level.slice(1)}: ${doubt.followUpQuestions[level]}`);
+        if (practice.length) {
+            section('Practice questions');
+            blocks.push({ type: 'list', ordered: false, items: practice });
+        }
+
+        for (const turn of doubt.turns || []) {
+            blocks.push(...this.buildBlocks(turn, level + 1, `Follow-up: ${turn.questionText}`));
+        }
+
+        return blocks;
+    }
+
+    /**
+     * One-line summary of a numerical answer's verification
+     * @param {Object} verification - Doubt verification
+     * @returns {string}
+     */
+    formatVerification(verification) {
+        const labels = {
+            verified: 'Verified by independent calculation',
+            mismatch: 'Independent calculation disagrees',
+            unit_mismatch: 'Unit problem',
+            unverifiable: 'Could not be verified',
+        };
+        const { computed } = verification;
+        const result = computed && verification.status !== 'verified'
+            ? ` (calculated: ${`${Number(computed.value.toPrecision(4))} ${computed.unit || ''}`.trim()})`
+            : '';
+        return `Check: ${labels[verification.status]}${result}`;
+    }
+
+    /**
+     * One line per cited source ("[1] Physics notes, page 3")
+     * @param {Array} citations - Doubt citations
+     * @returns {Array<string>} - Source lines, by marker
+     */
+    formatSources(citations = []) {
+        const byMarker = new Map();
+        for (const citation of citations) {
+            if (byMarker.has(citation.marker)) continue;
+            const page = citation.pageNumber != null ? `, page ${citation.pageNumber}` : '';
+            byMarker.set(citation.marker, `[${citation.marker}] ${citation.source || 'Uploaded material'}${page}`);
+        }
+
+        return [...byMarker.entries()].sort(([a], [b]) => a - b).map(([, line]) => line);
+    }
+
+    /**
+     * Render doubts as Markdown
+     * @param {Array} doubts - Doubts from loadDoubts
+     * @param {string} title - Document title
+     * @returns {string} - Markdown
+     */
+    toMarkdown(doubts, title) {
+        const blocks = [
+            { type: 'heading', level: 1, text: title },
+            ...doubts.flatMap((doubt, index) => this.buildBlocks(doubt, 2, `${index + 1}. ${doubt.questionText}`)),
+        ];
+
+        return blocks.map((block) => {
+            switch (block.type) {
+                case 'heading':
+                    return `${'#'.repeat(Math.min(block.level, 6))} ${block.text}`;
+                case 'meta':
+                    return `_${block.text}_`;
+                case 'list':
+                    return block.items
+                        .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item.replace(/\n/g, '\n   ')}`)
+                        .join('\n');
+                case 'code':
+                    return `\`\`\`${block.language}\n${block.text}\n\`\`\``;
+                default:
+                    return block.text;
+            }
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Render doubts as a printable PDF
+     * @param {Array} doubts - Doubts from loadDoubts
+     * @param {string} title - Document title
+     * @returns {Promise<Buffer>} - PDF bytes
+     */
+    async toPdf(doubts, title) {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.setTitle(title);
+        pdfDoc.setCreator('EduSense');
+
+        const fonts = {
+            regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+            bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+            italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+            mono: await pdfDoc.embedFont(StandardFonts.Courier),
+        };
+        const headingSizes = { 1: 20, 2: 15, 3: 12.5, 4: 11.5 };
+        const contentWidth = PAGE.width - 2 * PAGE.margin;
+
+        let page = null;
+        let y = 0;
+
+        const newPage = () => {
+            page = pdfDoc.addPage([PAGE.width, PAGE.height]);
+            y = PAGE.height - PAGE.margin;
+        };
+
+        const writeLines = (text, { font, size, color = rgb(0, 0, 0), indent = 0, prefix = '' }) => {
+            const lineHeight = size * 1.35;
+            const lines = this.wrapText(this.toPdfText(text, font), font, size, contentWidth - indent);
+
+            lines.forEach((line, index) => {
+                if (y - lineHeight < PAGE.margin) newPage();
+                y -= lineHeight;
+                if (prefix && index === 0) {
+                    page.drawText(prefix, { x: PAGE.margin + indent - font.widthOfTextAtSize(prefix, size), y, size, font, color });
+                }
+                page.drawText(line, { x: PAGE.margin + indent, y, size, font, color });
+            });
+        };
+
+        newPage();
+        const blocks = [
+            { type: 'heading', level: 1, text: title },
+            ...doubts.flatMap((doubt, index) => this.buildBlocks(doubt, 2, `${index + 1}. ${doubt.questionText}`)),
+        ];
+
+        for (const block of blocks) {
+            switch (block.type) {
+                case 'heading': {
+                    const size = headingSizes[block.level] || headingSizes[4];
+                    // Each doubt starts on its own page once the page is half used
+                    if (block.level === 2 && y < PAGE.height / 2) newPage();
+                    y -= size * 0.6;
+                    writeLines(block.text, { font: fonts.bold, size });
+                    break;
+                }
+                case 'meta':
+                    writeLines(block.text, { font: fonts.italic, size: 9, color: rgb(0.4, 0.4, 0.4) });
+                    break;
+                case 'list':
+                    block.items.forEach((item, index) => {
+                        writeLines(item, {
+                            font: fonts.regular,
+                            size: 10.5,
+                            indent: 18,
+                            prefix: block.ordered ? `${index + 1}. ` : '• ',
+                        });
+                    });
+                    break;
+                case 'code':
+                    writeLines(block.text, { font: fonts.mono, size: 9, indent: 10, color: rgb(0.15, 0.15, 0.3) });
+                    break;
+                default:
+                    writeLines(block.text, { font: fonts.regular, size: 10.5 });
+            }
+            y -= 6;
+        }
+
+        return Buffer.from(await pdfDoc.save());
+    }
+
+    /**
+     * Make text drawable with a standard (WinAnsi) PDF font
+     * @param {string} text - Text to draw
+     * @param {Object} font - pdf-lib font
+     * @returns {string} - Text with unsupported characters replaced
+     */
+    toPdfText(text, font) {
+        return Array.from(String(text ?? '')).map((char) => {
+            const replacement = PDF_REPLACEMENTS[char] ?? char;
+            if (replacement === '\n') return replacement;
+
+            try {
+                font.encodeText(replacement);
+                return replacement;
+            } catch (error) {
+                return '?';
+            }
+        }).join('');
+    }
+
+    /**
+     * Wrap text to a width, keeping existing line breaks
+     * @param {string} text - Text to wrap
+     * @param {Object} font - pdf-lib font
+     * @param {number} size - Font size
+     * @param {number} maxWidth - Line width in points
+     * @returns {Array<string>} - Lines
+     */
+    wrapText(text, font, size, maxWidth) {
+        const fits = (line) => font.widthOfTextAtSize(line, size) <= maxWidth;
+        const lines = [];
+
+        for (const paragraph of text.split('\n')) {
+            let line = '';
+
+            for (const word of paragraph.split(' ')) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (fits(candidate)) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+
+                // Words longer than a line are broken by character
+                line = '';
+                for (const char of word) {
+                    if (!fits(line + char)) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            }
+
+            lines.push(line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Generate flashcards for each answered doubt
+     * Failures only drop that doubt's flashcards
+     * @param {Array} doubts - Doubts from loadDoubts
+     * @returns {Promise<Map>} - Doubt ID -> [{ front, back }]
+     */
+    async generateFlashcards(doubts) {
+        const flashcards = new Map();
+
+        for (const doubt of doubts) {
+            if (!doubt.finalAnswer || doubt.status !== 'answered') continue;
+
+            try {
+                const content = await llmRouter.generateStudyMaterial(doubt.meta?.topic || doubt.questionText, 'flashcards');
+                flashcards.set(doubt._id.toString(), studyMaterialService.parseFlashcards(content));
+            } catch (error) {
+                console.warn(`⚠️ Flashcards for doubt ${doubt._id} failed:`, error.message);
+            }
+        }
+
+        return flashcards;
+    }
+
+    /**
+     * Render an Anki deck as a CSV import file
+     * One card per answered question, one per practice question and one per flashcard
+     * @param {Array} doubts - Doubts from loadDoubts
+     * @param {string} title - Deck name
+     * @param {Map} flashcards - Doubt ID -> [{ front, back }]
+     * @returns {string} - CSV with Anki file headers
+     */
+    toAnkiCsv(doubts, title, flashcards = new Map()) {
+        const rows = [];
+
+        for (const doubt of doubts.flatMap((root) => [root, ...root.turns])) {
+            if (!doubt.finalAnswer || doubt.status !== 'answered') continue;
+
+            const tags = ['edusense', doubt.subject, ...(doubt.tags || [])]
+                .filter(Boolean)
+                .map((tag) => tag.trim().replace(/\s+/g, '_'));
+            const question = this.toAnkiHtml(doubt.questionText);
+            const steps = doubt.answerSteps?.length
+                ? `<ol>${doubt.answerSteps.map((step) => `<li>${this.toAnkiHtml(step)}</li>`).join('')}</ol>`
+                : '';
+
+            rows.push([question, `${this.toAnkiHtml(doubt.finalAnswer)}${steps}`, tags.join(' ')]);
+
+            for (const level of ['easy', 'medium', 'challenge']) {
+                const followUp = doubt.followUpQuestions?.[level];
+                if (!followUp) continue;
+                rows.push([
+                    this.toAnkiHtml(followUp),
+                    `<i>Practice question (${level}) for:</i> ${question}<br><br>${this.toAnkiHtml(doubt.finalAnswer)}`,
+                    [...tags, 'practice'].join(' '),
+                ]);
+            }
+
+            for (const card of flashcards.get(doubt._id.toString()) || []) {
+                rows.push([this.toAnkiHtml(card.front), this.toAnkiHtml(card.back), [...tags, 'flashcard'].join(' ')]);
+            }
+        }
+
+        const headers = [
+            '#separator:Comma',
+            '#html:true',
+            '#notetype:Basic',
+            `#deck:${title.replace(/[\r\n]/g, ' ')}`,
+            '#tags column:3',
+        ];
+        const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+        return [...headers, ...rows.map((row) => row.map(csvField).join(','))].join('\n') + '\n';
+    }
+
+    /**
+     * Escape text for an Anki HTML field
+     * @param {string} text - Plain text
+     * @returns {string} - HTML
+     */
+    toAnkiHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\n/g, '<br>');
+    }
+
+    /**
+     * File name for an export ("physics-unit-3-revision-2026-10-19")
+     * @param {string} title - Export title
+     * @returns {string} - File name without extension
+     */
+    toFileSlug(title) {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        return `${slug || 'export'}-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * List a user's exports (without file data)
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} - Exports, newest first
+     */
+    async listExports(userId) {
+        return Export.find({ userId }).sort({ createdAt: -1 }).select('-doubtIds -__v').lean();
+    }
+
+    /**
+     * Get an export's status
+     * @param {string} exportId - Export ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Export (without file data)
+     */
+    async getExport(exportId, userId) {
+        const exportDoc = mongoose.isValidObjectId(exportId)
+            ? await Export.findOne({ _id: exportId, userId }).select('-__v')
+            : null;
+
+        if (!exportDoc) {
+            throw createHttpError(404, 'Export not found');
+        }
+        return exportDoc;
+    }
+
+    /**
+     * Get a finished export's file
+     * @param {string} exportId - Export ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - { fileName, mimeType, size, stream }
+     */
+    async getExportFile(exportId, userId) {
+        const exportDoc = await this.getExport(exportId, userId);
+
+        if (exportDoc.status !== 'completed') {
+            throw createHttpError(409, exportDoc.status === 'failed'
+                ? `Export failed: ${exportDoc.error}`
+                : 'Export is not ready yet');
+        }
+        if (!exportDoc.fileId) {
+            throw createHttpError(410, 'The export file is no longer available; export again');
+        }
+
+        return {
+            fileName: exportDoc.fileName,
+            mimeType: exportDoc.mimeType,
+            size: exportDoc.size,
+            stream: this.getFileBucket().openDownloadStream(exportDoc.fileId),
+        };
+    }
+
+    /**
+     * GridFS bucket for rendered files
+     * @returns {GridFSBucket}
+     */
+    getFileBucket() {
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: FILE_BUCKET });
+    }
+
+    /**
+     * Store a rendered file in GridFS
+     * @param {Object} exportDoc - Export the file belongs to
+     * @param {Object} file - { fileName, mimeType, data }
+     * @returns {Promise<Object>} - GridFS file ID
+     */
+    async storeFile(exportDoc, file) {
+        const upload = this.getFileBucket().openUploadStream(file.fileName, {
+            metadata: {
+                exportId: exportDoc._id,
+                userId: exportDoc.userId,
+                mimeType: file.mimeType,
+                expiresAt: exportDoc.expiresAt,
+            },
+        });
+        await pipeline(Readable.from([file.data]), upload);
+        return upload.id;
+    }
+
+    /**
+     * Delete a stored file (already missing is fine)
+     * @param {Object} fileId - GridFS file ID
+     */
+    async deleteFile(fileId) {
+        try {
+            await this.getFileBucket().delete(fileId);
+        } catch (error) {
+            if (!/not found/i.test(error.message)) throw error;
+        }
+    }
+
+    /**
+     * Delete the files of exports that have expired
+     * @returns {Promise<number>} - Number of files deleted
+     */
+    async deleteExpiredFiles() {
+        const bucket = this.getFileBucket();
+        const expired = await bucket.find({ 'metadata.expiresAt': { $lte: new Date() } }).project({ _id: 1 }).toArray();
+
+        for (const { _id } of expired) {
+            await this.deleteFile(_id);
+        }
+        if (expired.length > 0) {
+            console.log(`🧹 Deleted ${expired.length} expired export file(s)`);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Delete expired export files now and then every hour
+     * @returns {NodeJS.Timeout} - Cleanup timer (does not keep the process alive)
+     */
+    startFileCleanup() {
+        const cleanup = () => this.deleteExpiredFiles().catch((error) => {
+            console.error('❌ Export file cleanup failed:', error.message);
+        });
+
+        cleanup();
+        return setInterval(cleanup, CLEANUP_INTERVAL_MS).unref();
+    }
+}
+
+export default new ExportService();
@@ -0,0 +1,250 @@
+import axios from 'axios';
+import Frame from '../models/Frame.js';
+import cloudinaryService from './cloudinaryService.js';
+import ocrService from './ocrService.js';
+import pdfService from './pdfService.js';
+import visionService from './visionService.js';
+import frameIndexer from '../ai/rag/frameIndexer.js';
+import Collection from '../models/Collection.js';
+
+/**
+ * Media Processing Service
+ * OCR, concept extraction and indexing for uploaded frames, and their cleanup.
+ * Processing runs inside media queue jobs (see src/workers/mediaWorker.js), never in the HTTP request.
+ */
+class MediaProcessingService {
+    /**
+     * Persist progress on the frame and forward it to the caller
+     * @param {string} frameId - Frame ID
+     * @param {Object} progress - { stage, percent, page, totalPages }
+     * @param {Function} onProgress - Optional progress callback
+     */
+    async reportProgress(frameId, progress, onProgress) {
+        await Frame.updateOne({ _id: frameId }, { progress });
+        await onProgress?.(progress);
+    }
+
+    /**
+     * OCR, tag and index a single image, PDF page or crop frame
+     * Throws on failure so the queue can retry the job
+     * @param {string} frameId - Frame ID
+     * @param {Object} options - { onProgress(progress) }
+     * @returns {Promise<Object|null>} - Processed frame, or null if the frame no longer exists
+     */
+    async processImage(frameId, options = {}) {
+        const { onProgress } = options;
+
+        const frame = await Frame.findById(frameId);
+        if (!frame) {
+            console.warn(`⚠️ Frame ${frameId} no longer exists, skipping`);
+            return null;
+        }
+
+        console.log(`🔄 Processing frame ${frameId}...`);
+
+        const imageUrl = frame.cropUrl || frame.sourceUrl;
+
+        frame.status = 'processing';
+        frame.processingError = null;
+        frame.progress = { stage: 'ocr', percent: 0 };
+        await frame.save();
+        await onProgress?.({ stage: 'ocr', percent: 0 });
+
+        // Run OCR (only report every 10% to keep database writes down)
+        let lastReported = 0;
+        const ocrResult = await ocrService.extractText(imageUrl, {
+            onProgress: (percent) => {
+                if (percent - lastReported < 10) return;
+                lastReported = percent;
+                // OCR accounts for the first 80% of the work
+                this.reportProgress(frameId, { stage: 'ocr', percent: Math.round(percent * 0.8) }, onProgress)
+                    .catch((err) => console.warn('Progress update failed:', err.message));
+            },
+        });
+
+        // Extract concepts (optional)
+        await this.reportProgress(frameId, { stage: 'concepts', percent: 80 }, onProgress);
+        let concepts = { conceptTags: [], difficulty: 'unknown' };
+        try {
+            concepts = await visionService.extractConcepts(imageUrl, ocrResult.text);
+        } catch (err) {
+            console.warn('Concept extraction failed:', err.message);
+        }
+
+        frame.ocrText = ocrResult.text;
+        frame.ocrRaw = ocrResult.raw;
+        frame.ocrConfidence = ocrResult.confidence;
+        frame.conceptTags = concepts.conceptTags;
+        frame.difficulty = concepts.difficulty;
+
+        // Index OCR text into Qdrant so it can be retrieved as context later
+        await this.reportProgress(frameId, { stage: 'indexing', percent: 90 }, onProgress);
+        frame.embeddingsIds = await frameIndexer.indexFrame(frame);
+
+        frame.status = 'completed';
+        frame.processedAt = new Date();
+        frame.progress = { stage: 'completed', percent: 100 };
+        await frame.save();
+        await onProgress?.({ stage: 'completed', percent: 100 });
+
+        console.log(`✅ Frame ${frameId} processed successfully`);
+        return frame;
+    }
+
+    /**
+     * Split a PDF into page frames and process each page
+     * Safe to retry: pages completed by an earlier attempt are reused, not duplicated
+     * @param {string} pdfFrameId - Parent PDF frame ID
+     * @param {Object} options - { onProgress(progress) }
+     * @returns {Promise<Array>} - Page frame summaries
+     */
+    async processPdf(pdfFrameId, options = {}) {
+        const { onProgress } = options;
+
+        const pdfFrame = await Frame.findById(pdfFrameId);
+        if (!pdfFrame) {
+            console.warn(`⚠️ PDF frame ${pdfFrameId} no longer exists, skipping`);
+            return [];
+        }
+
+        console.log(`📄 Processing PDF ${pdfFrameId}...`);
+
+        pdfFrame.status = 'processing';
+        pdfFrame.processingError = null;
+        pdfFrame.progress = { stage: 'pages', percent: 0 };
+        await pdfFrame.save();
+
+        // Download and convert PDF to images
+        const pdfResponse = await axios.get(pdfFrame.sourceUrl, { responseType: 'arraybuffer' });
+        const pages = await pdfService.convertToImages(Buffer.from(pdfResponse.data));
+        const totalPages = pages.length;
+
+        const existingPages = await Frame.find({ pdfId: pdfFrameId, sourceType: 'pdf_page' });
+        const existingByNumber = new Map(existingPages.map((page) => [page.pageNumber, page]));
+
+        const pageFrames = [];
+
+        for (const page of pages) {
+            const pageProgress = (percent) => ({
+                stage: 'pages',
+                page: page.pageNumber,
+                totalPages,
+                percent: Math.round((((page.pageNumber - 1) + percent / 100) / totalPages) * 100),
+            });
+
+            await this.reportProgress(pdfFrameId, pageProgress(0), onProgress);
+
+            let pageFrame = existingByNumber.get(page.pageNumber);
+
+            if (pageFrame?.status === 'completed') {
+                pageFrames.push(this.toPageSummary(pageFrame));
+                continue;
+            }
+
+            if (!pageFrame) {
+                // Upload page image
+                const uploadResult = await cloudinaryService.upload(page.imageBuffer, {
+                    folder: 'ayursetu/pdf-pages',
+                    resourceType: 'image',
+                });
+
+                pageFrame = await Frame.create({
+                    createdBy: pdfFrame.createdBy,
+                    lectureId: pdfFrame.lectureId,
+                    sourceType: 'pdf_page',
+                    sourceUrl: uploadResult.url,
+                    pdfId: pdfFrameId,
+                    pageNumber: page.pageNumber,
+                    visibility: pdfFrame.visibility,
+                    classId: pdfFrame.classId,
+                    status: 'queued',
+                    dimensions: {
+                        width: page.width,
+                        height: page.height,
+                    },
+                });
+            }
+
+            // A failed page is recorded on its own frame and does not fail the whole PDF
+            try {
+                const processedFrame = await this.processImage(pageFrame._id, {
+                    onProgress: (progress) =>
+                        this.reportProgress(pdfFrameId, pageProgress(progress.percent), onProgress),
+                });
+                pageFrames.push(this.toPageSummary(processedFrame));
+            } catch (error) {
+                console.error(`❌ Page ${page.pageNumber} of PDF ${pdfFrameId} failed:`, error.message);
+                await this.markFailed(pageFrame._id, error);
+                pageFrames.push({
+                    pageNumber: page.pageNumber,
+                    frameId: pageFrame._id,
+                    previewUrl: pageFrame.sourceUrl,
+                    status: 'failed',
+                });
+            }
+        }
+
+        await Frame.findByIdAndUpdate(pdfFrameId, {
+            status: 'completed',
+            processedAt: new Date(),
+            progress: { stage: 'completed', percent: 100, page: totalPages, totalPages },
+        });
+        await onProgress?.({ stage: 'completed', percent: 100, page: totalPages, totalPages });
+
+        console.log(`✅ PDF ${pdfFrameId} processed: ${totalPages} pages`);
+        return pageFrames;
+    }
+
+    /**
+     * Summarize a processed page frame for job results
+     * @param {Object} frame - Frame document
+     * @returns {Object} - Page summary
+     */
+    toPageSummary(frame) {
+        return {
+            pageNumber: frame.pageNumber,
+            frameId: frame._id,
+            previewUrl: frame.sourceUrl,
+            status: frame.status,
+        };
+    }
+
+    /**
+     * Mark a frame as failed
+     * @param {string} frameId - Frame ID
+     * @param {Error} error - Cause of the failure
+     */
+    async markFailed(frameId, error) {
+        await Frame.findByIdAndUpdate(frameId, {
+            status: 'failed',
+            processingError: error.message,
+        });
+    }
+
+    /**
+     * Delete a frame, its PDF pages and their indexed chunks
+     * Also removes them from the owner's collections
+     * @param {Object} frame - Frame document
+     */
+    async deleteFrame(frame) {
+        const deletedIds = [frame._id];
+
+        // If it's a PDF, delete all child pages
+        if (frame.sourceType === 'pdf_page' && !frame.parentPdfId) {
+            const childFrames = await Frame.find({ pdfId: frame._id }).select('embeddingsIds');
+            for (const childFrame of childFrames) {
+                await frameIndexer.removeFrame(childFrame);
+                deletedIds.push(childFrame._id);
+            }
+            await Frame.deleteMany({ pdfId: frame._id });
+        }
+
+        // Delete the frame itself (and its indexed chunks)
+        await frameIndexer.removeFrame(frame);
+        await Frame.findByIdAndDelete(frame._id);
+
+        await Collection.removeItems('frame', deletedIds);
+    }
+}
+
+export default new MediaProcessingService();
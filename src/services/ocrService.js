@@ -1,5 +1,6 @@
 import Tesseract from 'tesseract.js';
 import axios from 'axios';
+import llmRouter from '../ai/llm/llmRouter.js';
 
 /**
  * OCR Service
@@ -10,16 +11,19 @@ class OCRService {
     /**
      * Extract text using Tesseract OCR
      * @param {string|Buffer} image - Image URL or buffer
+     * @param {Object} options - { onProgress(percent) }
      * @returns {Promise<Object>} - { text, confidence, raw }
      */
-    async extractWithTesseract(image) {
+    async extractWithTesseract(image, options = {}) {
         try {
             console.log('🔍 Running Tesseract OCR...');
 
             const result = await Tesseract.recognize(image, 'eng', {
                 logger: (m) => {
                     if (m.status === 'recognizing text') {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+                        const percent = Math.round(m.progress * 100);
+                        console.log(`OCR Progress: ${percent}%`);
+                        options.onProgress?.(percent);
                     }
                 },
             });
@@ -58,6 +62,11 @@ class OCRService {
      */
     async extractWithVision(imageUrl) {
         try {
+            if (llmRouter.isLocalOnly()) {
+                console.log('⚠️ Local LLM mode, skipping Vision OCR');
+                return null;
+            }
+
             const apiKey = process.env.CLAUDE_API_KEY || process.env.OPENAI_API_KEY;
 
             if (!apiKey) {
@@ -148,12 +157,13 @@ class OCRService {
     /**
      * Choose best OCR method and extract text
      * @param {string|Buffer} image - Image URL or buffer
+     * @param {Object} options - { onProgress(percent) }
      * @returns {Promise<Object>} - Best OCR result
      */
-    async extractText(image) {
+    async extractText(image, options = {}) {
         try {
             // Always use Tesseract first to get bounding boxes (required for text selection)
-            const tesseractResult = await this.extractWithTesseract(image);
+            const tesseractResult = await this.extractWithTesseract(image, options);
 
             // Optional: Enhance text with Vision LLM (if configured), but preserve Tesseract's raw data
             if (typeof image === 'string' && image.startsWith('http')) {
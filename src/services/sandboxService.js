@@ -0,0 +1,331 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import { lstatSync, readlinkSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildSeccompFilter, isSeccompSupported } from '../utils/seccompFilter.js';
+import { createHttpError } from '../utils/httpError.js';
+
+const TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS) || 5000;
+const MEMORY_MB = parseInt(process.env.SANDBOX_MEMORY_MB) || 256;
+const MAX_OUTPUT_BYTES = parseInt(process.env.SANDBOX_MAX_OUTPUT_BYTES) || 64 * 1024;
+const MAX_CONCURRENT = parseInt(process.env.SANDBOX_MAX_CONCURRENT) || 2;
+
+// Processes and threads a run may have (RLIMIT_NPROC: counted per user, so bwrap also needs the
+// server user's own tasks to fit; the limit does not bind snippets run by root)
+const MAX_PROCESSES = parseInt(process.env.SANDBOX_MAX_PROCESSES) || 64;
+
+// Address space Node reserves at startup whatever the heap size (code range, heap cages, thread stacks)
+const NODE_RESERVED_MB = parseInt(process.env.SANDBOX_NODE_RESERVED_MB) || 768;
+
+// Where the snippet directory is mounted inside the sandbox
+const SANDBOX_DIR = '/sandbox';
+
+// Host paths every runtime needs, mounted read-only (symlinks such as /lib -> usr/lib are recreated)
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc/ld.so.cache', '/etc/alternatives'];
+
+// Supported languages: file to write, how to run it and its address-space limit
+const LANGUAGES = {
+    javascript: {
+        aliases: ['js', 'node', 'nodejs'],
+        fileName: 'main.js',
+        args: (file) => [`--max-old-space-size=${MEMORY_MB}`, '--no-warnings', file],
+        // Off-heap memory (Buffers, typed arrays) is only bounded by the address-space limit
+        addressSpaceMb: MEMORY_MB + NODE_RESERVED_MB,
+    },
+    python: {
+        aliases: ['py', 'python3'],
+        fileName: 'main.py',
+        args: (file) => ['-I', '-B', file],
+        addressSpaceMb: MEMORY_MB,
+    },
+};
+
+/**
+ * Sandbox Service
+ * Runs code snippets from answers in a throwaway bubblewrap sandbox: new user, mount, PID,
+ * network, IPC and UTS namespaces; no host filesystem except the language runtime and system
+ * libraries (read-only) and the snippet's directory (read-only at /sandbox); a seccomp filter
+ * against namespace, mount, tracing and other kernel-facing syscalls; and CPU, memory, process,
+ * output and wall-clock limits.
+ */
+class SandboxService {
+    constructor() {
+        this.running = 0;
+        this.isolation = null;
+        this.runtimes = new Map();
+    }
+
+    /**
+     * Canonical language name for a snippet's language label
+     * @param {string} language - Language label from the answer (e.g. "JavaScript", "py")
+     * @returns {string|null} - Key of LANGUAGES, or null if unsupported
+     */
+    resolveLanguage(language) {
+        const label = (language || '').trim().toLowerCase();
+        return Object.keys(LANGUAGES).find((name) => name === label || LANGUAGES[name].aliases.includes(label)) || null;
+    }
+
+    /**
+     * Whether snippets in this language can be run
+     * @param {string} language - Language label
+     * @returns {boolean}
+     */
+    isSupported(language) {
+        return this.resolveLanguage(language) !== null;
+    }
+
+    /**
+     * Supported language names
+     * @returns {Array<string>}
+     */
+    getLanguages() {
+        return Object.keys(LANGUAGES);
+    }
+
+    /**
+     * Check once whether this host can isolate snippets (bwrap with user namespaces, prlimit, a seccomp filter)
+     * @returns {Promise<boolean>}
+     */
+    async hasIsolation() {
+        if (!this.isolation) {
+            this.isolation = (async () => {
+                if (!isSeccompSupported()) return false;
+                try {
+                    const probe = await this.spawnLimited(
+                        ['prlimit', '--cpu=1', '--', 'bwrap', ...this.buildBwrapArgs(os.tmpdir(), []), '--', 'true'],
+                        { cwd: os.tmpdir(), home: SANDBOX_DIR, seccompFilter: buildSeccompFilter() }
+                    );
+                    return probe.status === 'passed';
+                } catch {
+                    return false;
+                }
+            })();
+        }
+        return this.isolation;
+    }
+
+    /**
+     * Find the interpreter for a language and the directories it needs (once per language)
+     * @param {string} name - Key of LANGUAGES
+     * @returns {Promise<Object>} - { executable, roots }
+     */
+    async resolveRuntime(name) {
+        if (!this.runtimes.has(name)) {
+            this.runtimes.set(name, (async () => {
+                if (name === 'javascript') {
+                    return { executable: process.execPath, roots: [path.resolve(path.dirname(process.execPath), '..')] };
+                }
+
+                // Ask the interpreter where it lives (version-manager shims are scripts that cannot run inside)
+                try {
+                    const { stdout } = await promisify(execFile)(
+                        process.env.SANDBOX_PYTHON || 'python3',
+                        ['-c', 'import sys, json; print(json.dumps([sys.executable, sys.base_prefix]))'],
+                        { timeout: TIMEOUT_MS }
+                    );
+                    const [executable, prefix] = JSON.parse(stdout);
+                    return { executable, roots: [prefix] };
+                } catch (error) {
+                    throw createHttpError(503, `Running python code is unavailable: ${error.message}`);
+                }
+            })());
+        }
+
+        try {
+            return await this.runtimes.get(name);
+        } catch (error) {
+            this.runtimes.delete(name);
+            throw error;
+        }
+    }
+
+    /**
+     * bwrap arguments for a sandbox with the snippet directory at /sandbox
+     * @param {string} dir - Host directory holding the snippet
+     * @param {Array<string>} roots - Runtime directories to mount read-only at the same path
+     * @returns {Array<string>}
+     */
+    buildBwrapArgs(dir, roots) {
+        const mounts = [];
+
+        for (const hostPath of SYSTEM_PATHS) {
+            let stats;
+            try {
+                stats = lstatSync(hostPath);
+            } catch {
+                continue;
+            }
+            mounts.push(...(stats.isSymbolicLink()
+                ? ['--symlink', readlinkSync(hostPath), hostPath]
+                : ['--ro-bind', hostPath, hostPath]));
+        }
+        for (const root of roots) {
+            if (!SYSTEM_PATHS.some((hostPath) => root === hostPath || root.startsWith(`${hostPath}/`))) {
+                mounts.push('--ro-bind', root, root);
+            }
+        }
+
+        return [
+            '--unshare-all',
+            '--die-with-parent',
+            '--new-session',
+            '--cap-drop', 'ALL',
+            '--hostname', 'sandbox',
+            ...mounts,
+            '--proc', '/proc',
+            '--dev', '/dev',
+            '--remount-ro', '/dev',
+            '--ro-bind', dir, SANDBOX_DIR,
+            '--chdir', SANDBOX_DIR,
+            // The filter is read from the fd 3 pipe spawnLimited sets up
+            '--seccomp', '3',
+        ];
+    }
+
+    /**
+     * Run a snippet
+     * @param {string} language - Language label
+     * @param {string} code - Source code
+     * @returns {Promise<Object>} - { language, status, exitCode, signal, stdout, stderr, truncated, timedOut, durationMs, ranAt }
+     *                              status is passed (exit 0), failed or timeout
+     * @throws {Error} - 400 for unsupported languages, 429 when too many runs are in progress,
+     *                   503 when the host cannot isolate snippets
+     */
+    async run(language, code) {
+        const name = this.resolveLanguage(language);
+        if (!name) {
+            throw createHttpError(400, `Running ${language || 'this'} code is not supported (supported: ${this.getLanguages().join(', ')})`);
+        }
+        if (typeof code !== 'string' || !code.trim()) {
+            throw createHttpError(400, 'There is no code to run');
+        }
+
+        // SANDBOX_ALLOW_UNISOLATED only applies resource limits - for development machines without bwrap
+        const isolated = await this.hasIsolation();
+        if (!isolated && process.env.SANDBOX_ALLOW_UNISOLATED !== 'true') {
+            throw createHttpError(503, 'Code execution is unavailable: this host cannot isolate snippets (needs bwrap with user namespaces and prlimit)');
+        }
+        if (this.running >= MAX_CONCURRENT) {
+            throw createHttpError(429, 'Too many code runs in progress, try again shortly');
+        }
+
+        this.running++;
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-'));
+
+        try {
+            const spec = LANGUAGES[name];
+            const runtime = await this.resolveRuntime(name);
+            await fs.writeFile(path.join(dir, spec.fileName), code);
+            // Readable by the sandbox user, writable by nobody
+            await fs.chmod(path.join(dir, spec.fileName), 0o444);
+
+            const limits = [
+                `--cpu=${Math.ceil(TIMEOUT_MS / 1000)}`,
+                '--nofile=64',
+                `--nproc=${MAX_PROCESSES}`,
+                `--as=${spec.addressSpaceMb * 1024 * 1024}`,
+            ];
+            const command = isolated
+                ? ['prlimit', ...limits, '--', 'bwrap', ...this.buildBwrapArgs(dir, runtime.roots), '--',
+                    runtime.executable, ...spec.args(path.posix.join(SANDBOX_DIR, spec.fileName))]
+                : ['prlimit', ...limits, '--', runtime.executable, ...spec.args(path.join(dir, spec.fileName))];
+
+            console.log(`🧪 Running ${name} snippet (${code.length} chars)${isolated ? '' : ' WITHOUT isolation'}`);
+            const result = await this.spawnLimited(command, isolated
+                ? { cwd: dir, home: SANDBOX_DIR, seccompFilter: buildSeccompFilter() }
+                : { cwd: dir });
+
+            return { language: name, ...result };
+        } finally {
+            this.running--;
+            await fs.rm(dir, { recursive: true, force: true })
+                .catch((error) => console.warn('⚠️ Could not remove sandbox directory:', error.message));
+        }
+    }
+
+    /**
+     * Spawn a command with a wall-clock limit and capped output
+     * @param {Array<string>} command - Executable and arguments
+     * @param {Object} options - { cwd, home (HOME as the snippet sees it, defaults to cwd), seccompFilter (passed to bwrap on fd 3) }
+     * @returns {Promise<Object>} - { status, exitCode, signal, stdout, stderr, truncated, timedOut, durationMs, ranAt }
+     */
+    spawnLimited(command, { cwd, home = cwd, seccompFilter = null }) {
+        const startTime = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(command[0], command.slice(1), {
+                cwd,
+                env: {
+                    PATH: '/usr/local/bin:/usr/bin:/bin',
+                    HOME: home,
+                    LANG: 'C.UTF-8',
+                    PYTHONIOENCODING: 'utf-8',
+                    PYTHONDONTWRITEBYTECODE: '1',
+                },
+                stdio: ['ignore', 'pipe', 'pipe', ...(seccompFilter ? ['pipe'] : [])],
+                // Own process group, so the whole tree can be killed on timeout
+                detached: true,
+            });
+
+            if (seccompFilter) {
+                child.stdio[3].on('error', () => {});
+                child.stdio[3].end(seccompFilter);
+            }
+
+            const output = { stdout: '', stderr: '' };
+            let truncated = false;
+            let timedOut = false;
+
+            const collect = (stream) => (chunk) => {
+                const room = MAX_OUTPUT_BYTES - Buffer.byteLength(output[stream]);
+                if (room <= 0) {
+                    truncated = true;
+                    return;
+                }
+                const text = chunk.toString('utf8');
+                if (Buffer.byteLength(text) > room) truncated = true;
+                output[stream] += Buffer.from(text).subarray(0, room).toString('utf8');
+            };
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch {
+                    child.kill('SIGKILL');
+                }
+            }, TIMEOUT_MS);
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(createHttpError(503, `Could not start the sandbox: ${error.message}`));
+            });
+
+            child.on('close', (exitCode, signal) => {
+                clearTimeout(timer);
+                // SIGXCPU / SIGKILL from the CPU limit count as a timeout too
+                const overCpu = signal === 'SIGXCPU';
+
+                resolve({
+                    status: timedOut || overCpu ? 'timeout' : exitCode === 0 ? 'passed' : 'failed',
+                    exitCode,
+                    signal,
+                    stdout: output.stdout,
+                    stderr: timedOut || overCpu
+                        ? `${output.stderr}\nTime limit of ${TIMEOUT_MS}ms exceeded`.trim()
+                        : output.stderr,
+                    truncated,
+                    timedOut: timedOut || overCpu,
+                    durationMs: Date.now() - startTime,
+                    ranAt: new Date(),
+                });
+            });
+        });
+    }
+}
+
+export default new SandboxService();
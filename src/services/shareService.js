@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ShareLink from '../models/ShareLink.js';
+import Doubt from '../models/Doubt.js';
+import askService from '../ai/services/askService.js';
+import { createHttpError } from '../utils/httpError.js';
+
+// Longest expiry a link can be given (one year)
+const MAX_EXPIRY_HOURS = 365 * 24;
+
+// Doubt fields that are safe to show to anyone with the link
+const PUBLIC_DOUBT_FIELDS = [
+    'questionText', 'answerSteps', 'explanation', 'finalAnswer', 'code', 'execution', 'verification', 'mermaidCode',
+    'meta', 'subject', 'tags', 'followUpQuestions', 'confidence', 'mode', 'hints', 'totalHints',
+    'hintStatus', 'turnIndex', 'createdAt',
+];
+
+/**
+ * Share Service
+ * Revocable public links to a read-only, sanitized view of a doubt
+ */
+class ShareService {
+    /**
+     * Create a share link for a doubt
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - Owner's user ID
+     * @param {Object} options - { expiresInHours } (omit for a link that never expires)
+     * @returns {Promise<Object>} - Share link
+     */
+    async createLink(doubtId, userId, options = {}) {
+        const { expiresInHours } = options;
+
+        const doubt = mongoose.isValidObjectId(doubtId)
+            ? await Doubt.findOne({ _id: doubtId, userId }).select('status')
+            : null;
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+        if (doubt.status !== 'answered') {
+            throw createHttpError(409, 'Only answered doubts can be shared');
+        }
+
+        let expiresAt = null;
+        if (expiresInHours !== undefined && expiresInHours !== null) {
+            const hours = Number(expiresInHours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+                throw createHttpError(400, `expiresInHours must be between 0 and ${MAX_EXPIRY_HOURS}`);
+            }
+            expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        }
+
+        return ShareLink.create({
+            token: crypto.randomBytes(24).toString('base64url'),
+            doubtId: doubt._id,
+            userId,
+            expiresAt,
+        });
+    }
+
+    /**
+     * List the owner's share links
+     * @param {string} userId - Owner's user ID
+     * @param {Object} options - { doubtId } to only list links for one doubt
+     * @returns {Promise<Array>} - Share links with the question they share, newest first
+     */
+    async listLinks(userId, options = {}) {
+        const query = { userId };
+        if (options.doubtId) {
+            if (!mongoose.isValidObjectId(options.doubtId)) {
+                throw createHttpError(400, 'Invalid doubtId');
+            }
+            query.doubtId = options.doubtId;
+        }
+
+        const links = await ShareLink.find(query)
+            .sort({ createdAt: -1 })
+            .populate('doubtId', 'questionText')
+            .lean();
+
+        return links.map(({ doubtId: doubt, __v, ...link }) => ({
+            ...link,
+            doubtId: doubt?._id || null,
+            questionText: doubt?.questionText || null,
+            active: !link.revokedAt && (!link.expiresAt || link.expiresAt > new Date()),
+        }));
+    }
+
+    /**
+     * Revoke a share link
+     * @param {string} token - Share token
+     * @param {string} userId - Owner's user ID
+     * @returns {Promise<Object>} - Revoked link
+     */
+    async revokeLink(token, userId) {
+        const link = await ShareLink.findOne({ token, userId });
+        if (!link) {
+            throw createHttpError(404, 'Share link not found');
+        }
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date();
+            await link.save();
+        }
+        return link;
+    }
+
+    /**
+     * Open a share link (counts as a view)
+     * @param {string} token - Share token
+     * @returns {Promise<Object>} - { doubt, thread, sharedAt, viewCount }
+     * @throws {Error} - 404 if unknown, 410 if revoked or expired
+     */
+    async viewSharedDoubt(token) {
+        const link = await ShareLink.findOne({ token });
+        if (!link) {
+            throw createHttpError(404, 'Share link not found');
+        }
+        if (!link.isActive()) {
+            throw createHttpError(410, 'This share link has expired or been revoked');
+        }
+
+        const doubt = await Doubt.findOne({ _id: link.doubtId, userId: link.userId })
+            .select('-retrievedContext -answerVersions')
+            .lean();
+        if (!doubt) {
+            throw createHttpError(404, 'Shared doubt no longer exists');
+        }
+
+        // Follow-up turns asked after the shared doubt are part of the conversation being shared
+        const turns = doubt.threadId ? [] : await Doubt.find({ threadId: doubt._id, userId: link.userId })
+            .select('-retrievedContext -answerVersions')
+            .sort({ turnIndex: 1 })
+            .lean();
+
+        const updated = await ShareLink.findByIdAndUpdate(
+            link._id,
+            { $inc: { viewCount: 1 }, lastViewedAt: new Date() },
+            { new: true }
+        );
+
+        return {
+            doubt: this.toPublicDoubt(doubt),
+            thread: turns.filter((turn) => turn.status === 'answered').map((turn) => this.toPublicDoubt(turn)),
+            sharedAt: link.createdAt,
+            viewCount: updated?.viewCount ?? link.viewCount + 1,
+        };
+    }
+
+    /**
+     * Read-only view of a doubt for people other than its owner
+     * Drops user IDs, retrieved context and links into the owner's private uploads
+     * @param {Object} doubt - Plain doubt object
+     * @returns {Object} - Public doubt
+     */
+    toPublicDoubt(doubt) {
+        // In-progress hint doubts keep their solution hidden for viewers too
+        const visible = askService.hideUnrevealed(doubt);
+        const publicDoubt = {};
+
+        for (const field of PUBLIC_DOUBT_FIELDS) {
+            if (visible[field] !== undefined) publicDoubt[field] = visible[field];
+        }
+
+        // Citations keep their source label but not frame IDs or page regions
+        publicDoubt.citations = visible.finalAnswer === undefined
+            ? []
+            : (doubt.citations || []).map(({ marker, location, stepIndex, source, pageNumber }) => ({
+                marker, location, stepIndex, source, pageNumber,
+            }));
+
+        return publicDoubt;
+    }
+}
+
+export default new ShareService();
@@ -0,0 +1,283 @@
+import mongoose from 'mongoose';
+import StudyMaterial, { STUDY_MATERIAL_TYPES } from '../models/StudyMaterial.js';
+import Doubt from '../models/Doubt.js';
+import askService from '../ai/services/askService.js';
+import llmRouter from '../ai/llm/llmRouter.js';
+import { createHttpError } from '../utils/httpError.js';
+
+// Longest free-text topic accepted
+const MAX_TOPIC_LENGTH = 300;
+
+// Most materials returned per list page
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Study Material Service
+ * Generates notes, flashcards, analogies and quizzes, parses them into structured content
+ * and keeps them so they can be listed and opened again
+ */
+class StudyMaterialService {
+    /**
+     * Generate and save study material
+     * @param {string} userId - User ID
+     * @param {Object} params - { type, topic, doubtId } (topic defaults to the doubt's topic)
+     * @returns {Promise<Object>} - Saved material
+     * @throws {Error} - 400 for bad input, 404 for an unknown doubt, the router's 502/503 when no provider answers,
+     *                   502 when no reply could be parsed
+     */
+    async generateMaterial(userId, params = {}) {
+        const { type, doubtId } = params;
+
+        if (!STUDY_MATERIAL_TYPES.includes(type)) {
+            throw createHttpError(400, `Type must be one of: ${STUDY_MATERIAL_TYPES.join(', ')}`);
+        }
+
+        const doubt = doubtId ? await this.getSourceDoubt(doubtId, userId) : null;
+        const topic = this.validateTopic(params.topic || doubt?.meta?.topic || doubt?.questionText);
+
+        // A reply that does not parse is asked for again, like invalid answers.
+        // Router errors (502/503) are thrown as they are: the router has already tried every provider.
+        let content;
+        let lastError;
+        for (let attempt = 0; attempt <= llmRouter.repairAttempts && !content; attempt++) {
+            const reply = await llmRouter.generateStudyMaterial(topic, type);
+            try {
+                content = this.parseContent(type, reply);
+            } catch (error) {
+                console.warn(`⚠️ ${type} for "${topic}" did not parse (attempt ${attempt + 1}):`, error.message);
+                lastError = error;
+            }
+        }
+
+        if (!content) {
+            throw createHttpError(502, `Could not generate ${type}: ${lastError.message}`);
+        }
+
+        const material = await StudyMaterial.create({
+            userId,
+            type,
+            topic,
+            subject: params.subject || doubt?.subject || null,
+            doubtId: doubt?._id || null,
+            ...content,
+        });
+
+        console.log(`📚 Saved ${type} for "${topic}" (${material._id})`);
+        return material;
+    }
+
+    /**
+     * List a user's study materials, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { type, doubtId, topic (substring), limit, skip }
+     * @returns {Promise<Object>} - { total, materials }
+     */
+    async listMaterials(userId, options = {}) {
+        const query = { userId };
+
+        if (options.type) {
+            if (!STUDY_MATERIAL_TYPES.includes(options.type)) {
+                throw createHttpError(400, `Type must be one of: ${STUDY_MATERIAL_TYPES.join(', ')}`);
+            }
+            query.type = options.type;
+        }
+        if (options.doubtId) {
+            if (!mongoose.isValidObjectId(options.doubtId)) {
+                throw createHttpError(400, 'Invalid doubtId');
+            }
+            query.doubtId = options.doubtId;
+        }
+        if (options.topic) {
+            query.topic = { $regex: options.topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+
+        const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(parseInt(options.skip) || 0, 0);
+
+        const [total, materials] = await Promise.all([
+            StudyMaterial.countDocuments(query),
+            StudyMaterial.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-__v').lean(),
+        ]);
+
+        return { total, materials };
+    }
+
+    /**
+     * Get a study material
+     * @param {string} materialId - Material ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Material
+     */
+    async getMaterial(materialId, userId) {
+        const material = mongoose.isValidObjectId(materialId)
+            ? await StudyMaterial.findOne({ _id: materialId, userId }).select('-__v')
+            : null;
+
+        if (!material) {
+            throw createHttpError(404, 'Study material not found');
+        }
+        return material;
+    }
+
+    /**
+     * Delete a study material
+     * @param {string} materialId - Material ID
+     * @param {string} userId - User ID
+     */
+    async deleteMaterial(materialId, userId) {
+        const result = mongoose.isValidObjectId(materialId)
+            ? await StudyMaterial.deleteOne({ _id: materialId, userId })
+            : { deletedCount: 0 };
+
+        if (result.deletedCount === 0) {
+            throw createHttpError(404, 'Study material not found');
+        }
+    }
+
+    /**
+     * Load the doubt material is generated from
+     * @param {string} doubtId - Doubt ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - Doubt
+     */
+    async getSourceDoubt(doubtId, userId) {
+        const doubt = mongoose.isValidObjectId(doubtId)
+            ? await Doubt.findOne({ _id: doubtId, userId }).select('questionText subject meta mode hintStatus')
+            : null;
+
+        if (!doubt) {
+            throw createHttpError(404, 'Doubt not found');
+        }
+
+        // Material for an unsolved hint-mode doubt would give the solution away
+        askService.assertSolutionVisible(doubt);
+        return doubt;
+    }
+
+    /**
+     * Validate a topic
+     * @param {string} topic - Topic from the request or the doubt
+     * @returns {string} - Trimmed topic
+     */
+    validateTopic(topic) {
+        if (typeof topic !== 'string' || !topic.trim()) {
+            throw createHttpError(400, 'Topic or doubtId is required');
+        }
+        if (topic.trim().length > MAX_TOPIC_LENGTH) {
+            throw createHttpError(400, `Topic must be at most ${MAX_TOPIC_LENGTH} characters`);
+        }
+        return topic.trim();
+    }
+
+    /**
+     * Parse generated content into the fields stored for its type
+     * @param {string} type - Material type
+     * @param {string} text - Model output
+     * @returns {Object} - { markdown } | { flashcards } | { questions }
+     * @throws {Error} - If the output has no usable content
+     */
+    parseContent(type, text) {
+        switch (type) {
+            case 'flashcards':
+                return { flashcards: this.parseFlashcards(text) };
+            case 'quiz':
+                return { questions: this.parseQuiz(text) };
+            default: {
+                const markdown = (text || '').replace(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n?```\s*$/, '$1').trim();
+                if (!markdown) {
+                    throw new Error('Empty response');
+                }
+                return { markdown };
+            }
+        }
+    }
+
+    /**
+     * Material as the text POST /api/ask/study used to return
+     * (Markdown for notes and analogies, the JSON array for flashcards and quizzes)
+     * @param {Object} material - Saved material
+     * @returns {string}
+     */
+    toLegacyContent(material) {
+        if (material.markdown) return material.markdown;
+        return JSON.stringify(material.type === 'quiz' ? material.questions : material.flashcards, null, 2);
+    }
+
+    /**
+     * Parse a JSON array out of model output (fenced or surrounded by prose)
+     * @param {string} text - Model output
+     * @returns {Array}
+     */
+    parseJsonArray(text) {
+        const match = (text || '').match(/\[[\s\S]*\]/);
+        if (!match) {
+            throw new Error('No JSON array in the response');
+        }
+
+        const items = JSON.parse(match[0]);
+        if (!Array.isArray(items)) {
+            throw new Error('Response is not a JSON array');
+        }
+        return items;
+    }
+
+    /**
+     * Parse generated flashcards
+     * @param {string} text - Model output ([{ front, back }] JSON)
+     * @returns {Array} - Valid cards
+     * @throws {Error} - If there are none
+     */
+    parseFlashcards(text) {
+        const cards = this.parseJsonArray(text)
+            .filter((card) => typeof card?.front === 'string' && typeof card?.back === 'string')
+            .map((card) => ({ front: card.front.trim(), back: card.back.trim() }))
+            .filter((card) => card.front && card.back);
+
+        if (cards.length === 0) {
+            throw new Error('No flashcards with a front and back');
+        }
+        return cards;
+    }
+
+    /**
+     * Parse a generated quiz
+     * The answer may be given as the option text, its letter ("B") or its index
+     * @param {string} text - Model output ([{ question, options, answer, explanation }] JSON)
+     * @returns {Array} - Valid questions
+     * @throws {Error} - If there are none
+     */
+    parseQuiz(text) {
+        const questions = [];
+
+        for (const item of this.parseJsonArray(text)) {
+            if (typeof item?.question !== 'string' || !item.question.trim()) continue;
+
+            const options = Array.isArray(item.options)
+                ? item.options.filter((option) => typeof option === 'string' && option.trim()).map((option) => option.trim())
+                : [];
+
+            let answer = typeof item.answer === 'string' ? item.answer.trim() : item.answer;
+            if (typeof answer === 'string' && /^[A-Z]$/i.test(answer) && options.length > 0 && !options.includes(answer)) {
+                answer = options[answer.toUpperCase().charCodeAt(0) - 65];
+            } else if (Number.isInteger(answer)) {
+                answer = options[answer];
+            }
+
+            if (typeof answer !== 'string' || !answer || (options.length > 0 && !options.includes(answer))) continue;
+
+            questions.push({
+                question: item.question.trim(),
+                options,
+                answer,
+                explanation: typeof item.explanation === 'string' ? item.explanation.trim() : '',
+            });
+        }
+
+        if (questions.length === 0) {
+            throw new Error('No quiz questions with a valid answer');
+        }
+        return questions;
+    }
+}
+
+export default new StudyMaterialService();
@@ -1,24 +1,22 @@
-import groqClient from '../ai/llm/groqClient.js';
+import llmRouter from '../ai/llm/llmRouter.js';
 
 /**
  * Vision Service
- * Handles concept extraction and semantic analysis using Vision LLMs (via Groq)
+ * Handles concept extraction and semantic analysis using LLMs (via llmRouter)
  */
 
 class VisionService {
     /**
-     * Extract concepts from image using Vision LLM (Groq Llama 3.2 Vision)
-     * @param {string} imageUrl - Cloudinary URL
+     * Extract concepts from a frame's OCR text (text only, through llmRouter)
+     * @param {string} imageUrl - Cloudinary URL (not sent to the model)
      * @param {string} ocrText - Extracted OCR text
      * @returns {Promise<Object>} - { conceptTags, difficulty, summary, topics }
      */
     async extractConcepts(imageUrl, ocrText) {
         try {
-            console.log('🧠 Extracting concepts with Groq Vision...');
-
-            // Note: Groq's Llama 3.2 Vision Preview supports image inputs.
-            // If the URL is accessible, we can pass it. Otherwise, we rely on OCR text.
+            console.log('🧠 Extracting concepts with LLM...');
 
+            // The image itself is not sent: concepts come from the OCR text alone
             const prompt = `Analyze this educational content based on the extracted text:
             
 OCR Text: ${ocrText}
@@ -31,9 +29,7 @@ Provide a JSON response with:
 
 Return ONLY valid JSON, no other text.`;
 
-            // Using askRaw for now as we are passing text. 
-            // TODO: Update groqClient to support image_url messages for Llama 3.2 Vision
-            const responseText = await groqClient.askRaw(prompt);
+            const responseText = await llmRouter.askRaw(prompt);
 
             const jsonMatch = responseText.match(/\{[\s\S]*\}/);
 
@@ -0,0 +1,14 @@
+/**
+ * Answer Styles
+ * Values a user can pick for how answers are written (request overrides and saved preferences).
+ * Shared by the User model, the controllers and promptBuilder.
+ */
+
+// Tones supported by promptBuilder's system prompt
+export const ANSWER_TONES = ['educational', 'concise', 'detailed', 'encouraging'];
+
+// Levels an answer can be pitched at (Doubt meta.difficulty values)
+export const ANSWER_DIFFICULTIES = ['school', 'easy', 'medium', 'hard', 'competitive', 'college'];
+
+// How much detail an answer goes into
+export const ANSWER_LENGTHS = ['short', 'medium', 'long'];
@@ -0,0 +1,12 @@
+/**
+ * Create an Error carrying an HTTP status code
+ * Controllers (and the global errorHandler) read `statusCode` to pick the response status
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Error message
+ * @returns {Error} Error with statusCode attached
+ */
+export const createHttpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
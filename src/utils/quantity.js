@@ -0,0 +1,456 @@
+/**
+ * Quantities with units
+ * A small calculator over values with SI dimensions, used to re-check numerical answers.
+ * Every value carries its dimensions, so unit mistakes (adding metres to seconds, a speed
+ * given in joules) surface as errors instead of plausible-looking numbers.
+ *
+ * Values are kept in SI base units; unit strings ("km/h", "J/(mol·K)", "m s^-2") are
+ * parsed with the same grammar as expressions, with unit symbols as identifiers.
+ * Spelled-out units ("2 hours", "kilometres per hour", "square metres") are accepted too.
+ */
+
+const BASE_DIMENSIONS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+const DIMENSIONLESS = BASE_DIMENSIONS.map(() => 0);
+
+/**
+ * Create a quantity
+ * @param {number} value - Value in SI base units
+ * @param {Array<number>} dims - Exponent of each base dimension (BASE_DIMENSIONS order)
+ * @returns {{ value: number, dims: Array<number> }}
+ */
+const quantity = (value, dims = DIMENSIONLESS) => ({ value, dims });
+
+/**
+ * Dimension vector from { base: exponent }
+ * @param {Object} spec - e.g. { kg: 1, m: 2, s: -2 }
+ * @returns {Array<number>}
+ */
+const dimensions = (spec) => BASE_DIMENSIONS.map((base) => spec[base] || 0);
+
+// Unit symbol -> scale to SI, dimensions, and whether SI prefixes apply (km, mA, MeV)
+const UNITS = {};
+const defineUnit = (symbols, scale, spec, prefixable = false) => {
+    for (const symbol of [].concat(symbols)) {
+        UNITS[symbol] = { scale, dims: dimensions(spec), prefixable };
+    }
+};
+
+defineUnit('m', 1, { m: 1 }, true);
+defineUnit('g', 1e-3, { kg: 1 }, true);
+defineUnit(['s', 'sec'], 1, { s: 1 }, true);
+defineUnit('A', 1, { A: 1 }, true);
+defineUnit('K', 1, { K: 1 }, true);
+defineUnit('mol', 1, { mol: 1 }, true);
+defineUnit('cd', 1, { cd: 1 }, true);
+defineUnit('N', 1, { kg: 1, m: 1, s: -2 }, true);
+defineUnit('J', 1, { kg: 1, m: 2, s: -2 }, true);
+defineUnit('W', 1, { kg: 1, m: 2, s: -3 }, true);
+defineUnit('Pa', 1, { kg: 1, m: -1, s: -2 }, true);
+defineUnit('Hz', 1, { s: -1 }, true);
+defineUnit('C', 1, { A: 1, s: 1 }, true);
+defineUnit('V', 1, { kg: 1, m: 2, s: -3, A: -1 }, true);
+defineUnit(['Ω', 'ohm'], 1, { kg: 1, m: 2, s: -3, A: -2 }, true);
+defineUnit('F', 1, { kg: -1, m: -2, s: 4, A: 2 }, true);
+defineUnit('T', 1, { kg: 1, s: -2, A: -1 }, true);
+defineUnit('Wb', 1, { kg: 1, m: 2, s: -2, A: -1 }, true);
+defineUnit('H', 1, { kg: 1, m: 2, s: -2, A: -2 }, true);
+defineUnit(['L', 'l'], 1e-3, { m: 3 }, true);
+defineUnit('eV', 1.602176634e-19, { kg: 1, m: 2, s: -2 }, true);
+defineUnit('cal', 4.184, { kg: 1, m: 2, s: -2 }, true);
+defineUnit('Wh', 3600, { kg: 1, m: 2, s: -2 }, true);
+defineUnit('bar', 1e5, { kg: 1, m: -1, s: -2 }, true);
+defineUnit('atm', 101325, { kg: 1, m: -1, s: -2 });
+defineUnit('mmHg', 133.322387415, { kg: 1, m: -1, s: -2 });
+defineUnit('min', 60, { s: 1 });
+defineUnit(['h', 'hr'], 3600, { s: 1 });
+defineUnit('day', 86400, { s: 1 });
+defineUnit(['yr', 'year'], 3.15576e7, { s: 1 });
+defineUnit('ft', 0.3048, { m: 1 });
+defineUnit('mi', 1609.344, { m: 1 });
+defineUnit('lb', 0.45359237, { kg: 1 });
+defineUnit('mph', 0.44704, { m: 1, s: -1 });
+defineUnit('rpm', Math.PI / 30, { s: -1 });
+defineUnit('rad', 1, {});
+defineUnit(['deg', '°'], Math.PI / 180, {});
+defineUnit('%', 0.01, {});
+// Celsius is treated as a temperature difference (no offset), like most textbook calculations
+defineUnit(['°C', 'degC'], 1, { K: 1 });
+
+// Unit name (lower case, singular and plural) -> entry of the unit symbol it spells out
+const UNIT_NAMES = {};
+const nameUnit = (symbol, names, irregularPlurals = []) => {
+    for (const name of names) {
+        UNIT_NAMES[name] = UNITS[symbol];
+        UNIT_NAMES[/(?:s|z)$/.test(name) ? name : `${name}s`] = UNITS[symbol];
+    }
+    for (const plural of irregularPlurals) {
+        UNIT_NAMES[plural] = UNITS[symbol];
+    }
+};
+
+nameUnit('m', ['metre', 'meter']);
+nameUnit('g', ['gram', 'gramme']);
+nameUnit('s', ['second', 'sec']);
+nameUnit('A', ['ampere', 'amp']);
+nameUnit('K', ['kelvin']);
+nameUnit('mol', ['mole']);
+nameUnit('cd', ['candela']);
+nameUnit('N', ['newton']);
+nameUnit('J', ['joule']);
+nameUnit('W', ['watt']);
+nameUnit('Pa', ['pascal']);
+nameUnit('Hz', ['hertz']);
+nameUnit('C', ['coulomb']);
+nameUnit('V', ['volt']);
+nameUnit('Ω', ['ohm']);
+nameUnit('F', ['farad']);
+nameUnit('T', ['tesla']);
+nameUnit('Wb', ['weber']);
+nameUnit('H', ['henry'], ['henries']);
+nameUnit('L', ['litre', 'liter']);
+nameUnit('eV', ['electronvolt']);
+nameUnit('cal', ['calorie']);
+nameUnit('atm', ['atmosphere']);
+nameUnit('min', ['minute', 'min']);
+nameUnit('h', ['hour', 'hr']);
+nameUnit('day', ['day']);
+nameUnit('yr', ['year', 'yr']);
+nameUnit('ft', ['foot'], ['feet']);
+nameUnit('mi', ['mile']);
+nameUnit('lb', ['pound', 'lb']);
+nameUnit('rad', ['radian']);
+nameUnit('deg', ['degree']);
+nameUnit('%', ['percent']);
+nameUnit('°C', ['celsius']);
+
+const PREFIXES = {
+    da: 1e1, Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2,
+    d: 1e-1, c: 1e-2, m: 1e-3, u: 1e-6, µ: 1e-6, μ: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15,
+};
+
+// Spelled-out prefixes for unit names ("kilometres", "milliseconds")
+const PREFIX_NAMES = {
+    tera: 1e12, giga: 1e9, mega: 1e6, kilo: 1e3, hecto: 1e2, deca: 1e1, deka: 1e1,
+    deci: 1e-1, centi: 1e-2, milli: 1e-3, micro: 1e-6, nano: 1e-9, pico: 1e-12,
+};
+
+// Named SI units shown instead of base-unit products
+const DISPLAY_UNITS = ['N', 'J', 'W', 'Pa', 'Hz', 'C', 'V', 'Ω', 'F', 'T', 'Wb', 'H'];
+
+const CONSTANTS = {
+    pi: Math.PI,
+    π: Math.PI,
+    e: Math.E,
+};
+
+// Functions on dimensionless values; sqrt, cbrt and abs also accept dimensioned ones
+const FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    exp: Math.exp, ln: Math.log, log: Math.log10, log10: Math.log10, log2: Math.log2,
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+
+/**
+ * Look up a unit symbol or name, with an optional SI prefix
+ * Symbols are case-sensitive ("mS" is not "ms"); names are not ("Hours", "kilograms").
+ * @param {string} symbol - e.g. "km", "MeV", "h", "hours", "kilometres"
+ * @returns {Object|null} - { scale, dims }
+ */
+const lookupUnit = (symbol) => {
+    if (UNITS[symbol]) return UNITS[symbol];
+
+    const name = symbol.toLowerCase();
+    if (UNIT_NAMES[name]) return UNIT_NAMES[name];
+
+    const prefixed = [
+        ...Object.entries(PREFIXES).map(([prefix, factor]) => [symbol, prefix, factor, UNITS]),
+        ...Object.entries(PREFIX_NAMES).map(([prefix, factor]) => [name, prefix, factor, UNIT_NAMES]),
+    ];
+    for (const [text, prefix, factor, table] of prefixed) {
+        const unit = text.startsWith(prefix) && table[text.slice(prefix.length)];
+        if (unit?.prefixable) {
+            return { scale: unit.scale * factor, dims: unit.dims };
+        }
+    }
+    return null;
+};
+
+/**
+ * Rewrite unit phrases into the unit grammar
+ * ("metres per second squared" -> "metres/second^2", "square km" -> "km^2", "degrees Celsius" -> "°C")
+ * @param {string} text - Normalized unit
+ * @returns {string}
+ */
+const rewriteUnitWords = (text) => text
+    .replace(/\bdeg(?:ree)?s?\s+(?:celsius|centigrade)\b/gi, '°C')
+    .replace(/\s+per\s+/gi, '/')
+    .replace(/\b(?:square|sq)\s+([A-Za-zµμ]+)/gi, '$1^2')
+    .replace(/\bcubic\s+([A-Za-zµμ]+)/gi, '$1^3')
+    .replace(/([A-Za-zµμ]+)\s+(squared|cubed)\b/gi, (match, unit, power) => `${unit}^${power.toLowerCase() === 'squared' ? 2 : 3}`);
+
+/**
+ * Rewrite typographic math into plain operators ("×" -> "*", "m²" -> "m^2", "s⁻¹" -> "s^-1")
+ * @param {string} text - Expression or unit
+ * @returns {string}
+ */
+const normalize = (text) => String(text)
+    .replace(/[×·⋅∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/\*\*/g, '^')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, (digits) => `^${[...digits].map((char) => SUPERSCRIPTS[char]).join('')}`);
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Normalized expression
+ * @returns {Array<{ type: string, value: string }>}
+ */
+const tokenize = (text) => {
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_µμΩ°%][\wµμΩ°%]*)|([-+*/^(),]))/gy;
+    const tokens = [];
+    let match;
+
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: match[1] });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'op', value: match[3] });
+    }
+
+    const rest = text.slice(pattern.lastIndex).trim();
+    if (rest) {
+        throw new Error(`Unexpected "${rest.slice(0, 10)}"`);
+    }
+    return tokens;
+};
+
+const sameDims = (a, b) => a.every((exponent, index) => Math.abs(exponent - b[index]) < 1e-9);
+
+/**
+ * Whether two quantities have the same dimensions
+ * @param {Object} a - Quantity
+ * @param {Object} b - Quantity
+ * @returns {boolean}
+ */
+export const sameDimensions = (a, b) => sameDims(a.dims, b.dims);
+
+/**
+ * Readable unit for a dimension vector ("m·s^-2", "J", "" for dimensionless)
+ * @param {Array<number>} dims - Dimension vector
+ * @returns {string}
+ */
+export const formatDimensions = (dims) => {
+    const named = DISPLAY_UNITS.find((symbol) => sameDims(UNITS[symbol].dims, dims));
+    if (named) return named;
+
+    return BASE_DIMENSIONS
+        .map((base, index) => {
+            const exponent = Math.round(dims[index] * 1000) / 1000;
+            if (exponent === 0) return null;
+            return exponent === 1 ? base : `${base}^${exponent}`;
+        })
+        .filter(Boolean)
+        .join('·');
+};
+
+/**
+ * Parse and evaluate tokens
+ * Grammar: sum := product (('+'|'-') product)*; product := unary (('*'|'/'|implicit) unary)*;
+ * unary := '-' unary | power; power := primary ('^' unary)?
+ * In unit mode everything after a '/' up to the next '/' is the denominator ("J/mol K" = J/(mol·K)).
+ * @param {Array} tokens - Tokens
+ * @param {Function} resolveName - Name -> quantity
+ * @param {boolean} units - Unit mode
+ * @returns {Object} - Quantity
+ */
+const evaluateTokens = (tokens, resolveName, units) => {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}"`);
+        pos++;
+    };
+    const startsPrimary = () => peek() && (peek().type !== 'op' || peek().value === '(');
+
+    const add = (a, b, sign) => {
+        if (!sameDims(a.dims, b.dims)) {
+            throw new Error(`Cannot ${sign > 0 ? 'add' : 'subtract'} ${formatDimensions(a.dims) || 'a number'} and ${formatDimensions(b.dims) || 'a number'}`);
+        }
+        return quantity(a.value + sign * b.value, a.dims);
+    };
+    const multiply = (a, b, sign = 1) => quantity(
+        sign > 0 ? a.value * b.value : a.value / b.value,
+        a.dims.map((exponent, index) => exponent + sign * b.dims[index])
+    );
+    const power = (base, exponent) => {
+        if (!sameDims(exponent.dims, DIMENSIONLESS)) throw new Error('Exponents must be dimensionless');
+        return quantity(base.value ** exponent.value, base.dims.map((dim) => dim * exponent.value));
+    };
+
+    const callFunction = (name, args) => {
+        const [arg] = args;
+        if (name === 'sqrt') return power(arg, quantity(0.5));
+        if (name === 'cbrt') return power(arg, quantity(1 / 3));
+        if (name === 'abs') return quantity(Math.abs(arg.value), arg.dims);
+        if (name === 'pow') return power(arg, args[1]);
+        if (name === 'atan2') {
+            if (!sameDims(arg.dims, args[1].dims)) throw new Error('atan2 needs arguments with the same units');
+            return quantity(Math.atan2(arg.value, args[1].value));
+        }
+        if (!sameDims(arg.dims, DIMENSIONLESS)) {
+            throw new Error(`${name}() needs a dimensionless argument, got ${formatDimensions(arg.dims)}`);
+        }
+        return quantity(FUNCTIONS[name](arg.value));
+    };
+
+    let parseSum;
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of expression');
+        pos++;
+
+        if (token.type === 'number') return quantity(Number(token.value));
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseSum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            const isCall = !units && isOp('(') && (FUNCTIONS[token.value] || ['sqrt', 'cbrt', 'abs', 'pow', 'atan2'].includes(token.value));
+            if (isCall) {
+                pos++;
+                const args = [parseSum()];
+                while (isOp(',')) {
+                    pos++;
+                    args.push(parseSum());
+                }
+                expect(')');
+                const arity = ['pow', 'atan2'].includes(token.value) ? 2 : 1;
+                if (args.length !== arity) throw new Error(`${token.value}() takes ${arity} argument${arity === 1 ? '' : 's'}`);
+                return callFunction(token.value, args);
+            }
+            return resolveName(token.value);
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const parseUnary = () => {
+        if (isOp('-')) {
+            pos++;
+            const operand = parseUnary();
+            return quantity(-operand.value, operand.dims);
+        }
+        if (isOp('+')) {
+            pos++;
+            return parseUnary();
+        }
+        const base = parsePrimary();
+        if (isOp('^')) {
+            pos++;
+            return power(base, parseUnary());
+        }
+        return base;
+    };
+
+    // Unit-mode denominator: a product that stops at the next '/'
+    const parseUnitProduct = () => {
+        let value = parseUnary();
+        while (isOp('*') || startsPrimary()) {
+            if (isOp('*')) pos++;
+            value = multiply(value, parseUnary());
+        }
+        return value;
+    };
+
+    const parseProduct = () => {
+        let value = parseUnary();
+        for (;;) {
+            if (isOp('/')) {
+                pos++;
+                value = multiply(value, units ? parseUnitProduct() : parseUnary(), -1);
+            } else if (isOp('*')) {
+                pos++;
+                value = multiply(value, parseUnary());
+            } else if (startsPrimary()) {
+                value = multiply(value, parseUnary());
+            } else {
+                return value;
+            }
+        }
+    };
+
+    parseSum = () => {
+        let value = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const sign = peek().value === '+' ? 1 : -1;
+            pos++;
+            value = add(value, parseProduct(), sign);
+        }
+        return value;
+    };
+
+    if (tokens.length === 0) throw new Error('Empty expression');
+
+    const result = parseSum();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos].value}"`);
+    }
+    if (!Number.isFinite(result.value)) {
+        throw new Error('The result is not a finite number');
+    }
+    return result;
+};
+
+/**
+ * Parse a unit string
+ * @param {string} unit - e.g. "m/s^2", "kN·m", "J/(mol·K)", "km/h", "kilometres per hour"; empty for dimensionless
+ * @returns {{ value: number, dims: Array<number> }} - One of the unit, in SI (value is the scale factor)
+ * @throws {Error} - Unknown unit or bad syntax
+ */
+export const parseUnit = (unit) => {
+    const text = rewriteUnitWords(normalize(unit || '').trim());
+    if (!text) return quantity(1);
+
+    // Spaces between symbols mean multiplication ("N m", "J/mol K")
+    const tokens = tokenize(text.replace(/\s*([*/^()])\s*/g, '$1').replace(/\s+/g, '*'));
+
+    return evaluateTokens(tokens, (name) => {
+        const found = lookupUnit(name);
+        if (!found) throw new Error(`Unknown unit "${name}"`);
+        return quantity(found.scale, found.dims);
+    }, true);
+};
+
+/**
+ * A value with a unit, in SI
+ * @param {number} value - Value in the given unit
+ * @param {string} unit - Unit string
+ * @returns {{ value: number, dims: Array<number> }}
+ */
+export const toQuantity = (value, unit) => {
+    const scale = parseUnit(unit);
+    return quantity(value * scale.value, scale.dims);
+};
+
+/**
+ * Evaluate an arithmetic expression over quantities
+ * Supports + - * / ^, parentheses, implicit multiplication ("2 pi r"), pi, e,
+ * sqrt, cbrt, abs, pow, exp, ln, log (base 10), log2, trig functions (radians) and atan2.
+ * @param {string} expression - e.g. "sqrt(2 * g * h)"
+ * @param {Object} variables - Name -> quantity (see toQuantity)
+ * @returns {{ value: number, dims: Array<number> }} - Result in SI
+ * @throws {Error} - Syntax errors, unknown names and unit inconsistencies
+ */
+export const evaluateExpression = (expression, variables = {}) => {
+    const tokens = tokenize(normalize(expression));
+
+    return evaluateTokens(tokens, (name) => {
+        if (variables[name]) return variables[name];
+        if (CONSTANTS[name] !== undefined) return quantity(CONSTANTS[name]);
+        throw new Error(`Unknown name "${name}"`);
+    }, false);
+};
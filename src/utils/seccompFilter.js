@@ -0,0 +1,130 @@
+/**
+ * Seccomp filter for sandboxed snippets
+ * Builds a classic BPF program (struct sock_filter[]) in the format bwrap's --seccomp expects.
+ * It blocks syscalls a snippet never needs that widen the kernel attack surface or
+ * could undo the sandbox: namespaces, mounts, tracing, kernel modules, keyrings, bpf, io_uring.
+ * Syscalls from any other architecture (and the x32 ABI) kill the process.
+ */
+
+const AUDIT_ARCH = {
+    x64: 0xc000003e,
+    arm64: 0xc00000b7,
+};
+
+// Denied syscalls by architecture (x86_64: asm/unistd_64.h, arm64: asm-generic/unistd.h)
+const DENIED_SYSCALLS = {
+    x64: {
+        ptrace: 101, mount: 165, umount2: 166, pivot_root: 155, chroot: 161,
+        swapon: 167, swapoff: 168, reboot: 169, sethostname: 170, setdomainname: 171,
+        init_module: 175, finit_module: 313, delete_module: 176, kexec_load: 246, kexec_file_load: 320,
+        acct: 163, settimeofday: 164, clock_settime: 227, adjtimex: 159, clock_adjtime: 305,
+        iopl: 172, ioperm: 173, quotactl: 179, syslog: 103, vhangup: 153, uselib: 134,
+        keyctl: 250, add_key: 248, request_key: 249, unshare: 272, setns: 308,
+        bpf: 321, perf_event_open: 298, userfaultfd: 323, process_vm_readv: 310, process_vm_writev: 311,
+        kcmp: 312, open_by_handle_at: 304, name_to_handle_at: 303, lookup_dcookie: 212, pidfd_getfd: 438,
+        open_tree: 428, move_mount: 429, fsopen: 430, fsconfig: 431, fsmount: 432, fspick: 433, mount_setattr: 442,
+        io_uring_setup: 425, io_uring_enter: 426, io_uring_register: 427,
+    },
+    arm64: {
+        ptrace: 117, mount: 40, umount2: 39, pivot_root: 41, chroot: 51,
+        swapon: 224, swapoff: 225, reboot: 142, sethostname: 161, setdomainname: 162,
+        init_module: 105, finit_module: 273, delete_module: 106, kexec_load: 104, kexec_file_load: 294,
+        acct: 89, settimeofday: 170, clock_settime: 112, adjtimex: 171, clock_adjtime: 266,
+        quotactl: 60, syslog: 116, vhangup: 58,
+        keyctl: 219, add_key: 217, request_key: 218, unshare: 97, setns: 268,
+        bpf: 280, perf_event_open: 241, userfaultfd: 282, process_vm_readv: 270, process_vm_writev: 271,
+        kcmp: 272, open_by_handle_at: 265, name_to_handle_at: 264, lookup_dcookie: 18, pidfd_getfd: 438,
+        open_tree: 428, move_mount: 429, fsopen: 430, fsconfig: 431, fsmount: 432, fspick: 433, mount_setattr: 442,
+        io_uring_setup: 425, io_uring_enter: 426, io_uring_register: 427,
+    },
+};
+
+// clone is allowed for threads and fork, but not to create namespaces
+const CLONE_SYSCALL = { x64: 56, arm64: 220 };
+// clone3 passes its flags in memory the filter cannot read; ENOSYS makes libc fall back to clone
+const CLONE3_SYSCALL = { x64: 435, arm64: 435 };
+const CLONE_NAMESPACE_FLAGS = 0x00020000 | 0x02000000 | 0x04000000 | 0x08000000 | 0x10000000 | 0x20000000 | 0x40000000;
+
+const X32_SYSCALL_BIT = 0x40000000;
+
+// BPF opcodes and seccomp return values
+const LD_ABS = 0x20;
+const JEQ = 0x15;
+const JGE = 0x35;
+const JSET = 0x45;
+const RET = 0x06;
+
+const RET_KILL_PROCESS = 0x80000000;
+const RET_ALLOW = 0x7fff0000;
+const RET_ERRNO = 0x00050000;
+const EPERM = 1;
+const ENOSYS = 38;
+
+// Offsets in struct seccomp_data
+const OFFSET_NR = 0;
+const OFFSET_ARCH = 4;
+const OFFSET_ARG0_LOW = 16;
+
+/**
+ * Whether a filter can be built for an architecture
+ * @param {string} arch - Node architecture name
+ * @returns {boolean}
+ */
+export const isSeccompSupported = (arch = process.arch) => Boolean(AUDIT_ARCH[arch]);
+
+/**
+ * Names of the syscalls the filter denies
+ * @param {string} arch - Node architecture name
+ * @returns {Array<string>}
+ */
+export const getDeniedSyscalls = (arch = process.arch) => Object.keys(DENIED_SYSCALLS[arch] || {});
+
+/**
+ * Build the seccomp filter
+ * @param {string} arch - Node architecture name (x64 or arm64)
+ * @returns {Buffer} - Compiled filter, 8 bytes per instruction
+ * @throws {Error} - For unsupported architectures
+ */
+export const buildSeccompFilter = (arch = process.arch) => {
+    if (!isSeccompSupported(arch)) {
+        throw new Error(`No seccomp filter for architecture ${arch}`);
+    }
+
+    const program = [];
+    const statement = (code, k, jt = 0, jf = 0) => program.push({ code, jt, jf, k });
+
+    // Only native syscalls
+    statement(LD_ABS, OFFSET_ARCH);
+    statement(JEQ, AUDIT_ARCH[arch], 1, 0);
+    statement(RET, RET_KILL_PROCESS);
+
+    statement(LD_ABS, OFFSET_NR);
+    if (arch === 'x64') {
+        statement(JGE, X32_SYSCALL_BIT, 0, 1);
+        statement(RET, RET_KILL_PROCESS);
+    }
+
+    statement(JEQ, CLONE3_SYSCALL[arch], 0, 1);
+    statement(RET, RET_ERRNO | ENOSYS);
+
+    statement(JEQ, CLONE_SYSCALL[arch], 0, 4);
+    statement(LD_ABS, OFFSET_ARG0_LOW);
+    statement(JSET, CLONE_NAMESPACE_FLAGS, 0, 1);
+    statement(RET, RET_ERRNO | EPERM);
+    statement(RET, RET_ALLOW);
+
+    for (const nr of Object.values(DENIED_SYSCALLS[arch])) {
+        statement(JEQ, nr, 0, 1);
+        statement(RET, RET_ERRNO | EPERM);
+    }
+    statement(RET, RET_ALLOW);
+
+    const filter = Buffer.alloc(program.length * 8);
+    program.forEach(({ code, jt, jf, k }, index) => {
+        filter.writeUInt16LE(code, index * 8);
+        filter.writeUInt8(jt, index * 8 + 2);
+        filter.writeUInt8(jf, index * 8 + 3);
+        filter.writeUInt32LE(k >>> 0, index * 8 + 4);
+    });
+    return filter;
+};
@@ -0,0 +1,59 @@
+import 'dotenv/config'; // Load env vars before other imports
+import mongoose from 'mongoose';
+import { Worker } from 'bullmq';
+import connectDB from '../config/database.js';
+import createRedisConnection from '../config/redis.js';
+import { EXPORT_QUEUE_NAME } from '../queues/exportQueue.js';
+import exportService from '../services/exportService.js';
+
+/**
+ * Export Worker
+ * Separate process that renders large Markdown/PDF/Anki exports
+ * Start with: npm run worker:export
+ */
+
+const concurrency = parseInt(process.env.EXPORT_WORKER_CONCURRENCY) || 1;
+
+const startWorker = async () => {
+    await connectDB();
+
+    const worker = new Worker(EXPORT_QUEUE_NAME, (job) => exportService.processExportJob(job.data), {
+        connection: createRedisConnection(),
+        concurrency,
+        // Flashcard generation makes one LLM call per doubt
+        lockDuration: 5 * 60 * 1000,
+    });
+
+    worker.on('active', (job) => {
+        console.log(`⚙️  Export job ${job.id} started`);
+    });
+
+    worker.on('completed', (job) => {
+        console.log(`✅ Export job ${job.id} completed`);
+    });
+
+    worker.on('failed', (job, error) => {
+        console.error(`❌ Export job ${job?.id} failed:`, error.message);
+    });
+
+    worker.on('error', (error) => {
+        console.error('❌ Export worker error:', error);
+    });
+
+    console.log(`👷 Export worker listening on "${EXPORT_QUEUE_NAME}" (concurrency ${concurrency})`);
+
+    const shutdown = async (signal) => {
+        console.log(`${signal} received, closing export worker...`);
+        await worker.close();
+        await mongoose.disconnect();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+startWorker().catch((error) => {
+    console.error('❌ Failed to start export worker:', error);
+    process.exit(1);
+});
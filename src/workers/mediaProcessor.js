@@ -0,0 +1,72 @@
+import Frame from '../models/Frame.js';
+import mediaProcessingService from '../services/mediaProcessingService.js';
+import { MEDIA_JOBS } from '../queues/mediaQueue.js';
+
+/**
+ * Media Job Processor
+ * Shared by the BullMQ worker and the inline (no Redis) queue mode
+ */
+
+/**
+ * Process a media job
+ * Progress and results carry frameId/userId so the API can route them to the uploader's socket room
+ * @param {Object} job - BullMQ job ({ name, data: { frameId, userId }, updateProgress })
+ * @returns {Promise<Object>} - Job result
+ */
+export const processMediaJob = async (job) => {
+    const { frameId, userId } = job.data;
+    const onProgress = (progress) => job.updateProgress({ ...progress, frameId, userId });
+
+    switch (job.name) {
+        case MEDIA_JOBS.PROCESS_IMAGE: {
+            const frame = await mediaProcessingService.processImage(frameId, { onProgress });
+            if (!frame) {
+                return { frameId, userId, status: 'missing' };
+            }
+            return {
+                frameId,
+                userId,
+                status: frame.status,
+                sourceType: frame.sourceType,
+                ocrText: frame.ocrText,
+                ocrConfidence: frame.ocrConfidence,
+                conceptTags: frame.conceptTags,
+                difficulty: frame.difficulty,
+            };
+        }
+
+        case MEDIA_JOBS.PROCESS_PDF: {
+            const pages = await mediaProcessingService.processPdf(frameId, { onProgress });
+            return { frameId, userId, status: 'completed', pageCount: pages.length, pages };
+        }
+
+        default:
+            throw new Error(`Unknown media job: ${job.name}`);
+    }
+};
+
+/**
+ * Update the frame after a failed attempt
+ * The frame only becomes 'failed' once all retries are used up
+ * @param {Object} job - BullMQ job
+ * @param {Error} error - Failure cause
+ */
+export const handleFailedJob = async (job, error) => {
+    const { frameId } = job.data;
+    const attempts = job.opts?.attempts || 1;
+
+    try {
+        if (job.attemptsMade >= attempts) {
+            console.error(`❌ Job ${job.id} failed permanently:`, error.message);
+            await mediaProcessingService.markFailed(frameId, error);
+        } else {
+            console.warn(`⚠️ Job ${job.id} attempt ${job.attemptsMade}/${attempts} failed, retrying:`, error.message);
+            await Frame.findByIdAndUpdate(frameId, {
+                status: 'queued',
+                processingError: `Attempt ${job.attemptsMade} failed: ${error.message}`,
+            });
+        }
+    } catch (updateError) {
+        console.error(`Error updating frame ${frameId} after failure:`, updateError);
+    }
+};
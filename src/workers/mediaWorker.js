@@ -0,0 +1,59 @@
+import 'dotenv/config'; // Load env vars before other imports
+import mongoose from 'mongoose';
+import { Worker } from 'bullmq';
+import connectDB from '../config/database.js';
+import createRedisConnection from '../config/redis.js';
+import { MEDIA_QUEUE_NAME } from '../queues/mediaQueue.js';
+import { processMediaJob, handleFailedJob } from './mediaProcessor.js';
+
+/**
+ * Media Worker
+ * Separate process that consumes OCR and PDF ingestion jobs
+ * Start with: npm run worker
+ */
+
+const concurrency = parseInt(process.env.MEDIA_WORKER_CONCURRENCY) || 2;
+
+const startWorker = async () => {
+    await connectDB();
+
+    const worker = new Worker(MEDIA_QUEUE_NAME, processMediaJob, {
+        connection: createRedisConnection(),
+        concurrency,
+        // PDF jobs can run for minutes; renew the lock well before it expires
+        lockDuration: 5 * 60 * 1000,
+    });
+
+    worker.on('active', (job) => {
+        console.log(`⚙️  Job ${job.id} (${job.name}) started`);
+    });
+
+    worker.on('completed', (job) => {
+        console.log(`✅ Job ${job.id} (${job.name}) completed`);
+    });
+
+    worker.on('failed', (job, error) => {
+        if (job) handleFailedJob(job, error);
+    });
+
+    worker.on('error', (error) => {
+        console.error('❌ Worker error:', error);
+    });
+
+    console.log(`👷 Media worker listening on "${MEDIA_QUEUE_NAME}" (concurrency ${concurrency})`);
+
+    const shutdown = async (signal) => {
+        console.log(`${signal} received, closing worker...`);
+        await worker.close();
+        await mongoose.disconnect();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+startWorker().catch((error) => {
+    console.error('❌ Failed to start media worker:', error);
+    process.exit(1);
+});
@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAnswer, validateSchema, normalizeAnswer } from '../../../src/ai/llm/answerSchema.js';
+import { extractJson, parseAnswer } from '../../../src/ai/llm/responseParser.js';
+
+const answer = (overrides = {}) => ({
+    explanation: 'Inertia is resistance to changes in motion.',
+    steps: ['State Newton\'s first law.', 'Relate it to mass.'],
+    finalAnswer: 'Resistance to change in motion.',
+    confidence: 0.9,
+    meta: { subject: 'Physics', topic: 'Inertia', difficulty: 'easy', questionType: 'concept' },
+    mermaidCode: '',
+    ...overrides,
+});
+
+describe('validateAnswer', () => {
+    test('accepts a complete answer', () => {
+        const { errors, diagramErrors } = validateAnswer(answer());
+        assert.deepEqual(errors, []);
+        assert.deepEqual(diagramErrors, []);
+    });
+
+    test('names every missing or mistyped field', () => {
+        const { errors } = validateAnswer({ explanation: '', steps: [], confidence: 'very', meta: {} });
+
+        assert.ok(errors.includes('answer.finalAnswer is required'));
+        assert.ok(errors.includes('answer.explanation must not be empty'));
+        assert.ok(errors.includes('answer.steps must have at least 1 item'));
+        assert.ok(errors.includes('answer.meta.subject is required'));
+        assert.ok(errors.some((error) => error.startsWith('answer.confidence must be number')));
+    });
+
+    test('rejects out-of-range confidence and unknown enum values', () => {
+        const { errors } = validateAnswer(answer({ confidence: 150, meta: { subject: 'Physics', difficulty: 'trivial' } }));
+        assert.ok(errors.includes('answer.confidence must be at most 1'));
+        assert.ok(errors.some((error) => error.startsWith('answer.meta.difficulty must be one of')));
+    });
+
+    test('requires hints in hint mode only', () => {
+        assert.deepEqual(validateAnswer(answer()).errors, []);
+        assert.match(validateAnswer(answer(), { mode: 'hint' }).errors.join(), /hints is required/);
+        assert.deepEqual(validateAnswer(answer({ hints: ['Think about mass.'] }), { mode: 'hint' }).errors, []);
+    });
+
+    test('keeps diagram errors apart from answer errors', () => {
+        const { errors, diagramErrors } = validateAnswer(answer({ mermaidCode: 'graph TD\n    A[Start --> B' }));
+        assert.deepEqual(errors, []);
+        assert.ok(diagramErrors.length > 0);
+        assert.ok(diagramErrors.every((error) => error.startsWith('answer.mermaidCode:')));
+    });
+});
+
+describe('normalizeAnswer', () => {
+    test('undoes harmless formatting differences', () => {
+        const normalized = normalizeAnswer({
+            final_answer: '42',
+            confidence: '85%',
+            meta: { subject: 'Math', difficulty: ' Medium ', questionType: 'NUMERICAL' },
+            mermaidCode: null,
+            code: {},
+        });
+
+        assert.equal(normalized.finalAnswer, '42');
+        assert.equal(normalized.final_answer, undefined);
+        assert.equal(normalized.confidence, 0.85);
+        assert.equal(normalized.meta.difficulty, 'medium');
+        assert.equal(normalized.meta.questionType, 'numerical');
+        assert.equal(normalized.mermaidCode, '');
+        assert.equal(normalized.code, null);
+    });
+
+    test('rejects non-finite numbers', () => {
+        assert.match(validateSchema(NaN, { type: 'number' }).join(), /must be number/);
+    });
+});
+
+describe('responseParser', () => {
+    test('extracts JSON from fences and surrounding prose', () => {
+        assert.deepEqual(extractJson('```json\n{ "a": 1 }\n```'), { a: 1 });
+        assert.deepEqual(extractJson('Sure! Here is the answer: { "a": { "b": 2 } } Hope it helps.'), { a: { b: 2 } });
+        assert.throws(() => extractJson('no json here'), /No JSON object/);
+    });
+
+    test('turns unparseable output into a repairable validation error', () => {
+        assert.throws(() => parseAnswer('{ "a": ', 'Test'), (error) => {
+            assert.match(error.validationErrors[0], /Response is not a valid JSON object/);
+            assert.equal(error.rawOutput, '{ "a": ');
+            return true;
+        });
+    });
+});
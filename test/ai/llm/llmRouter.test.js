@@ -0,0 +1,150 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import llmRouter from '../../../src/ai/llm/llmRouter.js';
+import localClient from '../../../src/ai/llm/localClient.js';
+import { createAnswerValidationError } from '../../../src/ai/llm/answerSchema.js';
+
+const validAnswer = () => localClient.askWithContext('What is inertia?');
+
+/**
+ * Provider whose askWithContext returns (or throws) the given results in order
+ */
+const scriptedProvider = (name, results) => {
+    const calls = [];
+    return {
+        name,
+        calls,
+        isAvailable: () => true,
+        async askWithContext(question, context, options) {
+            calls.push(options);
+            const result = results[Math.min(calls.length - 1, results.length - 1)];
+            if (result instanceof Error) throw result;
+            return result;
+        },
+    };
+};
+
+describe('llmRouter', () => {
+    let chain;
+
+    beforeEach(() => {
+        chain = llmRouter.chain;
+    });
+    afterEach(() => {
+        llmRouter.chain = chain;
+    });
+
+    test('throws 502 instead of inventing an answer when every provider fails', async () => {
+        llmRouter.registerProvider('broken', scriptedProvider('broken', [new Error('connection reset')]));
+        llmRouter.chain = ['broken'];
+
+        await assert.rejects(llmRouter.askWithContext('What is inertia?'), {
+            statusCode: 502,
+            message: /connection reset/,
+        });
+    });
+
+    test('throws 503 when no provider is available', async () => {
+        llmRouter.chain = [];
+        await assert.rejects(llmRouter.askWithContext('What is inertia?'), { statusCode: 503 });
+        await assert.rejects(llmRouter.askRaw('hello'), { statusCode: 503 });
+    });
+
+    test('streams nothing when every provider fails', async () => {
+        llmRouter.registerProvider('broken', scriptedProvider('broken', [new Error('connection reset')]));
+        llmRouter.chain = ['broken'];
+        const deltas = [];
+
+        await assert.rejects(
+            llmRouter.askWithContextStream('What is inertia?', [], (delta) => deltas.push(delta)),
+            { statusCode: 502 }
+        );
+        assert.deepEqual(deltas, []);
+    });
+
+    test('falls through to the next provider', async () => {
+        llmRouter.registerProvider('broken', scriptedProvider('broken', [new Error('rate limited')]));
+        llmRouter.chain = ['broken', 'local'];
+
+        const answer = await llmRouter.askWithContext('What is inertia?');
+        assert.equal(answer.finalAnswer, (await validAnswer()).finalAnswer);
+    });
+
+    test('re-prompts the same provider with the validation errors', async () => {
+        const good = await validAnswer();
+        const provider = scriptedProvider('flaky', [{ ...good, confidence: 'very' }, good]);
+        llmRouter.registerProvider('flaky', provider);
+        llmRouter.chain = ['flaky'];
+
+        const answer = await llmRouter.askWithContext('What is inertia?');
+
+        assert.equal(answer.confidence, good.confidence);
+        assert.equal(provider.calls.length, 2);
+        assert.match(provider.calls[1].repair.errors.join(), /answer\.confidence must be number/);
+        assert.match(provider.calls[1].repair.previousOutput, /"very"/);
+    });
+
+    test('gives up after LLM_REPAIR_ATTEMPTS repairs', async () => {
+        const provider = scriptedProvider('garbled', [createAnswerValidationError(['Response is not a valid JSON object'], 'oops')]);
+        llmRouter.registerProvider('garbled', provider);
+        llmRouter.chain = ['garbled'];
+
+        await assert.rejects(llmRouter.askWithContext('What is inertia?'), { statusCode: 502 });
+        assert.equal(provider.calls.length, llmRouter.repairAttempts + 1);
+    });
+
+    test('drops a diagram that never parses but keeps the answer', async () => {
+        const good = await validAnswer();
+        llmRouter.registerProvider('sketchy', scriptedProvider('sketchy', [{ ...good, mermaidCode: 'graph TD\n    A[Start --> B' }]));
+        llmRouter.chain = ['sketchy'];
+
+        const answer = await llmRouter.askWithContext('What is inertia?');
+        assert.equal(answer.mermaidCode, '');
+        assert.equal(answer.finalAnswer, good.finalAnswer);
+    });
+
+    test('requires hints in hint mode', async () => {
+        const good = await validAnswer();
+        const provider = scriptedProvider('hintless', [good, { ...good, hints: ['Think about mass.'] }]);
+        llmRouter.registerProvider('hintless', provider);
+        llmRouter.chain = ['hintless'];
+
+        const answer = await llmRouter.askWithContext('What is inertia?', [], { mode: 'hint' });
+        assert.deepEqual(answer.hints, ['Think about mass.']);
+        assert.match(provider.calls[1].repair.errors.join(), /hints is required/);
+    });
+
+    test('drops deltas from a stream that timed out and aborts it', async (t) => {
+        const timeoutMs = llmRouter.streamTimeoutMs;
+        llmRouter.streamTimeoutMs = 20;
+        t.after(() => {
+            llmRouter.streamTimeoutMs = timeoutMs;
+        });
+
+        let signal;
+        let lateDelta;
+        llmRouter.registerProvider('slow', {
+            name: 'slow',
+            isAvailable: () => true,
+            askWithContext: validAnswer,
+            async askWithContextStream(question, context, onDelta, options) {
+                signal = options.signal;
+                await new Promise((resolve) => setTimeout(resolve, 60));
+                lateDelta = () => onDelta('STALE');
+                lateDelta();
+                return validAnswer();
+            },
+        });
+        llmRouter.chain = ['slow', 'local'];
+        const deltas = [];
+
+        const answer = await llmRouter.askWithContextStream('What is inertia?', [], (delta) => deltas.push(delta));
+        assert.equal(signal.aborted, true);
+
+        // Let the slow provider wake up and try to emit
+        await new Promise((resolve) => setTimeout(resolve, 80));
+        assert.ok(lateDelta, 'the slow provider kept running');
+        assert.ok(!deltas.includes('STALE'));
+        assert.equal(JSON.parse(deltas.join('')).finalAnswer, answer.finalAnswer);
+    });
+});
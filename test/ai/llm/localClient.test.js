@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import localClient from '../../../src/ai/llm/localClient.js';
+import llmRouter from '../../../src/ai/llm/llmRouter.js';
+
+test('local provider answers are deterministic and pass the answer schema', async () => {
+    const first = await llmRouter.askWithContext('What is photosynthesis in plants?');
+    const second = await llmRouter.askWithContext('What is photosynthesis in plants?');
+
+    assert.deepEqual(first, second);
+    assert.equal(first.meta.topic, 'What photosynthesis plants');
+    assert.ok(first.steps.length > 0);
+    assert.ok(first.mermaidCode.startsWith('graph TD'));
+});
+
+test('local provider honours answer length, difficulty and hint mode', async () => {
+    const answer = await llmRouter.askWithContext('Explain recursion in code', [], {
+        answerLength: 'long',
+        difficulty: 'college',
+        mode: 'hint',
+    });
+
+    assert.equal(answer.steps.length, 4);
+    assert.equal(answer.meta.difficulty, 'college');
+    assert.equal(answer.meta.questionType, 'programming');
+    assert.equal(answer.code.language, 'javascript');
+    assert.equal(answer.hints.length, 3);
+});
+
+test('local provider streams the answer it returns', async () => {
+    const deltas = [];
+    const answer = await llmRouter.askWithContextStream('What is momentum?', [], (delta) => deltas.push(delta));
+
+    assert.ok(deltas.length > 1);
+    assert.deepEqual(JSON.parse(deltas.join('')), await localClient.askWithContext('What is momentum?'));
+    assert.equal(answer.meta.subject, 'Physics');
+});
+
+test('local provider pins fixture answers by question substring', async (t) => {
+    t.after(() => {
+        localClient.fixtures = {};
+    });
+    localClient.fixtures = { 'speed of light': { finalAnswer: '3 × 10^8 m/s', confidence: 0.9 } };
+
+    const answer = await localClient.askWithContext('What is the Speed of Light?');
+    assert.equal(answer.finalAnswer, '3 × 10^8 m/s');
+    assert.equal(answer.confidence, 0.9);
+});
+
+test('local provider generates parseable study material', async () => {
+    const flashcards = JSON.parse(await llmRouter.generateStudyMaterial('Osmosis', 'flashcards'));
+    const quiz = JSON.parse(await llmRouter.generateStudyMaterial('Osmosis', 'quiz'));
+
+    assert.ok(flashcards.every((card) => card.front && card.back));
+    assert.ok(quiz.every((question) => question.options.includes(question.answer)));
+    assert.match(await llmRouter.generateStudyMaterial('Osmosis', 'notes'), /^# Osmosis/);
+});
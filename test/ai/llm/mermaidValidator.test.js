@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMermaid, extractMermaid } from '../../../src/ai/llm/mermaidValidator.js';
+
+const flowchart = (...lines) => ['graph TD', ...lines.map((line) => `    ${line}`)].join('\n');
+
+const assertValid = (code) => {
+    const result = validateMermaid(code);
+    assert.equal(result.valid, true, `${code}\n${result.errors.join('\n')}`);
+};
+
+describe('validateMermaid flowcharts', () => {
+    test('accepts plain arrows and node shapes', () => {
+        assertValid(flowchart('A[Start] --> B{Check?}', 'B -->|yes| C((Done))', 'B -.-> D', 'D ==> E', 'E <--> F', 'F --o G', 'G --x H', 'H ~~~ A'));
+        assertValid(flowchart('A & B --> C & D', 'first-step --> second-step'));
+    });
+
+    test('accepts labelled edges with and without spaces', () => {
+        assertValid(flowchart('A -- text --> B'));
+        assertValid(flowchart('A --text--> B'));
+        assertValid(flowchart('A -. text .-> B'));
+        assertValid(flowchart('A -.text.-> B'));
+        assertValid(flowchart('A == text ==> B'));
+        assertValid(flowchart('A ==text==> B'));
+        assertValid(flowchart('A -.maybe later.-> B ==always==> C'));
+        assertValid(flowchart('A --o B --> C'));
+    });
+
+    test('reports broken statements', () => {
+        const unclosed = validateMermaid(flowchart('A[Start --> B'));
+        assert.equal(unclosed.valid, false);
+
+        const noArrow = validateMermaid(flowchart('A B'));
+        assert.equal(noArrow.valid, false);
+        assert.match(noArrow.errors.join(), /Expected an arrow/);
+    });
+
+    test('checks the expected diagram type', () => {
+        const result = validateMermaid('sequenceDiagram\n    Alice->>Bob: Hi', 'flowchart');
+        assert.equal(result.valid, false);
+    });
+});
+
+describe('extractMermaid', () => {
+    test('takes the diagram out of a fenced block', () => {
+        assert.equal(extractMermaid('Here it is:\n```mermaid\ngraph TD\n    A --> B\n```\nDone.'), 'graph TD\n    A --> B');
+    });
+});
@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import citationBuilder from '../../../src/ai/rag/citationBuilder.js';
+
+describe('citationBuilder.extractMarkers', () => {
+    test('reads single, grouped and adjacent markers', () => {
+        assert.deepEqual(citationBuilder.extractMarkers('Force [1] and mass [2, 3].'), [1, 2, 3]);
+        assert.deepEqual(citationBuilder.extractMarkers('See [1][2], then [1] again (see [4]).'), [1, 2, 4]);
+    });
+
+    test('ignores indexes and array values', () => {
+        assert.deepEqual(citationBuilder.extractMarkers('Sum a[1] + b[2] and list[1][2]'), []);
+        assert.deepEqual(citationBuilder.extractMarkers('f(x)[2] is the second value'), []);
+        assert.deepEqual(citationBuilder.extractMarkers('Start with x = [2, 3]'), []);
+    });
+
+    test('ignores brackets in code', () => {
+        assert.deepEqual(citationBuilder.extractMarkers('Use `arr[4]` as shown [5]'), [5]);
+        assert.deepEqual(citationBuilder.extractMarkers('```js\nconst a = [6, 7];\nconsole.log([8]);\n```\nThis follows [9].'), [9]);
+        assert.deepEqual(citationBuilder.extractMarkers('~~~\n[1]\n~~~'), []);
+    });
+});
+
+describe('citationBuilder.buildCitations', () => {
+    test('maps markers to the context chunks they refer to', async () => {
+        const context = [
+            { text: 'Newton first law', metadata: { source: 'notes.pdf', pageNumber: 2 } },
+            { text: 'Inertia', metadata: { source: 'Public knowledge base' } },
+        ];
+        const citations = await citationBuilder.buildCitations({
+            explanation: 'Objects keep moving [1].',
+            steps: ['Mass measures inertia [2]', 'Index `v[1]` is not a citation'],
+            finalAnswer: 'Inertia [3]',
+        }, context);
+
+        assert.deepEqual(citations.map(({ marker, location, stepIndex, source, pageNumber }) => ({ marker, location, stepIndex, source, pageNumber })), [
+            { marker: 1, location: 'explanation', stepIndex: null, source: 'notes.pdf', pageNumber: 2 },
+            { marker: 2, location: 'step', stepIndex: 0, source: 'Public knowledge base', pageNumber: null },
+        ]);
+    });
+});
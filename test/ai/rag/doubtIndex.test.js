@@ -0,0 +1,91 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import doubtIndex from '../../../src/ai/rag/doubtIndex.js';
+import embedder from '../../../src/ai/rag/embedder.js';
+
+const doubt = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    questionText: 'What is the derivative of x^2?',
+    finalAnswer: '2x',
+    subject: 'Mathematics',
+    status: 'answered',
+    mode: 'answer',
+    confidence: 0.9,
+    retrievedContext: [],
+    ...fields,
+});
+
+describe('doubtIndex FAQ sharing', () => {
+    let upserted;
+
+    beforeEach((t) => {
+        process.env.DOUBT_FAQ_SHARING = 'true';
+        upserted = [];
+        t.mock.method(embedder, 'embedQuery', async () => [0.1, 0.2]);
+        t.mock.method(doubtIndex.store, 'upsertChunks', async (points) => upserted.push(...points));
+        t.mock.method(doubtIndex.store, 'deleteChunks', async () => {});
+    });
+    afterEach(() => {
+        delete process.env.DOUBT_FAQ_SHARING;
+    });
+
+    const faqPoint = () => upserted.find((point) => point.metadata.kind === 'faq');
+
+    test('shares general-knowledge answers without user identifiers', async () => {
+        await doubtIndex.indexDoubt(doubt());
+
+        assert.equal(upserted.length, 2);
+        assert.deepEqual(Object.keys(faqPoint().metadata).sort(), ['finalAnswer', 'kind', 'subject']);
+    });
+
+    test('shares answers grounded in the public corpus', async () => {
+        await doubtIndex.indexDoubt(doubt({ retrievedContext: [{ text: 'Power rule', metadata: { source: 'ncert', subject: 'Mathematics' } }] }));
+        assert.ok(faqPoint());
+    });
+
+    test('never shares answers that used private uploads', async () => {
+        await doubtIndex.indexDoubt(doubt({ retrievedContext: [{ text: 'My notes', metadata: { source: 'frame:pdf', frameId: 'abc' } }] }));
+        await doubtIndex.indexDoubt(doubt({ frameId: new mongoose.Types.ObjectId() }));
+        await doubtIndex.indexDoubt(doubt({ threadId: new mongoose.Types.ObjectId() }));
+
+        assert.equal(faqPoint(), undefined);
+        assert.equal(upserted.length, 3);
+        // Entries shared earlier are withdrawn on re-index
+        assert.equal(doubtIndex.store.deleteChunks.mock.callCount(), 3);
+    });
+
+    test('never shares failed, unsolved hint-mode or wrong answers', async () => {
+        await doubtIndex.indexDoubt(doubt({ status: 'failed' }));
+        await doubtIndex.indexDoubt(doubt({ mode: 'hint' }));
+        await doubtIndex.indexDoubt(doubt({ confidence: 0 }));
+        await doubtIndex.indexDoubt(doubt({ verification: { status: 'mismatch' } }));
+
+        assert.equal(faqPoint(), undefined);
+    });
+
+    test('scrubs identifying text from shared questions and answers', async () => {
+        await doubtIndex.indexDoubt(doubt({
+            questionText: "Hi, I'm Priya Sharma (roll no 21CS042, priya.s@school.edu, +91 98765 43210). What is 2^10?",
+            finalAnswer: 'See https://example.com/priya for 1024',
+        }));
+
+        assert.equal(faqPoint().text, "Hi, I'm [name] (roll no [id], [email], [phone]). What is 2^10?");
+        assert.equal(faqPoint().metadata.finalAnswer, 'See [link] for 1024');
+        // The user's own entry keeps the original question
+        assert.match(upserted[0].text, /Priya Sharma/);
+    });
+
+    test('leaves ordinary questions alone', () => {
+        for (const text of ['I am confused about 1000 2000 sequences', 'Solve 3x + 4 = 10 for x', 'This is Newton\'s second law, right?']) {
+            assert.equal(doubtIndex.anonymize(text), text);
+        }
+    });
+
+    test('shares nothing unless DOUBT_FAQ_SHARING is on', async () => {
+        delete process.env.DOUBT_FAQ_SHARING;
+        await doubtIndex.indexDoubt(doubt());
+        assert.equal(upserted.length, 1);
+    });
+});
@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmbeddingProvider, HashingEmbeddingProvider } from '../../../src/ai/rag/embeddingProviders.js';
+import embedder from '../../../src/ai/rag/embedder.js';
+import qdrantService from '../../../src/ai/rag/qdrantClient.js';
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+describe('hashing embedding provider', () => {
+    const provider = new HashingEmbeddingProvider({ dimension: 64 });
+
+    test('produces deterministic unit vectors of the configured size', async () => {
+        const [first, second] = await provider.embedBatch(['Newton\'s first law', 'Newton\'s first law']);
+
+        assert.equal(first.length, 64);
+        assert.deepEqual(first, second);
+        assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+        assert.deepEqual(await provider.embed(''), new Array(64).fill(0));
+    });
+
+    test('texts sharing vocabulary are closer than unrelated texts', async () => {
+        const [question, related, unrelated] = await provider.embedBatch([
+            'What is the derivative of x squared?',
+            'derivative of x squared',
+            'Photosynthesis happens in chloroplasts',
+        ]);
+
+        assert.ok(cosine(question, related) > cosine(question, unrelated) + 0.3);
+    });
+});
+
+test('creates providers by name and rejects unknown ones', () => {
+    assert.equal(createEmbeddingProvider().name, 'ollama');
+    assert.equal(createEmbeddingProvider('hashing').name, 'hashing');
+    assert.equal(createEmbeddingProvider('ollama', { dimension: 1024 }).dimension, 1024);
+    assert.throws(() => createEmbeddingProvider('word2vec'), /Available: hashing, ollama, gemini/);
+});
+
+test('sizes the Qdrant collection from the active provider', async (t) => {
+    const provider = embedder.provider;
+    t.after(() => embedder.setProvider(provider));
+    embedder.setProvider(new HashingEmbeddingProvider({ dimension: 96 }));
+
+    const created = [];
+    t.mock.method(qdrantService.client, 'getCollections', async () => ({ collections: [] }));
+    t.mock.method(qdrantService.client, 'createCollection', async (name, config) => created.push(config));
+    t.mock.method(qdrantService, 'createPayloadIndexes', async () => {});
+    await qdrantService.initializeCollection();
+    assert.equal(created[0].vectors.size, 96);
+
+    t.mock.method(qdrantService.client, 'getCollections', async () => ({ collections: [{ name: qdrantService.collectionName }] }));
+    t.mock.method(qdrantService.client, 'getCollection', async () => ({ config: { params: { vectors: { size: 384 } } } }));
+    await assert.rejects(qdrantService.initializeCollection(), /stores 384-d vectors .* produces 96-d vectors/);
+});
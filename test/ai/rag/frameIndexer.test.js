@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import frameIndexer from '../../../src/ai/rag/frameIndexer.js';
+import qdrantClient from '../../../src/ai/rag/qdrantClient.js';
+
+const frame = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sourceType: 'pdf',
+    pdfId: new mongoose.Types.ObjectId(),
+    pageNumber: 3,
+    createdBy: new mongoose.Types.ObjectId(),
+    ocrText: 'Newton\'s first law: an object stays at rest unless a force acts on it.',
+    conceptTags: ['inertia'],
+    embeddingsIds: [],
+    ...overrides,
+});
+
+describe('frameIndexer', () => {
+    test('indexes OCR text with string IDs the scope filters can match', async (t) => {
+        const upserted = [];
+        t.mock.method(qdrantClient, 'upsertChunks', async (chunks) => upserted.push(...chunks));
+        const indexed = frame();
+
+        const ids = await frameIndexer.indexFrame(indexed);
+
+        assert.deepEqual(ids, upserted.map((chunk) => chunk.id));
+        assert.equal(upserted.length, 1);
+        const { chunkIndex, startChar, endChar, ...metadata } = upserted[0].metadata;
+        assert.deepEqual([chunkIndex, startChar], [0, 0]);
+        assert.equal(endChar, indexed.ocrText.length);
+        assert.deepEqual(metadata, {
+            source: 'frame:pdf',
+            frameId: indexed._id.toString(),
+            pdfId: indexed.pdfId.toString(),
+            lectureId: null,
+            pageNumber: 3,
+            userId: indexed.createdBy.toString(),
+            visibility: 'private',
+            classId: null,
+            conceptTags: ['inertia'],
+            topic: 'inertia',
+            difficulty: undefined,
+        });
+        assert.equal(upserted[0].embedding.length, qdrantClient.vectorSize);
+    });
+
+    test('replaces chunks indexed before', async (t) => {
+        const deleted = [];
+        t.mock.method(qdrantClient, 'deleteChunks', async (ids) => deleted.push(...ids));
+        t.mock.method(qdrantClient, 'upsertChunks', async () => {});
+
+        await frameIndexer.indexFrame(frame({ embeddingsIds: ['old-1', 'old-2'] }));
+
+        assert.deepEqual(deleted, ['old-1', 'old-2']);
+    });
+
+    test('skips empty text and never throws', async (t) => {
+        t.mock.method(qdrantClient, 'upsertChunks', async () => {
+            throw new Error('Qdrant is down');
+        });
+
+        assert.deepEqual(await frameIndexer.indexFrame(frame({ ocrText: '   ' })), []);
+        assert.equal(qdrantClient.upsertChunks.mock.callCount(), 0);
+        assert.deepEqual(await frameIndexer.indexFrame(frame()), []);
+    });
+});
@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import promptBuilder from '../../../src/ai/rag/promptBuilder.js';
+
+const context = Array.from({ length: 6 }, (_, index) => ({ text: `chunk ${index + 1}` }));
+
+describe('answer style', () => {
+    test('sets the tone in the system prompt, educational by default', () => {
+        assert.match(promptBuilder.getAnswerSystemPrompt({ tone: 'concise' }), /Clear and to the point/);
+        assert.match(promptBuilder.getAnswerSystemPrompt({ tone: 'pirate' }), /teacher-like/);
+    });
+
+    test('adds difficulty and length rules only when given', () => {
+        const prompt = promptBuilder.buildAnswerPrompt('What is inertia?', [], { difficulty: 'college', answerLength: 'short' });
+
+        assert.match(prompt, /\*\*STYLE:\*\*/);
+        assert.match(prompt, /set meta\.difficulty to "college"/);
+        assert.match(prompt, /Length: short - use 2-3 short steps/);
+        assert.doesNotMatch(promptBuilder.buildAnswerPrompt('What is inertia?', []), /\*\*STYLE:\*\*/);
+        assert.equal(promptBuilder.formatStyleInstructions({ difficulty: 'impossible' }), '');
+    });
+
+    test('answer length limits the context sent to the model', () => {
+        const short = promptBuilder.buildAnswerPrompt('What is inertia?', context, { answerLength: 'short' });
+        assert.match(short, /\[3\] chunk 3/);
+        assert.doesNotMatch(short, /chunk 4/);
+
+        assert.match(promptBuilder.buildAnswerPrompt('What is inertia?', context), /\[6\] chunk 6/);
+    });
+});
+
+describe('follow-up prompts', () => {
+    const history = [
+        { question: 'What is inertia?', answer: 'Resistance to change in motion.', explanation: 'x'.repeat(800) },
+        { question: 'Why?', answer: 'Because mass resists acceleration.' },
+    ];
+
+    test('include earlier turns before the new question', () => {
+        const prompt = promptBuilder.buildAnswerPrompt('What about in space?', [], { history });
+
+        assert.ok(prompt.indexOf('Student: What is inertia?') < prompt.indexOf('**USER QUESTION:** "What about in space?"'));
+        assert.match(prompt, /Tutor: Because mass resists acceleration\./);
+    });
+
+    test('drop the oldest turns first when over the token budget', () => {
+        const conversation = promptBuilder.formatConversation(history, 50);
+
+        assert.match(conversation, /^\(1 earlier turn omitted\)/);
+        assert.doesNotMatch(conversation, /What is inertia\?/);
+        assert.match(conversation, /Student: Why\?/);
+    });
+
+    test('always keep the latest turn, truncated if needed', () => {
+        const conversation = promptBuilder.formatConversation(history.slice(0, 1), 20);
+
+        assert.equal(conversation.length, 20 * 4 + 3);
+        assert.match(conversation, /^Student: What is inertia\?/);
+    });
+});
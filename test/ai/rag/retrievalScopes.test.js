@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildScopeFilter, DEFAULT_SCOPES } from '../../../src/ai/rag/retrievalScopes.js';
+
+const classId = new mongoose.Types.ObjectId().toString();
+const user = { _id: new mongoose.Types.ObjectId(), classIds: [classId] };
+const userId = user._id.toString();
+
+test('defaults to the user\'s own and public chunks', () => {
+    assert.deepEqual(DEFAULT_SCOPES, ['mine', 'public']);
+    assert.deepEqual(buildScopeFilter(undefined, user), {
+        should: [
+            { must: [{ key: 'metadata.userId', match: { value: userId } }] },
+            { must: [{ is_empty: { key: 'metadata.userId' } }] },
+        ],
+    });
+});
+
+test('a document scope stays inside the user\'s uploads', () => {
+    const filter = buildScopeFilter('document', user, { documentId: 'pdf-1' });
+
+    assert.deepEqual(filter.must[0], { key: 'metadata.userId', match: { value: userId } });
+    assert.deepEqual(filter.must[1].should.map(({ key }) => key), ['metadata.pdfId', 'metadata.frameId', 'metadata.lectureId']);
+    assert.throws(() => buildScopeFilter('document', user), { statusCode: 400 });
+});
+
+test('class scope is limited to classes the user belongs to', () => {
+    assert.deepEqual(buildScopeFilter('class', user).must[1], { key: 'metadata.classId', match: { any: [classId] } });
+    assert.deepEqual(buildScopeFilter('class', user, { classId }).must[1], { key: 'metadata.classId', match: { value: classId } });
+
+    const otherClass = new mongoose.Types.ObjectId().toString();
+    assert.throws(() => buildScopeFilter('class', user, { classId: otherClass }), { statusCode: 403 });
+    assert.throws(() => buildScopeFilter('class', { ...user, classIds: [] }), { statusCode: 400 });
+});
+
+test('rejects unknown scopes and collapses duplicates', () => {
+    assert.throws(() => buildScopeFilter(['mine', 'everything'], user), { statusCode: 400, message: /Allowed: mine, document/ });
+    assert.deepEqual(buildScopeFilter(['mine', 'mine'], user), buildScopeFilter('mine', user));
+});
@@ -0,0 +1,319 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import askService from '../../../src/ai/services/askService.js';
+import llmRouter from '../../../src/ai/llm/llmRouter.js';
+import localClient from '../../../src/ai/llm/localClient.js';
+import retriever from '../../../src/ai/rag/retriever.js';
+import doubtIndex from '../../../src/ai/rag/doubtIndex.js';
+import Doubt from '../../../src/models/Doubt.js';
+import User from '../../../src/models/User.js';
+import Frame from '../../../src/models/Frame.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Provider that is always down
+ */
+const downProvider = {
+    name: 'down',
+    isAvailable: () => true,
+    askWithContext: async () => {
+        throw new Error('ECONNREFUSED');
+    },
+};
+
+/**
+ * An answered doubt with stubbed persistence
+ */
+const answeredDoubt = (t) => {
+    const doubt = new Doubt({
+        userId,
+        questionText: 'What is inertia?',
+        answerSteps: ['Objects resist changes in motion.'],
+        explanation: 'Inertia is resistance to change in motion.',
+        finalAnswer: 'Resistance to change in motion.',
+        confidence: 0.9,
+        status: 'answered',
+        meta: { subject: 'Physics', topic: 'Inertia' },
+    });
+    t.mock.method(doubt, 'save', async () => doubt);
+    t.mock.method(Doubt, 'findOne', async () => doubt);
+    return doubt;
+};
+
+/**
+ * A hint-mode doubt in progress with stubbed persistence
+ */
+const hintDoubt = (t, finalAnswer) => {
+    const doubt = new Doubt({
+        userId,
+        questionText: 'A car covers 120 km at 60 km/h. How long does it take?',
+        finalAnswer,
+        status: 'answered',
+        mode: 'hint',
+        hints: ['Which formula links distance and speed?', 'Divide distance by speed.'],
+        hintsRevealed: 1,
+        hintStatus: 'in_progress',
+    });
+    t.mock.method(doubt, 'save', async () => doubt);
+    t.mock.method(Doubt, 'findOne', async () => doubt);
+    return doubt;
+};
+
+/**
+ * A user whose points can be read after updateUserStreak
+ */
+const stubUser = (t) => {
+    const user = new User({ name: 'Student', email: 'student@example.com', password: 'secret123', points: 0 });
+    t.mock.method(user, 'save', async () => user);
+    t.mock.method(User, 'findById', async () => user);
+    return user;
+};
+
+describe('askService', () => {
+    let chain;
+
+    beforeEach((t) => {
+        chain = llmRouter.chain;
+        t.mock.method(retriever, 'retrieve', async () => []);
+    });
+    afterEach(() => {
+        llmRouter.chain = chain;
+    });
+
+    test('saves a failed doubt, not a made-up answer, when no provider answers', async (t) => {
+        llmRouter.registerProvider('down', downProvider);
+        llmRouter.chain = ['down'];
+        const created = [];
+        t.mock.method(Doubt, 'create', async (fields) => {
+            created.push(fields);
+            return new Doubt(fields);
+        });
+
+        await assert.rejects(askService.askTextQuestion('What is inertia?', userId), { statusCode: 502 });
+
+        assert.equal(created.length, 1);
+        assert.equal(created[0].status, 'failed');
+    });
+
+    test('regenerating during an outage keeps the current answer', async (t) => {
+        llmRouter.registerProvider('down', downProvider);
+        llmRouter.chain = ['down'];
+        const doubt = answeredDoubt(t);
+
+        await assert.rejects(askService.regenerateAnswer(doubt._id.toString(), userId), {
+            statusCode: 502,
+            message: /current answer is unchanged/,
+        });
+
+        assert.equal(doubt.save.mock.callCount(), 0);
+        assert.equal(doubt.answerVersions.length, 0);
+        assert.equal(doubt.finalAnswer, 'Resistance to change in motion.');
+    });
+
+    test('regenerating keeps the original as version 0 and prefers the new answer', async (t) => {
+        const doubt = answeredDoubt(t);
+
+        await askService.regenerateAnswer(doubt._id.toString(), userId, { answerLength: 'short' });
+
+        assert.equal(doubt.answerVersions.length, 2);
+        assert.equal(doubt.answerVersions[0].finalAnswer, 'Resistance to change in motion.');
+        assert.equal(doubt.preferredVersion, 1);
+        assert.match(doubt.finalAnswer, /local template answer/);
+        assert.equal(doubt.save.mock.callCount(), 1);
+    });
+
+    test('awards the hint bonus only for a matching answer', async (t) => {
+        const doubt = hintDoubt(t, 'The trip takes 2 h.');
+        const user = stubUser(t);
+
+        const solved = await askService.markHintSolved(doubt._id.toString(), userId, '120 minutes');
+
+        assert.equal(solved.hintStatus, 'solved');
+        assert.equal(solved.hintAnswerCheck, 'correct');
+        // Base points plus half the bonus (one of two hints used)
+        assert.equal(user.points, 10 + 10);
+    });
+
+    test('keeps the hints going when the answer is wrong', async (t) => {
+        const doubt = hintDoubt(t, 'The trip takes 2 h.');
+        const user = stubUser(t);
+
+        await assert.rejects(askService.markHintSolved(doubt._id.toString(), userId, '3 hours'), { statusCode: 422 });
+        await assert.rejects(askService.markHintSolved(doubt._id.toString(), userId, 'no idea'), { statusCode: 422 });
+
+        assert.equal(doubt.hintStatus, 'in_progress');
+        assert.equal(doubt.save.mock.callCount(), 0);
+        assert.equal(user.points, 0);
+    });
+
+    test('requires an answer to mark a doubt solved', async (t) => {
+        const doubt = hintDoubt(t, 'The trip takes 2 h.');
+        await assert.rejects(askService.markHintSolved(doubt._id.toString(), userId), { statusCode: 400 });
+        await assert.rejects(askService.markHintSolved(doubt._id.toString(), userId, '  '), { statusCode: 400 });
+    });
+
+    test('gives no bonus for an answer it cannot check', async (t) => {
+        const doubt = hintDoubt(t, 'Inertia is the resistance of a body to changes in its motion.');
+        const user = stubUser(t);
+
+        const solved = await askService.markHintSolved(doubt._id.toString(), userId, 'It is how hard it is to move things');
+
+        assert.equal(solved.hintStatus, 'solved');
+        assert.equal(solved.hintAnswerCheck, 'unverifiable');
+        assert.equal(user.points, 10);
+    });
+
+    test('grounds an image question in the frame\'s own text first', async (t) => {
+        const frame = new Frame({
+            sourceType: 'image',
+            sourceUrl: 'https://example.com/notes.png',
+            createdBy: userId,
+            status: 'completed',
+            ocrText: 'F = m * a',
+            conceptTags: ['newton\'s second law'],
+        });
+        t.mock.method(Frame, 'findById', async () => frame);
+        retriever.retrieve.mock.mockImplementation(async () => [
+            { text: 'F = m * a', score: 0.95, metadata: { frameId: frame._id.toString() } },
+            { text: 'Momentum is mass times velocity.', score: 0.6, metadata: {} },
+        ]);
+        stubUser(t);
+        t.mock.method(Doubt, 'create', async (fields) => new Doubt(fields));
+        const indexed = [];
+        t.mock.method(doubtIndex.store, 'upsertChunks', async (points) => indexed.push(...points));
+        t.mock.method(doubtIndex.store, 'deleteChunks', async () => {});
+        process.env.DOUBT_FAQ_SHARING = 'true';
+        t.after(() => {
+            delete process.env.DOUBT_FAQ_SHARING;
+        });
+        const contexts = [];
+        llmRouter.registerProvider('recording', {
+            name: 'recording',
+            isAvailable: () => true,
+            async askWithContext(question, context, options) {
+                contexts.push(context);
+                return localClient.askWithContext(question, context, options);
+            },
+        });
+        llmRouter.chain = ['recording'];
+
+        const result = await askService.askImageQuestion(frame._id.toString(), 'What does this formula mean?', userId);
+
+        assert.equal(contexts[0].length, 2);
+        assert.match(contexts[0][0].text, /uploaded image[\s\S]*Extracted text:\nF = m \* a/);
+        assert.equal(contexts[0][1].text, 'Momentum is mass times velocity.');
+        assert.ok(result.frameId.equals(frame._id));
+        assert.deepEqual(result.tags, ['newton\'s second law']);
+
+        // Indexed for the user's own duplicate checks, never as a shared FAQ entry
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(indexed.map(({ metadata }) => metadata.kind), ['doubt']);
+        assert.equal(indexed[0].metadata.doubtId, result._id.toString());
+    });
+
+    test('only asks about the user\'s own finished frames', async (t) => {
+        const frame = new Frame({ sourceType: 'image', sourceUrl: 'https://example.com/a.png', createdBy: userId, status: 'processing' });
+        t.mock.method(Frame, 'findById', async () => frame);
+        const frameId = frame._id.toString();
+
+        await assert.rejects(askService.askImageQuestion('nope', 'Why?', userId), { statusCode: 400 });
+        await assert.rejects(askService.askImageQuestion(frameId, 'Why?', new mongoose.Types.ObjectId()), { statusCode: 403 });
+        await assert.rejects(askService.askImageQuestion(frameId, 'Why?', userId), { statusCode: 409 });
+
+        frame.status = 'failed';
+        await assert.rejects(askService.askImageQuestion(frameId, 'Why?', userId), { statusCode: 422 });
+
+        frame.status = 'completed';
+        await assert.rejects(askService.askImageQuestion(frameId, 'Why?', userId), {
+            statusCode: 422,
+            message: /No readable text/,
+        });
+    });
+
+    test('answers a follow-up with the conversation so far and saves it as the next turn', async (t) => {
+        const root = answeredDoubt(t);
+        const turn = new Doubt({
+            userId,
+            questionText: 'Why?',
+            finalAnswer: 'Because mass resists acceleration.',
+            status: 'answered',
+            threadId: root._id,
+            turnIndex: 1,
+            retrievedContext: [{ text: 'Inertia depends on mass.', score: 0.8 }],
+        });
+        t.mock.method(askService, 'getThreadTurns', async () => [root, turn]);
+        stubUser(t);
+        const created = [];
+        t.mock.method(Doubt, 'create', async (fields) => {
+            created.push(fields);
+            return new Doubt(fields);
+        });
+
+        const calls = [];
+        llmRouter.registerProvider('recording', {
+            name: 'recording',
+            isAvailable: () => true,
+            async askWithContext(question, context, options) {
+                calls.push({ question, context, options });
+                return localClient.askWithContext(question, context, options);
+            },
+        });
+        llmRouter.chain = ['recording'];
+
+        await askService.askFollowUp(turn._id.toString(), 'What about in space?', userId);
+
+        assert.deepEqual(calls[0].options.history.map(({ question }) => question), ['What is inertia?', 'Why?']);
+        assert.deepEqual(calls[0].context.map(({ text }) => text), ['Inertia depends on mass.']);
+        assert.equal(created[0].threadId, root._id);
+        assert.equal(created[0].turnIndex, 2);
+    });
+
+    test('refuses follow-ups on unanswered or unknown doubts', async (t) => {
+        const root = answeredDoubt(t);
+        root.status = 'failed';
+        t.mock.method(askService, 'getThreadTurns', async () => [root]);
+
+        await assert.rejects(askService.askFollowUp('nope', 'Why?', userId), { statusCode: 400 });
+        await assert.rejects(askService.askFollowUp(root._id.toString(), 'Why?', userId), { statusCode: 409 });
+
+        Doubt.findOne.mock.mockImplementation(async () => null);
+        await assert.rejects(askService.askFollowUp(root._id.toString(), 'Why?', userId), { statusCode: 404 });
+    });
+
+    test('escapes search highlights before marking matches', () => {
+        const highlights = askService.buildHighlights({
+            questionText: 'Why is <img src=x onerror=alert(1)> an integral & not a sum?',
+            tags: ['calculus'],
+        }, askService.getSearchTerms('integral img'));
+
+        assert.equal(
+            highlights.questionText,
+            'Why is &lt;<mark>img</mark> src=x onerror=alert(1)&gt; an <mark>integral</mark> &amp; not a sum?'
+        );
+        assert.equal(highlights.tags, undefined);
+    });
+
+    test('in-progress hint doubts only match a search on what the student can see', async (t) => {
+        const pipelines = [];
+        t.mock.method(Doubt, 'aggregate', async (pipeline) => {
+            pipelines.push(pipeline);
+            return [{ results: [], total: [], subject: [], topic: [], difficulty: [], questionType: [], rating: [], confidence: [] }];
+        });
+
+        await askService.searchDoubts(userId, { q: 'momentum' });
+        await askService.searchDoubts(userId, {});
+
+        const [searched, listed] = pipelines;
+        assert.ok(searched[0].$match.$text);
+        const { $or: visible } = searched[1].$match;
+        assert.deepEqual(visible[0], { hintStatus: { $ne: 'in_progress' } });
+        assert.ok(visible[1].questionText.test('What is Momentum?'));
+        assert.ok(visible[2].tags.test('momentum'));
+        assert.ok(!visible.some((condition) => condition.finalAnswer || condition.explanation));
+
+        assert.equal(listed[0].$match.$text, undefined);
+        assert.equal(listed[1].$match, undefined);
+    });
+});
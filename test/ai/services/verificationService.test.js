@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import verificationService from '../../../src/ai/services/verificationService.js';
+
+const verify = (t, finalAnswer, derivation) => {
+    t.mock.method(verificationService, 'deriveIndependently', async () => derivation);
+    return verificationService.verify('problem', { finalAnswer, confidence: 0.9 });
+};
+
+describe('verificationService.extractResult', () => {
+    test('reads spelled-out and plural units after the result', () => {
+        const cases = [
+            ['The trip takes 2 hours.', 'hours', 3600],
+            ['It stops after 120 seconds, then reverses', 'seconds', 1],
+            ['The mass is 5 kilograms', 'kilograms', 1],
+            ['So the volume is 2.5 litres.', 'litres', 1e-3],
+            ['The speed is 10 metres per second when it lands', 'metres per second', 1],
+            ['Area = 4 square metres', 'square metres', 1],
+        ];
+        for (const [answer, unit, scale] of cases) {
+            const result = verificationService.extractResult(answer);
+            assert.equal(result.unit, unit, answer);
+            assert.equal(result.scale.value, scale, answer);
+        }
+    });
+
+    test('stops at words that are not units', () => {
+        assert.equal(verificationService.extractResult('x = 5 m in 2 s').unit, 'm');
+        assert.equal(verificationService.extractResult('The answer is 3 apples').unit, '');
+    });
+});
+
+describe('verificationService.verify', () => {
+    test('verifies an answer given in spelled-out units', async (t) => {
+        const verification = await verify(t, 'The journey takes 2 hours.', {
+            inputs: [{ name: 'd', value: 120, unit: 'km' }, { name: 'v', value: 60, unit: 'km/h' }],
+            expression: 'd / v',
+            unit: 'h',
+        });
+
+        assert.equal(verification.status, 'verified');
+        assert.equal(verification.unitCheck, 'consistent');
+        assert.equal(verificationService.adjustConfidence(0.9, verification), 0.9);
+    });
+
+    test('flags a wrong value and caps confidence', async (t) => {
+        const verification = await verify(t, 'The journey takes 3 hours.', {
+            inputs: [{ name: 'd', value: 120, unit: 'km' }, { name: 'v', value: 60, unit: 'km/h' }],
+            expression: 'd / v',
+        });
+
+        assert.equal(verification.status, 'mismatch');
+        assert.equal(verificationService.adjustConfidence(0.9, verification), 0.3);
+    });
+
+    test('flags a unit with the wrong dimensions', async (t) => {
+        const verification = await verify(t, 'The journey takes 2 kilometres.', {
+            inputs: [{ name: 'd', value: 120, unit: 'km' }, { name: 'v', value: 60, unit: 'km/h' }],
+            expression: 'd / v',
+        });
+
+        assert.equal(verification.status, 'unit_mismatch');
+        assert.equal(verification.unitCheck, 'inconsistent');
+    });
+
+    test('is unverifiable when the derivation fails', async (t) => {
+        t.mock.method(verificationService, 'deriveIndependently', async () => {
+            throw new Error('No expression in the derivation');
+        });
+        const verification = await verificationService.verify('problem', { finalAnswer: 'It is 2 hours' });
+
+        assert.equal(verification.status, 'unverifiable');
+        assert.match(verification.notes.join(), /No expression/);
+    });
+});
+
+describe('verificationService.checkSubmittedAnswer', () => {
+    test('compares numeric answers in SI', () => {
+        assert.equal(verificationService.checkSubmittedAnswer('7200 s', 'The trip takes 2 hours'), 'correct');
+        assert.equal(verificationService.checkSubmittedAnswer('2', 'The trip takes 2 hours'), 'correct');
+        assert.equal(verificationService.checkSubmittedAnswer('2.01 h', 'It takes 2 h'), 'correct');
+        assert.equal(verificationService.checkSubmittedAnswer('3 h', 'It takes 2 h'), 'incorrect');
+        assert.equal(verificationService.checkSubmittedAnswer('2 km', 'It takes 2 h'), 'incorrect');
+        assert.equal(verificationService.checkSubmittedAnswer('I solved it', 'It takes 2 h'), 'incorrect');
+    });
+
+    test('only matches other answers word for word', () => {
+        assert.equal(verificationService.checkSubmittedAnswer('Mitochondria.', 'mitochondria'), 'correct');
+        assert.equal(verificationService.checkSubmittedAnswer('the cell', 'mitochondria'), 'unverifiable');
+    });
+});
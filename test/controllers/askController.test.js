@@ -0,0 +1,184 @@
+import { test, describe, beforeEach } from 'node:test';
+import { EventEmitter } from 'events';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { askTextQuestion, streamTextQuestion } from '../../src/controllers/askController.js';
+import askService from '../../src/ai/services/askService.js';
+
+/**
+ * Minimal Express response that records status and body
+ */
+const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    return res;
+};
+
+const request = (body) => ({
+    body: { questionText: 'What is the derivative of x^2?', ...body },
+    user: { _id: new mongoose.Types.ObjectId(), preferences: {} },
+    app: { get: () => null },
+});
+
+describe('POST /api/ask/text duplicate check', () => {
+    beforeEach((t) => {
+        t.mock.method(askService, 'findDuplicateDoubts', async () => [{ kind: 'doubt', questionText: 'What is the derivative of x^2?' }]);
+        t.mock.method(askService, 'askTextQuestion', async (questionText) => ({ questionText, finalAnswer: '2x' }));
+    });
+
+    test('answers repeated questions by default', async () => {
+        const res = mockResponse();
+        await askTextQuestion(request({}), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.duplicate, undefined);
+        assert.equal(res.body.data.finalAnswer, '2x');
+        assert.equal(askService.findDuplicateDoubts.mock.callCount(), 0);
+    });
+
+    test('returns suggestions instead of an answer when checkDuplicates is set', async () => {
+        const res = mockResponse();
+        await askTextQuestion(request({ checkDuplicates: true }), res);
+
+        assert.equal(res.body.duplicate, true);
+        assert.equal(res.body.data.suggestions.length, 1);
+        assert.equal(askService.askTextQuestion.mock.callCount(), 0);
+    });
+
+    test('answers when checkDuplicates finds nothing', async () => {
+        askService.findDuplicateDoubts.mock.mockImplementation(async () => []);
+        const res = mockResponse();
+        await askTextQuestion(request({ checkDuplicates: 'true' }), res);
+
+        assert.equal(res.body.data.finalAnswer, '2x');
+    });
+});
+
+describe('POST /api/ask/text answer style', () => {
+    beforeEach((t) => {
+        t.mock.method(askService, 'askTextQuestion', async (questionText, userId, options) => ({ options }));
+    });
+
+    test('request values override saved preferences', async () => {
+        const req = request({ tone: 'concise' });
+        req.user.preferences = { tone: 'detailed', difficulty: 'college', answerLength: 'long' };
+        const res = mockResponse();
+        await askTextQuestion(req, res);
+
+        assert.deepEqual(res.body.data.options.style, { tone: 'concise', difficulty: 'college', answerLength: 'long' });
+    });
+
+    test('rejects unknown style values', async () => {
+        for (const body of [{ tone: 'pirate' }, { difficulty: 'impossible' }, { answerLength: 'epic' }]) {
+            const res = mockResponse();
+            await askTextQuestion(request(body), res);
+
+            assert.equal(res.statusCode, 400);
+        }
+        assert.equal(askService.askTextQuestion.mock.callCount(), 0);
+    });
+});
+
+/**
+ * Socket.IO server stand-in that records (room, event, payload)
+ */
+const fakeIo = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    };
+};
+
+/**
+ * Response that records Server-Sent Events
+ */
+const mockEventStream = () => {
+    const res = mockResponse();
+    res.chunks = [];
+    res.set = () => res;
+    res.flushHeaders = () => {};
+    res.write = (chunk) => res.chunks.push(chunk);
+    res.end = () => {
+        res.ended = true;
+    };
+    res.events = () => res.chunks.map((chunk) => {
+        const [, event, data] = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+        return { event, data: JSON.parse(data) };
+    });
+    return res;
+};
+
+describe('streamed answers', () => {
+    beforeEach((t) => {
+        t.mock.method(askService, 'askTextQuestion', async (questionText, userId, options) => {
+            options.onDelta?.('{"final');
+            options.onDelta?.('Answer": "2x"}');
+            return { questionText, finalAnswer: '2x' };
+        });
+    });
+
+    test('sends deltas then the saved doubt as Server-Sent Events', async () => {
+        const req = Object.assign(new EventEmitter(), request({}));
+        req.query = { questionText: 'What is the derivative of x^2?' };
+        const res = mockEventStream();
+
+        await streamTextQuestion(req, res);
+
+        assert.deepEqual(res.events().map(({ event }) => event), ['answer:delta', 'answer:delta', 'answer:done']);
+        assert.equal(res.events().slice(0, 2).map(({ data }) => data.delta).join(''), '{"finalAnswer": "2x"}');
+        assert.equal(res.events()[2].data.data.finalAnswer, '2x');
+        assert.ok(res.ended);
+    });
+
+    test('stops writing once the client disconnects', async () => {
+        askService.askTextQuestion.mock.mockImplementation(async (questionText, userId, options) => {
+            options.onDelta('{"final');
+            req.emit('close');
+            options.onDelta('Answer": "2x"}');
+            return { finalAnswer: '2x' };
+        });
+        const req = Object.assign(new EventEmitter(), request({}));
+        req.query = { questionText: 'What is the derivative of x^2?' };
+        const res = mockEventStream();
+
+        await streamTextQuestion(req, res);
+
+        assert.equal(res.chunks.length, 1);
+    });
+
+    test('POST with stream: true answers 202 and delivers the answer to the user\'s room', async () => {
+        const io = fakeIo();
+        const req = request({ stream: true });
+        req.app = { get: () => io };
+        const res = mockResponse();
+
+        await askTextQuestion(req, res);
+        assert.equal(res.statusCode, 202);
+        const { requestId } = res.body.data;
+
+        await new Promise((resolve) => setImmediate(resolve));
+        const room = req.user._id.toString();
+        assert.ok(io.emitted.every((emitted) => emitted.room === room));
+        assert.deepEqual(io.emitted.map(({ event }) => event), ['answer:delta', 'answer:delta', 'answer:done', 'doubt:new']);
+        assert.ok(io.emitted.slice(0, 3).every(({ payload }) => payload.requestId === requestId));
+    });
+
+    test('hint mode cannot be streamed', async () => {
+        const res = mockResponse();
+        await askTextQuestion(request({ stream: true, mode: 'hint' }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(askService.askTextQuestion.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable } from 'stream';
+import mongoose from 'mongoose';
+import { exportDoubt, downloadExport } from '../../src/controllers/exportController.js';
+import exportService from '../../src/services/exportService.js';
+
+/**
+ * Express-like response that collects headers and the body
+ */
+const mockResponse = () => {
+    const res = new PassThrough();
+    res.statusCode = 200;
+    res.headers = {};
+    res.headersSent = false;
+    res.setHeader = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+    };
+    res.removeHeader = (name) => {
+        delete res.headers[name.toLowerCase()];
+    };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.send = (body) => res.end(body);
+    res.json = (body) => {
+        res.body = body;
+        res.end();
+        return res;
+    };
+    return res;
+};
+
+const readAll = async (res) => {
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+const request = (params = {}) => ({ params, query: {}, user: { _id: new mongoose.Types.ObjectId() } });
+
+describe('export downloads', () => {
+    test('send an ASCII filename and the UTF-8 filename*', async (t) => {
+        t.mock.method(exportService, 'resolveSelection', async () => ({ doubtIds: ['d1'], title: 'x' }));
+        t.mock.method(exportService, 'renderExport', async () => ({
+            fileName: 'Ünit "3" – Kräfte.md',
+            mimeType: 'text/markdown; charset=utf-8',
+            data: Buffer.from('# Kräfte'),
+        }));
+        const res = mockResponse();
+
+        await exportDoubt(request({ id: 'd1' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(
+            res.headers['content-disposition'],
+            "attachment; filename=\"_nit _3_ _ Kr_fte.md\"; filename*=UTF-8''%C3%9Cnit%20%223%22%20%E2%80%93%20Kr%C3%A4fte.md"
+        );
+        assert.equal(await readAll(res), '# Kräfte');
+    });
+
+    test('stream stored files', async (t) => {
+        t.mock.method(exportService, 'getExportFile', async () => ({
+            fileName: 'deck.csv',
+            mimeType: 'text/csv; charset=utf-8',
+            size: 9,
+            stream: Readable.from([Buffer.from('front,bac'), Buffer.from('')]),
+        }));
+        const res = mockResponse();
+
+        await downloadExport(request({ id: 'e1' }), res);
+
+        assert.equal(await readAll(res), 'front,bac');
+        assert.equal(res.headers['content-length'], 9);
+        assert.match(res.headers['content-disposition'], /filename="deck\.csv"; filename\*=UTF-8''deck\.csv/);
+    });
+});
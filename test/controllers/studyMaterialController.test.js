@@ -0,0 +1,67 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createStudyMaterial, createLegacyStudyMaterial } from '../../src/controllers/studyMaterialController.js';
+import StudyMaterial from '../../src/models/StudyMaterial.js';
+
+/**
+ * Minimal Express response that records status and body
+ */
+const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    return res;
+};
+
+const request = (body) => ({ body, user: { _id: new mongoose.Types.ObjectId() } });
+
+describe('study material endpoints', () => {
+    beforeEach((t) => {
+        t.mock.method(StudyMaterial, 'create', async (fields) => new StudyMaterial(fields));
+    });
+
+    test('POST /api/ask/study keeps the old 200 response with the content text', async () => {
+        const res = mockResponse();
+        await createLegacyStudyMaterial(request({ topic: 'Inertia', type: 'notes' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(typeof res.body.data, 'string');
+        assert.match(res.body.data, /^# Inertia/);
+        assert.ok(res.body.materialId);
+    });
+
+    test('POST /api/ask/study returns flashcards as their JSON text', async () => {
+        const res = mockResponse();
+        await createLegacyStudyMaterial(request({ topic: 'Inertia', type: 'flashcards' }), res);
+
+        assert.equal(JSON.parse(res.body.data).length, 3);
+    });
+
+    test('POST /api/study-materials returns the saved material', async () => {
+        const res = mockResponse();
+        await createStudyMaterial(request({ topic: 'Inertia', type: 'notes' }), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.data.type, 'notes');
+    });
+
+    test('both report bad input with 400', async () => {
+        for (const handler of [createLegacyStudyMaterial, createStudyMaterial]) {
+            const res = mockResponse();
+            await handler(request({ topic: 'Inertia' }), res);
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.success, false);
+        }
+    });
+});
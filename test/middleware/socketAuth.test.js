@@ -0,0 +1,51 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { authenticateSocket } from '../../src/middleware/socketAuth.js';
+import { generateToken } from '../../src/utils/jwt.js';
+import User from '../../src/models/User.js';
+
+/**
+ * Run the middleware for a handshake with the given Cookie header
+ * @returns {Promise<{ error: Error|undefined, socket: Object }>}
+ */
+const handshake = async (cookie) => {
+    const socket = { handshake: { headers: { cookie } }, data: {} };
+    let error;
+    await authenticateSocket(socket, (result) => {
+        error = result;
+    });
+    return { error, socket };
+};
+
+describe('Socket.IO handshake authentication', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), name: 'Student' };
+
+    before(() => {
+        process.env.JWT_SECRET ||= 'test-secret';
+    });
+
+    test('attaches the user from the auth_token cookie', async (t) => {
+        t.mock.method(User, 'findById', (id) => ({ select: async () => (String(id) === String(user._id) ? user : null) }));
+        const token = generateToken({ userId: user._id.toString() });
+
+        const { error, socket } = await handshake(`theme=dark; auth_token=${encodeURIComponent(token)}`);
+
+        assert.equal(error, undefined);
+        assert.equal(socket.data.user, user);
+    });
+
+    test('rejects missing, forged and orphaned tokens', async (t) => {
+        t.mock.method(User, 'findById', () => ({ select: async () => null }));
+
+        assert.equal((await handshake(undefined)).error.message, 'Authentication required');
+        assert.equal((await handshake('other_token=abc')).error.message, 'Authentication required');
+        assert.equal((await handshake('auth_token=not-a-jwt')).error.message, 'Invalid or expired token');
+        assert.equal((await handshake('auth_token=%E0%A4%A')).error.message, 'Authentication required');
+
+        const token = generateToken({ userId: new mongoose.Types.ObjectId().toString() });
+        const { error, socket } = await handshake(`auth_token=${token}`);
+        assert.equal(error.message, 'User not found');
+        assert.equal(socket.data.user, undefined);
+    });
+});
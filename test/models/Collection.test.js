@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Collection from '../../src/models/Collection.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+test('collections hold doubts and frames only', () => {
+    const collection = new Collection({
+        userId,
+        name: '  Physics – Unit 3 revision ',
+        items: [
+            { itemType: 'doubt', itemId: new mongoose.Types.ObjectId(), note: ' check units ' },
+            { itemType: 'video', itemId: new mongoose.Types.ObjectId() },
+        ],
+    });
+
+    const error = collection.validateSync();
+
+    assert.equal(collection.name, 'Physics – Unit 3 revision');
+    assert.equal(collection.items[0].note, 'check units');
+    assert.deepEqual(Object.keys(error.errors), ['items.1.itemType']);
+});
+
+test('removing deleted items only pulls the given item type', async (t) => {
+    const calls = [];
+    t.mock.method(Collection, 'updateMany', async (filter, update) => calls.push({ filter, update }));
+    const itemIds = [new mongoose.Types.ObjectId()];
+
+    await Collection.removeItems('frame', itemIds);
+
+    assert.deepEqual(calls, [{
+        filter: { 'items.itemId': { $in: itemIds } },
+        update: { $pull: { items: { itemType: 'frame', itemId: { $in: itemIds } } } },
+    }]);
+});
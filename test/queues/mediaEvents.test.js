@@ -0,0 +1,60 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { attachMediaEvents, emitFrameQueued, FRAME_EVENTS } from '../../src/queues/mediaEvents.js';
+import { inlineQueueEvents } from '../../src/queues/mediaQueue.js';
+
+/**
+ * Socket.IO server stand-in that records (room, event, payload)
+ */
+const fakeIo = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    };
+};
+
+describe('media job events', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const io = fakeIo();
+
+    before(() => {
+        process.env.MEDIA_QUEUE_INLINE = 'true';
+        attachMediaEvents(io);
+    });
+    after(() => {
+        delete process.env.MEDIA_QUEUE_INLINE;
+        inlineQueueEvents.removeAllListeners();
+    });
+
+    test('tells only the uploader that a frame was queued', () => {
+        const frame = { _id: new mongoose.Types.ObjectId(), createdBy: new mongoose.Types.ObjectId(), sourceType: 'image', jobId: 'frame-1' };
+        const recorder = fakeIo();
+
+        emitFrameQueued(recorder, frame);
+        emitFrameQueued(null, frame);
+
+        assert.deepEqual(recorder.emitted, [{
+            room: frame.createdBy.toString(),
+            event: FRAME_EVENTS.QUEUED,
+            payload: { frameId: frame._id.toString(), sourceType: 'image', jobId: 'frame-1', status: 'queued' },
+        }]);
+    });
+
+    test('relays progress, completion and failure without the user ID', () => {
+        io.emitted.length = 0;
+
+        inlineQueueEvents.emit('progress', { jobId: '1', data: { userId, frameId: 'f1', stage: 'ocr', percent: 50 } });
+        inlineQueueEvents.emit('progress', { jobId: '1', data: 50 });
+        inlineQueueEvents.emit('completed', { jobId: '1', returnvalue: { userId, frameId: 'f1', status: 'completed' } });
+        inlineQueueEvents.emit('completed', { jobId: '2', returnvalue: { userId, frameId: 'f2', status: 'missing' } });
+        inlineQueueEvents.emit('failed', { jobId: '3', failedReason: 'OCR failed', data: { userId, frameId: 'f3' } });
+
+        assert.deepEqual(io.emitted, [
+            { room: userId, event: FRAME_EVENTS.PROGRESS, payload: { frameId: 'f1', stage: 'ocr', percent: 50 } },
+            { room: userId, event: FRAME_EVENTS.COMPLETED, payload: { frameId: 'f1', status: 'completed' } },
+            { room: userId, event: FRAME_EVENTS.FAILED, payload: { frameId: 'f3', error: 'OCR failed' } },
+        ]);
+    });
+});
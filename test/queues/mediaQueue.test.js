@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMediaJob, MEDIA_JOBS } from '../../src/queues/mediaQueue.js';
+
+/**
+ * In-memory stand-in for a BullMQ queue (getJob, add with jobId, job state and remove)
+ */
+const fakeQueue = () => {
+    const jobs = new Map();
+    return {
+        jobs,
+        async getJob(id) {
+            return jobs.get(id);
+        },
+        async add(name, data, opts) {
+            if (jobs.has(opts.jobId)) return jobs.get(opts.jobId);
+            const job = {
+                id: opts.jobId,
+                name,
+                data,
+                state: 'waiting',
+                getState: async () => job.state,
+                remove: async () => {
+                    jobs.delete(job.id);
+                },
+            };
+            jobs.set(job.id, job);
+            return job;
+        },
+    };
+};
+
+describe('addMediaJob', () => {
+    test('keeps one waiting or running job per frame', async () => {
+        const queue = fakeQueue();
+        const first = await addMediaJob(queue, MEDIA_JOBS.PROCESS_IMAGE, { frameId: 'f1' });
+        queue.jobs.get(first.id).state = 'active';
+
+        const second = await addMediaJob(queue, MEDIA_JOBS.PROCESS_IMAGE, { frameId: 'f1', userId: 'u1' });
+
+        assert.equal(second.id, first.id);
+        assert.equal(queue.jobs.size, 1);
+        assert.equal(queue.jobs.get(first.id).data.userId, undefined);
+    });
+
+    test('processes a frame again once its last job finished', async () => {
+        for (const state of ['completed', 'failed']) {
+            const queue = fakeQueue();
+            const first = await addMediaJob(queue, MEDIA_JOBS.PROCESS_PDF, { frameId: 'f2', attempt: 1 });
+            queue.jobs.get(first.id).state = state;
+
+            await addMediaJob(queue, MEDIA_JOBS.PROCESS_PDF, { frameId: 'f2', attempt: 2 });
+
+            const job = queue.jobs.get(first.id);
+            assert.equal(job.state, 'waiting', state);
+            assert.equal(job.data.attempt, 2, state);
+        }
+    });
+});
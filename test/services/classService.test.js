@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import classService from '../../src/services/classService.js';
+import Classroom from '../../src/models/Classroom.js';
+import User from '../../src/models/User.js';
+import { buildScopeFilter } from '../../src/ai/rag/retrievalScopes.js';
+
+const newUser = () => ({ _id: new mongoose.Types.ObjectId(), classIds: [] });
+
+/**
+ * Stub persistence: classes live in an array, membership updates are recorded
+ */
+const stubStore = (t) => {
+    const classrooms = [];
+    const updates = [];
+    t.mock.method(Classroom, 'create', async (fields) => {
+        const classroom = new Classroom(fields);
+        classrooms.push(classroom);
+        return classroom;
+    });
+    t.mock.method(Classroom, 'findOne', async (query) => classrooms.find((classroom) => classroom.joinCode === query.joinCode) || null);
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+        updates.push(update);
+        return { acknowledged: true };
+    });
+    return { classrooms, updates };
+};
+
+describe('classService', () => {
+    test('the creator owns and joins the class', async (t) => {
+        const { updates } = stubStore(t);
+        const owner = newUser();
+
+        const classroom = await classService.createClass(owner, '  Physics 101 ');
+
+        assert.equal(classroom.name, 'Physics 101');
+        assert.equal(classroom.isOwner, true);
+        assert.ok(classroom.joinCode.length >= 8);
+        assert.deepEqual(owner.classIds, [classroom.id]);
+        assert.deepEqual(updates[0], { $addToSet: { classIds: classroom.id } });
+    });
+
+    test('students join with the code and then pass the class scope', async (t) => {
+        stubStore(t);
+        const owner = newUser();
+        const student = newUser();
+        const { id, joinCode } = await classService.createClass(owner, 'Physics 101');
+
+        assert.throws(() => buildScopeFilter(['class'], student, { classId: id }), { statusCode: 403 });
+
+        const joined = await classService.joinClass(student, joinCode);
+
+        assert.equal(joined.isOwner, false);
+        assert.equal(joined.joinCode, undefined);
+        assert.deepEqual(student.classIds, [id]);
+        assert.doesNotThrow(() => buildScopeFilter(['class'], student, { classId: id }));
+    });
+
+    test('rejects unknown codes and empty names', async (t) => {
+        stubStore(t);
+        await assert.rejects(classService.joinClass(newUser(), 'nope'), { statusCode: 404 });
+        await assert.rejects(classService.joinClass(newUser(), ''), { statusCode: 400 });
+        await assert.rejects(classService.createClass(newUser(), '   '), { statusCode: 400 });
+    });
+
+    test('members can leave a class', async (t) => {
+        const { updates } = stubStore(t);
+        const student = newUser();
+        const { id } = await classService.createClass(student, 'Chemistry');
+
+        await classService.leaveClass(student, id);
+
+        assert.deepEqual(student.classIds, []);
+        assert.deepEqual(updates.at(-1), { $pull: { classIds: id } });
+        await assert.rejects(classService.leaveClass(student, id), { statusCode: 404 });
+    });
+});
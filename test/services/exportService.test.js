@@ -0,0 +1,172 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import mongoose from 'mongoose';
+import exportService from '../../src/services/exportService.js';
+import Export from '../../src/models/Export.js';
+
+/**
+ * In-memory stand-in for a GridFS bucket
+ */
+const fakeBucket = () => {
+    const files = new Map();
+    return {
+        files,
+        openUploadStream(filename, options) {
+            const chunks = [];
+            const id = new mongoose.Types.ObjectId();
+            const upload = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                },
+                final(callback) {
+                    files.set(id.toString(), { _id: id, filename, metadata: options.metadata, data: Buffer.concat(chunks) });
+                    callback();
+                },
+            });
+            upload.id = id;
+            return upload;
+        },
+        openDownloadStream(id) {
+            return Readable.from([files.get(id.toString()).data]);
+        },
+        async delete(id) {
+            if (!files.delete(id.toString())) throw new Error(`File not found for id ${id}`);
+        },
+        find(filter) {
+            const cutoff = filter['metadata.expiresAt'].$lte;
+            const matching = [...files.values()].filter((file) => file.metadata.expiresAt <= cutoff);
+            return { project: () => ({ toArray: async () => matching }) };
+        },
+    };
+};
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+describe('export file storage', () => {
+    test('stores the rendered file in GridFS, not on the export', async (t) => {
+        const bucket = fakeBucket();
+        t.mock.method(exportService, 'getFileBucket', () => bucket);
+        t.mock.method(exportService, 'renderExport', async () => ({
+            fileName: 'physics-2026-10-19.md',
+            mimeType: 'text/markdown; charset=utf-8',
+            data: Buffer.from('# Physics\n'),
+        }));
+
+        const userId = new mongoose.Types.ObjectId();
+        const exportDoc = new Export({ userId, format: 'markdown' });
+        t.mock.method(exportDoc, 'save', async () => exportDoc);
+        t.mock.method(Export, 'findOne', () => ({ select: async () => exportDoc }));
+
+        await exportService.runExport(exportDoc);
+
+        assert.equal(exportDoc.status, 'completed');
+        assert.equal(exportDoc.size, 10);
+        assert.equal(exportDoc.toObject().data, undefined);
+        const stored = bucket.files.get(exportDoc.fileId.toString());
+        assert.equal(stored.metadata.exportId, exportDoc._id);
+        assert.equal(stored.metadata.expiresAt, exportDoc.expiresAt);
+
+        const file = await exportService.getExportFile(exportDoc._id.toString(), userId);
+        assert.equal(file.fileName, 'physics-2026-10-19.md');
+        assert.equal(await readAll(file.stream), '# Physics\n');
+    });
+
+    test('replaces the previous file when an export is run again', async (t) => {
+        const bucket = fakeBucket();
+        t.mock.method(exportService, 'getFileBucket', () => bucket);
+        t.mock.method(exportService, 'renderExport', async () => ({ fileName: 'a.md', mimeType: 'text/markdown', data: Buffer.from('a') }));
+
+        const exportDoc = new Export({ userId: new mongoose.Types.ObjectId(), format: 'markdown' });
+        t.mock.method(exportDoc, 'save', async () => exportDoc);
+
+        await exportService.runExport(exportDoc);
+        const first = exportDoc.fileId.toString();
+        await exportService.runExport(exportDoc);
+
+        assert.notEqual(exportDoc.fileId.toString(), first);
+        assert.deepEqual([...bucket.files.keys()], [exportDoc.fileId.toString()]);
+    });
+
+    test('deletes files of expired exports', async (t) => {
+        const bucket = fakeBucket();
+        t.mock.method(exportService, 'getFileBucket', () => bucket);
+        t.mock.method(exportService, 'renderExport', async () => ({ fileName: 'a.md', mimeType: 'text/markdown', data: Buffer.from('a') }));
+
+        const expired = new Export({ userId: new mongoose.Types.ObjectId(), format: 'markdown', expiresAt: new Date(Date.now() - 1000) });
+        const current = new Export({ userId: new mongoose.Types.ObjectId(), format: 'markdown' });
+        for (const exportDoc of [expired, current]) {
+            t.mock.method(exportDoc, 'save', async () => exportDoc);
+            await exportService.runExport(exportDoc);
+        }
+
+        assert.equal(await exportService.deleteExpiredFiles(), 1);
+        assert.deepEqual([...bucket.files.keys()], [current.fileId.toString()]);
+    });
+
+    test('refuses downloads of unfinished exports', async (t) => {
+        const exportDoc = new Export({ userId: new mongoose.Types.ObjectId(), format: 'pdf', status: 'processing' });
+        t.mock.method(Export, 'findOne', () => ({ select: async () => exportDoc }));
+
+        await assert.rejects(exportService.getExportFile(exportDoc._id.toString(), exportDoc.userId), { statusCode: 409 });
+    });
+});
+
+describe('export rendering', () => {
+    const doubt = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        questionText: 'What is 2 + 2?',
+        explanation: 'Add the numbers.',
+        answerSteps: ['Start with 2.', 'Add 2.'],
+        finalAnswer: '4',
+        subject: 'Math',
+        tags: ['arithmetic basics'],
+        citations: [{ marker: 2, source: 'notes.pdf', pageNumber: 3 }, { marker: 1 }, { marker: 2, source: 'notes.pdf' }],
+        followUpQuestions: { easy: 'What is 3 + 3?' },
+        status: 'answered',
+        turns: [],
+        ...overrides,
+    });
+
+    test('renders Markdown with sources, practice questions and follow-up turns', () => {
+        const markdown = exportService.toMarkdown([doubt({ turns: [doubt({ questionText: 'And 2 + 3?', finalAnswer: '5' })] })], 'Revision');
+
+        assert.match(markdown, /^# Revision\n\n## 1\. What is 2 \+ 2\?/);
+        assert.match(markdown, /### Steps\n\n1\. Start with 2\.\n2\. Add 2\./);
+        assert.match(markdown, /- \[1\] Uploaded material\n- \[2\] notes\.pdf, page 3/);
+        assert.match(markdown, /- Easy: What is 3 \+ 3\?/);
+        assert.match(markdown, /### Follow-up: And 2 \+ 3\?/);
+    });
+
+    test('keeps a hidden hint solution out of the Markdown', () => {
+        const markdown = exportService.toMarkdown([{ questionText: 'Why?', hints: ['Look again.'], turns: [] }], 'Hints');
+
+        assert.match(markdown, /1\. Look again\./);
+        assert.match(markdown, /Solution hidden until the hints are finished\./);
+        assert.doesNotMatch(markdown, /Final answer/);
+    });
+
+    test('renders an Anki CSV with escaped HTML and quoted fields', () => {
+        const root = doubt({ questionText: 'Is 1 < 2 "always"?', finalAnswer: 'Yes' });
+        const flashcards = new Map([[root._id.toString(), [{ front: 'Front', back: 'Back' }]]]);
+        const csv = exportService.toAnkiCsv([root, doubt({ status: 'failed' })], 'Deck\nName', flashcards);
+        const lines = csv.trim().split('\n');
+
+        assert.deepEqual(lines.slice(0, 5), ['#separator:Comma', '#html:true', '#notetype:Basic', '#deck:Deck Name', '#tags column:3']);
+        assert.equal(lines.length, 8);
+        assert.equal(lines[5], '"Is 1 &lt; 2 ""always""?","Yes<ol><li>Start with 2.</li><li>Add 2.</li></ol>","edusense Math arithmetic_basics"');
+        assert.match(lines[6], /practice"$/);
+        assert.equal(lines[7], '"Front","Back","edusense Math arithmetic_basics flashcard"');
+    });
+
+    test('builds file names from the title', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        assert.equal(exportService.toFileSlug('  Physics: Unit 3!  '), `physics-unit-3-${date}`);
+        assert.equal(exportService.toFileSlug('???'), `export-${date}`);
+    });
+});
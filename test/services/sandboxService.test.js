@@ -0,0 +1,165 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Long enough for a runtime to start while other test files run, short enough for the timeout test
+process.env.SANDBOX_TIMEOUT_MS = '4000';
+process.env.SANDBOX_MAX_OUTPUT_BYTES = '1024';
+process.env.SANDBOX_MEMORY_MB = '128';
+
+const { default: sandboxService } = await import('../../src/services/sandboxService.js');
+
+const isolated = await sandboxService.hasIsolation();
+
+describe('sandbox input checks', () => {
+    test('rejects unsupported languages and empty code', async () => {
+        await assert.rejects(sandboxService.run('ruby', 'puts 1'), { statusCode: 400 });
+        await assert.rejects(sandboxService.run('python', '   '), { statusCode: 400 });
+    });
+
+    test('refuses to run without isolation unless explicitly allowed', async (t) => {
+        t.mock.method(sandboxService, 'hasIsolation', async () => false);
+        delete process.env.SANDBOX_ALLOW_UNISOLATED;
+
+        await assert.rejects(sandboxService.run('javascript', 'console.log(1)'), { statusCode: 503 });
+    });
+
+    test('rejects runs over the concurrency limit', async (t) => {
+        t.mock.method(sandboxService, 'hasIsolation', async () => true);
+        sandboxService.running = 100;
+        t.after(() => {
+            sandboxService.running = 0;
+        });
+
+        await assert.rejects(sandboxService.run('javascript', 'console.log(1)'), { statusCode: 429 });
+    });
+});
+
+describe('sandbox mounts', () => {
+    test('exposes no writable or host paths beyond the runtime', () => {
+        const args = sandboxService.buildBwrapArgs('/tmp/sandbox-abc', ['/opt/node', '/usr']);
+        const pairs = (flag) => args.flatMap((arg, i) => (arg === flag ? [[args[i + 1], args[i + 2]]] : []));
+
+        assert.ok(args.includes('--unshare-all'));
+        assert.ok(!args.includes('--bind') && !args.includes('--dev-bind') && !args.includes('--tmpfs'));
+        assert.ok(!pairs('--ro-bind').some(([source]) => source === '/' || source === '/etc' || source === '/root'));
+        assert.deepEqual(pairs('--ro-bind').find(([, dest]) => dest === '/sandbox'), ['/tmp/sandbox-abc', '/sandbox']);
+        assert.deepEqual(pairs('--ro-bind').filter(([source]) => source === '/usr').length, 1);
+        assert.ok(pairs('--ro-bind').some(([source]) => source === '/opt/node'));
+        assert.equal(args[args.indexOf('--seccomp') + 1], '3');
+    });
+});
+
+// Resource limits hold without bwrap too (SANDBOX_ALLOW_UNISOLATED, for development machines)
+describe('sandbox limits', () => {
+    before(() => {
+        process.env.SANDBOX_ALLOW_UNISOLATED = 'true';
+    });
+    after(() => {
+        delete process.env.SANDBOX_ALLOW_UNISOLATED;
+    });
+
+    test('runs JavaScript and Python', async () => {
+        const js = await sandboxService.run('js', 'console.log(6 * 7)');
+        assert.equal(js.status, 'passed');
+        assert.equal(js.stdout.trim(), '42');
+
+        const py = await sandboxService.run('python', 'print(sum(range(10)))');
+        assert.equal(py.status, 'passed');
+        assert.equal(py.stdout.trim(), '45');
+    });
+
+    test('reports failures with stderr', async () => {
+        const result = await sandboxService.run('python', 'raise ValueError("boom")');
+        assert.equal(result.status, 'failed');
+        assert.match(result.stderr, /ValueError: boom/);
+    });
+
+    test('kills snippets that run too long', async () => {
+        const result = await sandboxService.run('javascript', 'while (true) {}');
+        assert.equal(result.status, 'timeout');
+        assert.equal(result.timedOut, true);
+    });
+
+    test('caps off-heap memory in JavaScript', async () => {
+        const result = await sandboxService.run('javascript', 'const b = Buffer.alloc(3 * 1024 ** 3); console.log(b.length);');
+        assert.equal(result.status, 'failed');
+        assert.doesNotMatch(result.stdout, /3221225472/);
+    });
+
+    test('caps memory in Python', async () => {
+        const result = await sandboxService.run('python', 'b = bytearray(1024 ** 3)\nprint(len(b))');
+        assert.equal(result.status, 'failed');
+        assert.match(result.stderr, /MemoryError/);
+    });
+
+    // RLIMIT_NPROC does not bind root; the loop is bounded so an unenforced limit cannot exhaust the host
+    test('caps the number of processes', { skip: process.getuid?.() === 0 && 'process limits do not apply to root' }, async () => {
+        const result = await sandboxService.run('python', [
+            'import os, time',
+            'for _ in range(500):',
+            '    if os.fork() == 0:',
+            '        time.sleep(1)',
+            '        os._exit(0)',
+            'print("FORKED")',
+        ].join('\n'));
+
+        assert.ok(['failed', 'timeout'].includes(result.status));
+        assert.doesNotMatch(result.stdout, /FORKED/);
+    });
+
+    test('truncates large output', async () => {
+        const result = await sandboxService.run('python', 'print("x" * 100000)');
+        assert.equal(result.truncated, true);
+        assert.ok(result.stdout.length <= 1024);
+    });
+});
+
+describe('sandbox isolation', { skip: !isolated && 'bwrap with user namespaces is not available on this host' }, () => {
+    test('hides the host filesystem', async () => {
+        const result = await sandboxService.run('python', [
+            'import os',
+            'for path in ["/etc/hostname", "/etc/passwd", "/proc/1/root/etc/hostname"]:',
+            '    try:',
+            '        open(path).read(); print("READ", path)',
+            '    except OSError: pass',
+            'for path in ["/root", "/home", "/tmp"]:',
+            '    try:',
+            '        print("LIST", path, os.listdir(path))',
+            '    except OSError: pass',
+        ].join('\n'));
+
+        assert.equal(result.status, 'passed');
+        assert.doesNotMatch(result.stdout, /READ|LIST/);
+    });
+
+    test('child processes stay inside the sandbox', async () => {
+        const result = await sandboxService.run('python', [
+            'import subprocess',
+            'run = subprocess.run(["/bin/cat", "/etc/hostname"], capture_output=True)',
+            'print("OUT", run.stdout)',
+        ].join('\n'));
+
+        assert.match(result.stdout, /OUT b''/);
+    });
+
+    test('cannot write files or reach the network', async () => {
+        const result = await sandboxService.run('javascript', [
+            "const fs = require('fs');",
+            "try { fs.writeFileSync('/sandbox/out.txt', 'x'); console.log('WROTE'); } catch {}",
+            "try { fs.writeFileSync('/dev/shm/out.txt', 'x'); console.log('WROTE'); } catch {}",
+            "require('net').connect(53, '1.1.1.1').on('connect', () => console.log('CONNECTED')).on('error', () => {});",
+        ].join('\n'));
+
+        assert.doesNotMatch(result.stdout, /WROTE|CONNECTED/);
+    });
+
+    test('cannot create namespaces or trace processes', async () => {
+        const result = await sandboxService.run('python', [
+            'import ctypes',
+            'libc = ctypes.CDLL(None, use_errno=True)',
+            'print("unshare", libc.unshare(0x10000000), "ptrace", libc.ptrace(16, 1, 0, 0))',
+        ].join('\n'));
+
+        assert.match(result.stdout, /unshare -1 ptrace -1/);
+    });
+});
@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import shareService from '../../src/services/shareService.js';
+import ShareLink from '../../src/models/ShareLink.js';
+import Doubt from '../../src/models/Doubt.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Chainable stand-in for a Mongoose query that resolves to result
+ */
+const query = (result) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const answeredDoubt = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    questionText: 'What is inertia?',
+    answerSteps: ['State Newton\'s first law.'],
+    explanation: 'Inertia is resistance to changes in motion.',
+    finalAnswer: 'Resistance to change in motion.',
+    retrievedContext: [{ text: 'private notes' }],
+    frameIds: [new mongoose.Types.ObjectId()],
+    citations: [{
+        marker: 1,
+        source: 'notes.pdf',
+        pageNumber: 3,
+        frameId: new mongoose.Types.ObjectId(),
+        region: { x: 0, y: 0, width: 10, height: 10 },
+    }],
+    status: 'answered',
+    mode: 'standard',
+    ...overrides,
+});
+
+describe('shareService', () => {
+    test('public view drops owner data and private upload links', () => {
+        const publicDoubt = shareService.toPublicDoubt(answeredDoubt());
+
+        assert.equal(publicDoubt.questionText, 'What is inertia?');
+        assert.equal(publicDoubt.finalAnswer, 'Resistance to change in motion.');
+        for (const field of ['userId', '_id', 'retrievedContext', 'frameIds', 'status']) {
+            assert.equal(publicDoubt[field], undefined, field);
+        }
+        assert.deepEqual(publicDoubt.citations, [{
+            marker: 1, location: undefined, stepIndex: undefined, source: 'notes.pdf', pageNumber: 3,
+        }]);
+    });
+
+    test('public view hides the solution of a hint doubt in progress', () => {
+        const publicDoubt = shareService.toPublicDoubt(answeredDoubt({
+            mode: 'hint',
+            hintStatus: 'in_progress',
+            hints: ['Think about mass.', 'Recall the first law.', 'Combine them.'],
+            hintsRevealed: 1,
+        }));
+
+        assert.deepEqual(publicDoubt.hints, ['Think about mass.']);
+        assert.equal(publicDoubt.totalHints, 3);
+        assert.equal(publicDoubt.finalAnswer, undefined);
+        assert.equal(publicDoubt.explanation, undefined);
+        assert.equal(publicDoubt.answerSteps, undefined);
+        assert.deepEqual(publicDoubt.citations, []);
+    });
+
+    test('only the owner\'s answered doubts can be shared', async (t) => {
+        const doubts = { pending: answeredDoubt({ status: 'pending' }), answered: answeredDoubt() };
+        t.mock.method(Doubt, 'findOne', (filter) => query(
+            Object.values(doubts).find((doubt) => String(doubt._id) === String(filter._id) && filter.userId === userId) || null
+        ));
+        t.mock.method(ShareLink, 'create', async (fields) => fields);
+
+        await assert.rejects(shareService.createLink('not-an-id', userId), { statusCode: 404 });
+        await assert.rejects(shareService.createLink(doubts.answered._id, new mongoose.Types.ObjectId()), { statusCode: 404 });
+        await assert.rejects(shareService.createLink(doubts.pending._id, userId), { statusCode: 409 });
+        await assert.rejects(shareService.createLink(doubts.answered._id, userId, { expiresInHours: 0 }), { statusCode: 400 });
+        await assert.rejects(shareService.createLink(doubts.answered._id, userId, { expiresInHours: 'soon' }), { statusCode: 400 });
+
+        const link = await shareService.createLink(doubts.answered._id, userId, { expiresInHours: 2 });
+        assert.ok(link.token.length >= 32);
+        assert.ok(link.expiresAt > new Date(Date.now() + 60 * 60 * 1000));
+        assert.equal((await shareService.createLink(doubts.answered._id, userId)).expiresAt, null);
+    });
+
+    test('revoked and expired links stop working', async (t) => {
+        const doubt = answeredDoubt();
+        const links = {
+            revoked: new ShareLink({ token: 'revoked', doubtId: doubt._id, userId, revokedAt: new Date() }),
+            expired: new ShareLink({ token: 'expired', doubtId: doubt._id, userId, expiresAt: new Date(Date.now() - 1000) }),
+            active: new ShareLink({ token: 'active', doubtId: doubt._id, userId, viewCount: 4 }),
+        };
+        t.mock.method(ShareLink, 'findOne', async ({ token }) => links[token] || null);
+        t.mock.method(ShareLink, 'findByIdAndUpdate', async () => null);
+        t.mock.method(Doubt, 'findOne', () => query(doubt));
+        t.mock.method(Doubt, 'find', () => query([answeredDoubt({ threadId: doubt._id }), answeredDoubt({ status: 'failed' })]));
+
+        await assert.rejects(shareService.viewSharedDoubt('unknown'), { statusCode: 404 });
+        await assert.rejects(shareService.viewSharedDoubt('revoked'), { statusCode: 410 });
+        await assert.rejects(shareService.viewSharedDoubt('expired'), { statusCode: 410 });
+
+        const shared = await shareService.viewSharedDoubt('active');
+        assert.equal(shared.doubt.userId, undefined);
+        assert.equal(shared.thread.length, 1);
+        assert.equal(shared.viewCount, 5);
+    });
+});
@@ -0,0 +1,98 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import studyMaterialService from '../../src/services/studyMaterialService.js';
+import StudyMaterial from '../../src/models/StudyMaterial.js';
+import llmRouter from '../../src/ai/llm/llmRouter.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+describe('study material parsers', () => {
+    test('reads flashcards out of fenced output and drops incomplete cards', () => {
+        const cards = studyMaterialService.parseFlashcards([
+            'Here are your cards:',
+            '```json',
+            '[{ "front": " Inertia ", "back": "Resistance to change in motion" }, { "front": "Mass" }, { "front": "", "back": "x" }]',
+            '```',
+        ].join('\n'));
+
+        assert.deepEqual(cards, [{ front: 'Inertia', back: 'Resistance to change in motion' }]);
+        assert.throws(() => studyMaterialService.parseFlashcards('[{ "front": "Mass" }]'), /No flashcards/);
+        assert.throws(() => studyMaterialService.parseFlashcards('No cards today'), /No JSON array/);
+    });
+
+    test('accepts quiz answers as text, letter or index', () => {
+        const options = ['Newton', 'Joule', 'Watt'];
+        const questions = studyMaterialService.parseQuiz(JSON.stringify([
+            { question: 'Unit of force?', options, answer: 'Newton', explanation: 'kg·m/s²' },
+            { question: 'Unit of energy?', options, answer: 'b' },
+            { question: 'Unit of power?', options, answer: 2 },
+            { question: 'Unit of charge?', options, answer: 'Coulomb' },
+            { question: '', options, answer: 'Newton' },
+        ]));
+
+        assert.deepEqual(questions.map((question) => question.answer), ['Newton', 'Joule', 'Watt']);
+        assert.equal(questions[0].explanation, 'kg·m/s²');
+        assert.throws(() => studyMaterialService.parseQuiz('[{ "question": "?", "options": ["a"], "answer": "z" }]'), /No quiz questions/);
+    });
+
+    test('strips a Markdown fence from notes', () => {
+        assert.deepEqual(studyMaterialService.parseContent('notes', '```markdown\n# Inertia\n```'), { markdown: '# Inertia' });
+        assert.throws(() => studyMaterialService.parseContent('analogy', '   '), /Empty response/);
+    });
+});
+
+describe('studyMaterialService.generateMaterial', () => {
+    beforeEach((t) => {
+        t.mock.method(StudyMaterial, 'create', async (fields) => new StudyMaterial(fields));
+    });
+
+    test('saves parsed flashcards', async () => {
+        const material = await studyMaterialService.generateMaterial(userId, { type: 'flashcards', topic: 'Inertia' });
+
+        assert.equal(material.type, 'flashcards');
+        assert.equal(material.flashcards.length, 3);
+        assert.equal(StudyMaterial.create.mock.callCount(), 1);
+    });
+
+    test('asks again when the output does not parse', async (t) => {
+        const replies = ['Sorry, here you go: cards', '[{ "front": "Inertia", "back": "Resistance to change" }]'];
+        t.mock.method(llmRouter, 'generateStudyMaterial', async () => replies.shift());
+
+        const material = await studyMaterialService.generateMaterial(userId, { type: 'flashcards', topic: 'Inertia' });
+        assert.deepEqual(material.toObject().flashcards, [{ front: 'Inertia', back: 'Resistance to change' }]);
+    });
+
+    test('gives up with 502 and saves nothing', async (t) => {
+        t.mock.method(llmRouter, 'generateStudyMaterial', async () => 'not a quiz');
+
+        await assert.rejects(studyMaterialService.generateMaterial(userId, { type: 'quiz', topic: 'Inertia' }), { statusCode: 502 });
+        assert.equal(llmRouter.generateStudyMaterial.mock.callCount(), llmRouter.repairAttempts + 1);
+        assert.equal(StudyMaterial.create.mock.callCount(), 0);
+    });
+
+    test('passes router errors through without asking again', async (t) => {
+        const unavailable = Object.assign(new Error('No LLM provider is configured'), { statusCode: 503 });
+        t.mock.method(llmRouter, 'generateStudyMaterial', async () => {
+            throw unavailable;
+        });
+
+        await assert.rejects(studyMaterialService.generateMaterial(userId, { type: 'notes', topic: 'Inertia' }), unavailable);
+        assert.equal(llmRouter.generateStudyMaterial.mock.callCount(), 1);
+        assert.equal(StudyMaterial.create.mock.callCount(), 0);
+    });
+
+    test('rejects unknown types and missing topics', async () => {
+        await assert.rejects(studyMaterialService.generateMaterial(userId, { type: 'essay', topic: 'Inertia' }), { statusCode: 400 });
+        await assert.rejects(studyMaterialService.generateMaterial(userId, { type: 'notes' }), { statusCode: 400 });
+    });
+});
+
+describe('studyMaterialService.toLegacyContent', () => {
+    test('returns Markdown or the JSON array', () => {
+        assert.equal(studyMaterialService.toLegacyContent(new StudyMaterial({ type: 'notes', topic: 't', markdown: '# t' })), '# t');
+
+        const quiz = new StudyMaterial({ type: 'quiz', topic: 't', questions: [{ question: 'q', options: ['a'], answer: 'a' }] });
+        assert.deepEqual(JSON.parse(studyMaterialService.toLegacyContent(quiz)), [{ question: 'q', options: ['a'], answer: 'a', explanation: '' }]);
+    });
+});
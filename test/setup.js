@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Tests run offline: the deterministic local LLM and hashing embedding providers, no API keys, no database
+process.env.LLM_PROVIDERS = 'local';
+process.env.EMBEDDING_PROVIDER = 'hashing';
+process.env.LLM_REPAIR_ATTEMPTS = '2';
+for (const key of ['GROQ_API_KEY', 'GEMINI_API_KEY', 'ANTHROPIC_API_KEY', 'LOCAL_LLM_FIXTURES']) {
+    delete process.env[key];
+}
+
+// Model calls a test forgot to stub fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Test files report results over stdout; keep service logs out of it (warnings and errors go to stderr)
+if (process.env.NODE_TEST_CONTEXT) {
+    console.log = () => {};
+    console.info = () => {};
+}
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExpression, formatDimensions, parseUnit, sameDimensions, toQuantity } from '../../src/utils/quantity.js';
+
+const assertUnit = (unit, expected) => {
+    const parsed = parseUnit(unit);
+    const reference = parseUnit(expected);
+    assert.ok(sameDimensions(parsed, reference), `${unit} should have the dimensions of ${expected}`);
+    assert.ok(Math.abs(parsed.value - reference.value) <= 1e-12 * Math.abs(reference.value), `${unit} should equal ${expected}`);
+};
+
+test('parses unit symbols with prefixes and compound units', () => {
+    assert.ok(sameDimensions(parseUnit('km/h'), parseUnit('m/s')));
+    assert.equal(parseUnit('km/h').value, 1000 / 3600);
+    assertUnit('kN·m', 'kJ');
+    assertUnit('J/mol K', 'J/(mol·K)');
+    assertUnit('m s⁻²', 'm/s^2');
+    assert.equal(formatDimensions(parseUnit('kg m^2 s^-2').dims), 'J');
+    assert.throws(() => parseUnit('furlongs'), /Unknown unit "furlongs"/);
+});
+
+test('parses spelled-out and plural unit names', () => {
+    assertUnit('hours', 'h');
+    assertUnit('hour', 'h');
+    assertUnit('seconds', 's');
+    assertUnit('minutes', 'min');
+    assertUnit('kilograms', 'kg');
+    assertUnit('grams', 'g');
+    assertUnit('metres', 'm');
+    assertUnit('meters', 'm');
+    assertUnit('litres', 'L');
+    assertUnit('liters', 'L');
+    assertUnit('millilitres', 'mL');
+    assertUnit('kilometres', 'km');
+    assertUnit('milliseconds', 'ms');
+    assertUnit('Newtons', 'N');
+    assertUnit('joules', 'J');
+    assertUnit('feet', 'ft');
+    assertUnit('henries', 'H');
+    assertUnit('hertz', 'Hz');
+});
+
+test('parses unit phrases', () => {
+    assertUnit('metres per second', 'm/s');
+    assertUnit('kilometres per hour', 'km/h');
+    assertUnit('m per s squared', 'm/s^2');
+    assertUnit('square metres', 'm^2');
+    assertUnit('cubic centimetres', 'cm^3');
+    assertUnit('degrees Celsius', '°C');
+    assertUnit('joules per mole kelvin', 'J/(mol·K)');
+});
+
+test('evaluates expressions with units and rejects inconsistent ones', () => {
+    const speed = evaluateExpression('sqrt(2 * g * h)', {
+        g: toQuantity(9.8, 'm/s^2'),
+        h: toQuantity(20, 'metres'),
+    });
+    assert.equal(speed.value, Math.sqrt(2 * 9.8 * 20));
+    assertUnit(formatDimensions(speed.dims), 'm/s');
+
+    assert.throws(() => evaluateExpression('d + t', {
+        d: toQuantity(1, 'm'),
+        t: toQuantity(1, 's'),
+    }), /Cannot add m and s/);
+});
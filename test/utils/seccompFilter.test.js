@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import { buildSeccompFilter, getDeniedSyscalls, isSeccompSupported } from '../../src/utils/seccompFilter.js';
+
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+
+// Installs the filter in a Python process, then tries blocked and allowed syscalls
+const PROBE = `
+import ctypes, os, subprocess, sys, threading
+data = sys.stdin.buffer.read()
+libc = ctypes.CDLL(None, use_errno=True)
+class Prog(ctypes.Structure):
+    _fields_ = [('len', ctypes.c_ushort), ('filter', ctypes.c_char_p)]
+buf = ctypes.create_string_buffer(data, len(data))
+prog = Prog(len(data) // 8, ctypes.cast(buf, ctypes.c_char_p))
+assert libc.prctl(38, 1, 0, 0, 0) == 0
+assert libc.prctl(22, 2, ctypes.byref(prog), 0, 0) == 0
+print('unshare', libc.unshare(0x10000000), ctypes.get_errno())
+print('mount', libc.mount(b'none', b'/tmp', b'tmpfs', 0, None), ctypes.get_errno())
+print('ptrace', libc.ptrace(16, 1, 0, 0), ctypes.get_errno())
+print('exec', subprocess.run(['true']).returncode)
+t = threading.Thread(target=lambda: None); t.start(); t.join()
+print('thread ok')
+`;
+
+test('builds one 8-byte instruction per BPF statement', () => {
+    for (const arch of ['x64', 'arm64']) {
+        const filter = buildSeccompFilter(arch);
+        assert.equal(filter.length % 8, 0);
+        // Architecture check first, allow last
+        assert.equal(filter.readUInt32LE(4), 4);
+        assert.equal(filter.readUInt32LE(filter.length - 4), 0x7fff0000);
+        assert.ok(getDeniedSyscalls(arch).includes('unshare'));
+    }
+    assert.equal(isSeccompSupported('ia32'), false);
+    assert.throws(() => buildSeccompFilter('ia32'));
+});
+
+test('blocks namespace, mount and tracing syscalls but not processes or threads', {
+    skip: (!hasPython || !isSeccompSupported()) && 'needs python3 on x64 or arm64',
+}, () => {
+    const output = execFileSync('python3', ['-c', PROBE], { input: buildSeccompFilter(), timeout: 20000 }).toString();
+
+    assert.match(output, /unshare -1 1\b/);
+    assert.match(output, /mount -1 1\b/);
+    assert.match(output, /ptrace -1 1\b/);
+    assert.match(output, /exec 0/);
+    assert.match(output, /thread ok/);
+});